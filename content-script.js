@@ -1,6 +1,9 @@
-// Content script for fetching m3u8 playlists in page context
+// Content script for fetching m3u8 playlists and DASH manifests in page context
 // This allows the fetch to automatically use the page's Origin and Referer headers
 // Acts as a simple proxy - just fetches and returns raw content
+// Also fetches the first bytes of responses for subtitle sniffing, media segments and keys for
+// the in-browser downloader, and reports
+// subtitle tracks attached to <video>/<audio> elements (see bottom)
 
 // Listen for messages from the service worker
 chrome.runtime.onMessage.addListener((request, sender, sendResponse) => {
@@ -9,8 +12,22 @@ chrome.runtime.onMessage.addListener((request, sender, sendResponse) => {
     return;
   }
 
-  if (request.action === 'fetchM3U8' || request.action === 'fetchMediaPlaylist') {
-    fetchM3U8Content(request.url, request.headers)
+  if (request.action === 'fetchM3U8' || request.action === 'fetchMediaPlaylist' || request.action === 'fetchManifest') {
+    fetchM3U8Content(request.url, request.headers, request.timeoutMs)
+      .then(content => sendResponse({ success: true, content }))
+      .catch(error => sendResponse({ success: false, error: error.message }));
+    return true; // Keep channel open for async response
+  }
+
+  if (request.action === 'fetchSegment') {
+    fetchSegmentContent(request.url, request.headers, request.timeoutMs, request.byteRange)
+      .then(content => sendResponse({ success: true, content }))
+      .catch(error => sendResponse({ success: false, error: error.message }));
+    return true; // Keep channel open for async response
+  }
+
+  if (request.action === 'fetchHead') {
+    fetchHeadContent(request.url, request.headers, request.maxBytes, request.timeoutMs, request.offset, request.binary)
       .then(content => sendResponse({ success: true, content }))
       .catch(error => sendResponse({ success: false, error: error.message }));
     return true; // Keep channel open for async response
@@ -25,9 +42,12 @@ const FORBIDDEN_HEADERS = new Set([
   'origin', 'referer', 'set-cookie', 'te', 'trailer', 'transfer-encoding', 'upgrade', 'via'
 ]);
 
+// Default fetch timeout; the service worker sends the user's setting with each request
+const DEFAULT_FETCH_TIMEOUT_MS = 10000;
+
 // Simple fetch function - just gets the content, no parsing
 // headers parameter allows proxying headers from the service worker
-async function fetchM3U8Content(url, headers = {}) {
+async function fetchM3U8Content(url, headers = {}, timeoutMs = DEFAULT_FETCH_TIMEOUT_MS) {
   console.log('[ContentScript] fetchM3U8Content:', url);
 
   try {
@@ -35,7 +55,7 @@ async function fetchM3U8Content(url, headers = {}) {
     const fetchOptions = {
       method: 'GET',
       credentials: 'same-origin',
-      signal: AbortSignal.timeout(10000)
+      signal: AbortSignal.timeout(timeoutMs)
     };
 
     // Filter out forbidden headers that would cause fetch to throw
@@ -65,3 +85,239 @@ async function fetchM3U8Content(url, headers = {}) {
 }
 
 
+
+// Fetch only the first bytes of a resource, used by the service worker to sniff
+// subtitles served with generic MIME types. Asks for a byte range, and stops reading
+// early in case the server ignores it. With binary, the bytes come back as base64 (used to
+// read the duration of video files), and may start at an offset: a server that ignores the
+// range would send the file from its start, so that is an error.
+async function fetchHeadContent(url, headers = {}, maxBytes = 4096, timeoutMs = DEFAULT_FETCH_TIMEOUT_MS, offset = 0, binary = false) {
+  const safeHeaders = { Range: `bytes=${offset}-${offset + maxBytes - 1}` };
+  for (const [key, value] of Object.entries(headers || {})) {
+    if (!key || value === undefined || FORBIDDEN_HEADERS.has(key.toLowerCase())) continue;
+    if (key.toLowerCase() === 'range') continue;
+    safeHeaders[key] = value;
+  }
+
+  const response = await fetch(url, {
+    method: 'GET',
+    credentials: 'same-origin',
+    headers: safeHeaders,
+    signal: AbortSignal.timeout(timeoutMs)
+  });
+
+  if (!response.ok) {
+    throw new Error(`HTTP ${response.status}: ${response.statusText}`);
+  }
+  if (offset > 0 && response.status !== 206) {
+    response.body.cancel().catch(() => {});
+    throw new Error('The server ignored the byte range');
+  }
+
+  const reader = response.body.getReader();
+  const chunks = [];
+  let received = 0;
+  while (received < maxBytes) {
+    const { done, value } = await reader.read();
+    if (done) break;
+    chunks.push(value);
+    received += value.length;
+  }
+  reader.cancel().catch(() => {});
+
+  const bytes = new Uint8Array(Math.min(received, maxBytes));
+  let filled = 0;
+  for (const chunk of chunks) {
+    const part = chunk.subarray(0, bytes.length - filled);
+    bytes.set(part, filled);
+    filled += part.length;
+    if (filled >= bytes.length) break;
+  }
+  if (binary) {
+    // btoa takes a binary string; build it in chunks to stay below the argument limit
+    const text = [];
+    for (let start = 0; start < bytes.length; start += 0x8000) {
+      text.push(String.fromCharCode.apply(null, bytes.subarray(start, start + 0x8000)));
+    }
+    return btoa(text.join(''));
+  }
+  // A multi-byte character cut at the boundary decodes to a replacement char, which is harmless here
+  return new TextDecoder().decode(bytes);
+}
+
+// Fetch a media segment or AES key for the in-browser downloader. Extension messages are JSON,
+// so the bytes are returned as base64. A byteRange ({offset, length}, from EXT-X-BYTERANGE)
+// is requested with a Range header, and cut out locally if the server sends the whole file.
+async function fetchSegmentContent(url, headers = {}, timeoutMs = DEFAULT_FETCH_TIMEOUT_MS, byteRange = null) {
+  const safeHeaders = {};
+  for (const [key, value] of Object.entries(headers || {})) {
+    if (!key || value === undefined || FORBIDDEN_HEADERS.has(key.toLowerCase())) continue;
+    safeHeaders[key] = value;
+  }
+  if (byteRange) {
+    safeHeaders.Range = `bytes=${byteRange.offset}-${byteRange.offset + byteRange.length - 1}`;
+  }
+
+  const response = await fetch(url, {
+    method: 'GET',
+    credentials: 'same-origin',
+    headers: safeHeaders,
+    signal: AbortSignal.timeout(timeoutMs)
+  });
+
+  if (!response.ok) {
+    throw new Error(`HTTP ${response.status}: ${response.statusText}`);
+  }
+
+  let bytes = new Uint8Array(await response.arrayBuffer());
+  if (byteRange && response.status !== 206) {
+    bytes = bytes.subarray(byteRange.offset, byteRange.offset + byteRange.length);
+  }
+  if (byteRange && bytes.length !== byteRange.length) {
+    throw new Error(`Expected ${byteRange.length} bytes, got ${bytes.length}`);
+  }
+  // btoa takes a binary string; build it in chunks to stay below the argument limit
+  const chunks = [];
+  for (let offset = 0; offset < bytes.length; offset += 0x8000) {
+    chunks.push(String.fromCharCode.apply(null, bytes.subarray(offset, offset + 0x8000)));
+  }
+  return btoa(chunks.join(''));
+}
+
+// ── Subtitle tracks from <video>/<audio> elements ──────────────────────────
+// Players often attach <track> elements or build VTTCues in memory (e.g. from JSON),
+// which never shows up as a recognisable subtitle request. Scan media elements,
+// report <track src> URLs, and serialize in-memory cues to WebVTT for the service worker.
+// Guarded so a programmatic re-injection doesn't start a second scanner.
+if (!window.__streamCatcherTrackScanner) {
+  window.__streamCatcherTrackScanner = true;
+
+  const SUBTITLE_TRACK_KINDS = new Set(['subtitles', 'captions']);
+  const SCAN_DEBOUNCE_MS = 1000;
+  const RESCAN_INTERVAL_MS = 5000;
+
+  // Track key -> last reported cue count (URL tracks are reported once, count -1)
+  const reportedTracks = new Map();
+  // Media element -> stable id, so keys don't shift when elements are added or removed
+  const mediaIds = new WeakMap();
+  let nextMediaId = 0;
+  let scanTimer = null;
+  let rescanInterval = null;
+
+  const formatVttTimestamp = (seconds) => {
+    const totalMs = Math.max(0, Math.round(seconds * 1000));
+    const hours = Math.floor(totalMs / 3600000);
+    const minutes = Math.floor((totalMs % 3600000) / 60000);
+    const secs = Math.floor((totalMs % 60000) / 1000);
+    const ms = totalMs % 1000;
+    const pad = (value, length = 2) => String(value).padStart(length, '0');
+    return `${pad(hours)}:${pad(minutes)}:${pad(secs)}.${pad(ms, 3)}`;
+  };
+
+  // Serialize a TextTrackCueList to a WebVTT document (timings and text only)
+  const serializeCuesToVtt = (cues) => {
+    const blocks = ['WEBVTT'];
+    for (const cue of Array.from(cues)) {
+      // Blank lines would end the cue early and "-->" would start a new timing line
+      const text = String(cue.text ?? '').replace(/-->/g, '--&gt;').replace(/\n\s*\n/g, '\n').trim();
+      if (!text) continue;
+      blocks.push(`${formatVttTimestamp(cue.startTime)} --> ${formatVttTimestamp(cue.endTime)}\n${text}`);
+    }
+    return blocks.join('\n\n') + '\n';
+  };
+
+  const collectMediaTracks = () => {
+    const tracks = [];
+    const mediaElements = document.querySelectorAll('video, audio');
+
+    mediaElements.forEach((media) => {
+      if (!mediaIds.has(media)) {
+        mediaIds.set(media, nextMediaId++);
+        media.textTracks.addEventListener('addtrack', scheduleScan);
+        media.textTracks.addEventListener('change', scheduleScan);
+      }
+
+      // <track> elements with a fetchable src are reported by URL
+      const urlTracks = new Set();
+      media.querySelectorAll('track[src]').forEach((trackEl) => {
+        const kind = trackEl.kind || 'subtitles';
+        if (!SUBTITLE_TRACK_KINDS.has(kind) || !/^https?:/i.test(trackEl.src)) return;
+        urlTracks.add(trackEl.track);
+        const key = `url|${trackEl.src}`;
+        if (reportedTracks.has(key)) return;
+        reportedTracks.set(key, -1);
+        tracks.push({
+          type: 'url',
+          key,
+          url: trackEl.src,
+          label: trackEl.label || '',
+          language: trackEl.srclang || '',
+          trackKind: kind
+        });
+      });
+
+      // Everything else (addTextTrack(), blob:/data: sources) is read from its cues.
+      // Disabled tracks expose no cues, so they are picked up once the player enables them.
+      Array.from(media.textTracks).forEach((track, trackIndex) => {
+        if (urlTracks.has(track) || !SUBTITLE_TRACK_KINDS.has(track.kind)) return;
+        if (track.mode === 'disabled' || !track.cues || track.cues.length === 0) return;
+
+        const key = `cues|${mediaIds.get(media)}|${trackIndex}|${track.label}|${track.language}`;
+        if ((reportedTracks.get(key) ?? 0) >= track.cues.length) return;
+        reportedTracks.set(key, track.cues.length);
+        tracks.push({
+          type: 'cues',
+          key,
+          vtt: serializeCuesToVtt(track.cues),
+          cueCount: track.cues.length,
+          label: track.label || '',
+          language: track.language || '',
+          trackKind: track.kind
+        });
+      });
+    });
+
+    return { tracks, mediaCount: mediaElements.length };
+  };
+
+  const scanMediaTracks = () => {
+    scanTimer = null;
+    let result;
+    try {
+      result = collectMediaTracks();
+    } catch (error) {
+      console.warn('[ContentScript] Media track scan failed:', error.message);
+      return;
+    }
+
+    // Cues added with addCue() fire no events, so re-scan periodically while media exists
+    if (result.mediaCount > 0 && !rescanInterval) {
+      rescanInterval = setInterval(scheduleScan, RESCAN_INTERVAL_MS);
+    }
+
+    if (result.tracks.length === 0) return;
+    chrome.runtime.sendMessage({ cmd: 'MEDIA_TRACKS_FOUND', pageUrl: location.href, tracks: result.tracks }, () => {
+      // Ignore errors (service worker may be restarting); tracks are re-sent when cues grow
+      chrome.runtime.lastError;
+    });
+  };
+
+  function scheduleScan() {
+    if (scanTimer) return;
+    scanTimer = setTimeout(scanMediaTracks, SCAN_DEBOUNCE_MS);
+  }
+
+  new MutationObserver((mutations) => {
+    for (const mutation of mutations) {
+      for (const node of mutation.addedNodes) {
+        if (node.nodeType !== Node.ELEMENT_NODE) continue;
+        if (/^(VIDEO|AUDIO|TRACK)$/.test(node.nodeName) || node.querySelector?.('video, audio, track')) {
+          scheduleScan();
+          return;
+        }
+      }
+    }
+  }).observe(document, { childList: true, subtree: true });
+
+  scheduleScan();
+}
@@ -0,0 +1,202 @@
+// History page: search past page sessions and regenerate commands from their captures
+import { captureHistory, HISTORY_MAX_SESSIONS, HISTORY_MAX_AGE_MS } from './modules/history.js';
+import { buildMpvCommand, buildFfmpegCommand } from './modules/commands.js';
+import { getSettings, getMpvProfile } from './modules/settings.js';
+
+const THEME_KEY = 'subtitle-catcher-theme';
+const SEARCH_DEBOUNCE_MS = 200;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const searchInput = document.getElementById('search');
+const dateFrom = document.getElementById('date-from');
+const dateTo = document.getElementById('date-to');
+const mpvProfile = document.getElementById('mpv-profile');
+const ffmpegFormat = document.getElementById('ffmpeg-format');
+const btnClearHistory = document.getElementById('btn-clear-history');
+const sessionsContainer = document.getElementById('sessions');
+const emptyState = document.getElementById('empty');
+const toast = document.getElementById('toast');
+
+// Follow the theme chosen in the popup (shared localStorage of the extension origin)
+function applyTheme() {
+  const theme = localStorage.getItem(THEME_KEY) || 'auto';
+  const isDark = theme === 'dark' ||
+    (theme === 'auto' && window.matchMedia('(prefers-color-scheme: dark)').matches);
+  document.documentElement.setAttribute('data-theme', isDark ? 'dark' : 'light');
+}
+
+function showToast(message, isError = false) {
+  toast.textContent = message;
+  toast.classList.toggle('error', isError);
+  toast.classList.add('show');
+  clearTimeout(showToast.timer);
+  showToast.timer = setTimeout(() => toast.classList.remove('show'), 1800);
+}
+
+async function copyToClipboard(text, label) {
+  try {
+    await navigator.clipboard.writeText(text);
+    showToast(`${label} copied`);
+  } catch (error) {
+    console.error('[History] Failed to copy:', error);
+    showToast('Failed to copy', true);
+  }
+}
+
+// <input type="date"> values are local calendar days
+function parseDateInput(value, endOfDay) {
+  if (!value) return null;
+  const [year, month, day] = value.split('-').map(Number);
+  const start = new Date(year, month - 1, day).getTime();
+  return endOfDay ? start + DAY_MS - 1 : start;
+}
+
+function getFilters() {
+  return {
+    query: searchInput.value,
+    from: parseDateInput(dateFrom.value, false) ?? 0,
+    to: parseDateInput(dateTo.value, true) ?? Infinity
+  };
+}
+
+function createElement(tag, className, text) {
+  const element = document.createElement(tag);
+  if (className) element.className = className;
+  if (text !== undefined) element.textContent = text;
+  return element;
+}
+
+function createButton(label, onClick, className = 'btn') {
+  const button = createElement('button', className, label);
+  button.addEventListener('click', onClick);
+  return button;
+}
+
+function renderStreamRow(session, item, subtitleCheckboxes) {
+  const row = createElement('div', 'history-item stream');
+  row.appendChild(createElement('span', 'item-format', item.format || item.mediaType || '?'));
+  row.appendChild(createElement('span', 'item-name', item.name || item.url)).title = item.url;
+
+  const details = [item.resolution || item.quality, item.durationFormatted, item.isLive ? 'LIVE' : '', item.isAd ? 'AD' : '']
+    .filter(Boolean)
+    .join(' · ');
+  if (details) row.appendChild(createElement('span', 'item-detail', details));
+
+  const selectedSubtitles = () => subtitleCheckboxes
+    .filter(({ checkbox }) => checkbox.checked)
+    .map(({ item: subtitle }) => subtitle);
+
+  row.appendChild(createButton('mpv', async () => {
+    const settings = await getSettings();
+    const options = {
+      profileArgs: getMpvProfile(settings, mpvProfile.value).args,
+      extraArgs: settings.mpvExtraArgs,
+      shell: settings.shellDialect
+    };
+    copyToClipboard(buildMpvCommand(item, selectedSubtitles(), options), 'mpv command');
+  }));
+  row.appendChild(createButton('ffmpeg', async () => {
+    const { shellDialect } = await getSettings();
+    const command = buildFfmpegCommand(item, selectedSubtitles(), ffmpegFormat.value, session.title, { shell: shellDialect });
+    copyToClipboard(command, 'ffmpeg command');
+  }));
+  row.appendChild(createButton('URL', () => copyToClipboard(item.url, 'URL')));
+  return row;
+}
+
+function renderSubtitleRow(item) {
+  const row = createElement('label', 'history-item subtitle');
+  const checkbox = document.createElement('input');
+  checkbox.type = 'checkbox';
+  checkbox.title = 'Include in commands';
+  row.appendChild(checkbox);
+  row.appendChild(createElement('span', 'item-format', item.format || 'sub'));
+  row.appendChild(createElement('span', 'item-name', item.name || item.url)).title = item.url;
+  const language = item.languageName || item.languageCode;
+  if (language) row.appendChild(createElement('span', 'item-detail', language));
+  row.appendChild(createButton('URL', (e) => {
+    e.preventDefault();
+    copyToClipboard(item.url, 'URL');
+  }));
+  return { row, checkbox, item };
+}
+
+function renderSession(session) {
+  const card = createElement('section', 'session');
+
+  const head = createElement('div', 'session-head');
+  const info = createElement('div', 'session-info');
+  info.appendChild(createElement('div', 'session-title', session.title || session.host || session.pageUrl));
+
+  const meta = createElement('div', 'session-meta');
+  meta.appendChild(document.createTextNode(`${new Date(session.startedAt).toLocaleString()} · `));
+  const link = createElement('a', '', session.pageUrl);
+  if (/^https?:/i.test(session.pageUrl)) link.href = session.pageUrl;
+  link.target = '_blank';
+  link.rel = 'noopener';
+  meta.appendChild(link);
+  info.appendChild(meta);
+  head.appendChild(info);
+
+  head.appendChild(createButton('Delete', async () => {
+    try {
+      await captureHistory.deleteSession(session.id);
+      card.remove();
+      emptyState.hidden = sessionsContainer.children.length > 0;
+    } catch (error) {
+      console.error('[History] Failed to delete session:', error);
+      showToast('Failed to delete', true);
+    }
+  }, 'btn danger'));
+  card.appendChild(head);
+
+  const byTime = (a, b) => a.timestamp - b.timestamp;
+  const subtitleRows = Object.values(session.subtitles).sort(byTime).map(renderSubtitleRow);
+  Object.values(session.streams).sort(byTime).forEach((item) => {
+    card.appendChild(renderStreamRow(session, item, subtitleRows));
+  });
+  subtitleRows.forEach(({ row }) => card.appendChild(row));
+
+  return card;
+}
+
+async function refresh() {
+  try {
+    const sessions = await captureHistory.searchSessions(getFilters());
+    sessionsContainer.replaceChildren(...sessions.map(renderSession));
+    emptyState.hidden = sessions.length > 0;
+  } catch (error) {
+    console.error('[History] Failed to load history:', error);
+    showToast('Failed to load history', true);
+  }
+}
+
+let searchTimer = null;
+searchInput.addEventListener('input', () => {
+  clearTimeout(searchTimer);
+  searchTimer = setTimeout(refresh, SEARCH_DEBOUNCE_MS);
+});
+dateFrom.addEventListener('change', refresh);
+dateTo.addEventListener('change', refresh);
+
+btnClearHistory.addEventListener('click', async () => {
+  if (!confirm('Delete all captured history?')) return;
+  try {
+    await captureHistory.clear();
+    await refresh();
+  } catch (error) {
+    console.error('[History] Failed to clear history:', error);
+    showToast('Failed to clear history', true);
+  }
+});
+
+document.getElementById('retention').textContent =
+  `Captures are kept for ${Math.round(HISTORY_MAX_AGE_MS / DAY_MS)} days (at most ${HISTORY_MAX_SESSIONS} page visits).`;
+
+applyTheme();
+getSettings().then((settings) => {
+  mpvProfile.replaceChildren(...settings.mpvProfiles.map(({ name }) => new Option(name, name)));
+  mpvProfile.value = settings.mpvProfile;
+  ffmpegFormat.value = settings.ffmpegFormat;
+});
+refresh();
@@ -0,0 +1,181 @@
+/**
+ * Ad Detection Module for Stream + Subtitle Catcher Extension
+ * @module modules/ad-detector
+ *
+ * Flags captured streams that are likely ads: media served by known ad hosts,
+ * creatives announced by a VAST/VMAP response, and very short playlists or files
+ * (pre-rolls, preview loops). Ads are still captured, only marked, so a wrong
+ * guess never hides the real stream.
+ */
+
+/**
+ * Hosts (and their subdomains) that serve ad creatives or ad decisions
+ * @constant {string[]}
+ */
+export const AD_HOSTS = [
+  'doubleclick.net',
+  'googlesyndication.com',
+  'googleadservices.com',
+  'imasdk.googleapis.com',
+  '2mdn.net',
+  'adnxs.com',
+  'fwmrm.net',
+  'springserve.com',
+  'spotxchange.com',
+  'spotx.tv',
+  'innovid.com',
+  'serving-sys.com',
+  'tremorhub.com',
+  'teads.tv',
+  'adsrvr.org',
+  'amazon-adsystem.com',
+  'smartadserver.com',
+  'videoplaza.tv',
+  'moatads.com',
+  'pubmatic.com',
+  'rubiconproject.com',
+  'yieldmo.com',
+  'unrulymedia.com'
+];
+
+/**
+ * Path segments that mark ad breaks in otherwise regular CDN URLs
+ * @constant {RegExp}
+ */
+const AD_PATH_PATTERN = /(?:^|[/_.-])(?:preroll|pre-roll|midroll|mid-roll|postroll|post-roll|adbreak|ad-break|vast|vmap)(?:[/_.-]|$)/i;
+
+/**
+ * Streams with a known duration at or below this many seconds are likely ads
+ * @constant {number}
+ */
+export const AD_MAX_DURATION = 35;
+
+/**
+ * Direct video files at or below this size (bytes) are likely ads or preview loops
+ * @constant {number}
+ */
+export const AD_MAX_FILE_SIZE = 3 * 1024 * 1024;
+
+/**
+ * Checks whether a URL is served by a known ad host
+ * @param {string} url - Request URL
+ * @returns {boolean} True if the hostname is an ad host or one of its subdomains
+ */
+export function isAdHost(url) {
+  let hostname;
+  try {
+    hostname = new URL(url).hostname.toLowerCase();
+  } catch {
+    return false;
+  }
+  return AD_HOSTS.some(host => hostname === host || hostname.endsWith(`.${host}`));
+}
+
+/**
+ * Detects a VAST or VMAP ad document from the start of a response body
+ * @param {string} text - Response body (or its first bytes)
+ * @returns {string|null} 'vast', 'vmap' or null
+ */
+export function detectAdDocument(text) {
+  if (!text) return null;
+  // Skip the XML prolog and comments: the root element decides
+  const body = text.replace(/^\uFEFF?\s*(?:<\?xml[^>]*\?>\s*)?(?:<!--[\s\S]*?-->\s*)*/, '');
+  if (/^<VAST[\s>]/i.test(body)) return 'vast';
+  if (/^<(?:vmap:)?VMAP[\s>]/i.test(body)) return 'vmap';
+  return null;
+}
+
+/**
+ * Extracts the creative media URLs announced by a VAST document
+ * @param {string} text - VAST XML
+ * @returns {string[]} Absolute MediaFile URLs
+ */
+export function extractVastMediaUrls(text) {
+  const urls = [];
+  const mediaFileRegex = /<MediaFile\b[^>]*>\s*(?:<!\[CDATA\[)?\s*([\s\S]*?)\s*(?:\]\]>)?\s*<\/MediaFile>/gi;
+  let match;
+  while ((match = mediaFileRegex.exec(text)) !== null) {
+    const url = match[1].trim().replace(/&amp;/g, '&');
+    if (/^https?:\/\//i.test(url) && !urls.includes(url)) {
+      urls.push(url);
+    }
+  }
+  return urls;
+}
+
+/**
+ * Normalizes a URL for matching creatives: drops the fragment
+ * @param {string} url - URL
+ * @returns {string} URL without its fragment
+ */
+export function adUrlKey(url) {
+  const hashIndex = url.indexOf('#');
+  return hashIndex === -1 ? url : url.slice(0, hashIndex);
+}
+
+/**
+ * Classifies a captured stream or video file
+ * @param {Object} item - The item being captured
+ * @param {string} item.url - Request URL
+ * @param {string} [item.mediaType] - 'hls', 'dash' or 'video'
+ * @param {number} [item.duration] - Duration in seconds, if known
+ * @param {number} [item.size] - Total size in bytes, if known
+ * @param {boolean} [item.isLive] - Whether the stream is live
+ * @param {boolean} [item.isVastCreative] - Whether a VAST response announced this URL
+ * @returns {{isAd: boolean, reasons: string[]}} Verdict and human-readable reasons
+ */
+export function classifyAd(item) {
+  const { url, mediaType, duration, size, isLive, isVastCreative } = item;
+  const reasons = [];
+
+  if (isVastCreative) {
+    reasons.push('VAST creative');
+  }
+  if (isAdHost(url)) {
+    reasons.push('ad server');
+  } else {
+    try {
+      if (AD_PATH_PATTERN.test(new URL(url).pathname)) reasons.push('ad path');
+    } catch {
+      // Unparseable URLs simply don't match
+    }
+  }
+
+  // A live window's duration says nothing about the stream's length
+  if (!isLive && duration > 0 && duration <= AD_MAX_DURATION) {
+    reasons.push(`only ${Math.round(duration)}s long`);
+  } else if (mediaType === 'video' && size > 0 && size <= AD_MAX_FILE_SIZE) {
+    reasons.push('small file');
+  }
+
+  return { isAd: reasons.length > 0, reasons };
+}
+
+/**
+ * Picks the stream most likely to be the main content, ignoring likely ads.
+ * Manifests with variants come first, then the longest duration, then the
+ * highest bitrate or size, then the most recent capture.
+ * @param {Object<string, Object>} streams - Stream items keyed by requestId
+ * @returns {string|null} The requestId of the best stream, or null if every stream is an ad
+ */
+export function pickBestStream(streams) {
+  const score = (item) => [
+    Array.isArray(item.variants) && item.variants.length > 0 ? 1 : 0,
+    item.isLive ? Infinity : (item.duration || 0),
+    item.bandwidth || item.size || 0,
+    item.timestamp || 0
+  ];
+
+  let bestKey = null;
+  let bestScore = null;
+  for (const [key, item] of Object.entries(streams || {})) {
+    if (item.isAd) continue;
+    const itemScore = score(item);
+    const index = bestScore ? itemScore.findIndex((value, i) => value !== bestScore[i]) : 0;
+    if (!bestScore || (index !== -1 && itemScore[index] > bestScore[index])) {
+      bestKey = key;
+      bestScore = itemScore;
+    }
+  }
+  return bestKey;
+}
@@ -3,16 +3,19 @@
  * @module commands
  */
 
-// Note: STRIP_HEADERS not needed - we only use essential headers for mpv
-
-/**
- * Escapes a string for safe use within single quotes in shell commands.
- * @param {string} value - The string to escape.
- * @returns {string} The escaped string.
- */
-export function shellEscapeSingle(value) {
-  return String(value).replace(/'/g, `'\\''`);
-}
+import { urlExtension, getToolHeaders } from './utils.js';
+import {
+  quoteArg,
+  quoteArgIfNeeded,
+  quoteArgDouble,
+  lineContinuation,
+  joinCommands,
+  programName,
+  joinPath,
+  makeDirectory,
+  writeBase64File,
+  pipeLines
+} from './shell.js';
 
 /**
  * Normalizes a filename by removing invalid characters and limiting length.
@@ -29,34 +32,111 @@ export function normalizeFilename(title) {
     .substring(0, 100);             // Limit length
 }
 
+/**
+ * Normalizes a recording duration to an ffmpeg time value.
+ * Accepts plain seconds ("90") or clock notation ("1:30", "01:30:00").
+ * @param {string|number} value - The duration entered by the user.
+ * @returns {string|null} The duration in ffmpeg time syntax, or null if invalid or empty.
+ */
+export function normalizeRecordDuration(value) {
+  if (value === null || value === undefined) return null;
+  const trimmed = String(value).trim();
+  if (!/^\d+(?::\d{1,2}){0,2}(?:\.\d+)?$/.test(trimmed)) return null;
+  return /^[0:.]+$/.test(trimmed) ? null : trimmed;
+}
+
+/**
+ * Normalizes a live start position to an HLS live_start_index value.
+ * Negative values count segments back from the live edge, 0 is the start of the window.
+ * @param {string|number} value - The live start index.
+ * @returns {number|null} The integer index, or null if not set or invalid.
+ */
+export function normalizeLiveStartIndex(value) {
+  if (value === null || value === undefined || value === '') return null;
+  const index = Number(value);
+  return Number.isInteger(index) ? index : null;
+}
+
+/**
+ * Converts a recording duration to hh:mm:ss, for tools that don't accept plain seconds.
+ * @param {string|number} value - The duration entered by the user.
+ * @returns {string|null} The duration as hh:mm:ss (rounded up to whole seconds), or null if invalid or empty.
+ */
+export function toClockDuration(value) {
+  const duration = normalizeRecordDuration(value);
+  if (!duration) return null;
+  const seconds = Math.ceil(duration.split(':').reduce((total, part) => total * 60 + Number(part), 0));
+  return [Math.floor(seconds / 3600), Math.floor(seconds / 60) % 60, seconds % 60]
+    .map(part => String(part).padStart(2, '0'))
+    .join(':');
+}
+
 /**
  * Builds mpv HTTP header option string.
  * Format: --http-header-fields="Header1: value1,Header2: value2"
  * Headers are comma-separated.
  * @param {Object.<string, string>} headers - Headers object.
+ * @param {string} [shell='posix'] - Shell dialect (see modules/shell.js).
  * @returns {string} The mpv header option string, or empty string if no headers.
  */
-export function buildMpvHeaderOption(headers) {
+export function buildMpvHeaderOption(headers, shell = 'posix') {
   const entries = Object.entries(headers || {});
   if (!entries.length) return '';
   // Format headers with comma separators
   // Format: --http-header-fields="Header1: value1,Header2: value2"
   const formattedHeaders = entries.map(([k, v]) => `${k}: ${v}`).join(',');
-  return `--http-header-fields="${formattedHeaders}"`;
+  return `--http-header-fields=${quoteArgDouble(formattedHeaders, shell)}`;
 }
 
 /**
- * Builds an mpv command string for playing a stream with optional subtitles.
- * @param {Object} streamItem - The stream item with url and headers.
- * @param {string} streamItem.url - The stream URL.
- * @param {Object.<string, string>} [streamItem.headers] - Request headers.
- * @param {Array<Object>} [subtitleItems=[]] - Array of subtitle items.
- * @param {string} subtitleItems[].url - Subtitle URL.
- * @returns {string} The complete mpv command string.
+ * An argument of a built command: its text for an argv, and how a shell command quotes it.
+ * The flag is kept unquoted so only the value of e.g. --user-agent= is quoted, as in the copied commands.
+ * @typedef {Object} CommandArg
+ * @property {string} flag - Unquoted prefix of the argument (may be empty).
+ * @property {string} value - The value.
+ * @property {function(string, string): string} quote - Quoting function from modules/shell.js.
+ */
+
+/**
+ * Creates a command argument
+ * @param {string|number} value - The value.
+ * @param {function(string, string): string} [quote=quoteArgIfNeeded] - Quoting function for shell commands.
+ * @param {string} [flag=''] - Unquoted prefix.
+ * @returns {CommandArg} The argument.
+ */
+function commandArg(value, quote = quoteArgIfNeeded, flag = '') {
+  return { flag, value: String(value), quote };
+}
+
+/**
+ * Quotes command arguments for a shell
+ * @param {CommandArg[]} args - The arguments.
+ * @param {string} shell - Shell dialect.
+ * @returns {string[]} The quoted arguments.
  */
-export function buildMpvCommand(streamItem, subtitleItems = []) {
+function quoteCommandArgs(args, shell) {
+  return args.map(({ flag, value, quote }) => `${flag}${quote(value, shell)}`);
+}
+
+/**
+ * Returns command arguments as an argv (no quoting, for spawning the program directly)
+ * @param {CommandArg[]} args - The arguments.
+ * @returns {string[]} The argument texts.
+ */
+function toArgv(args) {
+  return args.map(({ flag, value }) => `${flag}${value}`);
+}
+
+/**
+ * Builds the mpv arguments (without the program name) shared by the command and the argv.
+ * @param {Object} streamItem - The stream item (see buildMpvCommand).
+ * @param {Array<Object>} subtitleItems - Subtitle items.
+ * @param {Object} options - Options (see buildMpvCommand).
+ * @returns {CommandArg[]|null} The arguments, the stream URL last, or null without a stream URL.
+ */
+function buildMpvArgList(streamItem, subtitleItems, options) {
   const streamUrl = streamItem?.url;
-  if (!streamUrl) return '';
+  if (!streamUrl) return null;
 
   const headers = streamItem.headers || {};
 
@@ -64,59 +144,120 @@ export function buildMpvCommand(streamItem, subtitleItems = []) {
   const userAgent = headers['User-Agent'] || headers['user-agent'];
 
   // Only keep essential headers for mpv
-  const essentialHeaders = {};
+  const essentialHeaders = [];
   const headerKeys = ['Accept', 'Referer', 'Origin'];
   for (const key of headerKeys) {
     const value = headers[key] || headers[key.toLowerCase()];
     if (value) {
-      essentialHeaders[key] = value;
+      essentialHeaders.push(`${key}: ${value}`);
     }
   }
 
-  // Build header option for stream (using stream-lavf-o format)
-  const headerOpt = buildMpvHeaderOption(essentialHeaders);
-
-  // Build user-agent option (using double quotes)
-  const userAgentOpt = userAgent ? `  --user-agent="${userAgent}" \\\n` : '';
-
-  // Build subtitle options - each subtitle gets its own --sub-file flag (using double quotes)
-  const subOpts = subtitleItems
-    .filter((s) => s?.url)
-    .map((s) => {
-      return `  --sub-file="${s.url}" \\\n`;
-    })
-    .join('');
-
-  // Build the command with proper line continuation
-  // URL comes last (after log options)
-  const parts = [
-    'mpv \\\n',
-    `  --force-window=immediate \\\n`,
-    `  --sub-auto=fuzzy \\\n`,
-    `  --demuxer-lavf-o=allowed_extensions=ALL \\\n`,
-    subOpts,
-    userAgentOpt,
-    headerOpt ? `  ${headerOpt} \\\n` : '',
-    `  --msg-level=ffmpeg=trace,demuxer=trace,network=trace \\\n`,
-    `  --log-file=mpv-trace.log \\\n`,
-    `  "${streamUrl}"`
+  // Alternate audio: external rendition file plus language preference
+  const audioTrack = streamItem.audioTrack;
+  const audioLang = audioTrack?.language ? audioTrack.language.replace(/[^A-Za-z0-9-]/g, '') : '';
+
+  // Live streams: keep a read-ahead buffer so segment fetch hiccups don't stall
+  // playback, and optionally choose where in the live window to start
+  const isLive = !!streamItem.isLive;
+  const liveStart = isLive && streamItem.mediaType !== 'dash' ? normalizeLiveStartIndex(options.liveStart) : null;
+  const demuxerOpts = liveStart !== null
+    ? `allowed_extensions=ALL,live_start_index=${liveStart}`
+    : 'allowed_extensions=ALL';
+
+  // Values are double-quoted in commands; profile flags come after the built-in ones
+  // so they can override them; URL comes last
+  return [
+    commandArg('--force-window=immediate'),
+    commandArg('--sub-auto=fuzzy'),
+    commandArg(`--demuxer-lavf-o=${demuxerOpts}`),
+    ...(isLive ? ['--cache=yes', '--cache-pause-initial=yes', '--demuxer-readahead-secs=20'].map(flag => commandArg(flag)) : []),
+    ...subtitleItems.filter(s => s?.url).map(s => commandArg(s.url, quoteArgDouble, '--sub-file=')),
+    ...(audioTrack?.url ? [commandArg(audioTrack.url, quoteArgDouble, '--audio-file=')] : []),
+    ...(audioLang ? [commandArg(`--alang=${audioLang}`)] : []),
+    ...(userAgent ? [commandArg(userAgent, quoteArgDouble, '--user-agent=')] : []),
+    ...(essentialHeaders.length ? [commandArg(essentialHeaders.join(','), quoteArgDouble, '--http-header-fields=')] : []),
+    ...(options.profileArgs || []).map(arg => commandArg(arg)),
+    ...(options.extraArgs || []).map(arg => commandArg(arg)),
+    commandArg(streamUrl, quoteArgDouble)
   ];
+}
+
+/**
+ * Builds an mpv command string for playing a stream with optional subtitles.
+ * @param {Object} streamItem - The stream item with url and headers.
+ * @param {string} streamItem.url - The stream URL.
+ * @param {Object.<string, string>} [streamItem.headers] - Request headers.
+ * @param {Object} [streamItem.audioTrack] - Selected alternate audio rendition (url, language).
+ * @param {boolean} [streamItem.isLive] - Whether the stream is a live playlist/manifest.
+ * @param {Array<Object>} [subtitleItems=[]] - Array of subtitle items.
+ * @param {string} subtitleItems[].url - Subtitle URL.
+ * @param {Object} [options={}] - Additional options.
+ * @param {number} [options.liveStart] - HLS live_start_index for live streams.
+ * @param {string[]} [options.profileArgs] - Flags of the chosen mpv profile (see modules/settings.js).
+ * @param {string[]} [options.extraArgs] - Extra mpv flags from the settings, added before the URL.
+ * @param {string} [options.shell='posix'] - Shell dialect for quoting and line continuations.
+ * @returns {string} The complete mpv command string.
+ */
+export function buildMpvCommand(streamItem, subtitleItems = [], options = {}) {
+  const args = buildMpvArgList(streamItem, subtitleItems, options);
+  if (!args) return '';
+
+  // Each option goes on its own line
+  const shell = options.shell || 'posix';
+  const quoted = quoteCommandArgs(args, shell);
+  const url = quoted.pop();
+  return [
+    `mpv${lineContinuation(shell)}\n`,
+    ...quoted.map(text => `  ${text}${lineContinuation(shell)}\n`),
+    `  ${url}`
+  ].join('');
+}
 
-  return parts.filter(Boolean).join('');
+/**
+ * Builds the mpv argv for spawning mpv directly (native messaging host), from the same inputs as buildMpvCommand.
+ * @param {Object} streamItem - The stream item (see buildMpvCommand).
+ * @param {Array<Object>} [subtitleItems=[]] - Array of subtitle items.
+ * @param {Object} [options={}] - Additional options (see buildMpvCommand; shell is ignored).
+ * @returns {string[]} The argv, starting with the program name, or an empty array without a stream URL.
+ */
+export function buildMpvArgs(streamItem, subtitleItems = [], options = {}) {
+  const args = buildMpvArgList(streamItem, subtitleItems, options);
+  return args ? ['mpv', ...toArgv(args)] : [];
 }
 
 /**
- * Builds ffmpeg headers option string.
- * Format: -headers 'Header1: value1\r\nHeader2: value2\r\n'
+ * Builds the ffmpeg header arguments.
+ * cmd.exe can't pass line breaks, so there only the user agent and referer are sent (-user_agent, -referer).
  * @param {Object.<string, string>} headers - Headers object.
- * @returns {string} The ffmpeg headers option string, or empty string if no headers.
+ * @param {string|null} shell - Shell dialect, or null for an argv.
+ * @returns {CommandArg[]} The arguments.
  */
-export function buildFfmpegHeaders(headers) {
+function buildFfmpegHeaderArgs(headers, shell) {
   const entries = Object.entries(headers || {});
-  if (!entries.length) return '';
+  if (!entries.length) return [];
+  if (shell === 'cmd') {
+    const value = name => entries.find(([k]) => k.toLowerCase() === name)?.[1];
+    return [
+      ...(value('user-agent') ? [commandArg('-user_agent'), commandArg(value('user-agent'), quoteArg)] : []),
+      ...(value('referer') ? [commandArg('-referer'), commandArg(value('referer'), quoteArg)] : [])
+    ];
+  }
   // Format: 'Header1: value1\r\nHeader2: value2\r\n'
   const joined = entries.map(([k, v]) => `${k}: ${v}`).join('\r\n');
-  return `-headers '${shellEscapeSingle(joined + '\r\n')}'`;
+  return [commandArg('-headers'), commandArg(joined + '\r\n', quoteArg)];
+}
+
+/**
+ * Builds ffmpeg headers option string.
+ * Format: -headers 'Header1: value1\r\nHeader2: value2\r\n'
+ * cmd.exe can't pass line breaks, so there only the user agent and referer are sent (-user_agent, -referer).
+ * @param {Object.<string, string>} headers - Headers object.
+ * @param {string} [shell='posix'] - Shell dialect (see modules/shell.js).
+ * @returns {string} The ffmpeg headers option string, or empty string if no headers.
+ */
+export function buildFfmpegHeaders(headers, shell = 'posix') {
+  return quoteCommandArgs(buildFfmpegHeaderArgs(headers, shell), shell).join(' ');
 }
 
 /**
@@ -157,23 +298,18 @@ export function getFfmpegLanguageCode(langCode) {
 }
 
 /**
- * Builds an ffmpeg command string for downloading/converting a stream with optional subtitles.
- * @param {Object} streamItem - The stream item with url and headers.
- * @param {string} streamItem.url - The stream URL.
- * @param {Object.<string, string>} [streamItem.headers] - Request headers.
- * @param {Array<Object>} [subtitleItems=[]] - Array of subtitle items.
- * @param {string} subtitleItems[].url - Subtitle URL.
- * @param {string} [subtitleItems[].languageCode] - Subtitle language code.
- * @param {string} [subtitleItems[].langCode] - Alternative language code property.
- * @param {string} [subtitleItems[].languageName] - Subtitle language name.
- * @param {string} [subtitleItems[].langName] - Alternative language name property.
- * @param {string} [outputFormat='mp4'] - Output format ('mp4' or 'mkv').
- * @param {string} [outputFilename=null] - Desired output filename (without extension).
- * @returns {string} The complete ffmpeg command string.
+ * Builds the ffmpeg arguments (without the program name) shared by the command and the argv.
+ * @param {Object} streamItem - The stream item (see buildFfmpegCommand).
+ * @param {Array<Object>} subtitleItems - Subtitle items.
+ * @param {string} outputFormat - Output format ('mp4' or 'mkv').
+ * @param {string|null} outputFilename - Desired output filename (without extension).
+ * @param {Object} options - Options (see buildFfmpegCommand).
+ * @param {string|null} shell - Shell dialect, or null for an argv.
+ * @returns {CommandArg[]|null} The arguments, the output file last, or null without a stream URL.
  */
-export function buildFfmpegCommand(streamItem, subtitleItems = [], outputFormat = 'mp4', outputFilename = null) {
+function buildFfmpegArgList(streamItem, subtitleItems, outputFormat, outputFilename, options, shell) {
   const streamUrl = streamItem?.url;
-  if (!streamUrl) return '';
+  if (!streamUrl) return null;
 
   // Validate output format
   const format = outputFormat === 'mkv' ? 'mkv' : 'mp4';
@@ -182,61 +318,115 @@ export function buildFfmpegCommand(streamItem, subtitleItems = [], outputFormat
   const baseFilename = normalizeFilename(outputFilename) || 'output';
   const finalFilename = `${baseFilename}.${format}`;
 
-  // Build header option for stream
-  const headerOpt = buildFfmpegHeaders(streamItem.headers || {});
-
   // Filter valid subtitle items
   const validSubtitles = subtitleItems.filter((s) => s?.url);
 
-  // Build command parts
-  const parts = ['ffmpeg'];
+  // Flags and their plain values are separate arguments
+  const parts = [];
+  const add = (...values) => values.forEach(value => parts.push(commandArg(value)));
 
   // Add logging and stats flags
-  parts.push('-loglevel error');
-  parts.push('-stats');
-
-  // Add headers (applies to all inputs)
-  if (headerOpt) {
-    parts.push(headerOpt);
+  add('-loglevel', 'error', '-stats');
+
+  // Selected alternate audio rendition: either a separate playlist (extra input)
+  // or a track muxed into the main input (picked by language)
+  const audioTrack = streamItem.audioTrack && (streamItem.audioTrack.url || streamItem.audioTrack.language)
+    ? streamItem.audioTrack
+    : null;
+  const hasExternalAudio = !!audioTrack?.url;
+  const subtitleInputOffset = hasExternalAudio ? 2 : 1;
+
+  // Live streams: reconnect on dropped connections and pick the start position
+  // in the live window (live_start_index is an HLS demuxer option)
+  const isLive = !!streamItem.isLive;
+  const liveStart = isLive && streamItem.mediaType !== 'dash' ? normalizeLiveStartIndex(options.liveStart) : null;
+
+  // Input options only apply to the -i that follows them, so the headers are repeated for each
+  // input: the alternate audio rendition comes from the same server as the stream, subtitles send
+  // the headers they were captured with, and data: URLs need none
+  const addInput = (url, headers, isStreamInput) => {
+    if (/^https?:/i.test(url)) {
+      parts.push(...buildFfmpegHeaderArgs(headers || {}, shell));
+    }
+    if (isStreamInput && isLive) {
+      add('-reconnect', 1, '-reconnect_streamed', 1, '-reconnect_on_network_error', 1, '-reconnect_delay_max', 5);
+      if (liveStart !== null) {
+        add('-live_start_index', liveStart);
+      }
+    }
+    add('-i');
+    parts.push(commandArg(url, quoteArg));
+  };
+
+  // Add main stream input, alternate audio input and subtitle inputs
+  addInput(streamUrl, streamItem.headers, true);
+  if (hasExternalAudio) {
+    addInput(audioTrack.url, streamItem.headers, true);
   }
+  validSubtitles.forEach(sub => addInput(sub.url, sub.headers || streamItem.headers, false));
 
-  // Add main stream input
-  parts.push(`-i '${shellEscapeSingle(streamUrl)}'`);
-
-  // Add subtitle inputs
-  validSubtitles.forEach((sub) => {
-    parts.push(`-i '${shellEscapeSingle(sub.url)}'`);
-  });
+  // DASH representations are all reached through the manifest URL, so the chosen
+  // variant is picked by the variant_bitrate metadata ffmpeg's dash demuxer sets
+  const dashBandwidth = streamItem.mediaType === 'dash' && streamItem.variantBandwidth && streamUrl === streamItem.masterUrl
+    ? streamItem.variantBandwidth
+    : null;
 
   // Map streams based on output format
-  if (format === 'mkv') {
-    // For MKV: explicitly map only video and audio streams to avoid data streams
+  if (dashBandwidth || audioTrack || format === 'mkv') {
+    // Map video and audio explicitly. For MKV this also avoids data streams
     // that MKV doesn't support (e.g., timed metadata, ID3, etc.)
-    parts.push('-map 0:v');  // Map video streams from main input
-    parts.push('-map 0:a');  // Map audio streams from main input
-    validSubtitles.forEach((_, index) => {
-      parts.push(`-map ${index + 1}`);  // Map each subtitle input
-    });
+    add('-map', dashBandwidth ? `0:v:m:variant_bitrate:${dashBandwidth}` : '0:v');
+    if (hasExternalAudio) {
+      add('-map', '1:a:0');  // Map the alternate audio input
+    } else if (audioTrack) {
+      // Muxed renditions are picked by language, which MPEG-TS variants often don't carry: both
+      // maps are optional, so the first audio stream is kept instead of failing the command
+      add('-map', `0:a:m:language:${audioTrack.language}?`, '-map', '0:a:0?');
+    } else {
+      add('-map', dashBandwidth ? '0:a?' : '0:a');
+    }
   } else {
     // For MP4: map all streams from video input
-    parts.push('-map 0');
-    validSubtitles.forEach((_, index) => {
-      parts.push(`-map ${index + 1}`);  // Map each subtitle input
-    });
+    add('-map', '0');
   }
+  validSubtitles.forEach((_, index) => {
+    add('-map', index + subtitleInputOffset);  // Map each subtitle input
+  });
 
   // Add output options
-  parts.push('-c copy');
+  add('-c', 'copy');
+
+  // Limit the recording length (a live stream otherwise runs until interrupted)
+  const recordDuration = normalizeRecordDuration(options.recordDuration);
+  if (recordDuration) {
+    add('-t', recordDuration);
+  }
+
+  // A fragmented MP4 stays playable if a live recording is stopped with Ctrl+C
+  if (isLive && format === 'mp4') {
+    add('-movflags', '+frag_keyframe+empty_moov');
+  }
 
   // If we have subtitles, configure subtitle codec based on output format
   if (validSubtitles.length > 0) {
     if (format === 'mkv') {
       // MKV supports various subtitle formats; use 'ass' for wide compatibility
       // WebVTT cannot be directly muxed as 'srt', so we use 'ass' which MKV supports well
-      parts.push('-c:s ass');
+      add('-c:s', 'ass');
     } else {
       // MP4 requires mov_text for subtitle compatibility
-      parts.push('-c:s mov_text');
+      add('-c:s', 'mov_text');
+    }
+  }
+
+  // Add audio metadata for the selected rendition
+  if (audioTrack) {
+    if (audioTrack.language) {
+      add('-metadata:s:a:0', `language=${getFfmpegLanguageCode(audioTrack.language)}`);
+    }
+    if (audioTrack.name) {
+      add('-metadata:s:a:0');
+      parts.push(commandArg(audioTrack.name, quoteArg, 'title='));
     }
   }
 
@@ -246,21 +436,521 @@ export function buildFfmpegCommand(streamItem, subtitleItems = [], outputFormat
     const langName = sub.languageName || sub.langName;
 
     if (langCode) {
-      const ffmpegLangCode = getFfmpegLanguageCode(langCode);
-      parts.push(`-metadata:s:s:${index} language=${shellEscapeSingle(ffmpegLangCode)}`);
+      add(`-metadata:s:s:${index}`, `language=${getFfmpegLanguageCode(langCode)}`);
     }
 
-    if (langName) {
-      parts.push(`-metadata:s:s:${index} title='${shellEscapeSingle(langName)}'`);
-    } else if (langCode) {
+    if (langName || langCode) {
       // Use language code as title if no name provided
-      const ffmpegLangCode = getFfmpegLanguageCode(langCode);
-      parts.push(`-metadata:s:s:${index} title='${shellEscapeSingle(ffmpegLangCode.toUpperCase())}'`);
+      add(`-metadata:s:s:${index}`);
+      parts.push(commandArg(langName || getFfmpegLanguageCode(langCode).toUpperCase(), quoteArg, 'title='));
     }
   });
 
   // Output filename
-  parts.push(`'${shellEscapeSingle(finalFilename)}'`);
+  parts.push(commandArg(finalFilename, quoteArg));
+
+  return parts;
+}
+
+/**
+ * Builds an ffmpeg command string for downloading/converting a stream with optional subtitles.
+ * @param {Object} streamItem - The stream item with url and headers.
+ * @param {string} streamItem.url - The stream URL.
+ * @param {Object.<string, string>} [streamItem.headers] - Request headers.
+ * @param {string} [streamItem.mediaType] - Media type ('hls', 'dash', 'video').
+ * @param {string} [streamItem.masterUrl] - Master playlist/manifest URL when a variant is selected.
+ * @param {number} [streamItem.variantBandwidth] - Bandwidth of the selected variant.
+ * @param {Object} [streamItem.audioTrack] - Selected alternate audio rendition (url, language, name).
+ * @param {boolean} [streamItem.isLive] - Whether the stream is a live playlist/manifest.
+ * @param {Array<Object>} [subtitleItems=[]] - Array of subtitle items.
+ * @param {string} subtitleItems[].url - Subtitle URL.
+ * @param {string} [subtitleItems[].languageCode] - Subtitle language code.
+ * @param {string} [subtitleItems[].langCode] - Alternative language code property.
+ * @param {string} [subtitleItems[].languageName] - Subtitle language name.
+ * @param {string} [subtitleItems[].langName] - Alternative language name property.
+ * @param {string} [outputFormat='mp4'] - Output format ('mp4' or 'mkv').
+ * @param {string} [outputFilename=null] - Desired output filename (without extension).
+ * @param {Object} [options={}] - Additional options.
+ * @param {string|number} [options.recordDuration] - Stop after this long (seconds or [[hh:]mm:]ss).
+ * @param {number} [options.liveStart] - HLS live_start_index for live streams.
+ * @param {string} [options.shell='posix'] - Shell dialect for quoting.
+ * @returns {string} The complete ffmpeg command string.
+ */
+export function buildFfmpegCommand(streamItem, subtitleItems = [], outputFormat = 'mp4', outputFilename = null, options = {}) {
+  const shell = options.shell || 'posix';
+  const args = buildFfmpegArgList(streamItem, subtitleItems, outputFormat, outputFilename, options, shell);
+  return args ? ['ffmpeg', ...quoteCommandArgs(args, shell)].join(' ') : '';
+}
+
+/**
+ * Builds the ffmpeg argv for spawning ffmpeg directly (native messaging host), from the same inputs as buildFfmpegCommand.
+ * Unlike in cmd.exe commands, all captured headers are sent; an existing output file is never overwritten.
+ * @param {Object} streamItem - The stream item (see buildFfmpegCommand).
+ * @param {Array<Object>} [subtitleItems=[]] - Array of subtitle items.
+ * @param {string} [outputFormat='mp4'] - Output format ('mp4' or 'mkv').
+ * @param {string} [outputFilename=null] - Desired output filename (without extension).
+ * @param {Object} [options={}] - Additional options (see buildFfmpegCommand; shell is ignored).
+ * @returns {string[]} The argv, starting with the program name, or an empty array without a stream URL.
+ */
+export function buildFfmpegArgs(streamItem, subtitleItems = [], outputFormat = 'mp4', outputFilename = null, options = {}) {
+  const args = buildFfmpegArgList(streamItem, subtitleItems, outputFormat, outputFilename, options, null);
+  // There is no terminal to answer the overwrite prompt, so existing files are kept (-n)
+  return args ? ['ffmpeg', '-n', ...toArgv(args)] : [];
+}
+
+/**
+ * Returns the height of the selected variant (the parsers store resolutions as "720p").
+ * @param {Object} streamItem - The stream item.
+ * @returns {string|null} The height, or null without a selected variant or resolution.
+ */
+function getVariantHeight(streamItem) {
+  return streamItem.masterUrl ? String(streamItem.resolution || '').match(/(\d+)p$/)?.[1] || null : null;
+}
+
+/**
+ * Builds the yt-dlp format selector for the selected variant and audio rendition.
+ * Variants are matched by height when known, otherwise by bitrate (yt-dlp's tbr is in kbit/s).
+ * @param {Object} streamItem - The stream item.
+ * @returns {string|null} The format selector, or null to let yt-dlp pick the best format.
+ */
+export function buildYtDlpFormat(streamItem) {
+  const height = getVariantHeight(streamItem);
+  const videoFilter = height
+    ? `[height=${height}]`
+    : (streamItem.masterUrl && streamItem.variantBandwidth ? `[tbr<=${Math.ceil(streamItem.variantBandwidth / 1000)}]` : '');
+
+  const audioLang = streamItem.audioTrack?.language ? streamItem.audioTrack.language.replace(/[^A-Za-z0-9-]/g, '') : '';
+  if (!videoFilter && !audioLang) return null;
+
+  const audio = audioLang ? `ba[language^=${audioLang}]` : 'ba';
+  return `bv*${videoFilter}+${audio}/b${videoFilter}`;
+}
+
+/**
+ * Builds a curl command saving a subtitle next to the download.
+ * Generated subtitles (data: URLs) are decoded locally, and HLS subtitle renditions
+ * (segmented WebVTT playlists) are joined into one file with ffmpeg.
+ * @param {Object} subtitle - The subtitle item (url, headers, isHlsRendition).
+ * @param {string} filename - Output filename.
+ * @param {string} [shell='posix'] - Shell dialect.
+ * @returns {string} The command.
+ */
+function buildSubtitleSidecarCommand(subtitle, filename, shell = 'posix') {
+  const base64 = subtitle.url.match(/^data:[^,]*;base64,(.*)$/)?.[1];
+  if (base64) {
+    return writeBase64File(base64, filename, shell);
+  }
+  if (subtitle.isHlsRendition) {
+    const headerOpt = buildFfmpegHeaders(subtitle.headers || {}, shell);
+    return ['ffmpeg -loglevel error', headerOpt, `-i ${quoteArg(subtitle.url, shell)}`, quoteArg(filename, shell)]
+      .filter(Boolean)
+      .join(' ');
+  }
+  const headerOpts = Object.entries(subtitle.headers || {})
+    .map(([k, v]) => `-H ${quoteArg(`${k}: ${v}`, shell)}`);
+  return [`${programName('curl', shell)} -fL`, ...headerOpts, `-o ${quoteArg(filename, shell)}`, quoteArg(subtitle.url, shell)].join(' ');
+}
+
+/**
+ * Names subtitles after the download (<name>.<language>.<ext>), so players pick them up.
+ * HLS subtitle renditions are named after the format of their joined segments (subtitleFormat).
+ * @param {Array<Object>} subtitleItems - Array of subtitle items.
+ * @param {string} baseFilename - Download filename without extension.
+ * @returns {Array<{subtitle: Object, filename: string}>} Each valid subtitle with a unique filename.
+ */
+function nameSubtitleFiles(subtitleItems, baseFilename) {
+  const usedNames = new Set();
+  return subtitleItems.filter((s) => s?.url).map((subtitle, index) => {
+    const lang = String(subtitle.languageCode || subtitle.langCode || '').replace(/[^A-Za-z0-9-]/g, '') || `sub${index + 1}`;
+    const ext = String(subtitle.subtitleFormat || subtitle.format || '').toLowerCase().replace(/[^a-z0-9]/g, '') || 'vtt';
+    let filename = `${baseFilename}.${lang}.${ext}`;
+    if (usedNames.has(filename)) filename = `${baseFilename}.${lang}-${index + 1}.${ext}`;
+    usedNames.add(filename);
+    return { subtitle, filename };
+  });
+}
+
+/**
+ * Builds the commands saving subtitles as sidecar files named after the download.
+ * @param {Array<Object>} subtitleItems - Array of subtitle items.
+ * @param {string} baseFilename - Download filename without extension.
+ * @param {string} [shell='posix'] - Shell dialect.
+ * @returns {string[]} One command per subtitle.
+ */
+function buildSubtitleSidecarCommands(subtitleItems, baseFilename, shell = 'posix') {
+  return nameSubtitleFiles(subtitleItems, baseFilename)
+    .map(({ subtitle, filename }) => buildSubtitleSidecarCommand(subtitle, filename, shell));
+}
+
+/**
+ * Builds a yt-dlp command string for downloading a stream.
+ * yt-dlp cannot attach subtitles from other URLs, so selected subtitles are saved first with curl
+ * as sidecar files (<name>.<language>.<ext>) that players like mpv and VLC load automatically.
+ * @param {Object} streamItem - The stream item with url and headers.
+ * @param {string} streamItem.url - The stream URL.
+ * @param {Object.<string, string>} [streamItem.headers] - Request headers.
+ * @param {string} [streamItem.masterUrl] - Master playlist/manifest URL when a variant is selected.
+ * @param {string} [streamItem.resolution] - Resolution of the selected variant (e.g. "1280x720").
+ * @param {number} [streamItem.variantBandwidth] - Bandwidth of the selected variant.
+ * @param {Object} [streamItem.audioTrack] - Selected alternate audio rendition (language).
+ * @param {boolean} [streamItem.isLive] - Whether the stream is a live playlist/manifest.
+ * @param {Array<Object>} [subtitleItems=[]] - Array of subtitle items.
+ * @param {string} [outputFormat='mp4'] - Output container ('mp4' or 'mkv').
+ * @param {string} [outputFilename=null] - Desired output filename (without extension).
+ * @param {Object} [options={}] - Additional options.
+ * @param {string} [options.outputTemplate] - yt-dlp output template (-o); defaults to the filename.
+ * @param {string} [options.shell='posix'] - Shell dialect for quoting and chaining.
+ * @returns {string} The complete command string.
+ */
+export function buildYtDlpCommand(streamItem, subtitleItems = [], outputFormat = 'mp4', outputFilename = null, options = {}) {
+  const streamUrl = streamItem?.url;
+  if (!streamUrl) return '';
+
+  const format = outputFormat === 'mkv' ? 'mkv' : 'mp4';
+  const baseFilename = normalizeFilename(outputFilename) || 'output';
+  const shell = options.shell || 'posix';
+  // % starts a field in yt-dlp output templates
+  const outputTemplate = String(options.outputTemplate || '').trim() || `${baseFilename.replace(/%/g, '%%')}.%(ext)s`;
+
+  // yt-dlp requests ranges and encodings itself, per fragment (see getToolHeaders)
+  const headers = getToolHeaders(streamItem.headers);
+  const userAgent = headers['User-Agent'] || headers['user-agent'];
+  const referer = headers['Referer'] || headers['referer'];
+  const otherHeaders = Object.entries(headers)
+    .filter(([k]) => !['user-agent', 'referer'].includes(k.toLowerCase()));
+
+  // A selected variant is picked from the master playlist/manifest, so yt-dlp can add the matching audio
+  const formatSelector = buildYtDlpFormat(streamItem);
+  const inputUrl = formatSelector && streamItem.masterUrl ? streamItem.masterUrl : streamUrl;
+
+  const parts = ['yt-dlp'];
+  if (userAgent) parts.push(`--user-agent ${quoteArg(userAgent, shell)}`);
+  if (referer) parts.push(`--referer ${quoteArg(referer, shell)}`);
+  otherHeaders.forEach(([k, v]) => parts.push(`--add-header ${quoteArg(`${k}:${v}`, shell)}`));
+  if (formatSelector) parts.push(`-f ${quoteArg(formatSelector, shell)}`);
+  // MPEG-TS fragments keep a live recording playable when it is interrupted
+  if (streamItem.isLive) parts.push('--hls-use-mpegts');
+  parts.push(`--merge-output-format ${format}`);
+  parts.push(`--remux-video ${format}`);
+  parts.push(`-o ${quoteArg(outputTemplate, shell)}`);
+  parts.push(quoteArg(inputUrl, shell));
+
+  // Subtitles first: they are small and their signed URLs expire soonest
+  return joinCommands([...buildSubtitleSidecarCommands(subtitleItems, baseFilename, shell), parts.join(' ')], shell);
+}
+
+/**
+ * Builds an N_m3u8DL-RE command string for downloading an HLS or DASH stream.
+ * The master playlist/manifest is downloaded with track filters for the selected variant, audio
+ * rendition and subtitle renditions; other selected subtitles are saved as sidecar files first.
+ * @param {Object} streamItem - The stream item with url and headers.
+ * @param {string} streamItem.url - The stream URL.
+ * @param {Object.<string, string>} [streamItem.headers] - Request headers.
+ * @param {string} [streamItem.masterUrl] - Master playlist/manifest URL when a variant is selected.
+ * @param {string} [streamItem.resolution] - Resolution of the selected variant (e.g. "1280x720").
+ * @param {number} [streamItem.variantBandwidth] - Bandwidth of the selected variant.
+ * @param {Object} [streamItem.audioTrack] - Selected alternate audio rendition (language).
+ * @param {boolean} [streamItem.isLive] - Whether the stream is a live playlist/manifest.
+ * @param {Array<Object>} [subtitleItems=[]] - Array of subtitle items.
+ * @param {string} [outputFormat='mp4'] - Output container ('mp4' or 'mkv').
+ * @param {string} [outputFilename=null] - Desired output filename (without extension).
+ * @param {Object} [options={}] - Additional options.
+ * @param {string|number} [options.recordDuration] - Stop a live recording after this long.
+ * @param {string} [options.shell='posix'] - Shell dialect for quoting and chaining.
+ * @returns {string} The complete command string.
+ */
+export function buildNm3u8DlReCommand(streamItem, subtitleItems = [], outputFormat = 'mp4', outputFilename = null, options = {}) {
+  const streamUrl = streamItem?.url;
+  if (!streamUrl) return '';
+
+  const format = outputFormat === 'mkv' ? 'mkv' : 'mp4';
+  const baseFilename = normalizeFilename(outputFilename) || 'output';
+  const inputUrl = streamItem.masterUrl || streamUrl;
+  const shell = options.shell || 'posix';
+
+  const parts = ['N_m3u8DL-RE', quoteArg(inputUrl, shell)];
+  Object.entries(getToolHeaders(streamItem.headers)).forEach(([k, v]) => {
+    parts.push(`-H ${quoteArg(`${k}: ${v}`, shell)}`);
+  });
+
+  // Track filters (values are regular expressions); giving them also skips the interactive selection
+  const height = getVariantHeight(streamItem);
+  if (height) {
+    parts.push(`-sv ${quoteArg(`res=.*x${height}$:for=best`, shell)}`);
+  } else if (streamItem.masterUrl && streamItem.variantBandwidth) {
+    parts.push(`-sv ${quoteArg(`bwMax=${Math.ceil(streamItem.variantBandwidth / 1000)}:for=best`, shell)}`);
+  } else {
+    parts.push('-sv best');
+  }
+  const audioLang = streamItem.audioTrack?.language ? streamItem.audioTrack.language.replace(/[^A-Za-z0-9-]/g, '') : '';
+  parts.push(audioLang ? `-sa ${quoteArg(`lang=^${audioLang}:for=best`, shell)}` : '-sa best');
+
+  // Subtitle renditions of this playlist are downloaded as tracks, the rest as sidecar files
+  const validSubtitles = subtitleItems.filter((s) => s?.url);
+  const isTrack = sub => sub.isHlsRendition && sub.parentUrl === inputUrl && sub.languageCode;
+  const trackLangs = [...new Set(validSubtitles.filter(isTrack).map(sub => sub.languageCode.replace(/[^A-Za-z0-9-]/g, '')))];
+  if (trackLangs.length > 0) {
+    parts.push(`-ss ${quoteArg(`lang=^(${trackLangs.join('|')})$:for=all`, shell)}`);
+  }
+
+  parts.push(`--save-name ${quoteArg(baseFilename, shell)}`);
+  parts.push(`-M ${quoteArg(`format=${format}`, shell)}`);
+
+  // Live: merge as segments arrive, and stop after the recording duration
+  if (streamItem.isLive) {
+    parts.push('--live-real-time-merge');
+    const limit = toClockDuration(options.recordDuration);
+    if (limit) parts.push(`--live-record-limit ${limit}`);
+  }
+
+  const sidecars = buildSubtitleSidecarCommands(validSubtitles.filter(sub => !isTrack(sub)), baseFilename, shell);
+  return joinCommands([...sidecars, parts.join(' ')], shell);
+}
+
+/**
+ * Builds a streamlink command string for recording a stream.
+ * The selected variant caps the quality (best at or below its height or bitrate), and streamlink
+ * has no subtitle support, so selected subtitles are saved as sidecar files first.
+ * @param {Object} streamItem - The stream item with url and headers.
+ * @param {string} streamItem.url - The stream URL.
+ * @param {Object.<string, string>} [streamItem.headers] - Request headers.
+ * @param {string} [streamItem.mediaType] - Media type ('hls', 'dash', 'video').
+ * @param {string} [streamItem.masterUrl] - Master playlist/manifest URL when a variant is selected.
+ * @param {string} [streamItem.resolution] - Resolution of the selected variant (e.g. "1280x720").
+ * @param {number} [streamItem.variantBandwidth] - Bandwidth of the selected variant.
+ * @param {Object} [streamItem.audioTrack] - Selected alternate audio rendition (url, language).
+ * @param {boolean} [streamItem.isLive] - Whether the stream is a live playlist/manifest.
+ * @param {Array<Object>} [subtitleItems=[]] - Array of subtitle items.
+ * @param {string} [outputFilename=null] - Desired output filename (without extension).
+ * @param {Object} [options={}] - Additional options.
+ * @param {string|number} [options.recordDuration] - Stop a live recording after this long.
+ * @param {number} [options.liveStart] - Live start: 0 for the start of the window, negative for the live edge.
+ * @param {string} [options.shell='posix'] - Shell dialect for quoting and chaining.
+ * @returns {string} The complete command string.
+ */
+export function buildStreamlinkCommand(streamItem, subtitleItems = [], outputFilename = null, options = {}) {
+  const streamUrl = streamItem?.url;
+  if (!streamUrl) return '';
+
+  const baseFilename = normalizeFilename(outputFilename) || 'output';
+  const isDash = streamItem.mediaType === 'dash';
+  const isHls = !isDash && streamItem.mediaType !== 'video';
+  const protocol = isDash ? 'dash' : (isHls ? 'hls' : 'httpstream');
+  const audioTrack = streamItem.audioTrack;
+  const shell = options.shell || 'posix';
+
+  const parts = ['streamlink'];
+  Object.entries(getToolHeaders(streamItem.headers)).forEach(([k, v]) => {
+    parts.push(`--http-header ${quoteArg(`${k}=${v}`, shell)}`);
+  });
+
+  // streamlink muxes the selected audio rendition in with ffmpeg
+  const audioLang = audioTrack?.language ? audioTrack.language.replace(/[^A-Za-z0-9-]/g, '') : '';
+  if (isHls && audioLang) {
+    parts.push(`--hls-audio-select ${quoteArg(audioLang, shell)}`);
+  }
+
+  if (isHls && streamItem.isLive) {
+    const liveStart = normalizeLiveStartIndex(options.liveStart);
+    if (liveStart === 0) parts.push('--hls-live-restart');
+    if (liveStart !== null && liveStart < 0) parts.push(`--hls-live-edge ${Math.min(-liveStart, 10)}`);
+    const duration = toClockDuration(options.recordDuration);
+    if (duration) parts.push(`--hls-duration ${duration}`);
+  }
+
+  // Cap the quality at the selected variant; streams above it are excluded from "best"
+  const height = getVariantHeight(streamItem);
+  if (height) {
+    parts.push(`--stream-sorting-excludes ${quoteArg(`>${height}p`, shell)}`);
+  } else if (streamItem.masterUrl && streamItem.variantBandwidth) {
+    parts.push(`--stream-sorting-excludes ${quoteArg(`>${Math.ceil(streamItem.variantBandwidth / 1000)}k`, shell)}`);
+  }
+
+  // HLS is written as MPEG-TS; anything muxed by ffmpeg (DASH, separate audio) as Matroska
+  const ext = isDash || (isHls && audioTrack?.url) ? 'mkv' : (isHls ? 'ts' : 'mp4');
+  parts.push(`-o ${quoteArg(`${baseFilename}.${ext}`, shell)}`);
+  parts.push(quoteArg(`${protocol}://${streamItem.masterUrl || streamUrl}`, shell));
+  parts.push('best');
+
+  return joinCommands([...buildSubtitleSidecarCommands(subtitleItems, baseFilename, shell), parts.join(' ')], shell);
+}
+
+/**
+ * Builds an aria2c input file: one entry per URL, followed by its options indented
+ * (header=, out=, dir=), as read by `aria2c -i`. Range and encoding headers are left out
+ * (see getToolHeaders): aria2c sets its own for each connection.
+ * @param {Array<{url: string, headers?: Object.<string, string>, out: string, dir?: string}>} entries - Downloads.
+ * @returns {string} The input file contents.
+ */
+export function buildAria2cInputFile(entries) {
+  return entries.map((entry) => {
+    const lines = [entry.url];
+    Object.entries(getToolHeaders(entry.headers)).forEach(([k, v]) => lines.push(`  header=${k}: ${v}`));
+    lines.push(`  out=${entry.out}`);
+    if (entry.dir) lines.push(`  dir=${entry.dir}`);
+    return lines.join('\n');
+  }).join('\n');
+}
+
+/**
+ * Builds an aria2c command downloading a direct video file and subtitles in one go, into a folder
+ * named after the page. The input file is passed inline on standard input (a heredoc in POSIX shells),
+ * so the command can be pasted as-is. aria2c can only fetch plain files: HLS/DASH streams are left out, and generated subtitles
+ * and subtitle playlists are saved with the sidecar commands instead.
+ * @param {Object|null} streamItem - The selected stream item; only direct video files (mediaType 'video') are included.
+ * @param {Array<Object>} [subtitleItems=[]] - Array of subtitle items.
+ * @param {string} [outputFilename=null] - Folder and base filename (without extension).
+ * @param {Object} [options={}] - Additional options.
+ * @param {number} [options.connections=4] - Connections per download, and downloads in parallel.
+ * @param {string} [options.shell='posix'] - Shell dialect for quoting, chaining and passing the input file.
+ * @returns {string} The complete command string, or an empty string when there is nothing to download.
+ */
+export function buildAria2cCommand(streamItem, subtitleItems = [], outputFilename = null, options = {}) {
+  const baseFilename = normalizeFilename(outputFilename) || 'output';
+  const shell = options.shell || 'posix';
+  const connections = Number.isInteger(options.connections) && options.connections > 0 ? options.connections : 4;
+  const entries = [];
+
+  if (streamItem?.url && streamItem.mediaType === 'video') {
+    const ext = (urlExtension(streamItem.url) || 'mp4').replace(/[^a-z0-9]/g, '');
+    entries.push({ url: streamItem.url, headers: streamItem.headers, out: `${baseFilename}.${ext}`, dir: baseFilename });
+  }
+
+  // Plain subtitle files go into the input file, the rest are saved up front
+  const sidecars = [];
+  nameSubtitleFiles(subtitleItems, baseFilename).forEach(({ subtitle, filename }) => {
+    if (/^https?:/i.test(subtitle.url) && !subtitle.isHlsRendition) {
+      entries.push({ url: subtitle.url, headers: subtitle.headers, out: filename, dir: baseFilename });
+    } else {
+      sidecars.push(buildSubtitleSidecarCommand(subtitle, joinPath(baseFilename, filename, shell), shell));
+    }
+  });
 
-  return parts.filter(Boolean).join(' ');
+  if (entries.length === 0 && sidecars.length === 0) return '';
+
+  const commands = [makeDirectory(baseFilename, shell), ...sidecars];
+  if (entries.length > 0) {
+    const parallel = Math.min(connections, entries.length);
+    const aria2c = `aria2c -c -x ${connections} -s ${connections} -j ${parallel} -i -`;
+    commands.push(pipeLines(buildAria2cInputFile(entries).split('\n'), aria2c, shell, 'ARIA2C_INPUT'));
+  }
+  return joinCommands(commands, shell);
+}
+
+/**
+ * Builds a curl command downloading one captured item with all its captured headers.
+ * @param {Object} item - The stream or subtitle item with url, headers and name.
+ * @param {Object} [options={}] - Additional options.
+ * @param {string} [options.shell='posix'] - Shell dialect for quoting.
+ * @returns {string} The complete command string.
+ */
+export function buildCurlCommand(item, options = {}) {
+  if (!item?.url) return '';
+
+  const shell = options.shell || 'posix';
+  const headers = item.headers || {};
+  // The headers servers check most come first
+  const leading = ['User-Agent', 'Referer', 'Origin'];
+  const ordered = [
+    ...leading.filter(k => headers[k]).map(k => [k, headers[k]]),
+    ...Object.entries(headers).filter(([k]) => !leading.includes(k))
+  ];
+  const filename = (item.name || 'download').replace(/[^a-zA-Z0-9.]/g, '_');
+
+  return [
+    `${programName('curl', shell)} -L`,
+    quoteArg(item.url, shell),
+    ...ordered.map(([k, v]) => `-H ${quoteArg(`${k}: ${v}`, shell)}`),
+    `-o ${quoteArg(filename, shell)}`
+  ].join(' ');
+}
+
+/**
+ * Collects the VLC options of one playlist item. VLC can't send arbitrary headers, only a referrer
+ * and a user agent, and loads a single external subtitle file per item.
+ * @param {Object} streamItem - The stream item with url and headers.
+ * @param {Array<Object>} [subtitleItems=[]] - Array of subtitle items; the first one VLC can fetch is used.
+ * @returns {string[]} Options without the leading colon, e.g. 'http-referrer=https://example.com/'.
+ */
+function buildVlcItemOptions(streamItem, subtitleItems = []) {
+  const headers = streamItem.headers || {};
+  const referer = headers['Referer'] || headers['referer'];
+  const userAgent = headers['User-Agent'] || headers['user-agent'];
+  // Generated (data:) subtitles and subtitle playlists can't be opened as a subtitle file
+  const subtitle = subtitleItems.find(s => /^https?:/i.test(s?.url || '') && !s.isHlsRendition);
+
+  return [
+    referer ? `http-referrer=${referer}` : '',
+    userAgent ? `http-user-agent=${userAgent}` : '',
+    streamItem.audioTrack?.url ? `input-slave=${streamItem.audioTrack.url}` : '',
+    subtitle ? `sub-file=${subtitle.url}` : ''
+  ].filter(Boolean);
+}
+
+/**
+ * Builds a VLC command string for playing a stream. Headers and subtitles are passed as
+ * per-item options (:http-referrer=...) after the URL.
+ * @param {Object} streamItem - The stream item with url and headers.
+ * @param {Object} [streamItem.audioTrack] - Selected alternate audio rendition, played as an input slave.
+ * @param {Array<Object>} [subtitleItems=[]] - Array of subtitle items.
+ * @param {Object} [options={}] - Additional options.
+ * @param {string} [options.shell='posix'] - Shell dialect for quoting.
+ * @returns {string} The complete command string.
+ */
+export function buildVlcCommand(streamItem, subtitleItems = [], options = {}) {
+  const streamUrl = streamItem?.url;
+  if (!streamUrl) return '';
+
+  const shell = options.shell || 'posix';
+  return [
+    'vlc',
+    quoteArg(streamUrl, shell),
+    ...buildVlcItemOptions(streamItem, subtitleItems).map(option => quoteArg(`:${option}`, shell))
+  ].join(' ');
+}
+
+/**
+ * Escapes text for XML element content and attributes.
+ * @param {string} value - The text to escape.
+ * @returns {string} The escaped text.
+ */
+function escapeXml(value) {
+  return String(value).replace(/[&<>"']/g, char => ({
+    '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&apos;'
+  })[char]);
+}
+
+/**
+ * Builds an XSPF playlist VLC opens with working headers: each track carries its options
+ * (referrer, user agent, audio and subtitle file) in VLC's extension element.
+ * @param {Array<{streamItem: Object, subtitleItems?: Array<Object>, title?: string}>} entries - Playlist items.
+ * @param {string} [playlistTitle=''] - Playlist title.
+ * @returns {string} The XSPF document, or an empty string when no entry has a URL.
+ */
+export function buildXspfPlaylist(entries, playlistTitle = '') {
+  const tracks = entries.filter(entry => entry?.streamItem?.url).map((entry, index) => {
+    const { streamItem, subtitleItems = [], title } = entry;
+    const lines = [
+      '    <track>',
+      `      <location>${escapeXml(streamItem.url)}</location>`,
+      title ? `      <title>${escapeXml(title)}</title>` : '',
+      '      <extension application="http://www.videolan.org/vlc/playlist/0">',
+      `        <vlc:id>${index}</vlc:id>`,
+      ...buildVlcItemOptions(streamItem, subtitleItems).map(option => `        <vlc:option>${escapeXml(option)}</vlc:option>`),
+      '      </extension>',
+      '    </track>'
+    ];
+    return lines.filter(Boolean).join('\n');
+  });
+  if (tracks.length === 0) return '';
+
+  return [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    '<playlist xmlns="http://xspf.org/ns/0/" xmlns:vlc="http://www.videolan.org/vlc/playlist/ns/0/" version="1">',
+    playlistTitle ? `  <title>${escapeXml(playlistTitle)}</title>` : '',
+    '  <trackList>',
+    ...tracks,
+    '  </trackList>',
+    '</playlist>'
+  ].filter(Boolean).join('\n') + '\n';
 }
@@ -31,6 +31,43 @@ export const SUBTITLE_MIME_MAP = {
  */
 export const SUBTITLE_EXTENSIONS = new Set(['vtt', 'srt', 'ass', 'ssa', 'sub', 'ttml', 'dfxp', 'sbv', 'stl', 'lrc', 'smi']);
 
+/**
+ * Number of leading bytes fetched to sniff the format of a generic-MIME response.
+ * @constant {number}
+ */
+export const SNIFF_MAX_BYTES = 4096;
+
+/**
+ * Responses larger than this (by Content-Length) are never sniffed: subtitle files and ad
+ * documents are small, while media segments served with generic types run to megabytes.
+ * @constant {number}
+ */
+export const SNIFF_MAX_RESPONSE_SIZE = 512 * 1024;
+
+/**
+ * Maximum number of bytes read from a sniffed VAST/VMAP ad response to find its creatives.
+ * @constant {number}
+ */
+export const AD_DOCUMENT_MAX_BYTES = 256 * 1024;
+
+/**
+ * Number of bytes read from a direct video file (at its start, or where its moov box begins) to
+ * find its duration for the minimum-duration capture rule.
+ * @constant {number}
+ */
+export const DURATION_PROBE_BYTES = 64 * 1024;
+
+/**
+ * Extensions of generic-MIME responses that are never subtitles (media segments,
+ * images, scripts, fonts, data), so they are not fetched again for sniffing.
+ * @constant {Set<string>}
+ */
+export const SNIFF_SKIP_EXTENSIONS = new Set([
+  'ts', 'm4s', 'm4a', 'm4v', 'mp4', 'aac', 'mp3', 'cmfv', 'cmfa', 'key', 'bin',
+  'jpg', 'jpeg', 'png', 'gif', 'webp', 'svg', 'ico',
+  'js', 'mjs', 'css', 'html', 'htm', 'json', 'woff', 'woff2', 'ttf', 'otf', 'wasm'
+]);
+
 /**
  * Video file extensions.
  * Used for direct video file detection from URLs.
@@ -62,6 +99,20 @@ export const HLS_EXTENSIONS = new Set(['m3u8', 'm3u']);
  */
 export const HLS_MIME_TYPES = new Set(['application/vnd.apple.mpegurl', 'application/x-mpegurl']);
 
+/**
+ * MPEG-DASH manifest file extensions.
+ * Used for detecting DASH manifests from URLs.
+ * @constant {Set<string>}
+ */
+export const DASH_EXTENSIONS = new Set(['mpd']);
+
+/**
+ * MPEG-DASH MIME types.
+ * Used for content-type based DASH manifest detection.
+ * @constant {Set<string>}
+ */
+export const DASH_MIME_TYPES = new Set(['application/dash+xml', 'application/vnd.mpeg.dash.mpd']);
+
 /**
  * Headers to strip from requests.
  * These headers are removed when forwarding requests to avoid conflicts.
@@ -87,21 +138,31 @@ export const FORBIDDEN_HEADERS = new Set([
 ]);
 
 /**
- * Maximum number of captured items to store per tab.
+ * Default maximum number of captured items to store per tab (maxItemsPerTab setting).
  * Prevents excessive memory usage.
  * @constant {number}
  */
 export const MAX_ITEMS_PER_TAB = 50;
 
 /**
- * Default timeout for fetch operations in milliseconds.
+ * Maximum size of a WebVTT document generated from in-page cues.
+ * Generated subtitles are passed to mpv/ffmpeg as base64 data: URLs in a single argument, which
+ * grows the text by a third; Linux rejects any argument over 128 KiB (MAX_ARG_STRLEN), so 72 KiB
+ * of WebVTT (96 KiB of base64) keeps --sub-file=data:... within it. cmd.exe's 8191-character
+ * line limit is far lower still (see the README).
+ * @constant {number}
+ */
+export const MAX_GENERATED_SUBTITLE_BYTES = 72 * 1024;
+
+/**
+ * Default timeout for fetch operations in milliseconds (fetchTimeoutMs setting).
  * @constant {number}
  */
 export const FETCH_TIMEOUT_MS = 5000;
 
 /**
- * Extended timeout for m3u8 playlist fetch operations in milliseconds.
- * HLS playlists may need more time due to network conditions.
+ * Default timeout for playlist fetches through the content script in milliseconds
+ * (playlistFetchTimeoutMs setting). HLS playlists may need more time due to network conditions.
  * @constant {number}
  */
 export const M3U8_FETCH_TIMEOUT_MS = 10000;
@@ -113,3 +174,29 @@ export const M3U8_FETCH_TIMEOUT_MS = 10000;
  * @constant {number}
  */
 export const HEADER_TTL_MS = 60000;
+
+/**
+ * Default number of segments fetched at once by the in-browser downloader (downloadConcurrency setting).
+ * @constant {number}
+ */
+export const DOWNLOAD_CONCURRENCY = 4;
+
+/**
+ * Default number of retries for a failed segment fetch (downloadRetries setting).
+ * @constant {number}
+ */
+export const DOWNLOAD_RETRIES = 3;
+
+/**
+ * Default container of in-browser downloads of TS streams (downloadContainer setting):
+ * remuxed to a progressive MP4 (see mp4-remuxer.js).
+ * @constant {string}
+ */
+export const DOWNLOAD_CONTAINER = 'mp4';
+
+/**
+ * Timeout for a single segment fetch through the content script in milliseconds.
+ * Segments are much larger than playlists, so they get more time than playlistFetchTimeoutMs.
+ * @constant {number}
+ */
+export const SEGMENT_FETCH_TIMEOUT_MS = 60000;
@@ -0,0 +1,352 @@
+/**
+ * DASH Parser Module for Stream + Subtitle Catcher Extension
+ * Handles MPEG-DASH manifest (MPD) parsing: periods, adaptation sets and
+ * representations are flattened into the same variant shape the HLS parser produces.
+ * @module modules/dash-parser
+ */
+
+import { FORBIDDEN_HEADERS } from './constants.js';
+import { getSettings } from './settings.js';
+import { resolveUrl, formatBitrate, formatSize, formatDuration } from './utils.js';
+import { parseCodec, parseAudioCodec, deriveVariantName } from './hls-parser.js';
+
+/**
+ * XML entity replacements used when decoding attribute values and text
+ * @constant {Object<string, string>}
+ */
+const XML_ENTITIES = {
+  '&amp;': '&',
+  '&lt;': '<',
+  '&gt;': '>',
+  '&quot;': '"',
+  '&apos;': "'"
+};
+
+/**
+ * Decode the predefined XML entities and numeric character references
+ * @param {string} value - Raw XML text
+ * @returns {string} Decoded text
+ */
+function decodeXmlEntities(value) {
+  return value
+    .replace(/&#x([0-9a-f]+);/gi, (_, hex) => String.fromCodePoint(parseInt(hex, 16)))
+    .replace(/&#(\d+);/g, (_, dec) => String.fromCodePoint(parseInt(dec, 10)))
+    .replace(/&(amp|lt|gt|quot|apos);/g, (entity) => XML_ENTITIES[entity]);
+}
+
+/**
+ * Minimal XML parser producing a plain element tree.
+ * DOMParser is not available in the extension service worker, and MPD
+ * manifests only need elements, attributes and text content.
+ * Namespace prefixes are dropped from element and attribute names.
+ * @param {string} content - Raw XML document
+ * @returns {{name: string, attrs: Object<string, string>, children: Array, text: string}} Document root node
+ */
+function parseXml(content) {
+  const root = { name: '#document', attrs: {}, children: [], text: '' };
+  const stack = [root];
+  const tokenRe = /<!--[\s\S]*?-->|<!\[CDATA\[([\s\S]*?)\]\]>|<[?!][^>]*>|<\/([^\s>]+)\s*>|<([^\s/>]+)([^>]*?)(\/?)>|([^<]+)/g;
+  const attrRe = /([^\s=]+)\s*=\s*(?:"([^"]*)"|'([^']*)')/g;
+  let match;
+
+  while ((match = tokenRe.exec(content)) !== null) {
+    const [, cdata, closeName, openName, rawAttrs, selfClosing, text] = match;
+    const current = stack[stack.length - 1];
+
+    if (openName) {
+      const node = { name: openName.split(':').pop(), attrs: {}, children: [], text: '' };
+      let attrMatch;
+      attrRe.lastIndex = 0;
+      while ((attrMatch = attrRe.exec(rawAttrs)) !== null) {
+        const attrName = attrMatch[1].split(':').pop();
+        node.attrs[attrName] = decodeXmlEntities(attrMatch[2] ?? attrMatch[3] ?? '');
+      }
+      current.children.push(node);
+      if (!selfClosing) stack.push(node);
+    } else if (closeName) {
+      if (stack.length > 1) stack.pop();
+    } else if (cdata !== undefined) {
+      current.text += cdata;
+    } else if (text !== undefined) {
+      current.text += decodeXmlEntities(text);
+    }
+  }
+
+  return root;
+}
+
+/**
+ * Get direct child elements with the given name
+ * @param {Object} node - Parent node
+ * @param {string} name - Element local name
+ * @returns {Object[]} Matching child nodes
+ */
+function childrenNamed(node, name) {
+  return node.children.filter(child => child.name === name);
+}
+
+/**
+ * Get the first direct child element with the given name
+ * @param {Object} node - Parent node
+ * @param {string} name - Element local name
+ * @returns {Object|null} Matching child node, or null
+ */
+function childNamed(node, name) {
+  return node.children.find(child => child.name === name) || null;
+}
+
+/**
+ * Resolve the effective base URL for a node from its <BaseURL> child
+ * @param {Object} node - MPD, Period, AdaptationSet or Representation node
+ * @param {string} parentBase - Base URL inherited from the parent element
+ * @returns {string} Resolved base URL
+ */
+function resolveBaseUrl(node, parentBase) {
+  const baseUrlNode = childNamed(node, 'BaseURL');
+  const value = baseUrlNode?.text.trim();
+  return value ? resolveUrl(parentBase, value) : parentBase;
+}
+
+/**
+ * Parse an ISO 8601 duration as used by MPD attributes (e.g. "PT1H2M3.5S")
+ * @param {string} value - ISO 8601 duration string
+ * @returns {number|null} Duration in seconds, or null if the value is invalid
+ */
+export function parseIsoDuration(value) {
+  if (!value) return null;
+  const match = value.trim().match(
+    /^P(?:(\d+(?:\.\d+)?)Y)?(?:(\d+(?:\.\d+)?)M)?(?:(\d+(?:\.\d+)?)W)?(?:(\d+(?:\.\d+)?)D)?(?:T(?:(\d+(?:\.\d+)?)H)?(?:(\d+(?:\.\d+)?)M)?(?:(\d+(?:\.\d+)?)S)?)?$/
+  );
+  if (!match) return null;
+
+  // Years and months have no fixed length; approximate as xs:duration does for ordering
+  const [, years, months, weeks, days, hours, minutes, seconds] = match.map(v => parseFloat(v) || 0);
+  return years * 31536000 + months * 2592000 + weeks * 604800 + days * 86400 + hours * 3600 + minutes * 60 + seconds;
+}
+
+/**
+ * Parse a DASH frame rate attribute ("25", "30000/1001")
+ * @param {string} value - frameRate attribute value
+ * @returns {number|null} Frame rate rounded to 3 decimals, or null if invalid
+ */
+function parseFrameRate(value) {
+  if (!value) return null;
+  const [num, den] = value.split('/').map(Number);
+  const fps = den ? num / den : num;
+  return Number.isFinite(fps) && fps > 0 ? Math.round(fps * 1000) / 1000 : null;
+}
+
+/**
+ * Classify an adaptation set as video, audio or text
+ * @param {Object} adaptationSet - AdaptationSet node
+ * @returns {string|null} "video", "audio", "text", or null if unknown
+ */
+function getAdaptationContentType(adaptationSet) {
+  const firstRep = childNamed(adaptationSet, 'Representation');
+  const contentType = adaptationSet.attrs.contentType;
+  if (contentType === 'video' || contentType === 'audio' || contentType === 'text') return contentType;
+
+  const mimeType = adaptationSet.attrs.mimeType || firstRep?.attrs.mimeType || '';
+  if (mimeType.startsWith('video/')) return 'video';
+  if (mimeType.startsWith('audio/')) return 'audio';
+  if (mimeType.startsWith('text/') || mimeType === 'application/ttml+xml') return 'text';
+
+  const codecs = (adaptationSet.attrs.codecs || firstRep?.attrs.codecs || '').toLowerCase();
+  if (/^(stpp|wvtt)/.test(codecs)) return 'text';
+  if (parseAudioCodec(codecs) && !adaptationSet.attrs.width && !firstRep?.attrs.width) return 'audio';
+  if (codecs || adaptationSet.attrs.width || firstRep?.attrs.width) return 'video';
+  return null;
+}
+
+/**
+ * Pick the period that carries the main content.
+ * Multi-period manifests often contain short ad or bumper periods, so the
+ * longest period wins; without durations the first period is used.
+ * @param {Object[]} periods - Period nodes
+ * @returns {Object|null} The main Period node
+ */
+function pickMainPeriod(periods) {
+  let best = null;
+  let bestDuration = -1;
+  for (const period of periods) {
+    const duration = parseIsoDuration(period.attrs.duration) ?? 0;
+    if (duration > bestDuration) {
+      best = period;
+      bestDuration = duration;
+    }
+  }
+  return best;
+}
+
+/**
+ * Parse DASH manifest content (used when content is already fetched)
+ * @param {string} url - URL of the manifest
+ * @param {string} content - Raw MPD XML content
+ * @returns {Object} Parsed manifest info with isDashManifest flag, variants array,
+ *   duration (seconds, null for live) and isLive flag
+ */
+export function parseDashManifestContent(url, content) {
+  try {
+    const mpd = childNamed(parseXml(content), 'MPD');
+    if (!mpd) {
+      return { isDashManifest: false, variants: [] };
+    }
+
+    const isLive = mpd.attrs.type === 'dynamic';
+    const periods = childrenNamed(mpd, 'Period');
+
+    // Prefer the manifest-level duration; fall back to the sum of period durations
+    let duration = parseIsoDuration(mpd.attrs.mediaPresentationDuration);
+    if (!duration && periods.length > 0) {
+      const periodTotal = periods.reduce((sum, p) => sum + (parseIsoDuration(p.attrs.duration) || 0), 0);
+      duration = periodTotal > 0 ? periodTotal : null;
+    }
+
+    const mpdBase = resolveBaseUrl(mpd, url);
+    const period = pickMainPeriod(periods);
+    if (!period) {
+      return { isDashManifest: true, isLive, duration: isLive ? null : duration, variants: [] };
+    }
+    const periodBase = resolveBaseUrl(period, mpdBase);
+
+    const videoSets = [];
+    const audioSets = [];
+    for (const adaptationSet of childrenNamed(period, 'AdaptationSet')) {
+      const type = getAdaptationContentType(adaptationSet);
+      if (type === 'video') videoSets.push(adaptationSet);
+      else if (type === 'audio') audioSets.push(adaptationSet);
+    }
+
+    // Audio languages and codec are shared by every video variant, like an HLS audio group
+    const audioLanguages = [...new Set(audioSets.map(set => set.attrs.lang).filter(Boolean))];
+    const firstAudioSet = audioSets[0];
+    const firstAudioCodecs = firstAudioSet
+      ? (firstAudioSet.attrs.codecs || childNamed(firstAudioSet, 'Representation')?.attrs.codecs || null)
+      : null;
+
+    // Audio-only manifests expose their audio representations as variants
+    const variantSets = videoSets.length > 0 ? videoSets : audioSets;
+
+    const variants = [];
+    for (const adaptationSet of variantSets) {
+      const setBase = resolveBaseUrl(adaptationSet, periodBase);
+      const setHasSegments = !!(childNamed(adaptationSet, 'SegmentTemplate') || childNamed(adaptationSet, 'SegmentList'));
+
+      for (const rep of childrenNamed(adaptationSet, 'Representation')) {
+        // Representation attributes override those inherited from the adaptation set
+        const attrs = { ...adaptationSet.attrs, ...rep.attrs };
+        const bandwidth = parseInt(attrs.bandwidth, 10) || null;
+        const height = parseInt(attrs.height, 10) || null;
+        const codecs = attrs.codecs || null;
+
+        // Single-file representations (BaseURL + SegmentBase) are directly playable;
+        // segmented ones can only be addressed through the manifest itself
+        const repHasSegments = setHasSegments || !!(childNamed(rep, 'SegmentTemplate') || childNamed(rep, 'SegmentList'));
+        const repBase = resolveBaseUrl(rep, setBase);
+        const isSingleFile = !repHasSegments && childNamed(rep, 'BaseURL') !== null;
+
+        const variant = {
+          url: isSingleFile ? repBase : url,
+          representationId: attrs.id || null,
+          bandwidth,
+          bitrate: formatBitrate(bandwidth),
+          resolution: height ? `${height}p` : null,
+          codec: parseCodec(codecs),
+          audioCodec: videoSets.length > 0 ? parseAudioCodec(firstAudioCodecs) : parseAudioCodec(codecs),
+          codecs,
+          frameRate: parseFrameRate(attrs.frameRate),
+          audioLanguages: videoSets.length > 0 ? audioLanguages : (attrs.lang ? [attrs.lang] : [])
+        };
+
+        variant.name = deriveVariantName(variant);
+        variants.push(variant);
+      }
+    }
+
+    return {
+      isDashManifest: true,
+      isLive,
+      duration: isLive ? null : duration,
+      variants: variants.sort((a, b) => (b.bandwidth || 0) - (a.bandwidth || 0))
+    };
+  } catch (error) {
+    console.warn('[DASH Parser] Failed to parse DASH manifest content:', error);
+    return { isDashManifest: false, variants: [], error: error.message };
+  }
+}
+
+/**
+ * Parse DASH manifest and extract variants (fetches content directly)
+ * @param {string} url - URL of the manifest
+ * @param {Object} [headers={}] - Headers to use for fetching
+ * @returns {Promise<Object>} Parsed manifest info with isDashManifest flag and variants array
+ */
+export async function parseDashManifest(url, headers = {}) {
+  try {
+    const fetchHeaders = new Headers();
+    Object.entries(headers).forEach(([k, v]) => {
+      if (k && v !== undefined && !FORBIDDEN_HEADERS.has(k.toLowerCase())) {
+        try {
+          fetchHeaders.set(k, v);
+        } catch (e) {
+          console.warn('[DASH Parser] Skipping header that cannot be set:', k);
+        }
+      }
+    });
+
+    const { fetchTimeoutMs } = await getSettings();
+    const response = await fetch(url, {
+      method: 'GET',
+      headers: fetchHeaders,
+      signal: AbortSignal.timeout(fetchTimeoutMs),
+      referrer: headers.Referer || headers.referer || '',
+      referrerPolicy: 'no-referrer-when-downgrade'
+    });
+
+    if (!response.ok) {
+      throw new Error(`HTTP ${response.status}`);
+    }
+
+    const content = await response.text();
+    return parseDashManifestContent(url, content);
+  } catch (error) {
+    console.warn('[DASH Parser] Failed to parse DASH manifest:', error);
+    return { isDashManifest: false, variants: [], error: error.message };
+  }
+}
+
+/**
+ * Enrich DASH item data with variants, duration and estimated sizes.
+ * Unlike HLS, everything needed is already in the manifest, so no extra fetches are made.
+ * @param {Object} itemData - The DASH item data object to enrich
+ * @param {Object} manifestInfo - Parsed manifest info from parseDashManifestContent
+ * @returns {Object} Enriched item data
+ */
+export function enrichDashItem(itemData, manifestInfo) {
+  if (!manifestInfo.isDashManifest) {
+    return itemData;
+  }
+
+  itemData.isLive = manifestInfo.isLive;
+
+  const duration = manifestInfo.duration;
+  if (duration) {
+    itemData.duration = duration;
+    itemData.durationFormatted = formatDuration(duration);
+  }
+
+  if (manifestInfo.variants.length === 0) {
+    return itemData;
+  }
+
+  itemData.name = itemData.name.replace(/\.mpd$/i, '') + ' (Manifest)';
+  itemData.variants = manifestInfo.variants.map(variant => ({
+    ...variant,
+    ...(variant.bandwidth && duration && {
+      estimatedSize: (duration * variant.bandwidth) / 8,
+      estimatedSizeFormatted: formatSize((duration * variant.bandwidth) / 8)
+    })
+  }));
+
+  return itemData;
+}
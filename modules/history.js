@@ -0,0 +1,316 @@
+/**
+ * Capture History Module for Stream + Subtitle Catcher Extension
+ * @module modules/history
+ *
+ * Keeps the captures of past page sessions in IndexedDB, so they survive the
+ * per-tab cleanup on navigation and tab close. A page session starts with the
+ * first capture after a tab navigates and holds every stream and subtitle item
+ * (with its headers) captured until the next navigation.
+ *
+ * The service worker writes items through as they are stored per tab; the history
+ * page reads the same database directly.
+ */
+
+/**
+ * IndexedDB database and object store names
+ * @constant {string}
+ */
+const DB_NAME = 'stream-catcher-history';
+const DB_VERSION = 1;
+const SESSION_STORE = 'sessions';
+
+/**
+ * chrome.storage.session key mapping tab IDs to their current session ID.
+ * Kept outside the service worker's memory so a restarted worker keeps appending
+ * to the same session.
+ * @constant {string}
+ */
+const ACTIVE_SESSIONS_KEY = 'historyActiveSessions';
+
+/**
+ * Retention limits, applied whenever a new session starts
+ * @constant {number}
+ */
+export const HISTORY_MAX_SESSIONS = 300;
+export const HISTORY_MAX_AGE_MS = 30 * 24 * 60 * 60 * 1000;
+
+/**
+ * Wraps an IDBRequest in a promise
+ * @param {IDBRequest} request - The request
+ * @returns {Promise<*>} The request result
+ */
+function promisifyRequest(request) {
+  return new Promise((resolve, reject) => {
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+}
+
+/**
+ * Derives the searchable host of a page URL
+ * @param {string} url - Page URL
+ * @returns {string} Hostname, or an empty string
+ */
+function getHost(url) {
+  try {
+    return new URL(url).hostname;
+  } catch {
+    return '';
+  }
+}
+
+/**
+ * Stores page sessions and their captured items in IndexedDB.
+ * Nothing is opened until the first call, so importing the module has no side effects.
+ */
+class HistoryStore {
+  constructor() {
+    /**
+     * Open database connection
+     * @type {Promise<IDBDatabase>|null}
+     * @private
+     */
+    this._db = null;
+
+    /**
+     * Current session ID per tab, as a promise so concurrent captures share one session
+     * @type {Map<number, Promise<string>>}
+     * @private
+     */
+    this._activeSessions = new Map();
+
+    /**
+     * Sessions being ended per tab; a new session waits for the old one to be unregistered
+     * @type {Map<number, Promise>}
+     * @private
+     */
+    this._endingSessions = new Map();
+  }
+
+  /**
+   * Opens (and creates or upgrades) the database
+   * @returns {Promise<IDBDatabase>} The database
+   * @private
+   */
+  _open() {
+    if (!this._db) {
+      this._db = new Promise((resolve, reject) => {
+        const request = indexedDB.open(DB_NAME, DB_VERSION);
+        request.onupgradeneeded = () => {
+          const db = request.result;
+          if (!db.objectStoreNames.contains(SESSION_STORE)) {
+            const store = db.createObjectStore(SESSION_STORE, { keyPath: 'id' });
+            store.createIndex('updatedAt', 'updatedAt');
+          }
+        };
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => {
+          this._db = null;
+          reject(request.error);
+        };
+      });
+    }
+    return this._db;
+  }
+
+  /**
+   * Runs a function against the session store in a single transaction
+   * @param {IDBTransactionMode} mode - 'readonly' or 'readwrite'
+   * @param {function(IDBObjectStore): Promise<*>} fn - Work to do with the store
+   * @returns {Promise<*>} Result of fn, once the transaction has completed
+   * @private
+   */
+  async _withStore(mode, fn) {
+    const db = await this._open();
+    const transaction = db.transaction(SESSION_STORE, mode);
+    const done = new Promise((resolve, reject) => {
+      transaction.oncomplete = resolve;
+      transaction.onerror = () => reject(transaction.error);
+      transaction.onabort = () => reject(transaction.error);
+    });
+    const result = await fn(transaction.objectStore(SESSION_STORE));
+    await done;
+    return result;
+  }
+
+  /**
+   * Returns the current session of a tab, starting one if needed
+   * @param {number} tabId - The tab ID
+   * @param {Object} page - The tab's page
+   * @param {string} page.url - Page URL
+   * @param {string} page.title - Page title
+   * @returns {Promise<string>} The session ID
+   * @private
+   */
+  _getSessionId(tabId, page) {
+    if (!this._activeSessions.has(tabId)) {
+      const sessionId = (async () => {
+        await this._endingSessions.get(tabId)?.catch(() => {});
+        const stored = await chrome.storage.session.get([ACTIVE_SESSIONS_KEY]);
+        const sessions = stored[ACTIVE_SESSIONS_KEY] || {};
+        if (sessions[tabId]) return sessions[tabId];
+
+        const now = Date.now();
+        const id = `${now}-${tabId}`;
+        await this._withStore('readwrite', store => promisifyRequest(store.put({
+          id,
+          tabId,
+          pageUrl: page.url,
+          host: getHost(page.url),
+          title: page.title,
+          startedAt: now,
+          updatedAt: now,
+          streams: {},
+          subtitles: {}
+        })));
+        sessions[tabId] = id;
+        await chrome.storage.session.set({ [ACTIVE_SESSIONS_KEY]: sessions });
+
+        this.prune().catch(error => console.warn('[History] Failed to prune history:', error));
+        return id;
+      })();
+      // A failed start is retried on the next capture
+      sessionId.catch(() => {
+        if (this._activeSessions.get(tabId) === sessionId) this._activeSessions.delete(tabId);
+      });
+      this._activeSessions.set(tabId, sessionId);
+    }
+    return this._activeSessions.get(tabId);
+  }
+
+  /**
+   * Records a captured item in the tab's current page session.
+   * Items are keyed by requestId, so re-recording an item replaces it.
+   * @param {number} tabId - The tab ID
+   * @param {Object} item - The stored stream or subtitle item
+   * @param {Object} page - The tab's page
+   * @param {string} page.url - Page URL
+   * @param {string} page.title - Page title (updated on every capture, as titles load late)
+   * @returns {Promise<void>}
+   */
+  async recordItem(tabId, item, page) {
+    const sessionId = await this._getSessionId(tabId, page);
+    // Readwrite transactions on the store never overlap, so concurrent captures can't lose items
+    await this._withStore('readwrite', async (store) => {
+      const session = await promisifyRequest(store.get(sessionId));
+      if (!session) return;
+      const bucket = item.kind === 'stream' ? session.streams : session.subtitles;
+      bucket[item.requestId] = item;
+      if (page.title) session.title = page.title;
+      session.updatedAt = Date.now();
+      await promisifyRequest(store.put(session));
+    });
+  }
+
+  /**
+   * Ends a tab's current page session (navigation or tab close).
+   * The next capture in the tab starts a new session.
+   * @param {number} tabId - The tab ID
+   * @returns {Promise<void>}
+   */
+  async endSession(tabId) {
+    // Let a session that is still starting register first, so it is ended too
+    const pending = this._activeSessions.get(tabId);
+    this._activeSessions.delete(tabId);
+
+    const ending = (async () => {
+      await pending?.catch(() => {});
+      const stored = await chrome.storage.session.get([ACTIVE_SESSIONS_KEY]);
+      const sessions = stored[ACTIVE_SESSIONS_KEY] || {};
+      if (sessions[tabId]) {
+        delete sessions[tabId];
+        await chrome.storage.session.set({ [ACTIVE_SESSIONS_KEY]: sessions });
+      }
+    })();
+    this._endingSessions.set(tabId, ending);
+    try {
+      await ending;
+    } finally {
+      if (this._endingSessions.get(tabId) === ending) this._endingSessions.delete(tabId);
+    }
+  }
+
+  /**
+   * Searches sessions, newest first
+   * @param {Object} [filters={}] - Search filters
+   * @param {string} [filters.query] - Case-insensitive text matched against host, title and page URL
+   * @param {number} [filters.from] - Only sessions with captures at or after this time (ms since epoch)
+   * @param {number} [filters.to] - Only sessions started at or before this time (ms since epoch)
+   * @param {number} [filters.limit=100] - Maximum number of sessions returned
+   * @returns {Promise<Object[]>} Matching sessions
+   */
+  searchSessions({ query = '', from = 0, to = Infinity, limit = 100 } = {}) {
+    const needle = query.trim().toLowerCase();
+    return this._withStore('readonly', store => new Promise((resolve, reject) => {
+      const results = [];
+      const range = IDBKeyRange.lowerBound(from);
+      const request = store.index('updatedAt').openCursor(range, 'prev');
+      request.onerror = () => reject(request.error);
+      request.onsuccess = () => {
+        const cursor = request.result;
+        if (!cursor || results.length >= limit) {
+          resolve(results);
+          return;
+        }
+        const session = cursor.value;
+        const haystack = `${session.host}\n${session.title}\n${session.pageUrl}`.toLowerCase();
+        if (session.startedAt <= to && (!needle || haystack.includes(needle))) {
+          results.push(session);
+        }
+        cursor.continue();
+      };
+    }));
+  }
+
+  /**
+   * Deletes one session
+   * @param {string} id - The session ID
+   * @returns {Promise<void>}
+   */
+  deleteSession(id) {
+    return this._withStore('readwrite', store => promisifyRequest(store.delete(id)));
+  }
+
+  /**
+   * Deletes every session
+   * @returns {Promise<void>}
+   */
+  clear() {
+    return this._withStore('readwrite', store => promisifyRequest(store.clear()));
+  }
+
+  /**
+   * Applies the retention limits: drops sessions older than HISTORY_MAX_AGE_MS,
+   * then the oldest sessions beyond HISTORY_MAX_SESSIONS
+   * @returns {Promise<number>} Number of deleted sessions
+   */
+  prune() {
+    const cutoff = Date.now() - HISTORY_MAX_AGE_MS;
+    return this._withStore('readwrite', store => new Promise((resolve, reject) => {
+      let kept = 0;
+      let deleted = 0;
+      const request = store.index('updatedAt').openCursor(null, 'prev');
+      request.onerror = () => reject(request.error);
+      request.onsuccess = () => {
+        const cursor = request.result;
+        if (!cursor) {
+          resolve(deleted);
+          return;
+        }
+        if (cursor.value.updatedAt < cutoff || kept >= HISTORY_MAX_SESSIONS) {
+          cursor.delete();
+          deleted++;
+        } else {
+          kept++;
+        }
+        cursor.continue();
+      };
+    }));
+  }
+}
+
+/**
+ * Singleton history store
+ * @type {HistoryStore}
+ */
+export const captureHistory = new HistoryStore();
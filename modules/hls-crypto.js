@@ -0,0 +1,105 @@
+/**
+ * HLS Decryption Module for Stream + Subtitle Catcher Extension
+ * @module modules/hls-crypto
+ *
+ * Decrypts segments of streams encrypted with #EXT-X-KEY:METHOD=AES-128: each segment is
+ * encrypted whole with AES-128-CBC and PKCS#7 padding, using the 16-byte key from the key URI.
+ * The IV is the key's IV attribute, or else the segment's media sequence number.
+ * WebCrypto does the work, so this runs in the service worker and in Node.js alike.
+ * SAMPLE-AES and DRM key formats encrypt inside the media and can't be decrypted here.
+ */
+
+/**
+ * Length of an AES-128 key and of the IV in bytes
+ * @constant {number}
+ */
+const AES_BLOCK_BYTES = 16;
+
+/**
+ * Parses an IV attribute (a hexadecimal integer such as 0x1A2B..., up to 128 bits)
+ * @param {string} value - The IV attribute
+ * @returns {Uint8Array|null} The 16-byte IV, or null if the value is not a valid IV
+ */
+export function parseIv(value) {
+  const match = String(value || '').match(/^0x([0-9a-f]{1,32})$/i);
+  if (!match) return null;
+
+  const hex = match[1].padStart(AES_BLOCK_BYTES * 2, '0');
+  const iv = new Uint8Array(AES_BLOCK_BYTES);
+  for (let i = 0; i < AES_BLOCK_BYTES; i++) {
+    iv[i] = parseInt(hex.substring(i * 2, i * 2 + 2), 16);
+  }
+  return iv;
+}
+
+/**
+ * Builds the IV used when the key has no IV attribute: the media sequence number
+ * as a big-endian 128-bit integer
+ * @param {number} sequence - Media sequence number of the segment
+ * @returns {Uint8Array} The 16-byte IV
+ */
+export function sequenceIv(sequence) {
+  const iv = new Uint8Array(AES_BLOCK_BYTES);
+  let value = BigInt(sequence);
+  for (let i = AES_BLOCK_BYTES - 1; i >= 0 && value > 0n; i--) {
+    iv[i] = Number(value & 0xffn);
+    value >>= 8n;
+  }
+  return iv;
+}
+
+/**
+ * Returns the IV of an encrypted segment
+ * @param {Object} segment - Segment from parseMediaPlaylist (with key and sequence)
+ * @returns {Uint8Array} The 16-byte IV
+ * @throws {Error} If the IV attribute is invalid
+ */
+export function segmentIv(segment) {
+  if (!segment.key.iv) return sequenceIv(segment.sequence);
+  const iv = parseIv(segment.key.iv);
+  if (!iv) throw new Error(`Invalid IV ${segment.key.iv}`);
+  return iv;
+}
+
+/**
+ * Explains why an EXT-X-KEY can't be decrypted in the browser
+ * @param {Object} key - Key from parseMediaPlaylist: {method, uri, iv, keyFormat}
+ * @returns {string|null} The reason, or null if its segments can be decrypted
+ */
+export function getKeyUnsupportedReason(key) {
+  if (key.keyFormat && key.keyFormat !== 'identity') return `DRM-protected streams (${key.keyFormat}) can't be decrypted`;
+  if (key.method !== 'AES-128') return `${key.method} encryption can't be decrypted in the browser`;
+  if (!key.uri) return 'The encryption key has no URI';
+  if (key.iv && !parseIv(key.iv)) return `Invalid IV ${key.iv}`;
+  return null;
+}
+
+/**
+ * Imports a raw AES-128 key for decryption
+ * @param {Uint8Array} bytes - The key as served by the key URI
+ * @returns {Promise<CryptoKey>} The key
+ * @throws {Error} If the key is not 16 bytes long (e.g. an HTML error page)
+ */
+export async function importAesKey(bytes) {
+  if (bytes.length !== AES_BLOCK_BYTES) {
+    throw new Error(`The key is ${bytes.length} bytes long instead of ${AES_BLOCK_BYTES}`);
+  }
+  return crypto.subtle.importKey('raw', bytes, { name: 'AES-CBC' }, false, ['decrypt']);
+}
+
+/**
+ * Decrypts an AES-128 segment (the padding is removed)
+ * @param {Uint8Array} data - Encrypted segment
+ * @param {CryptoKey} key - Key from importAesKey
+ * @param {Uint8Array} iv - IV from segmentIv
+ * @returns {Promise<Uint8Array>} The clear segment
+ * @throws {Error} If the data doesn't decrypt with this key and IV
+ */
+export async function decryptSegment(data, key, iv) {
+  try {
+    return new Uint8Array(await crypto.subtle.decrypt({ name: 'AES-CBC', iv }, key, data));
+  } catch {
+    // WebCrypto only reports a generic OperationError, typically for a wrong key
+    throw new Error('Decryption failed (wrong key or corrupted segment)');
+  }
+}
@@ -0,0 +1,424 @@
+/**
+ * In-Browser HLS Downloader Module for Stream + Subtitle Catcher Extension
+ * @module modules/hls-downloader
+ *
+ * Downloads an HLS stream without external tools, for when ffmpeg is not installed or the CDN only
+ * accepts the browser's own requests. The service worker provides the I/O: playlists and segments
+ * are fetched through the tab's content script (the same path as playlist analysis), the segments
+ * are collected by the offscreen document and the joined file is saved through chrome.downloads.
+ * This module only runs the job: picking the variant, checking the playlist, fetching segments
+ * in parallel with retries (with Range requests for EXT-X-BYTERANGE sub-ranges), decrypting
+ * AES-128 segments (see hls-crypto.js), putting fMP4 init sections in front of their segments,
+ * choosing the output files (TS streams can be remuxed to MP4 while saving, see mp4-remuxer.js)
+ * and reporting progress.
+ *
+ * Jobs live in the service worker's memory; the steady stream of segment fetches keeps the worker alive.
+ */
+
+import { parseHLSMasterPlaylistContent, parseMediaPlaylist } from './hls-parser.js';
+import { normalizeFilename } from './commands.js';
+import { getKeyUnsupportedReason, importAesKey, decryptSegment, segmentIv } from './hls-crypto.js';
+import { base64ToBytes, bytesToBase64 } from './utils.js';
+import { DOWNLOAD_CONCURRENCY, DOWNLOAD_RETRIES, DOWNLOAD_CONTAINER } from './constants.js';
+
+/**
+ * Number of finished jobs kept for the popup
+ * @constant {number}
+ */
+const MAX_FINISHED_JOBS = 10;
+
+/**
+ * Delay before the first retry of a segment or key, doubled for each further retry
+ * @constant {number}
+ */
+const RETRY_DELAY_MS = 500;
+
+/**
+ * Helper function to delay execution
+ * @param {number} ms - Milliseconds to delay
+ * @returns {Promise<void>}
+ */
+function delay(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+/**
+ * Returns the number of bytes encoded by a base64 string
+ * @param {string} base64 - Base64 data
+ * @returns {number} Decoded length in bytes
+ */
+export function base64ByteLength(base64) {
+  const text = String(base64 || '');
+  const padding = text.endsWith('==') ? 2 : (text.endsWith('=') ? 1 : 0);
+  return Math.max(0, Math.floor((text.length * 3) / 4) - padding);
+}
+
+/**
+ * Explains why a media playlist can't be downloaded in the browser
+ * @param {Object} playlist - Result of parseMediaPlaylist
+ * @returns {string|null} The reason, or null if every segment can be fetched and joined
+ */
+export function getUnsupportedReason(playlist) {
+  const { segments } = playlist;
+  if (segments.length === 0) return 'The playlist has no segments';
+  // EVENT playlists grow until ENDLIST appears, so only ENDLIST or VOD means finished
+  if (!playlist.hasEndList && playlist.playlistType !== 'VOD') {
+    return 'Live streams can\'t be saved in the browser; record them with ffmpeg or streamlink';
+  }
+  const keys = segments.flatMap(segment => [segment.key, segment.map?.key]).filter(Boolean);
+  const keyReason = keys.map(getKeyUnsupportedReason).find(Boolean);
+  if (keyReason) return keyReason;
+  // Init sections have no media sequence number to derive an IV from
+  if (segments.some(segment => segment.map?.key && !segment.map.key.iv)) return 'The encrypted init segment has no IV';
+  if (segments.some(segment => segment.map) && !segments.every(segment => segment.map)) {
+    return 'Playlists mixing TS and fMP4 segments can\'t be saved in the browser';
+  }
+  return null;
+}
+
+/**
+ * Explains why a stream can't be downloaded in the browser because of its audio. Audio in a
+ * separate rendition (#EXT-X-MEDIA with a URI) is a playlist of its own, which would have to be
+ * downloaded alongside the video and muxed with it; audio without a URI is part of the variant.
+ * @param {?Object} audioTrack - The audio rendition that plays with the variant (see parseAudioGroups)
+ * @returns {string|null} The reason, or null if the variant carries its own audio
+ */
+export function getAudioUnsupportedReason(audioTrack) {
+  if (!audioTrack?.url) return null;
+  return 'The audio is a separate rendition, which the browser downloader can\'t add; save the stream with ffmpeg or yt-dlp';
+}
+
+/**
+ * Identifies an init section by its URL and byte range
+ * @param {Object} map - Init section from parseMediaPlaylist
+ * @returns {string} The key
+ */
+function initSectionKey(map) {
+  return map.byteRange ? `${map.url}#${map.byteRange.offset}-${map.byteRange.length}` : map.url;
+}
+
+/**
+ * Splits the segments into output files. TS segments all go into one file. fMP4 segments need
+ * their init section in front, and an MP4 can only have one, so a new file starts wherever the
+ * init section changes (usually at a discontinuity, e.g. around an ad). Init sections with
+ * identical bytes count as the same one.
+ * @param {Array<Object>} segments - Segments from parseMediaPlaylist
+ * @param {Map<string, string>} [initSections] - Init section data (base64) by initSectionKey, for fMP4
+ * @returns {Array<{init: string|null, segments: number[]}>} Files, each with its init data and segment indexes
+ */
+export function planOutputFiles(segments, initSections = new Map()) {
+  const files = [];
+  let current = null;
+  segments.forEach((segment, index) => {
+    const init = segment.map ? initSections.get(initSectionKey(segment.map)) : null;
+    if (!current || current.init !== init) {
+      current = { init, segments: [] };
+      files.push(current);
+    }
+    current.segments.push(index);
+  });
+  return files;
+}
+
+/**
+ * Fetches the playlist to download: the stream's own media playlist, or the highest-bandwidth
+ * variant when the stream is a master playlist (no variant was picked in the popup)
+ * @param {string} url - Playlist URL
+ * @param {function(string): Promise<string>} fetchText - Fetches a text resource
+ * @returns {Promise<Object>} Parsed media playlist (see parseMediaPlaylist)
+ * @throws {Error} If the master playlist has no variants, or the variant's default audio is a separate rendition
+ */
+export async function loadMediaPlaylist(url, fetchText) {
+  const content = await fetchText(url);
+  const master = parseHLSMasterPlaylistContent(url, content);
+  if (!master.isMasterPlaylist) return parseMediaPlaylist(url, content);
+
+  const variant = master.variants.find(entry => entry.url);
+  if (!variant) throw new Error('The master playlist has no variants');
+  const audioReason = getAudioUnsupportedReason(variant.audioTracks.find(track => track.isDefault) || variant.audioTracks[0]);
+  if (audioReason) throw new Error(audioReason);
+  return parseMediaPlaylist(variant.url, await fetchText(variant.url));
+}
+
+/**
+ * Downloads HLS streams segment by segment and tracks their progress.
+ * Nothing is fetched until the first start, so importing the module has no side effects.
+ */
+class HlsDownloader {
+  constructor() {
+    /**
+     * Jobs by ID: {id, title, filename, files, state, total, done, bytes, message, warning, stopping, startedAt},
+     * state being 'starting', 'running', 'saving', 'finished' or 'failed'; filename is the first
+     * of the saved files, known once the playlist is loaded; warning explains why a file was saved
+     * differently than planned (e.g. as TS when it couldn't be remuxed)
+     * @type {Map<number, Object>}
+     * @private
+     */
+    this._jobs = new Map();
+
+    /**
+     * Status listeners, called with a copy of the job after every change
+     * @type {Array<Function>}
+     * @private
+     */
+    this._listeners = [];
+
+    /** @private */
+    this._nextId = 1;
+  }
+
+  /**
+   * Registers a listener for job status changes
+   * @param {function(Object): void} callback - Called with a copy of the changed job
+   */
+  onStatus(callback) {
+    this._listeners.push(callback);
+  }
+
+  /**
+   * Returns the jobs, newest first
+   * @returns {Array<Object>} Copies of the jobs
+   */
+  getJobs() {
+    return [...this._jobs.values()].reverse().map(job => ({ ...job }));
+  }
+
+  /**
+   * Whether a job is still fetching or saving
+   * @returns {boolean} True if any job is active
+   */
+  isBusy() {
+    return [...this._jobs.values()].some(job => job.state !== 'finished' && job.state !== 'failed');
+  }
+
+  /**
+   * Updates a job and notifies the listeners
+   * @param {Object} job - The job
+   * @param {Object} changes - Changed fields
+   * @private
+   */
+  _update(job, changes) {
+    Object.assign(job, changes);
+    for (const callback of this._listeners) {
+      try {
+        callback({ ...job });
+      } catch (e) {
+        console.error('[HlsDownloader] Error in status listener:', e);
+      }
+    }
+  }
+
+  /**
+   * Drops the oldest finished jobs beyond MAX_FINISHED_JOBS
+   * @private
+   */
+  _prune() {
+    const finished = [...this._jobs.values()].filter(job => job.state === 'finished' || job.state === 'failed');
+    finished.slice(0, Math.max(0, finished.length - MAX_FINISHED_JOBS)).forEach(job => this._jobs.delete(job.id));
+  }
+
+  /**
+   * Starts downloading a stream. The returned job is already running; its progress is reported
+   * to the status listeners.
+   * @param {Object} source - What to download
+   * @param {string} source.url - HLS playlist URL (a media playlist, or a master playlist)
+   * @param {string} [source.title] - Title, used for the file name
+   * @param {Object} [source.audioTrack] - Audio rendition picked in the popup (streams with
+   *   separate audio are refused, see getAudioUnsupportedReason)
+   * @param {Object} io - I/O provided by the service worker
+   * @param {function(string): Promise<string>} io.fetchText - Fetches a playlist
+   * @param {function(string, ?{offset: number, length: number}): Promise<string>} io.fetchSegment - Fetches a
+   *   segment or init section (or the given byte range of it) as base64
+   * @param {function(string): Promise<string>} io.fetchKey - Fetches an AES-128 key as base64
+   * @param {function(number, number, string): Promise<void>} io.append - Stores data (job ID, part index, base64)
+   * @param {function(number, Array<Object>, function(string): void): Promise<Array<{filename: string, warning: ?string}>>} io.save -
+   *   Joins the stored parts first to last (inclusive) into each file, remuxing them to MP4 when the file says so
+   *   ({filename, mimeType, first, last, remux: null, 'mp4' or 'fmp4'}), and saves them. Reports its progress
+   *   through the callback and resolves with the names the files were saved under.
+   * @param {function(number): Promise<void>} io.discard - Drops the stored segments of a failed job
+   * @param {Object} [options={}] - Download options
+   * @param {number} [options.concurrency=DOWNLOAD_CONCURRENCY] - Segments fetched at once
+   * @param {number} [options.retries=DOWNLOAD_RETRIES] - Retries per segment
+   * @param {string} [options.container=DOWNLOAD_CONTAINER] - Container of TS streams: 'mp4', 'fmp4' or 'ts'
+   * @returns {Object} A copy of the job
+   */
+  start(source, io, options = {}) {
+    const job = {
+      id: this._nextId++,
+      title: source.title || '',
+      filename: '',
+      files: [],
+      state: 'starting',
+      total: 0,
+      done: 0,
+      bytes: 0,
+      message: '',
+      warning: '',
+      stopping: false,
+      startedAt: Date.now()
+    };
+    this._jobs.set(job.id, job);
+
+    this._run(job, source, io, {
+      concurrency: options.concurrency ?? DOWNLOAD_CONCURRENCY,
+      retries: options.retries ?? DOWNLOAD_RETRIES,
+      container: options.container ?? DOWNLOAD_CONTAINER
+    });
+    return { ...job };
+  }
+
+  /**
+   * Runs a job until it is saved, fails or is cancelled
+   * @param {Object} job - The job
+   * @param {{url: string, audioTrack: ?Object}} source - What to download (see start)
+   * @param {Object} io - I/O (see start)
+   * @param {{concurrency: number, retries: number, container: string}} options - Download options
+   * @returns {Promise<void>} Settles when the job has ended; never rejects
+   * @private
+   */
+  async _run(job, { url, audioTrack }, io, { concurrency, retries, container }) {
+    try {
+      const audioReason = getAudioUnsupportedReason(audioTrack);
+      if (audioReason) throw new Error(audioReason);
+      const playlist = await loadMediaPlaylist(url, io.fetchText);
+      const reason = getUnsupportedReason(playlist);
+      if (reason) throw new Error(reason);
+      if (job.stopping) throw new Error('Cancelled');
+
+      const { segments } = playlist;
+      const isFmp4 = !!segments[0].map;
+      this._update(job, { state: 'running', total: segments.length });
+
+      // Keys by URI: a playlist may rotate keys, and each one is fetched once
+      const keys = new Map();
+      const getKey = (uri) => {
+        if (!keys.has(uri)) {
+          keys.set(uri, this._withRetries(() => io.fetchKey(uri), retries, job)
+            .then(data => importAesKey(base64ToBytes(data))));
+        }
+        return keys.get(uri);
+      };
+      // Fetches a segment or init section and decrypts it
+      const fetchPart = async (part) => {
+        const data = await this._withRetries(() => io.fetchSegment(part.url, part.byteRange), retries, job);
+        if (!part.key) return data;
+        return bytesToBase64(await decryptSegment(base64ToBytes(data), await getKey(part.key.uri), segmentIv(part)));
+      };
+
+      // Init sections are fetched first, since they decide how the output is split
+      const initSections = new Map();
+      for (const { map } of isFmp4 ? segments : []) {
+        const key = initSectionKey(map);
+        if (initSections.has(key)) continue;
+        try {
+          initSections.set(key, await fetchPart(map));
+        } catch (error) {
+          throw new Error(`Init segment: ${error.message}`);
+        }
+      }
+
+      // Parts are numbered in file order: each file's init section, then its segments
+      const baseName = normalizeFilename(job.title);
+      const remux = !isFmp4 && container !== 'ts' ? container : null;
+      const extension = isFmp4 || remux ? 'mp4' : 'ts';
+      const plans = planOutputFiles(segments, initSections);
+      const partIndexes = [];
+      const files = [];
+      let nextPart = 0;
+      for (const [fileIndex, plan] of plans.entries()) {
+        const first = nextPart;
+        if (plan.init) {
+          await io.append(job.id, nextPart++, plan.init);
+          job.bytes += base64ByteLength(plan.init);
+        }
+        plan.segments.forEach((index) => { partIndexes[index] = nextPart++; });
+        files.push({
+          filename: plans.length > 1 ? `${baseName} (part ${fileIndex + 1}).${extension}` : `${baseName}.${extension}`,
+          mimeType: isFmp4 || remux ? 'video/mp4' : 'video/mp2t',
+          remux,
+          first,
+          last: nextPart - 1
+        });
+      }
+      this._update(job, { filename: files[0].filename, files: files.map(file => file.filename) });
+
+      // Each worker takes the next segment until none are left; a segment that still fails
+      // after its retries fails the whole job, since a gap would corrupt the file
+      let next = 0;
+      let failure = null;
+      const worker = async () => {
+        while (next < segments.length && !job.stopping && !failure) {
+          const index = next++;
+          try {
+            const data = await fetchPart(segments[index]);
+            await io.append(job.id, partIndexes[index], data);
+            this._update(job, { done: job.done + 1, bytes: job.bytes + base64ByteLength(data) });
+          } catch (error) {
+            failure ??= new Error(`Segment ${index + 1} of ${segments.length}: ${error.message}`);
+          }
+        }
+      };
+      await Promise.all(Array.from({ length: Math.min(Math.max(1, concurrency), segments.length) }, worker));
+      if (failure) throw failure;
+      if (job.stopping) throw new Error('Cancelled');
+
+      this._update(job, { state: 'saving' });
+      const saved = await io.save(job.id, files, message => this._update(job, { message }));
+      this._update(job, {
+        state: 'finished',
+        filename: saved[0].filename,
+        files: saved.map(file => file.filename),
+        message: 'Saved',
+        warning: saved.map(file => file.warning).find(Boolean) || ''
+      });
+    } catch (error) {
+      await io.discard(job.id).catch(e => console.warn('[HlsDownloader] Failed to discard segments:', e));
+      this._update(job, { state: 'failed', message: error.message });
+    }
+    this._prune();
+  }
+
+  /**
+   * Runs a fetch, retrying with a growing delay
+   * @param {function(): Promise<string>} fetchData - Fetches a segment, init section or key
+   * @param {number} retries - Retries after the first attempt
+   * @param {Object} job - The job; retries stop when it is cancelled
+   * @returns {Promise<string>} The data as base64
+   * @private
+   */
+  async _withRetries(fetchData, retries, job) {
+    let lastError = null;
+    for (let attempt = 0; attempt <= retries; attempt++) {
+      if (attempt > 0) {
+        if (job.stopping) break;
+        await delay(RETRY_DELAY_MS * 2 ** (attempt - 1));
+      }
+      try {
+        return await fetchData();
+      } catch (error) {
+        lastError = error;
+      }
+    }
+    throw lastError || new Error('Cancelled');
+  }
+
+  /**
+   * Cancels a job; segments being fetched finish first, then the collected data is dropped
+   * @param {number} id - Job ID
+   * @returns {boolean} True if the job was still active
+   */
+  cancel(id) {
+    const job = this._jobs.get(id);
+    if (!job || job.stopping || job.state === 'saving' || job.state === 'finished' || job.state === 'failed') {
+      return false;
+    }
+    this._update(job, { stopping: true, message: 'Cancelling…' });
+    return true;
+  }
+}
+
+/**
+ * Shared downloader instance for the service worker
+ * @type {HlsDownloader}
+ */
+export const hlsDownloader = new HlsDownloader();
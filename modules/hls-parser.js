@@ -1,12 +1,12 @@
 /**
  * HLS Parser Module for Stream + Subtitle Catcher Extension
  * Handles all HLS playlist parsing logic including master playlists,
- * variant extraction, codec parsing, and duration calculation.
+ * variant extraction, codec parsing, and media playlist analysis.
  * @module modules/hls-parser
  */
 
-import { FORBIDDEN_HEADERS, FETCH_TIMEOUT_MS } from './constants.js';
-import { storage } from './storage.js';
+import { FORBIDDEN_HEADERS } from './constants.js';
+import { getSettings } from './settings.js';
 import { resolveUrl, formatBitrate, formatSize, formatDuration } from './utils.js';
 
 /**
@@ -65,37 +65,91 @@ export function parseAudioCodec(codecsString) {
 }
 
 /**
- * Parse audio groups from #EXT-X-MEDIA tags
+ * Parse an HLS attribute list (e.g. `TYPE=SUBTITLES,NAME="English, SDH",DEFAULT=YES`)
+ * Quoted values may contain commas, so a plain split is not enough.
+ * @param {string} line - Tag line including the tag name (e.g. "#EXT-X-MEDIA:...")
+ * @returns {Object<string, string>} Map of attribute name to unquoted value
+ */
+export function parseAttributeList(line) {
+  const attributes = {};
+  const body = line.slice(line.indexOf(':') + 1);
+  const attrRe = /([A-Z0-9-]+)=("[^"]*"|[^,]*)/g;
+  let match;
+
+  while ((match = attrRe.exec(body)) !== null) {
+    const value = match[2];
+    attributes[match[1]] = value.startsWith('"') ? value.slice(1, -1) : value;
+  }
+
+  return attributes;
+}
+
+/**
+ * Parse audio renditions from #EXT-X-MEDIA TYPE=AUDIO tags, grouped by GROUP-ID
  * @param {string[]} lines - Array of playlist lines
- * @returns {Map<string, string[]>} Map of group-id to array of audio track languages
+ * @param {string} baseUrl - Playlist URL used to resolve rendition URIs
+ * @returns {Map<string, Object[]>} Map of group-id to audio renditions, each with
+ *   groupId, name, language, channels, isDefault, autoselect and url
+ *   (url is null when the audio is muxed into the variant stream)
  */
-export function parseAudioGroups(lines) {
-  const audioGroups = new Map(); // group-id -> array of audio tracks
+export function parseAudioGroups(lines, baseUrl) {
+  const audioGroups = new Map(); // group-id -> array of audio renditions
 
   for (const line of lines) {
-    if (line.startsWith('#EXT-X-MEDIA:')) {
-      const typeMatch = line.match(/TYPE=([^,\s]+)/);
-      if (!typeMatch || typeMatch[1] !== 'AUDIO') continue;
-
-      const groupIdMatch = line.match(/GROUP-ID="([^"]+)"/);
-      const languageMatch = line.match(/LANGUAGE="([^"]+)"/);
-      const nameMatch = line.match(/NAME="([^"]+)"/);
+    if (!line.startsWith('#EXT-X-MEDIA:')) continue;
 
-      if (groupIdMatch) {
-        const groupId = groupIdMatch[1];
-        const language = languageMatch ? languageMatch[1] : (nameMatch ? nameMatch[1] : 'unknown');
+    const attrs = parseAttributeList(line);
+    if (attrs.TYPE !== 'AUDIO' || !attrs['GROUP-ID']) continue;
 
-        if (!audioGroups.has(groupId)) {
-          audioGroups.set(groupId, []);
-        }
-        audioGroups.get(groupId).push(language);
-      }
+    const groupId = attrs['GROUP-ID'];
+    if (!audioGroups.has(groupId)) {
+      audioGroups.set(groupId, []);
     }
+    audioGroups.get(groupId).push({
+      groupId,
+      name: attrs.NAME || null,
+      language: attrs.LANGUAGE || null,
+      // CHANNELS is "6" or "16/JOC"; only the count matters for display and selection
+      channels: parseInt(attrs.CHANNELS, 10) || null,
+      isDefault: attrs.DEFAULT === 'YES',
+      autoselect: attrs.AUTOSELECT === 'YES',
+      url: attrs.URI ? resolveUrl(baseUrl, attrs.URI) : null
+    });
   }
 
   return audioGroups;
 }
 
+/**
+ * Parse subtitle renditions from #EXT-X-MEDIA TYPE=SUBTITLES tags
+ * @param {string[]} lines - Array of playlist lines
+ * @param {string} baseUrl - Playlist URL used to resolve rendition URIs
+ * @returns {Array<Object>} Subtitle renditions with groupId, name, language,
+ *   isDefault, autoselect, forced and url (renditions without a URI are skipped)
+ */
+export function parseSubtitleRenditions(lines, baseUrl) {
+  const renditions = [];
+
+  for (const line of lines) {
+    if (!line.startsWith('#EXT-X-MEDIA:')) continue;
+
+    const attrs = parseAttributeList(line);
+    if (attrs.TYPE !== 'SUBTITLES' || !attrs.URI) continue;
+
+    renditions.push({
+      groupId: attrs['GROUP-ID'] || null,
+      name: attrs.NAME || null,
+      language: attrs.LANGUAGE || null,
+      isDefault: attrs.DEFAULT === 'YES',
+      autoselect: attrs.AUTOSELECT === 'YES',
+      forced: attrs.FORCED === 'YES',
+      url: resolveUrl(baseUrl, attrs.URI)
+    });
+  }
+
+  return renditions;
+}
+
 /**
  * Derive display name for variant
  * @param {Object} variant - Variant object with resolution, codec, bitrate properties
@@ -115,7 +169,174 @@ export function deriveVariantName(variant) {
 }
 
 /**
- * Fetch and parse media playlist to calculate total duration
+ * Parse a BYTERANGE value of the form "<length>[@<offset>]"
+ * @param {string} value - Raw byte range value
+ * @param {number|null} nextOffset - Offset following the previous sub-range of the same resource
+ * @returns {Object|null} Byte range { length, offset }, or null if invalid
+ */
+function parseByteRange(value, nextOffset) {
+  const match = String(value).trim().match(/^(\d+)(?:@(\d+))?$/);
+  if (!match) return null;
+
+  const length = parseInt(match[1], 10);
+  const offset = match[2] !== undefined ? parseInt(match[2], 10) : (nextOffset ?? 0);
+  return { length, offset };
+}
+
+/**
+ * Parse an HLS media playlist into its segments and playlist-level tags
+ * Each segment carries the key and init section (EXT-X-MAP, with the key in effect at the tag) that apply to it,
+ * its byte range (with implicit offsets resolved) and its media sequence number.
+ * @param {string} url - URL of the media playlist (used to resolve relative URIs)
+ * @param {string} content - Raw playlist content
+ * @returns {Object} Parsed playlist: { segments, targetDuration, mediaSequence,
+ *   playlistType, hasEndList, version }
+ */
+export function parseMediaPlaylist(url, content) {
+  const lines = String(content || '').split('\n').map(l => l.trim()).filter(l => l);
+
+  const playlist = {
+    segments: [],
+    targetDuration: null,
+    mediaSequence: 0,
+    playlistType: null,
+    hasEndList: false,
+    version: null
+  };
+
+  let key = null;
+  let map = null;
+  let pendingDuration = null;
+  let pendingTitle = '';
+  let pendingByteRange = null;
+  let pendingDiscontinuity = false;
+  let bitrate = null;
+  // Implicit byte range offsets continue from the previous sub-range of the same URI
+  let lastRangeEnd = null;
+  let lastRangeUrl = null;
+
+  for (const line of lines) {
+    if (line.startsWith('#EXT-X-TARGETDURATION:')) {
+      playlist.targetDuration = parseFloat(line.substring(22)) || null;
+    } else if (line.startsWith('#EXT-X-MEDIA-SEQUENCE:')) {
+      playlist.mediaSequence = parseInt(line.substring(22), 10) || 0;
+    } else if (line.startsWith('#EXT-X-PLAYLIST-TYPE:')) {
+      playlist.playlistType = line.substring(21).trim().toUpperCase();
+    } else if (line.startsWith('#EXT-X-VERSION:')) {
+      playlist.version = parseInt(line.substring(15), 10) || null;
+    } else if (line === '#EXT-X-ENDLIST') {
+      playlist.hasEndList = true;
+    } else if (line === '#EXT-X-DISCONTINUITY') {
+      pendingDiscontinuity = true;
+    } else if (line.startsWith('#EXT-X-KEY:')) {
+      const attrs = parseAttributeList(line);
+      const method = (attrs.METHOD || 'NONE').toUpperCase();
+      key = method === 'NONE' ? null : {
+        method,
+        uri: attrs.URI ? resolveUrl(url, attrs.URI) : null,
+        iv: attrs.IV || null,
+        keyFormat: attrs.KEYFORMAT || null
+      };
+    } else if (line.startsWith('#EXT-X-MAP:')) {
+      const attrs = parseAttributeList(line);
+      // An init section is encrypted with the key preceding its EXT-X-MAP tag
+      map = attrs.URI ? {
+        url: resolveUrl(url, attrs.URI),
+        byteRange: attrs.BYTERANGE ? parseByteRange(attrs.BYTERANGE, 0) : null,
+        key
+      } : null;
+    } else if (line.startsWith('#EXT-X-BYTERANGE:')) {
+      pendingByteRange = line.substring(17);
+    } else if (line.startsWith('#EXT-X-BITRATE:')) {
+      // Approximate segment bitrate in kbps, applies until the next EXT-X-BITRATE
+      const kbps = parseFloat(line.substring(15));
+      bitrate = kbps > 0 ? Math.round(kbps * 1000) : null;
+    } else if (line.startsWith('#EXTINF:')) {
+      // #EXTINF:<duration>,[<title>]
+      const match = line.match(/^#EXTINF:([\d.]+)\s*,?(.*)$/);
+      pendingDuration = match ? parseFloat(match[1]) : 0;
+      pendingTitle = match ? match[2].trim() : '';
+    } else if (!line.startsWith('#')) {
+      if (pendingDuration === null) continue;
+
+      const segmentUrl = resolveUrl(url, line);
+      let byteRange = null;
+      if (pendingByteRange !== null) {
+        const nextOffset = lastRangeUrl === segmentUrl ? lastRangeEnd : null;
+        byteRange = parseByteRange(pendingByteRange, nextOffset);
+        if (byteRange) {
+          lastRangeEnd = byteRange.offset + byteRange.length;
+          lastRangeUrl = segmentUrl;
+        }
+      }
+
+      playlist.segments.push({
+        url: segmentUrl,
+        duration: pendingDuration,
+        title: pendingTitle,
+        sequence: playlist.mediaSequence + playlist.segments.length,
+        byteRange,
+        bitrate,
+        key,
+        map,
+        discontinuity: pendingDiscontinuity
+      });
+
+      pendingDuration = null;
+      pendingTitle = '';
+      pendingByteRange = null;
+      pendingDiscontinuity = false;
+    }
+  }
+
+  return playlist;
+}
+
+/**
+ * Summarize a parsed media playlist into the flags shown on a stream card
+ * Bandwidth is measured from byte ranges when every segment has one, otherwise it is
+ * the duration-weighted average of the EXT-X-BITRATE hints (null if neither is present).
+ * @param {Object} playlist - Result of parseMediaPlaylist
+ * @returns {Object} Summary: { segmentCount, duration, targetDuration, bandwidth, encryption,
+ *   keyFormat, isFmp4, hasByteRange, discontinuityCount, hasEndList, isLive, playlistType }
+ */
+export function summarizeMediaPlaylist(playlist) {
+  const { segments } = playlist;
+  const encryptedSegment = segments.find(segment => segment.key);
+  const duration = segments.reduce((total, segment) => total + segment.duration, 0);
+
+  let bandwidth = null;
+  if (duration > 0 && segments.every(segment => segment.byteRange)) {
+    const totalBytes = segments.reduce((total, segment) => total + segment.byteRange.length, 0);
+    bandwidth = Math.round((totalBytes * 8) / duration);
+  } else {
+    const hinted = segments.filter(segment => segment.bitrate && segment.duration > 0);
+    const hintedDuration = hinted.reduce((total, segment) => total + segment.duration, 0);
+    if (hintedDuration > 0) {
+      const weighted = hinted.reduce((total, segment) => total + segment.bitrate * segment.duration, 0);
+      bandwidth = Math.round(weighted / hintedDuration);
+    }
+  }
+
+  return {
+    segmentCount: segments.length,
+    duration: duration > 0 ? duration : null,
+    targetDuration: playlist.targetDuration,
+    bandwidth,
+    encryption: encryptedSegment ? encryptedSegment.key.method : null,
+    keyFormat: encryptedSegment ? encryptedSegment.key.keyFormat : null,
+    isFmp4: segments.some(segment => segment.map),
+    hasByteRange: segments.some(segment => segment.byteRange),
+    discontinuityCount: segments.filter(segment => segment.discontinuity).length,
+    hasEndList: playlist.hasEndList,
+    // EVENT playlists grow until ENDLIST appears, so only ENDLIST or VOD means finished
+    isLive: !playlist.hasEndList && playlist.playlistType !== 'VOD',
+    playlistType: playlist.playlistType
+  };
+}
+
+/**
+ * Fetch and analyze a media playlist
  * Requires dependencies from the service worker for content script communication
  * @param {string} mediaUrl - URL of the media playlist
  * @param {number} tabId - Tab ID for content script communication
@@ -123,9 +344,9 @@ export function deriveVariantName(variant) {
  * @param {Function} ensureContentScriptReady - Function to ensure content script is ready
  * @param {Function} getSafeHeadersForContentScript - Function to get safe headers for content script
  * @param {number} [retries=3] - Number of retry attempts
- * @returns {Promise<number|null>} Total duration in seconds, or null if calculation fails
+ * @returns {Promise<Object|null>} Playlist summary (see summarizeMediaPlaylist), or null if fetching fails
  */
-export async function getMediaPlaylistDuration(
+export async function getMediaPlaylistInfo(
   mediaUrl,
   tabId,
   headers = {},
@@ -158,11 +379,15 @@ export async function getMediaPlaylistDuration(
       console.log('[HLS Parser] URL:', mediaUrl);
       console.log('[HLS Parser] Headers being sent:', JSON.stringify(safeHeaders, null, 2));
 
+      // Only the top frame's content script answers: each frame would fetch, and the first
+      // (possibly failing, cross-origin) reply would win
+      const { playlistFetchTimeoutMs } = await getSettings();
       const response = await chrome.tabs.sendMessage(tabId, {
         action: 'fetchMediaPlaylist',
         url: mediaUrl,
-        headers: safeHeaders
-      });
+        headers: safeHeaders,
+        timeoutMs: playlistFetchTimeoutMs
+      }, { frameId: 0 });
 
       console.log('[HLS Parser] Received response from content script:', response);
 
@@ -171,28 +396,13 @@ export async function getMediaPlaylistDuration(
         continue;
       }
 
-      const content = response.content;
-      const lines = content.split('\n').map(l => l.trim()).filter(l => l);
-
-      let totalDuration = 0;
-
-      for (const line of lines) {
-        if (line.startsWith('#EXTINF:')) {
-          // Parse duration from #EXTINF:10.000, or #EXTINF:10,
-          const durationMatch = line.match(/#EXTINF:([\d.]+)/);
-          if (durationMatch) {
-            totalDuration += parseFloat(durationMatch[1]);
-          }
-        }
-      }
-
-      return totalDuration > 0 ? totalDuration : null;
+      return summarizeMediaPlaylist(parseMediaPlaylist(mediaUrl, response.content));
     } catch (error) {
       lastError = error;
     }
   }
 
-  console.warn('[HLS Parser] Failed to get media playlist duration after', retries, 'attempts:', lastError?.message);
+  console.warn('[HLS Parser] Failed to analyze media playlist after', retries, 'attempts:', lastError?.message);
   return null;
 }
 
@@ -200,7 +410,9 @@ export async function getMediaPlaylistDuration(
  * Parse HLS master playlist content (used when content is already fetched)
  * @param {string} url - URL of the playlist
  * @param {string} content - Raw playlist content
- * @returns {Object} Parsed playlist info with isMasterPlaylist flag and variants array
+ * @returns {Object} Parsed playlist info with isMasterPlaylist flag, variants array
+ *   and subtitles array (subtitle renditions declared by the master playlist);
+ *   media playlists carry their analysis instead (isMediaPlaylist, mediaPlaylist)
  */
 export function parseHLSMasterPlaylistContent(url, content) {
   try {
@@ -208,12 +420,18 @@ export function parseHLSMasterPlaylistContent(url, content) {
 
     // Check if this is a master playlist
     if (!lines.some(l => l.startsWith('#EXT-X-STREAM-INF'))) {
-      // Not a master playlist (might be a media playlist)
-      return { isMasterPlaylist: false, variants: [] };
+      // Not a master playlist: analyze it as a media playlist instead
+      const mediaPlaylist = summarizeMediaPlaylist(parseMediaPlaylist(url, content));
+      return {
+        isMasterPlaylist: false,
+        variants: [],
+        isMediaPlaylist: mediaPlaylist.segmentCount > 0,
+        mediaPlaylist
+      };
     }
 
     // Parse audio groups first (before processing variants)
-    const audioGroups = parseAudioGroups(lines);
+    const audioGroups = parseAudioGroups(lines, url);
 
     const variants = [];
     let currentVariant = null;
@@ -274,6 +492,9 @@ export function parseHLSMasterPlaylistContent(url, content) {
         currentVariant.url = resolveUrl(url, line);
 
         // Process variant data
+        const audioTracks = currentVariant.audio && audioGroups.has(currentVariant.audio)
+          ? audioGroups.get(currentVariant.audio)
+          : [];
         const variant = {
           url: currentVariant.url,
           bandwidth: currentVariant.bandwidth,
@@ -283,9 +504,9 @@ export function parseHLSMasterPlaylistContent(url, content) {
           audioCodec: parseAudioCodec(currentVariant.codecs),
           codecs: currentVariant.codecs,
           frameRate: currentVariant.frameRate,
-          audioLanguages: currentVariant.audio && audioGroups.has(currentVariant.audio)
-            ? audioGroups.get(currentVariant.audio)
-            : []
+          audioGroup: currentVariant.audio,
+          audioTracks,
+          audioLanguages: audioTracks.map(track => track.language || track.name || 'unknown')
         };
 
         variant.name = deriveVariantName(variant);
@@ -296,7 +517,8 @@ export function parseHLSMasterPlaylistContent(url, content) {
 
     return {
       isMasterPlaylist: true,
-      variants: variants.sort((a, b) => (b.bandwidth || 0) - (a.bandwidth || 0))
+      variants: variants.sort((a, b) => (b.bandwidth || 0) - (a.bandwidth || 0)),
+      subtitles: parseSubtitleRenditions(lines, url)
     };
   } catch (error) {
     console.warn('[HLS Parser] Failed to parse HLS master playlist content:', error);
@@ -330,10 +552,11 @@ export async function parseHLSMasterPlaylist(url, headers = {}) {
       }
     });
 
+    const { fetchTimeoutMs } = await getSettings();
     const response = await fetch(url, {
       method: 'GET',
       headers: fetchHeaders,
-      signal: AbortSignal.timeout(FETCH_TIMEOUT_MS),
+      signal: AbortSignal.timeout(fetchTimeoutMs),
       referrer: headers.Referer || headers.referer || '',
       referrerPolicy: 'no-referrer-when-downgrade'
     });
@@ -351,7 +574,38 @@ export async function parseHLSMasterPlaylist(url, headers = {}) {
 }
 
 /**
- * Enrich HLS item data with duration and estimated sizes for variants
+ * Enrich a captured single-rendition (media) playlist with its own analysis,
+ * so it shows the same duration, bitrate and size details as a master variant
+ * @param {Object} itemData - The HLS item data object to enrich
+ * @param {Object} mediaPlaylist - Summary from summarizeMediaPlaylist
+ * @returns {Object} Enriched item data
+ */
+function enrichMediaPlaylistItem(itemData, mediaPlaylist) {
+  itemData.mediaPlaylist = mediaPlaylist;
+  itemData.isLive = mediaPlaylist.isLive;
+
+  if (mediaPlaylist.bandwidth) {
+    itemData.bandwidth = mediaPlaylist.bandwidth;
+    itemData.bitrate = formatBitrate(mediaPlaylist.bandwidth);
+  }
+
+  // Live windows say nothing about the length of the stream (see enrichHlsItem)
+  const duration = mediaPlaylist.isLive ? null : mediaPlaylist.duration;
+  if (duration) {
+    itemData.duration = duration;
+    itemData.durationFormatted = formatDuration(duration);
+
+    if (mediaPlaylist.bandwidth) {
+      itemData.estimatedSize = (duration * mediaPlaylist.bandwidth) / 8;
+      itemData.estimatedSizeFormatted = formatSize(itemData.estimatedSize);
+    }
+  }
+
+  return itemData;
+}
+
+/**
+ * Enrich HLS item data with media playlist analysis, duration and estimated sizes for variants
  * Requires dependencies from the service worker for content script communication
  * @param {Object} itemData - The HLS item data object to enrich
  * @param {Object} playlistInfo - Parsed playlist info from parseHLSMasterPlaylistContent
@@ -367,6 +621,10 @@ export async function enrichHlsItem(
   ensureContentScriptReady,
   getSafeHeadersForContentScript
 ) {
+  if (playlistInfo.isMediaPlaylist) {
+    return enrichMediaPlaylistItem(itemData, playlistInfo.mediaPlaylist);
+  }
+
   if (!playlistInfo.isMasterPlaylist || playlistInfo.variants.length === 0) {
     return itemData;
   }
@@ -375,17 +633,25 @@ export async function enrichHlsItem(
   itemData.variants = playlistInfo.variants;
   itemData.name = itemData.name.replace(/\.m3u8$/i, '') + ' (Master)';
 
-  // Fetch duration from the first variant (highest quality, already sorted by bandwidth)
+  // Analyze the first variant (highest quality, already sorted by bandwidth)
   const firstVariant = playlistInfo.variants[0];
   if (firstVariant && firstVariant.url) {
     try {
-      const duration = await getMediaPlaylistDuration(
+      const mediaInfo = await getMediaPlaylistInfo(
         firstVariant.url,
         tabId,
         itemData.headers,
         ensureContentScriptReady,
         getSafeHeadersForContentScript
       );
+      if (mediaInfo) {
+        itemData.mediaPlaylist = mediaInfo;
+        itemData.isLive = mediaInfo.isLive;
+      }
+
+      // A live playlist only lists the current window, so its duration says
+      // nothing about the length of the stream and size estimates would mislead
+      const duration = mediaInfo?.isLive ? null : mediaInfo?.duration;
       if (duration) {
         itemData.duration = duration;
         itemData.durationFormatted = formatDuration(duration);
@@ -399,8 +665,8 @@ export async function enrichHlsItem(
           })
         }));
       }
-    } catch (durationError) {
-      console.warn('[HLS Parser] Failed to fetch duration for HLS stream:', durationError);
+    } catch (analysisError) {
+      console.warn('[HLS Parser] Failed to analyze media playlist for HLS stream:', analysisError);
     }
   }
 
@@ -0,0 +1,192 @@
+/**
+ * Media Duration Module for Stream + Subtitle Catcher Extension
+ * @module modules/media-duration
+ *
+ * Reads the duration of a direct video file from a few of its bytes, for the minimum-duration
+ * capture rule (which only applies to direct files).
+ * MP4/MOV files keep it in the mvhd box of moov, which sits at the start of files prepared for
+ * streaming ("faststart") and otherwise after the media data, so the caller may have to read on
+ * at the offset returned here. WebM/Matroska files keep it in Segment > Info, near the start.
+ */
+
+/**
+ * EBML element IDs (with their length marker bits, as they appear in the file)
+ * @constant {Object<string, number>}
+ */
+const EBML = {
+  HEADER: 0x1A45DFA3,
+  SEGMENT: 0x18538067,
+  INFO: 0x1549A966,
+  TIMECODE_SCALE: 0x2AD7B1,
+  DURATION: 0x4489,
+  CLUSTER: 0x1F43B675
+};
+
+/**
+ * Matroska's default TimecodeScale: durations count milliseconds
+ * @constant {number}
+ */
+const DEFAULT_TIMECODE_SCALE = 1000000;
+
+/**
+ * Reads a four-character box type
+ * @param {Uint8Array} bytes - Data
+ * @param {number} offset - Offset of the type
+ * @returns {string} The type
+ */
+function boxType(bytes, offset) {
+  return String.fromCharCode(bytes[offset], bytes[offset + 1], bytes[offset + 2], bytes[offset + 3]);
+}
+
+/**
+ * Tells the container of a file from its first bytes
+ * @param {Uint8Array} bytes - Start of the file
+ * @returns {'mp4'|'webm'|null} The container, or null if neither
+ */
+export function detectContainer(bytes) {
+  if (bytes.length >= 4 && new DataView(bytes.buffer, bytes.byteOffset, 4).getUint32(0) === EBML.HEADER) return 'webm';
+  if (bytes.length >= 8 && ['ftyp', 'moov', 'free', 'skip', 'wide', 'mdat'].includes(boxType(bytes, 4))) return 'mp4';
+  return null;
+}
+
+/**
+ * Reads the duration from the mvhd box of a moov box
+ * @param {Uint8Array} bytes - Data
+ * @param {DataView} view - View of the same data
+ * @param {number} start - Offset of the moov payload
+ * @param {number} end - End of the moov box (or of the data, if it is cut off)
+ * @returns {?number} Duration in seconds, or null if mvhd isn't within the data
+ */
+function readMvhd(bytes, view, start, end) {
+  let offset = start;
+  while (offset + 8 <= end) {
+    const size = view.getUint32(offset);
+    if (boxType(bytes, offset + 4) === 'mvhd') {
+      const version = view.getUint8(offset + 8);
+      const fieldsEnd = offset + (version === 1 ? 40 : 28);
+      if (fieldsEnd > bytes.length) return null;
+      const timescale = view.getUint32(offset + (version === 1 ? 28 : 20));
+      const duration = version === 1 ? Number(view.getBigUint64(offset + 32)) : view.getUint32(offset + 24);
+      // All ones means unknown (e.g. fragmented files)
+      const unknown = version === 1 ? duration >= Number.MAX_SAFE_INTEGER : duration === 0xFFFFFFFF;
+      return timescale > 0 && duration > 0 && !unknown ? duration / timescale : null;
+    }
+    if (size < 8) return null;
+    offset += size;
+  }
+  return null;
+}
+
+/**
+ * Reads the duration of an MP4/MOV file from a run of its top-level boxes
+ * @param {Uint8Array} bytes - Data starting at a top-level box
+ * @param {number} [fileOffset=0] - Offset of the data within the file
+ * @returns {{duration: ?number, nextOffset: ?number}} Duration in seconds if moov was found; otherwise
+ *   the file offset of the first top-level box past the data, where reading should go on (null if
+ *   there is none, e.g. mdat runs to the end of the file, or the data isn't MP4)
+ */
+export function readMp4Duration(bytes, fileOffset = 0) {
+  const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+  let offset = 0;
+  while (offset + 8 <= bytes.length) {
+    let size = view.getUint32(offset);
+    let headerSize = 8;
+    if (size === 1) {
+      if (offset + 16 > bytes.length) break;
+      size = Number(view.getBigUint64(offset + 8));
+      headerSize = 16;
+    } else if (size === 0) {
+      // The box runs to the end of the file
+      return { duration: null, nextOffset: null };
+    }
+    if (size < headerSize) return { duration: null, nextOffset: null };
+
+    if (boxType(bytes, offset + 4) === 'moov') {
+      return { duration: readMvhd(bytes, view, offset + headerSize, Math.min(offset + size, bytes.length)), nextOffset: null };
+    }
+    offset += size;
+  }
+  return { duration: null, nextOffset: fileOffset + offset };
+}
+
+/**
+ * Reads an EBML variable-length integer
+ * @param {Uint8Array} bytes - Data
+ * @param {number} offset - Offset of the integer
+ * @param {boolean} keepMarker - Keep the length marker bit (element IDs) or drop it (sizes)
+ * @returns {?{value: number, length: number, unknown: boolean}} The integer, or null if cut off or invalid;
+ *   unknown is set for sizes with every value bit set (an element of unknown size)
+ */
+function readVint(bytes, offset, keepMarker) {
+  if (offset >= bytes.length) return null;
+  const first = bytes[offset];
+  let length = 1;
+  while (length <= 8 && !(first & (0x80 >> (length - 1)))) length++;
+  if (length > 8 || offset + length > bytes.length) return null;
+
+  let value = keepMarker ? first : first & (0xFF >> length);
+  let allOnes = value === (0xFF >> length);
+  for (let i = 1; i < length; i++) {
+    value = value * 256 + bytes[offset + i];
+    allOnes = allOnes && bytes[offset + i] === 0xFF;
+  }
+  return { value, length, unknown: !keepMarker && allOnes };
+}
+
+/**
+ * Reads an EBML element header
+ * @param {Uint8Array} bytes - Data
+ * @param {number} offset - Offset of the element
+ * @returns {?{id: number, dataOffset: number, size: ?number}} The header, size being null if unknown
+ */
+function readElementHeader(bytes, offset) {
+  const id = readVint(bytes, offset, true);
+  if (!id) return null;
+  const size = readVint(bytes, offset + id.length, false);
+  if (!size) return null;
+  return { id: id.value, dataOffset: offset + id.length + size.length, size: size.unknown ? null : size.value };
+}
+
+/**
+ * Reads the duration of a WebM/Matroska file from its first bytes
+ * @param {Uint8Array} bytes - Start of the file
+ * @returns {?number} Duration in seconds, or null if Info isn't within the data or has no
+ *   duration (live recordings)
+ */
+export function readWebmDuration(bytes) {
+  const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+  const header = readElementHeader(bytes, 0);
+  if (!header || header.id !== EBML.HEADER || header.size === null) return null;
+
+  const segment = readElementHeader(bytes, header.dataOffset + header.size);
+  if (!segment || segment.id !== EBML.SEGMENT) return null;
+
+  // Info comes before the first cluster, usually after SeekHead and a Void element
+  let offset = segment.dataOffset;
+  while (offset < bytes.length) {
+    const element = readElementHeader(bytes, offset);
+    if (!element || element.size === null || element.id === EBML.CLUSTER) return null;
+    if (element.id !== EBML.INFO) {
+      offset = element.dataOffset + element.size;
+      continue;
+    }
+
+    const end = element.dataOffset + element.size;
+    if (end > bytes.length) return null;
+    let timecodeScale = DEFAULT_TIMECODE_SCALE;
+    let duration = null;
+    for (let child = element.dataOffset; child < end;) {
+      const field = readElementHeader(bytes, child);
+      if (!field || field.size === null || field.dataOffset + field.size > end) return null;
+      if (field.id === EBML.TIMECODE_SCALE) {
+        timecodeScale = 0;
+        for (let i = 0; i < field.size; i++) timecodeScale = timecodeScale * 256 + bytes[field.dataOffset + i];
+      } else if (field.id === EBML.DURATION && (field.size === 4 || field.size === 8)) {
+        duration = field.size === 4 ? view.getFloat32(field.dataOffset) : view.getFloat64(field.dataOffset);
+      }
+      child = field.dataOffset + field.size;
+    }
+    return duration > 0 && timecodeScale > 0 ? (duration * timecodeScale) / 1e9 : null;
+  }
+  return null;
+}
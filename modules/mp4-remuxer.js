@@ -0,0 +1,536 @@
+/**
+ * MP4 Remuxer Module for Stream + Subtitle Catcher Extension
+ * @module modules/mp4-remuxer
+ *
+ * Converts an MPEG transport stream with H.264 or H.265 video and AAC audio into an MP4, without
+ * re-encoding and without ffmpeg, so in-browser downloads of TS streams come out ready to play.
+ * The samples come from ts-demuxer.js; this module writes the ISO BMFF boxes around them, either
+ * as a progressive MP4 (moov with the complete sample tables in front of one mdat) or as a
+ * fragmented MP4 (an empty moov, then a moof and mdat for each piece of input).
+ *
+ * The input is pushed piece by piece (e.g. one segment at a time) and the output comes back the
+ * same way, so the caller can keep the pieces as Blobs instead of holding the whole file in memory.
+ * The header (ftyp and moov) comes last, since it describes every sample, and goes in front.
+ */
+
+import { TsDemuxer, concatBytes, AAC_FRAME_SAMPLES, TS_TIMESCALE } from './ts-demuxer.js';
+
+/**
+ * Timescale of the movie header and edit lists (milliseconds)
+ * @constant {number}
+ */
+const MOVIE_TIMESCALE = 1000;
+
+/**
+ * Longest plausible video frame duration (90 kHz units). A longer or negative gap between two
+ * frames is a timestamp discontinuity, and the frame gets the previous frame's duration instead.
+ * @constant {number}
+ */
+const MAX_FRAME_DURATION = 10 * TS_TIMESCALE;
+
+/**
+ * Frame duration used until one is known (90 kHz units, 30 fps)
+ * @constant {number}
+ */
+const DEFAULT_FRAME_DURATION = 3000;
+
+/**
+ * Largest value of a 32-bit box field
+ * @constant {number}
+ */
+const UINT32_MAX = 0xffffffff;
+
+/**
+ * Identity transformation matrix of tkhd and mvhd
+ * @constant {number[]}
+ */
+const UNITY_MATRIX = [0x00010000, 0, 0, 0, 0x00010000, 0, 0, 0, 0x40000000];
+
+/**
+ * Sample flags of fragmented samples: sync samples depend on nothing, others are non-sync
+ * @constant {number}
+ */
+const SYNC_SAMPLE_FLAGS = 0x02000000;
+const NON_SYNC_SAMPLE_FLAGS = 0x01010000;
+
+/**
+ * Writes big-endian unsigned integers
+ * @param {number} bytesPerValue - 1, 2, 4 or 8
+ * @param {number[]} values - Values
+ * @returns {Uint8Array} The encoded values
+ */
+function uints(bytesPerValue, values) {
+  const output = new Uint8Array(bytesPerValue * values.length);
+  const view = new DataView(output.buffer);
+  values.forEach((value, index) => {
+    const offset = index * bytesPerValue;
+    if (bytesPerValue === 1) view.setUint8(offset, value);
+    else if (bytesPerValue === 2) view.setUint16(offset, value);
+    else if (bytesPerValue === 4) view.setUint32(offset, value >>> 0);
+    else {
+      view.setUint32(offset, Math.floor(value / 2 ** 32));
+      view.setUint32(offset + 4, value % 2 ** 32);
+    }
+  });
+  return output;
+}
+
+const uint8 = (...values) => uints(1, values);
+const uint16 = (...values) => uints(2, values);
+const uint32 = (...values) => uints(4, values);
+const uint64 = (...values) => uints(8, values);
+
+/**
+ * Encodes a four-character code or other ASCII text
+ * @param {string} text - The text
+ * @returns {Uint8Array} Its bytes
+ */
+function ascii(text) {
+  return Uint8Array.from(text, char => char.charCodeAt(0));
+}
+
+/**
+ * Builds a box
+ * @param {string} type - Four-character box type
+ * @param {...Uint8Array} payload - Contents
+ * @returns {Uint8Array} The box
+ */
+function box(type, ...payload) {
+  const size = 8 + payload.reduce((sum, part) => sum + part.length, 0);
+  return concatBytes([uint32(size), ascii(type), ...payload]);
+}
+
+/**
+ * Builds a full box (a box with version and flags)
+ * @param {string} type - Four-character box type
+ * @param {number} version - Box version
+ * @param {number} flags - 24-bit flags
+ * @param {...Uint8Array} payload - Contents
+ * @returns {Uint8Array} The box
+ */
+function fullBox(type, version, flags, ...payload) {
+  return box(type, uint8(version, (flags >> 16) & 0xff, (flags >> 8) & 0xff, flags & 0xff), ...payload);
+}
+
+/**
+ * Builds an MPEG-4 descriptor of the esds box (contents shorter than 128 bytes)
+ * @param {number} tag - Descriptor tag
+ * @param {...Uint8Array} payload - Contents
+ * @returns {Uint8Array} The descriptor
+ */
+function descriptor(tag, ...payload) {
+  return concatBytes([uint8(tag, payload.reduce((sum, part) => sum + part.length, 0)), ...payload]);
+}
+
+/**
+ * Run-length encodes values as [count, value] pairs (for stts and ctts)
+ * @param {number[]} values - Values
+ * @returns {number[]} Flat count, value pairs
+ */
+function runLengths(values) {
+  const pairs = [];
+  for (const value of values) {
+    if (pairs.length > 0 && pairs[pairs.length - 1] === value) {
+      pairs[pairs.length - 2]++;
+    } else {
+      pairs.push(1, value);
+    }
+  }
+  return pairs;
+}
+
+/**
+ * Builds the sample entry of a track (avc1, hvc1 or mp4a with its codec configuration)
+ * @param {Object} track - The track
+ * @returns {Uint8Array} The sample entry
+ */
+function sampleEntry(track) {
+  const { config } = track;
+  if (config.codec === 'aac') {
+    const channels = config.channelConfig === 7 ? 8 : (config.channelConfig || 2);
+    // AudioSpecificConfig: object type, sampling frequency index, channel configuration
+    const audioSpecificConfig = uint8(
+      (config.objectType << 3) | (config.samplingFrequencyIndex >> 1),
+      ((config.samplingFrequencyIndex & 1) << 7) | (config.channelConfig << 3)
+    );
+    const esds = fullBox('esds', 0, 0, descriptor(0x03, uint16(track.id), uint8(0),
+      // Audio ISO/IEC 14496-3, audio stream; buffer size and bitrates unknown
+      descriptor(0x04, uint8(0x40, 0x15, 0, 0, 0), uint32(0, 0), descriptor(0x05, audioSpecificConfig)),
+      descriptor(0x06, uint8(0x02))));
+    return box('mp4a',
+      new Uint8Array(6), uint16(1), // reserved, data_reference_index
+      new Uint8Array(8), uint16(channels, 16, 0, 0),
+      uint32(config.sampleRate <= 0xffff ? config.sampleRate * 0x10000 : 0),
+      esds);
+  }
+
+  let codecConfig;
+  if (config.codec === 'hevc') {
+    const arrays = [[32, config.vps], [33, config.sps], [34, config.pps]]
+      .map(([type, nal]) => concatBytes([uint8(0x80 | type), uint16(1, nal.length), nal]));
+    codecConfig = box('hvcC',
+      uint8(1, (config.generalProfileSpace << 6) | (config.generalTierFlag << 5) | config.generalProfileIdc),
+      uint32(config.generalProfileCompatibility),
+      config.generalConstraintFlags,
+      uint8(config.generalLevelIdc),
+      uint16(0xf000), // min_spatial_segmentation_idc
+      uint8(0xfc, 0xfc | config.chromaFormatIdc, 0xf8 | config.bitDepthLumaMinus8, 0xf8 | config.bitDepthChromaMinus8),
+      uint16(0), // avgFrameRate
+      uint8((config.numTemporalLayers << 3) | (config.temporalIdNested << 2) | 0x03, arrays.length),
+      ...arrays);
+  } else {
+    codecConfig = box('avcC',
+      // 4-byte NAL unit lengths, one SPS, one PPS
+      uint8(1, config.profileIdc, config.profileCompatibility, config.levelIdc, 0xff, 0xe1),
+      uint16(config.sps.length), config.sps,
+      uint8(1), uint16(config.pps.length), config.pps);
+  }
+  return box(config.codec === 'hevc' ? 'hvc1' : 'avc1',
+    new Uint8Array(6), uint16(1), // reserved, data_reference_index
+    new Uint8Array(16), uint16(config.width, config.height),
+    uint32(0x00480000, 0x00480000, 0), uint16(1), // 72 dpi, frame_count
+    new Uint8Array(32), uint16(0x0018, 0xffff), // compressorname, depth
+    codecConfig);
+}
+
+/**
+ * Remuxes an MPEG transport stream to MP4.
+ *
+ * Usage: call push() with each piece of the stream and keep what it returns, then call finish()
+ * and put its header in front: header, push results in order, trailer.
+ */
+export class TsToMp4Remuxer {
+  /**
+   * @param {Object} [options={}] - Remux options
+   * @param {boolean} [options.fragmented=false] - Write a fragmented MP4 instead of a progressive one
+   */
+  constructor(options = {}) {
+    /** @private */
+    this._fragmented = !!options.fragmented;
+
+    /** @private */
+    this._demuxer = new TsDemuxer();
+
+    /**
+     * Tracks in output order, created once the PMT has been read:
+     * {id, kind, config, timescale, pending, lastDuration, firstPts, firstCts, duration,
+     * sizes, durations, ctsOffsets, syncSamples, chunks}
+     * @type {Array<Object>}
+     * @private
+     */
+    this._tracks = [];
+
+    /**
+     * Bytes returned by push() so far
+     * @type {number}
+     * @private
+     */
+    this._bodyLength = 0;
+
+    /** @private */
+    this._sequence = 1;
+  }
+
+  /**
+   * Remuxes the next piece of the stream
+   * @param {Uint8Array} data - Transport stream bytes
+   * @returns {Uint8Array} Output for the samples completed so far (possibly empty)
+   * @throws {Error} If the stream has unsupported audio or video
+   */
+  push(data) {
+    this._demuxer.push(data);
+    return this._write(this._collect(false));
+  }
+
+  /**
+   * Remuxes the end of the stream and builds the header
+   * @returns {{header: Uint8Array, trailer: Uint8Array}} The header, to put in front of the
+   *   output of push(), and the last samples, to put after it
+   * @throws {Error} If the stream has no audio or video the MP4 can hold
+   */
+  finish() {
+    this._demuxer.flush();
+    const trailer = this._write(this._collect(true));
+    const tracks = this._tracks.filter(track => track.firstPts !== null);
+    if (tracks.length === 0) throw new Error('No H.264, H.265 or AAC samples found');
+    return { header: this._fragmented ? this._buildInit(tracks) : this._buildProgressiveHeader(tracks), trailer };
+  }
+
+  /**
+   * Takes the demuxed samples and works out their durations. Each track holds back its last
+   * sample, whose duration is only known once the next one arrives.
+   * @param {boolean} final - Whether the stream has ended, completing the held back samples
+   * @returns {Map<Object, Array<Object>>} Completed samples {data, duration, cts, key} by track
+   * @private
+   */
+  _collect(final) {
+    const { program } = this._demuxer;
+    if (program && this._tracks.length === 0) {
+      for (const kind of ['video', 'audio'].filter(entry => program[entry])) {
+        this._tracks.push({
+          id: this._tracks.length + 1,
+          kind,
+          config: null,
+          timescale: 0,
+          pending: null,
+          lastDuration: kind === 'video' ? DEFAULT_FRAME_DURATION : AAC_FRAME_SAMPLES,
+          firstPts: null,
+          firstCts: 0,
+          duration: 0,
+          sizes: [],
+          durations: [],
+          ctsOffsets: [],
+          syncSamples: [],
+          chunks: []
+        });
+      }
+    }
+
+    const samples = this._demuxer.takeSamples();
+    const completed = new Map();
+    for (const track of this._tracks) {
+      const ready = [];
+      for (const sample of samples[track.kind]) {
+        if (track.firstPts === null) {
+          track.config = this._demuxer.config[track.kind];
+          track.timescale = track.kind === 'video' ? TS_TIMESCALE : track.config.sampleRate;
+          track.firstPts = sample.pts;
+          track.firstCts = track.kind === 'video' ? Math.max(0, sample.pts - sample.dts) : 0;
+        }
+        if (track.pending) ready.push(this._completeSample(track, track.pending, sample));
+        track.pending = sample;
+      }
+      if (final && track.pending) {
+        ready.push(this._completeSample(track, track.pending, null));
+        track.pending = null;
+      }
+      completed.set(track, ready);
+    }
+    return completed;
+  }
+
+  /**
+   * Works out the duration and composition offset of a sample
+   * @param {Object} track - Its track
+   * @param {Object} sample - Sample from the demuxer
+   * @param {?Object} next - The sample after it, or null for the last one
+   * @returns {{data: Uint8Array, duration: number, cts: number, key: boolean}} The sample, in track timescale units
+   * @private
+   */
+  _completeSample(track, sample, next) {
+    if (track.kind === 'audio') {
+      return { data: sample.data, duration: AAC_FRAME_SAMPLES, cts: 0, key: true };
+    }
+    const duration = next ? next.dts - sample.dts : track.lastDuration;
+    if (duration > 0 && duration <= MAX_FRAME_DURATION) track.lastDuration = duration;
+    return { data: sample.data, duration: track.lastDuration, cts: Math.max(0, sample.pts - sample.dts), key: sample.key };
+  }
+
+  /**
+   * Writes completed samples: as the next part of the mdat for a progressive MP4 (recording them
+   * for the sample tables), or as a moof and mdat for a fragmented one
+   * @param {Map<Object, Array<Object>>} completed - Samples by track
+   * @returns {Uint8Array} The output
+   * @private
+   */
+  _write(completed) {
+    const entries = [...completed].filter(([, samples]) => samples.length > 0);
+    if (entries.length === 0) return new Uint8Array(0);
+
+    const data = [];
+    if (this._fragmented) {
+      // Every traf's data offset points into the mdat that follows the moof
+      const buildMoof = (moofLength) => {
+        let offset = moofLength + 8;
+        return box('moof',
+          fullBox('mfhd', 0, 0, uint32(this._sequence)),
+          ...entries.map(([track, samples]) => {
+            const traf = box('traf',
+              fullBox('tfhd', 0, 0x020000, uint32(track.id)), // default-base-is-moof
+              fullBox('tfdt', 1, 0, uint64(track.duration)),
+              // data-offset, sample duration, size, flags and composition time offset present
+              fullBox('trun', 0, 0x000f01, uint32(samples.length, offset), uints(4, samples.flatMap(sample => [
+                sample.duration,
+                sample.data.length,
+                sample.key ? SYNC_SAMPLE_FLAGS : NON_SYNC_SAMPLE_FLAGS,
+                sample.cts
+              ]))));
+            offset += samples.reduce((sum, sample) => sum + sample.data.length, 0);
+            return traf;
+          }));
+      };
+      const moof = buildMoof(buildMoof(0).length);
+      const mdatLength = 8 + entries.reduce((sum, [, samples]) => sum + samples.reduce((total, sample) => total + sample.data.length, 0), 0);
+      data.push(moof, uint32(mdatLength), ascii('mdat'));
+      this._sequence++;
+    }
+
+    let bodyOffset = this._bodyLength + data.reduce((sum, part) => sum + part.length, 0);
+    for (const [track, samples] of entries) {
+      if (!this._fragmented) track.chunks.push({ offset: bodyOffset, count: samples.length });
+      for (const sample of samples) {
+        data.push(sample.data);
+        bodyOffset += sample.data.length;
+        track.duration += sample.duration;
+        if (this._fragmented) continue;
+        track.sizes.push(sample.data.length);
+        track.durations.push(sample.duration);
+        track.ctsOffsets.push(sample.cts);
+        if (sample.key) track.syncSamples.push(track.sizes.length);
+      }
+    }
+    const output = concatBytes(data);
+    this._bodyLength += output.length;
+    return output;
+  }
+
+  /**
+   * Builds the ftyp box
+   * @returns {Uint8Array} The box
+   * @private
+   */
+  _buildFtyp() {
+    const brands = this._fragmented ? ['isom', 'iso6', 'mp41'] : ['isom', 'iso2', 'mp41'];
+    return box('ftyp', ascii('isom'), uint32(0x200), ...brands.map(ascii));
+  }
+
+  /**
+   * Builds the moov box
+   * @param {Array<Object>} tracks - Tracks with samples
+   * @param {number} chunkBase - File offset of the body, added to the chunk offsets (progressive only)
+   * @param {boolean} use64 - Whether chunk offsets need 64 bits (progressive only)
+   * @returns {Uint8Array} The box
+   * @private
+   */
+  _buildMoov(tracks, chunkBase, use64) {
+    // Tracks that start later than the first one begin with an empty edit, keeping audio and video in sync
+    const start = Math.min(...tracks.map(track => track.firstPts));
+    const traks = tracks.map((track) => {
+      const delay = Math.round(((track.firstPts - start) * MOVIE_TIMESCALE) / TS_TIMESCALE);
+      const mediaDuration = Math.round((track.duration * MOVIE_TIMESCALE) / track.timescale);
+      return { track, delay, mediaDuration, duration: delay + mediaDuration };
+    });
+    const movieDuration = Math.max(...traks.map(entry => entry.duration));
+
+    return box('moov',
+      fullBox('mvhd', 0, 0,
+        uint32(0, 0, MOVIE_TIMESCALE, movieDuration, 0x00010000), // times, timescale, duration, rate
+        uint16(0x0100), new Uint8Array(10), // volume, reserved
+        uint32(...UNITY_MATRIX), new Uint8Array(24), uint32(tracks.length + 1)),
+      ...traks.map(entry => this._buildTrak(entry, chunkBase, use64)),
+      ...(this._fragmented
+        ? [box('mvex', ...tracks.map(track => fullBox('trex', 0, 0, uint32(track.id, 1, 0, 0, 0))))]
+        : []));
+  }
+
+  /**
+   * Builds the trak box of a track
+   * @param {{track: Object, delay: number, mediaDuration: number, duration: number}} entry -
+   *   The track with its start delay and durations in movie timescale units
+   * @param {number} chunkBase - File offset of the body
+   * @param {boolean} use64 - Whether chunk offsets need 64 bits
+   * @returns {Uint8Array} The box
+   * @private
+   */
+  _buildTrak({ track, delay, mediaDuration, duration }, chunkBase, use64) {
+    const video = track.kind === 'video';
+    // Edits are [segment_duration, media_time, rate]: an empty edit (media_time -1) for the delay,
+    // then the media from the first sample's presentation time
+    const edits = [];
+    if (delay > 0) edits.push(delay, UINT32_MAX, 0x00010000);
+    edits.push(mediaDuration, track.firstCts, 0x00010000);
+    const mdhdVersion = track.duration > UINT32_MAX ? 1 : 0;
+
+    return box('trak',
+      fullBox('tkhd', 0, 0x000003, // enabled, in movie
+        uint32(0, 0, track.id, 0, duration, 0, 0),
+        uint16(0, 0, video ? 0 : 0x0100, 0), // layer, alternate group, volume
+        uint32(...UNITY_MATRIX),
+        uint32(video ? track.config.width * 0x10000 : 0, video ? track.config.height * 0x10000 : 0)),
+      box('edts', fullBox('elst', 0, 0, uint32(edits.length / 3), uints(4, edits))),
+      box('mdia',
+        fullBox('mdhd', mdhdVersion, 0,
+          uints(mdhdVersion ? 8 : 4, [0, 0]), uint32(track.timescale), uints(mdhdVersion ? 8 : 4, [track.duration]),
+          uint16(0x55c4, 0)), // language 'und'
+        fullBox('hdlr', 0, 0, uint32(0), ascii(video ? 'vide' : 'soun'), new Uint8Array(12),
+          ascii(video ? 'VideoHandler\0' : 'SoundHandler\0')),
+        box('minf',
+          video ? fullBox('vmhd', 0, 1, new Uint8Array(8)) : fullBox('smhd', 0, 0, new Uint8Array(4)),
+          box('dinf', fullBox('dref', 0, 0, uint32(1), fullBox('url ', 0, 1))),
+          this._buildStbl(track, chunkBase, use64))));
+  }
+
+  /**
+   * Builds the sample table of a track; a fragmented MP4 has empty tables
+   * @param {Object} track - The track
+   * @param {number} chunkBase - File offset of the body
+   * @param {boolean} use64 - Whether chunk offsets need 64 bits
+   * @returns {Uint8Array} The box
+   * @private
+   */
+  _buildStbl(track, chunkBase, use64) {
+    const stsd = fullBox('stsd', 0, 0, uint32(1), sampleEntry(track));
+    if (this._fragmented) {
+      return box('stbl', stsd,
+        fullBox('stts', 0, 0, uint32(0)),
+        fullBox('stsc', 0, 0, uint32(0)),
+        fullBox('stsz', 0, 0, uint32(0, 0)),
+        fullBox('stco', 0, 0, uint32(0)));
+    }
+
+    const timeToSample = runLengths(track.durations);
+    const compositionOffsets = runLengths(track.ctsOffsets);
+    const sampleToChunk = [];
+    track.chunks.forEach((chunk, index) => {
+      if (sampleToChunk.length === 0 || sampleToChunk[sampleToChunk.length - 2] !== chunk.count) {
+        sampleToChunk.push(index + 1, chunk.count, 1);
+      }
+    });
+    const offsets = track.chunks.map(chunk => chunkBase + chunk.offset);
+    return box('stbl', stsd,
+      fullBox('stts', 0, 0, uint32(timeToSample.length / 2), uints(4, timeToSample)),
+      ...(track.ctsOffsets.some(Boolean)
+        ? [fullBox('ctts', 0, 0, uint32(compositionOffsets.length / 2), uints(4, compositionOffsets))]
+        : []),
+      ...(track.syncSamples.length < track.sizes.length
+        ? [fullBox('stss', 0, 0, uint32(track.syncSamples.length), uints(4, track.syncSamples))]
+        : []),
+      fullBox('stsc', 0, 0, uint32(sampleToChunk.length / 3), uints(4, sampleToChunk)),
+      fullBox('stsz', 0, 0, uint32(0, track.sizes.length), uints(4, track.sizes)),
+      use64
+        ? fullBox('co64', 0, 0, uint32(offsets.length), uints(8, offsets))
+        : fullBox('stco', 0, 0, uint32(offsets.length), uints(4, offsets)));
+  }
+
+  /**
+   * Builds the header of a fragmented MP4: ftyp and moov
+   * @param {Array<Object>} tracks - Tracks with samples
+   * @returns {Uint8Array} The header
+   * @private
+   */
+  _buildInit(tracks) {
+    return concatBytes([this._buildFtyp(), this._buildMoov(tracks, 0, false)]);
+  }
+
+  /**
+   * Builds the header of a progressive MP4: ftyp, moov and the mdat header, the body being the mdat's contents
+   * @param {Array<Object>} tracks - Tracks with samples
+   * @returns {Uint8Array} The header
+   * @private
+   */
+  _buildProgressiveHeader(tracks) {
+    const ftyp = this._buildFtyp();
+    // A body over 4 GB needs the 64-bit mdat size, and offsets past 4 GB need co64
+    const mdatHeader = this._bodyLength + 8 > UINT32_MAX
+      ? concatBytes([uint32(1), ascii('mdat'), uint64(this._bodyLength + 16)])
+      : concatBytes([uint32(this._bodyLength + 8), ascii('mdat')]);
+    // The moov's size doesn't depend on the offsets, so it is measured first
+    let use64 = false;
+    let headerLength = ftyp.length + this._buildMoov(tracks, 0, use64).length + mdatHeader.length;
+    if (headerLength + this._bodyLength > UINT32_MAX) {
+      use64 = true;
+      headerLength = ftyp.length + this._buildMoov(tracks, 0, use64).length + mdatHeader.length;
+    }
+    return concatBytes([ftyp, this._buildMoov(tracks, headerLength, use64), mdatHeader]);
+  }
+}
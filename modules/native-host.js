@@ -0,0 +1,210 @@
+/**
+ * Native Messaging Module for Stream + Subtitle Catcher Extension
+ * @module modules/native-host
+ *
+ * Starts mpv and ffmpeg through the native messaging host shipped in native-host/, so a stream
+ * plays or downloads without pasting a command into a terminal. Each launch opens its own port;
+ * the host spawns the program from an argv (never through a shell) and reports back on the port:
+ *
+ *   extension -> host: {type: 'launch', argv: ['mpv', ...]}, later {type: 'stop'}
+ *   host -> extension: {type: 'started', pid}, {type: 'progress', message},
+ *                      {type: 'exited', code, message}, {type: 'error', message}
+ *
+ * Jobs live in the service worker's memory; an open native port keeps the worker alive.
+ */
+
+/**
+ * Name of the native messaging host (see native-host/install.sh)
+ * @constant {string}
+ */
+export const NATIVE_HOST_NAME = 'com.streamcatch.launcher';
+
+/**
+ * Programs the host may start
+ * @constant {string[]}
+ */
+export const NATIVE_PROGRAMS = Object.freeze(['mpv', 'ffmpeg']);
+
+/**
+ * Number of finished jobs kept for the popup
+ * @constant {number}
+ */
+const MAX_FINISHED_JOBS = 10;
+
+/**
+ * Launches programs through the native messaging host and tracks their status.
+ * Nothing connects until the first launch, so importing the module has no side effects.
+ */
+class NativeLauncher {
+  constructor() {
+    /**
+     * Jobs by ID: {id, program, title, state, pid, message, stopping, startedAt}, state being
+     * 'starting', 'running', 'finished' or 'failed'
+     * @type {Map<number, Object>}
+     * @private
+     */
+    this._jobs = new Map();
+
+    /**
+     * Open ports of running jobs
+     * @type {Map<number, chrome.runtime.Port>}
+     * @private
+     */
+    this._ports = new Map();
+
+    /**
+     * Status listeners, called with a copy of the job after every change
+     * @type {Array<Function>}
+     * @private
+     */
+    this._listeners = [];
+
+    /** @private */
+    this._nextId = 1;
+  }
+
+  /**
+   * Registers a listener for job status changes
+   * @param {function(Object): void} callback - Called with a copy of the changed job
+   */
+  onStatus(callback) {
+    this._listeners.push(callback);
+  }
+
+  /**
+   * Returns the jobs, newest first
+   * @returns {Array<Object>} Copies of the jobs
+   */
+  getJobs() {
+    return [...this._jobs.values()].reverse().map(job => ({ ...job }));
+  }
+
+  /**
+   * Updates a job and notifies the listeners
+   * @param {Object} job - The job
+   * @param {Object} changes - Changed fields
+   * @private
+   */
+  _update(job, changes) {
+    Object.assign(job, changes);
+    for (const callback of this._listeners) {
+      try {
+        callback({ ...job });
+      } catch (e) {
+        console.error('[NativeLauncher] Error in status listener:', e);
+      }
+    }
+  }
+
+  /**
+   * Drops the oldest finished jobs beyond MAX_FINISHED_JOBS
+   * @private
+   */
+  _prune() {
+    const finished = [...this._jobs.values()].filter(job => job.state === 'finished' || job.state === 'failed');
+    finished.slice(0, Math.max(0, finished.length - MAX_FINISHED_JOBS)).forEach(job => this._jobs.delete(job.id));
+  }
+
+  /**
+   * Starts a program through the native host
+   * @param {string[]} argv - Program name (one of NATIVE_PROGRAMS) and its arguments
+   * @param {Object} [options={}] - Job details
+   * @param {string} [options.title] - Shown in the popup's status line
+   * @returns {Promise<Object>} The job, once the program has started
+   * @throws {Error} If the argv is invalid, the host is not installed or the program fails to start
+   */
+  launch(argv, options = {}) {
+    if (!Array.isArray(argv) || !NATIVE_PROGRAMS.includes(argv[0])) {
+      return Promise.reject(new Error(`Only ${NATIVE_PROGRAMS.join(' and ')} can be started`));
+    }
+
+    const job = {
+      id: this._nextId++,
+      program: argv[0],
+      title: options.title || '',
+      state: 'starting',
+      pid: null,
+      message: '',
+      stopping: false,
+      startedAt: Date.now()
+    };
+    this._jobs.set(job.id, job);
+
+    return new Promise((resolve, reject) => {
+      let port;
+      try {
+        port = chrome.runtime.connectNative(NATIVE_HOST_NAME);
+      } catch (error) {
+        this._update(job, { state: 'failed', message: error.message });
+        reject(error);
+        return;
+      }
+      this._ports.set(job.id, port);
+
+      const fail = (message) => {
+        this._ports.delete(job.id);
+        this._update(job, { state: 'failed', message });
+        this._prune();
+        if (job.pid === null) reject(new Error(message));
+      };
+
+      port.onMessage.addListener((message) => {
+        switch (message?.type) {
+          case 'started':
+            this._update(job, { state: 'running', pid: message.pid ?? null });
+            resolve({ ...job });
+            break;
+          case 'progress':
+            this._update(job, { message: String(message.message || '') });
+            break;
+          case 'exited':
+            this._ports.delete(job.id);
+            this._update(job, {
+              state: message.code === 0 || job.stopping ? 'finished' : 'failed',
+              message: message.code === 0 || job.stopping
+                ? 'Finished'
+                : `Exited with code ${message.code}${message.message ? `: ${message.message}` : ''}`
+            });
+            this._prune();
+            port.disconnect();
+            break;
+          case 'error':
+            fail(String(message.message || 'Unknown error'));
+            port.disconnect();
+            break;
+          default:
+            console.warn('[NativeLauncher] Unknown message from host:', message);
+        }
+      });
+
+      port.onDisconnect.addListener(() => {
+        // A disconnect before "exited" means the host is missing or crashed
+        if (!this._ports.has(job.id)) return;
+        const error = chrome.runtime.lastError?.message || 'Native host disconnected';
+        fail(job.pid === null ? `Native host unavailable (${error}); see native-host/ in the README` : error);
+      });
+
+      port.postMessage({ type: 'launch', argv });
+    });
+  }
+
+  /**
+   * Asks the host to stop a running job (ffmpeg finishes the file it is writing)
+   * @param {number} id - Job ID
+   * @returns {boolean} True if the job was running
+   */
+  stop(id) {
+    const port = this._ports.get(id);
+    const job = this._jobs.get(id);
+    if (!port || !job) return false;
+    this._update(job, { stopping: true, message: 'Stopping…' });
+    port.postMessage({ type: 'stop' });
+    return true;
+  }
+}
+
+/**
+ * Shared launcher instance for the service worker
+ * @type {NativeLauncher}
+ */
+export const nativeLauncher = new NativeLauncher();
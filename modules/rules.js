@@ -0,0 +1,248 @@
+/**
+ * Capture Rules Module for Stream + Subtitle Catcher Extension
+ * @module modules/rules
+ *
+ * Per-site rules that decide whether a detected request is captured:
+ * include/exclude URL patterns, minimum size/duration for direct video files, and an
+ * allowlist-only mode. Rules are kept in chrome.storage.sync so they follow the user.
+ *
+ * Patterns are either wildcards (`*` matches any run of characters, matched against
+ * the whole URL) or regular expressions written as `/source/flags`.
+ * Site hosts are matched against the hostname of the tab's page: `example.com` also
+ * matches its subdomains, `*.example.com` only subdomains, and `*` every site.
+ */
+
+/**
+ * chrome.storage.sync key holding the rules object
+ * @constant {string}
+ */
+export const RULES_STORAGE_KEY = 'captureRules';
+
+/**
+ * Largest rules object chrome.storage.sync accepts: QUOTA_BYTES_PER_ITEM, counted over the key
+ * and the JSON of the value
+ * @constant {number}
+ */
+export const RULES_MAX_BYTES = 8192;
+
+/**
+ * Default rules: capture everything, as before rules existed
+ * @constant {Object}
+ */
+export const DEFAULT_RULES = Object.freeze({
+  allowlistOnly: false,
+  minVideoSize: 0,
+  minVideoDuration: 0,
+  sites: []
+});
+
+/**
+ * Converts a user pattern to a RegExp
+ * @param {string} pattern - Wildcard pattern or /regex/flags
+ * @returns {RegExp|null} The compiled expression, or null if the regex is invalid
+ */
+export function compilePattern(pattern) {
+  const trimmed = String(pattern || '').trim();
+  if (!trimmed) return null;
+
+  const regexMatch = trimmed.match(/^\/(.+)\/([a-z]*)$/);
+  if (regexMatch) {
+    try {
+      return new RegExp(regexMatch[1], regexMatch[2]);
+    } catch {
+      return null;
+    }
+  }
+
+  const escaped = trimmed.replace(/[.+?^${}()|[\]\\]/g, '\\$&').replace(/\*/g, '.*');
+  return new RegExp(`^${escaped}$`, 'i');
+}
+
+/**
+ * Checks whether a site host pattern applies to a hostname
+ * @param {string} hostPattern - Host pattern (`example.com`, `*.example.com` or `*`)
+ * @param {string} hostname - Hostname of the page
+ * @returns {boolean} True if the pattern matches
+ */
+export function matchesHost(hostPattern, hostname) {
+  const pattern = String(hostPattern || '').trim().toLowerCase();
+  const host = String(hostname || '').toLowerCase();
+  if (!pattern || !host) return false;
+  if (pattern === '*') return true;
+  if (pattern.startsWith('*.')) return host.endsWith(pattern.slice(1));
+  return host === pattern || host.endsWith(`.${pattern}`);
+}
+
+/**
+ * Normalizes a list of patterns from user input
+ * @param {string[]|string} value - Array of patterns or newline-separated text
+ * @returns {string[]} Non-empty, trimmed patterns
+ */
+function normalizePatternList(value) {
+  const list = Array.isArray(value) ? value : String(value || '').split('\n');
+  return list.map(pattern => String(pattern).trim()).filter(Boolean);
+}
+
+/**
+ * Normalizes a non-negative number, falling back to 0
+ * @param {*} value - Raw value
+ * @returns {number} The number, or 0 if invalid
+ */
+function normalizeThreshold(value) {
+  const number = Number(value);
+  return Number.isFinite(number) && number > 0 ? number : 0;
+}
+
+/**
+ * Validates and normalizes a rules object (e.g. from storage or the options form)
+ * @param {Object} [raw] - Raw rules
+ * @returns {Object} Rules with every field present and well-typed
+ */
+export function normalizeRules(raw) {
+  const rules = raw && typeof raw === 'object' ? raw : {};
+  return {
+    allowlistOnly: !!rules.allowlistOnly,
+    minVideoSize: normalizeThreshold(rules.minVideoSize),
+    minVideoDuration: normalizeThreshold(rules.minVideoDuration),
+    sites: (Array.isArray(rules.sites) ? rules.sites : [])
+      .filter(site => site && String(site.host || '').trim())
+      .map(site => ({
+        host: String(site.host).trim().toLowerCase(),
+        enabled: site.enabled !== false,
+        include: normalizePatternList(site.include),
+        exclude: normalizePatternList(site.exclude),
+        minVideoSize: normalizeThreshold(site.minVideoSize),
+        minVideoDuration: normalizeThreshold(site.minVideoDuration)
+      }))
+  };
+}
+
+/**
+ * Returns the minimum video duration that applies on a page, the stricter of the global
+ * and per-site thresholds. The service worker only reads direct video files' durations
+ * when there is one.
+ * @param {Object} rules - Normalized rules
+ * @param {string} pageHost - Hostname of the tab's page
+ * @returns {number} Minimum duration in seconds, or 0 for none
+ */
+export function getMinVideoDuration(rules, pageHost) {
+  const matchingSites = rules.sites.filter(site => site.enabled && matchesHost(site.host, pageHost));
+  return Math.max(rules.minVideoDuration, ...matchingSites.map(site => site.minVideoDuration));
+}
+
+/**
+ * Decides whether a detected item may be captured.
+ * Call it with whatever is known: size and duration checks are skipped when the
+ * value is unknown, so the same function is used before and after enrichment.
+ * @param {Object} rules - Normalized rules
+ * @param {Object} candidate - The detected item
+ * @param {string} candidate.url - Request URL
+ * @param {string} candidate.pageHost - Hostname of the tab's page
+ * @param {string} candidate.kind - 'stream' or 'subtitle'
+ * @param {string} [candidate.mediaType] - 'hls', 'dash' or 'video'
+ * @param {number} [candidate.size] - Total size in bytes, if known
+ * @param {number} [candidate.duration] - Duration in seconds, if known
+ * @returns {{allowed: boolean, reason: string|null}} Decision and the rule that rejected it
+ */
+export function evaluateCapture(rules, candidate) {
+  const { url, pageHost, kind, mediaType, size, duration } = candidate;
+  const matchingSites = rules.sites.filter(site => site.enabled && matchesHost(site.host, pageHost));
+
+  // The catch-all "*" rule doesn't put a site on the allowlist
+  if (rules.allowlistOnly && !matchingSites.some(site => site.host !== '*')) {
+    return { allowed: false, reason: 'site not in allowlist' };
+  }
+
+  for (const site of matchingSites) {
+    const excluded = site.exclude.find(pattern => compilePattern(pattern)?.test(url));
+    if (excluded) {
+      return { allowed: false, reason: `excluded by ${site.host}: ${excluded}` };
+    }
+  }
+
+  const includes = matchingSites.flatMap(site => site.include);
+  if (includes.length > 0 && !includes.some(pattern => compilePattern(pattern)?.test(url))) {
+    return { allowed: false, reason: 'no include pattern matched' };
+  }
+
+  if (kind === 'stream') {
+    const minSize = Math.max(rules.minVideoSize, ...matchingSites.map(site => site.minVideoSize));
+    // Size thresholds only make sense for direct files: a playlist's size says nothing
+    if (mediaType === 'video' && minSize > 0 && size > 0 && size < minSize) {
+      return { allowed: false, reason: `smaller than ${minSize} bytes` };
+    }
+
+    // Like the size, the duration only filters direct files: short HLS/DASH playlists are often
+    // live windows or audio renditions rather than ads
+    const minDuration = getMinVideoDuration(rules, pageHost);
+    if (mediaType === 'video' && minDuration > 0 && duration > 0 && duration < minDuration) {
+      return { allowed: false, reason: `shorter than ${minDuration}s` };
+    }
+  }
+
+  return { allowed: true, reason: null };
+}
+
+/**
+ * Cached rules, invalidated when chrome.storage.sync changes
+ * @type {Promise<Object>|null}
+ */
+let rulesCache = null;
+
+/**
+ * Loads the rules from chrome.storage.sync (cached)
+ * @returns {Promise<Object>} Normalized rules
+ */
+export function getRules() {
+  if (!rulesCache) {
+    rulesCache = chrome.storage.sync.get([RULES_STORAGE_KEY])
+      .then(stored => normalizeRules(stored[RULES_STORAGE_KEY] || DEFAULT_RULES))
+      .catch((error) => {
+        console.warn('[Rules] Failed to load capture rules:', error);
+        rulesCache = null;
+        return normalizeRules(DEFAULT_RULES);
+      });
+  }
+  return rulesCache;
+}
+
+/**
+ * Checks that rules fit in a single chrome.storage.sync item
+ * @param {Object} rules - Normalized rules
+ * @returns {string|null} An error message if they are too large, or null
+ */
+export function getRulesSizeError(rules) {
+  const bytes = new TextEncoder().encode(RULES_STORAGE_KEY + JSON.stringify(rules)).length;
+  return bytes > RULES_MAX_BYTES
+    ? `Capture rules take ${bytes} bytes, more than the ${RULES_MAX_BYTES} bytes Chrome sync storage allows; remove sites or patterns`
+    : null;
+}
+
+/**
+ * Saves the rules to chrome.storage.sync
+ * @param {Object} rules - Rules to save (normalized before saving)
+ * @returns {Promise<Object>} The normalized rules that were saved
+ * @throws {Error} If the rules don't fit in one sync storage item
+ */
+export async function saveRules(rules) {
+  const normalized = normalizeRules(rules);
+  const sizeError = getRulesSizeError(normalized);
+  if (sizeError) {
+    throw new Error(sizeError);
+  }
+  await chrome.storage.sync.set({ [RULES_STORAGE_KEY]: normalized });
+  rulesCache = Promise.resolve(normalized);
+  return normalized;
+}
+
+/**
+ * Drops the cached rules when another context (e.g. the options page) changes them.
+ * Registered lazily so importing this module has no side effects outside extension pages.
+ */
+export function watchRules() {
+  chrome.storage.onChanged.addListener((changes, areaName) => {
+    if (areaName === 'sync' && RULES_STORAGE_KEY in changes) {
+      rulesCache = null;
+    }
+  });
+}
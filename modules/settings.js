@@ -0,0 +1,356 @@
+/**
+ * Settings Module for Stream + Subtitle Catcher Extension
+ * @module modules/settings
+ *
+ * User-tunable behaviour, kept in chrome.storage.sync so it follows the user:
+ * per-tab item limit, fetch timeouts, the default ffmpeg container, mpv profiles, extra mpv flags,
+ * the yt-dlp output template, custom command templates, the shell the commands are written for
+ * and how the in-browser downloader fetches and saves segments.
+ * The constants in constants.js are the defaults. Nothing touches chrome.* until a
+ * function is called, so the module can be imported by pages and tests alike.
+ */
+
+import {
+  MAX_ITEMS_PER_TAB,
+  FETCH_TIMEOUT_MS,
+  M3U8_FETCH_TIMEOUT_MS,
+  DOWNLOAD_CONCURRENCY,
+  DOWNLOAD_RETRIES,
+  DOWNLOAD_CONTAINER
+} from './constants.js';
+import { validateTemplate } from './templates.js';
+import { SHELL_DIALECTS } from './shell.js';
+
+/**
+ * chrome.storage.sync key holding the settings object
+ * @constant {string}
+ */
+export const SETTINGS_STORAGE_KEY = 'settings';
+
+/**
+ * Output containers offered for ffmpeg commands
+ * @constant {string[]}
+ */
+export const FFMPEG_FORMATS = ['mp4', 'mkv'];
+
+/**
+ * Containers in-browser downloads of TS streams are saved in, and their labels for the options page.
+ * fMP4 streams are always saved as they are.
+ * @constant {Object<string, string>}
+ */
+export const DOWNLOAD_CONTAINERS = Object.freeze({
+  mp4: 'MP4',
+  fmp4: 'Fragmented MP4',
+  ts: 'MPEG-TS (as downloaded)'
+});
+
+/**
+ * Built-in mpv profiles: named sets of flags the user picks from when copying an mpv command.
+ * The trace logging that every command used to carry lives in the debug profile.
+ * @constant {Array<{name: string, args: string[]}>}
+ */
+export const DEFAULT_MPV_PROFILES = Object.freeze([
+  Object.freeze({ name: 'quiet', args: Object.freeze(['--quiet']) }),
+  Object.freeze({
+    name: 'debug',
+    args: Object.freeze(['--msg-level=ffmpeg=trace,demuxer=trace,network=trace', '--log-file=mpv-trace.log'])
+  }),
+  Object.freeze({ name: 'low-latency', args: Object.freeze(['--profile=low-latency', '--untimed']) }),
+  Object.freeze({ name: 'audio-only', args: Object.freeze(['--no-video', '--force-window=no']) })
+]);
+
+/**
+ * Default settings: the behaviour before settings existed
+ * @constant {Object}
+ */
+export const DEFAULT_SETTINGS = Object.freeze({
+  maxItemsPerTab: MAX_ITEMS_PER_TAB,
+  fetchTimeoutMs: FETCH_TIMEOUT_MS,
+  playlistFetchTimeoutMs: M3U8_FETCH_TIMEOUT_MS,
+  ffmpegFormat: 'mp4',
+  mpvProfiles: DEFAULT_MPV_PROFILES,
+  mpvProfile: 'quiet',
+  mpvExtraArgs: Object.freeze([]),
+  ytDlpOutputTemplate: '',
+  commandTemplates: Object.freeze([]),
+  shellDialect: 'posix',
+  downloadConcurrency: DOWNLOAD_CONCURRENCY,
+  downloadRetries: DOWNLOAD_RETRIES,
+  downloadContainer: DOWNLOAD_CONTAINER
+});
+
+/**
+ * Maximum length of an mpv profile or command template name
+ * @constant {number}
+ */
+const NAME_MAX_LENGTH = 32;
+
+/**
+ * Maximum length of the yt-dlp output template
+ * @constant {number}
+ */
+const OUTPUT_TEMPLATE_MAX_LENGTH = 200;
+
+/**
+ * Maximum number of command templates (all settings share the 8 KB chrome.storage.sync item limit)
+ * @constant {number}
+ */
+export const MAX_COMMAND_TEMPLATES = 10;
+
+/**
+ * Parses mpv flags, one per line (or an array of flags)
+ * @param {string|string[]} value - Raw flags
+ * @returns {{args: string[], invalid: string[]}} The flags, and those that are not long options
+ */
+function parseMpvArgs(value) {
+  const args = (Array.isArray(value) ? value : String(value).split('\n'))
+    .map(arg => String(arg).trim())
+    .filter(Boolean);
+  // Each flag must be a long option so it can't swallow the URL
+  return { args, invalid: args.filter(arg => !/^--[a-z0-9]/i.test(arg)) };
+}
+
+/**
+ * Validates the mpv profile list
+ * @param {*} value - Raw profiles
+ * @returns {{profiles: Array<{name: string, args: string[]}>, error: string|null}} Valid profiles and an error message
+ */
+function validateMpvProfiles(value) {
+  if (!Array.isArray(value) || value.length === 0) {
+    return { profiles: null, error: 'At least one mpv profile is required' };
+  }
+
+  const profiles = [];
+  const problems = [];
+  const seen = new Set();
+  for (const raw of value) {
+    const name = String(raw?.name ?? '').trim();
+    const { args, invalid } = parseMpvArgs(raw?.args ?? []);
+    if (!name || name.length > NAME_MAX_LENGTH) {
+      problems.push(`profile names must be 1-${NAME_MAX_LENGTH} characters`);
+    } else if (seen.has(name.toLowerCase())) {
+      problems.push(`duplicate profile "${name}"`);
+    } else if (invalid.length > 0) {
+      problems.push(`mpv flags in "${name}" must start with --: ${invalid.join(', ')}`);
+    }
+    seen.add(name.toLowerCase());
+    profiles.push({ name, args });
+  }
+
+  return problems.length > 0
+    ? { profiles: null, error: `Invalid mpv profiles: ${[...new Set(problems)].join('; ')}` }
+    : { profiles, error: null };
+}
+
+/**
+ * Accepted range of each numeric setting
+ * @constant {Object<string, {min: number, max: number, label: string}>}
+ */
+export const SETTING_LIMITS = Object.freeze({
+  maxItemsPerTab: { min: 1, max: 500, label: 'Items per tab' },
+  fetchTimeoutMs: { min: 1000, max: 60000, label: 'Fetch timeout' },
+  playlistFetchTimeoutMs: { min: 1000, max: 60000, label: 'Playlist fetch timeout' },
+  downloadConcurrency: { min: 1, max: 16, label: 'Parallel segment downloads' },
+  downloadRetries: { min: 0, max: 10, label: 'Segment retries' }
+});
+
+/**
+ * Validates the command template list
+ * @param {*} value - Raw templates
+ * @returns {{templates: Array<{name: string, template: string}>, error: string|null}} Valid templates and an error message
+ */
+function validateCommandTemplates(value) {
+  if (!Array.isArray(value)) {
+    return { templates: null, error: 'Command templates must be a list' };
+  }
+  if (value.length > MAX_COMMAND_TEMPLATES) {
+    return { templates: null, error: `At most ${MAX_COMMAND_TEMPLATES} command templates are allowed` };
+  }
+
+  const templates = [];
+  const problems = [];
+  const seen = new Set();
+  for (const raw of value) {
+    const name = String(raw?.name ?? '').trim();
+    const template = String(raw?.template ?? '').trim();
+    const templateError = validateTemplate(template);
+    if (!name || name.length > NAME_MAX_LENGTH) {
+      problems.push(`template names must be 1-${NAME_MAX_LENGTH} characters`);
+    } else if (seen.has(name.toLowerCase())) {
+      problems.push(`duplicate template "${name}"`);
+    } else if (templateError) {
+      problems.push(`"${name}": ${templateError}`);
+    }
+    seen.add(name.toLowerCase());
+    templates.push({ name, template });
+  }
+
+  return problems.length > 0
+    ? { templates: null, error: `Invalid command templates: ${[...new Set(problems)].join('; ')}` }
+    : { templates, error: null };
+}
+
+/**
+ * Validates a settings object (e.g. from storage or the options form).
+ * Missing fields take their default; invalid fields are reported and take their default.
+ * @param {Object} [raw] - Raw settings
+ * @returns {{settings: Object, errors: Object<string, string>}} Valid settings and
+ *   an error message per invalid field
+ */
+export function validateSettings(raw) {
+  const input = raw && typeof raw === 'object' ? raw : {};
+  const settings = {
+    ...DEFAULT_SETTINGS,
+    mpvProfiles: DEFAULT_MPV_PROFILES.map(profile => ({ name: profile.name, args: [...profile.args] })),
+    mpvExtraArgs: [...DEFAULT_SETTINGS.mpvExtraArgs],
+    commandTemplates: []
+  };
+  const errors = {};
+
+  for (const [key, { min, max, label }] of Object.entries(SETTING_LIMITS)) {
+    if (input[key] === undefined || input[key] === '') continue;
+    const value = Number(input[key]);
+    if (!Number.isInteger(value) || value < min || value > max) {
+      errors[key] = `${label} must be a whole number between ${min} and ${max}`;
+    } else {
+      settings[key] = value;
+    }
+  }
+
+  if (input.ffmpegFormat !== undefined) {
+    if (FFMPEG_FORMATS.includes(input.ffmpegFormat)) {
+      settings.ffmpegFormat = input.ffmpegFormat;
+    } else {
+      errors.ffmpegFormat = `ffmpeg format must be one of ${FFMPEG_FORMATS.join(', ')}`;
+    }
+  }
+
+  if (input.mpvProfiles !== undefined) {
+    const { profiles, error } = validateMpvProfiles(input.mpvProfiles);
+    if (error) {
+      errors.mpvProfiles = error;
+    } else {
+      settings.mpvProfiles = profiles;
+    }
+  }
+
+  // The default profile must be one of the (valid) profiles, otherwise the first one is used
+  const profileNames = settings.mpvProfiles.map(profile => profile.name);
+  if (input.mpvProfile !== undefined && !profileNames.includes(input.mpvProfile)) {
+    errors.mpvProfile = `Default mpv profile must be one of ${profileNames.join(', ')}`;
+  }
+  if (profileNames.includes(input.mpvProfile)) {
+    settings.mpvProfile = input.mpvProfile;
+  } else if (!profileNames.includes(settings.mpvProfile)) {
+    settings.mpvProfile = profileNames[0];
+  }
+
+  if (input.mpvExtraArgs !== undefined) {
+    const { args, invalid } = parseMpvArgs(input.mpvExtraArgs);
+    if (invalid.length > 0) {
+      errors.mpvExtraArgs = `mpv flags must start with --: ${invalid.join(', ')}`;
+    } else {
+      settings.mpvExtraArgs = args;
+    }
+  }
+
+  if (input.ytDlpOutputTemplate !== undefined) {
+    // Empty means the page title; the template is a single shell argument
+    const template = String(input.ytDlpOutputTemplate).trim();
+    if (/[\r\n]/.test(template) || template.length > OUTPUT_TEMPLATE_MAX_LENGTH) {
+      errors.ytDlpOutputTemplate = `yt-dlp output template must be a single line of at most ${OUTPUT_TEMPLATE_MAX_LENGTH} characters`;
+    } else {
+      settings.ytDlpOutputTemplate = template;
+    }
+  }
+
+  if (input.downloadContainer !== undefined) {
+    if (Object.hasOwn(DOWNLOAD_CONTAINERS, input.downloadContainer)) {
+      settings.downloadContainer = input.downloadContainer;
+    } else {
+      errors.downloadContainer = `Download container must be one of ${Object.keys(DOWNLOAD_CONTAINERS).join(', ')}`;
+    }
+  }
+
+  if (input.shellDialect !== undefined) {
+    if (Object.hasOwn(SHELL_DIALECTS, input.shellDialect)) {
+      settings.shellDialect = input.shellDialect;
+    } else {
+      errors.shellDialect = `Shell must be one of ${Object.keys(SHELL_DIALECTS).join(', ')}`;
+    }
+  }
+
+  if (input.commandTemplates !== undefined) {
+    const { templates, error } = validateCommandTemplates(input.commandTemplates);
+    if (error) {
+      errors.commandTemplates = error;
+    } else {
+      settings.commandTemplates = templates;
+    }
+  }
+
+  return { settings, errors };
+}
+
+/**
+ * Looks up an mpv profile by name
+ * @param {Object} settings - Valid settings
+ * @param {string} [name] - Profile name; the default profile when missing or unknown
+ * @returns {{name: string, args: string[]}} The profile
+ */
+export function getMpvProfile(settings, name) {
+  const profiles = settings.mpvProfiles;
+  return profiles.find(profile => profile.name === name) ||
+    profiles.find(profile => profile.name === settings.mpvProfile) ||
+    profiles[0];
+}
+
+/**
+ * Cached settings, invalidated when chrome.storage.sync changes
+ * @type {Promise<Object>|null}
+ */
+let settingsCache = null;
+
+/**
+ * Loads the settings from chrome.storage.sync (cached)
+ * @returns {Promise<Object>} Valid settings
+ */
+export function getSettings() {
+  if (!settingsCache) {
+    settingsCache = chrome.storage.sync.get([SETTINGS_STORAGE_KEY])
+      .then(stored => validateSettings(stored[SETTINGS_STORAGE_KEY]).settings)
+      .catch((error) => {
+        console.warn('[Settings] Failed to load settings:', error);
+        settingsCache = null;
+        return validateSettings().settings;
+      });
+  }
+  return settingsCache;
+}
+
+/**
+ * Saves the settings to chrome.storage.sync
+ * @param {Object} settings - Settings to save
+ * @returns {Promise<Object>} The settings that were saved
+ * @throws {Error} If any field is invalid (nothing is saved)
+ */
+export async function saveSettings(settings) {
+  const { settings: valid, errors } = validateSettings(settings);
+  if (Object.keys(errors).length > 0) {
+    throw new Error(Object.values(errors).join('; '));
+  }
+  await chrome.storage.sync.set({ [SETTINGS_STORAGE_KEY]: valid });
+  settingsCache = Promise.resolve(valid);
+  return valid;
+}
+
+/**
+ * Drops the cached settings when another context (e.g. the options page) changes them
+ */
+export function watchSettings() {
+  chrome.storage.onChanged.addListener((changes, areaName) => {
+    if (areaName === 'sync' && SETTINGS_STORAGE_KEY in changes) {
+      settingsCache = null;
+    }
+  });
+}
@@ -0,0 +1,243 @@
+/**
+ * Shell dialects for the generated commands.
+ * @module shell
+ *
+ * Every command builder takes the dialect from the settings (options.shell) and uses these helpers for
+ * quoting, line continuations, chaining and the few steps that need different tools per shell
+ * (creating a folder, decoding base64, feeding text to a program). Unknown dialects fall back to POSIX.
+ */
+
+/**
+ * Supported dialects and their labels for the options page
+ * @constant {Object<string, string>}
+ */
+export const SHELL_DIALECTS = Object.freeze({
+  posix: 'bash / zsh',
+  fish: 'fish',
+  powershell: 'PowerShell',
+  cmd: 'cmd.exe'
+});
+
+/**
+ * Returns the dialect, falling back to POSIX for unknown values
+ * @param {string} [shell] - Dialect name
+ * @returns {string} A key of SHELL_DIALECTS
+ */
+function resolveShell(shell) {
+  return Object.hasOwn(SHELL_DIALECTS, shell) ? shell : 'posix';
+}
+
+/**
+ * Escapes a string for safe use within single quotes in POSIX shell commands.
+ * @param {string} value - The string to escape.
+ * @returns {string} The escaped string.
+ */
+export function shellEscapeSingle(value) {
+  return String(value).replace(/'/g, `'\\''`);
+}
+
+/**
+ * Double-quotes a value for cmd.exe. Quotes are doubled, backslashes before a quote are doubled
+ * (as programs parse them), and % is escaped outside the quotes so variables don't expand.
+ * cmd can't pass line breaks, so they become spaces.
+ * @param {string} value - The value.
+ * @returns {string} The quoted value.
+ */
+function quoteCmd(value) {
+  const escaped = String(value)
+    .replace(/[\r\n]+/g, ' ')
+    .replace(/(\\*)"/g, '$1$1""')
+    .replace(/(\\+)$/, '$1$1');
+  return `"${escaped.split('%').join('"^%"')}"`;
+}
+
+/**
+ * Quotes a value as one literal argument (single quotes where the shell has them).
+ * @param {string} value - The value.
+ * @param {string} [shell='posix'] - Dialect.
+ * @returns {string} The quoted value.
+ */
+export function quoteArg(value, shell = 'posix') {
+  const text = String(value);
+  switch (resolveShell(shell)) {
+    case 'fish':
+      // Control characters (ffmpeg header lists) are written as escapes between quoted parts
+      return text.split(/([\r\n])/).map((part) => {
+        if (part === '\r') return '\\r';
+        if (part === '\n') return '\\n';
+        return part ? `'${part.replace(/[\\']/g, '\\$&')}'` : '';
+      }).join('') || "''";
+    case 'powershell':
+      // Single-quoted strings have no escapes, so control characters need a double-quoted string
+      if (/[\r\n]/.test(text)) {
+        return `"${text.replace(/[`"$\u201C\u201D\u201E]/g, '`$&').replace(/\r/g, '`r').replace(/\n/g, '`n')}"`;
+      }
+      // PowerShell also ends single-quoted strings at typographic quotes
+      return `'${text.replace(/['\u2018\u2019\u201A\u201B]/g, '$&$&')}'`;
+    case 'cmd':
+      return quoteCmd(text);
+    default:
+      return `'${shellEscapeSingle(text)}'`;
+  }
+}
+
+/**
+ * Quotes a value only if it has characters the shell would interpret, so plain flags stay readable.
+ * Commas are left unquoted except in PowerShell, where they build arrays.
+ * @param {string} value - The value.
+ * @param {string} [shell='posix'] - Dialect.
+ * @returns {string} The value, quoted if needed.
+ */
+export function quoteArgIfNeeded(value, shell = 'posix') {
+  const safe = resolveShell(shell) === 'powershell' ? /^[\w\-.=:/+]+$/ : /^[\w\-.=:/+,]+$/;
+  return safe.test(String(value)) ? String(value) : quoteArg(value, shell);
+}
+
+/**
+ * Quotes a value in double quotes, escaping what the shell would expand.
+ * @param {string} value - The value.
+ * @param {string} [shell='posix'] - Dialect.
+ * @returns {string} The quoted value.
+ */
+export function quoteArgDouble(value, shell = 'posix') {
+  const text = String(value);
+  switch (resolveShell(shell)) {
+    case 'fish':
+      return `"${text.replace(/[\\"$]/g, '\\$&')}"`;
+    case 'powershell':
+      return `"${text.replace(/[`"$\u201C\u201D\u201E]/g, '`$&')}"`;
+    case 'cmd':
+      return quoteCmd(text);
+    default:
+      // ! would trigger history expansion in interactive bash and zsh even when escaped, so it is single-quoted
+      return text.split('!')
+        .map(part => (part ? `"${part.replace(/[\\"$`]/g, '\\$&')}"` : ''))
+        .join(`'!'`) || '""';
+  }
+}
+
+/**
+ * Returns the line continuation (including the space before it)
+ * @param {string} [shell='posix'] - Dialect.
+ * @returns {string} The continuation, to be followed by a newline.
+ */
+export function lineContinuation(shell = 'posix') {
+  return { powershell: ' `', cmd: ' ^' }[resolveShell(shell)] || ' \\';
+}
+
+/**
+ * Chains commands so each runs after the previous one. Windows PowerShell 5.1 has no &&,
+ * so PowerShell commands are separated with ; and later steps run even if an earlier one fails.
+ * @param {string[]} commands - Commands, empty ones are skipped.
+ * @param {string} [shell='posix'] - Dialect.
+ * @returns {string} The chained command.
+ */
+export function joinCommands(commands, shell = 'posix') {
+  return commands.filter(Boolean).join(resolveShell(shell) === 'powershell' ? '; ' : ' && ');
+}
+
+/**
+ * Returns a program name that isn't shadowed in the shell (PowerShell 5.1 aliases curl to Invoke-WebRequest)
+ * @param {string} name - Program name.
+ * @param {string} [shell='posix'] - Dialect.
+ * @returns {string} The program name to use.
+ */
+export function programName(name, shell = 'posix') {
+  return resolveShell(shell) === 'powershell' && name === 'curl' ? 'curl.exe' : name;
+}
+
+/**
+ * Joins a folder and a file name with the dialect's path separator
+ * @param {string} dir - Folder.
+ * @param {string} filename - File name.
+ * @param {string} [shell='posix'] - Dialect.
+ * @returns {string} The path.
+ */
+export function joinPath(dir, filename, shell = 'posix') {
+  return `${dir}${resolveShell(shell) === 'cmd' ? '\\' : '/'}${filename}`;
+}
+
+/**
+ * Builds a command creating a folder (and its parents) unless it exists
+ * @param {string} dir - Folder.
+ * @param {string} [shell='posix'] - Dialect.
+ * @returns {string} The command.
+ */
+export function makeDirectory(dir, shell = 'posix') {
+  const quoted = quoteArg(dir, shell);
+  switch (resolveShell(shell)) {
+    case 'powershell':
+      return `New-Item -ItemType Directory -Force -Path ${quoted} | Out-Null`;
+    case 'cmd':
+      return `(if not exist ${quoted} mkdir ${quoted})`;
+    default:
+      return `mkdir -p ${quoted}`;
+  }
+}
+
+/**
+ * Base64 characters cmd echoes per line. A cmd line is limited to 8191 characters, and chained
+ * commands share the line with the first and last chunk, so chunks stay well below that.
+ * @constant {number}
+ */
+const CMD_BASE64_CHUNK = 2000;
+
+/**
+ * Builds a command writing base64-encoded data to a file.
+ * For cmd the data is echoed to a temporary file in chunks, one line each: the lines run one
+ * after another when pasted, and the decoding step chains on the last one.
+ * @param {string} base64 - The data.
+ * @param {string} path - Output file.
+ * @param {string} [shell='posix'] - Dialect.
+ * @returns {string} The command.
+ */
+export function writeBase64File(base64, path, shell = 'posix') {
+  switch (resolveShell(shell)) {
+    case 'powershell':
+      // .NET resolves relative paths against the process directory, not the current location
+      return `[IO.File]::WriteAllBytes((Join-Path $PWD ${quoteArg(path, shell)}), [Convert]::FromBase64String(${quoteArg(base64, shell)}))`;
+    case 'cmd': {
+      const encoded = quoteArg(`${path}.b64`, shell);
+      const data = String(base64).replace(/[^A-Za-z0-9+/=]/g, '');
+      const chunks = data.match(new RegExp(`.{1,${CMD_BASE64_CHUNK}}`, 'g')) || [''];
+      const writes = chunks.map((chunk, index) => `echo ${chunk}${index === 0 ? '>' : '>>'}${encoded}`);
+      return `${writes.join('\n')} && certutil -f -decode ${encoded} ${quoteArg(path, shell)} >nul && del ${encoded}`;
+    }
+    default:
+      return `echo ${quoteArg(base64, shell)} | base64 -d > ${quoteArg(path, shell)}`;
+  }
+}
+
+/**
+ * Escapes a line for cmd's echo: every special character is caret-escaped
+ * @param {string} line - The line.
+ * @returns {string} The escaped line.
+ */
+function escapeCmdEcho(line) {
+  return String(line).replace(/[\r\n]+/g, ' ').replace(/[\^&|<>()%"]/g, '^$&');
+}
+
+/**
+ * Builds a command feeding lines of text to a program's standard input: a here-document for POSIX
+ * shells, printf for fish, a here-string for PowerShell and a temporary file for cmd.
+ * @param {string[]} lines - Lines of text.
+ * @param {string} command - The command reading standard input.
+ * @param {string} [shell='posix'] - Dialect.
+ * @param {string} [tag='INPUT'] - Here-document delimiter, also the name of cmd's temporary file.
+ * @returns {string} The command.
+ */
+export function pipeLines(lines, command, shell = 'posix', tag = 'INPUT') {
+  switch (resolveShell(shell)) {
+    case 'fish':
+      return `printf '%s\\n' ${lines.map(line => quoteArg(line, shell)).join(' ')} | ${command}`;
+    case 'powershell':
+      return `@'\n${lines.join('\n')}\n'@ | ${command}`;
+    case 'cmd': {
+      // Piping a block would start another cmd that parses the escaped text a second time
+      const file = `"%TEMP%\\${tag}.txt"`;
+      return `(${lines.map(line => `echo ${escapeCmdEcho(line)}`).join('&')})>${file} && ${command} < ${file}`;
+    }
+    default:
+      return `${command} <<'${tag}'\n${lines.join('\n')}\n${tag}`;
+  }
+}
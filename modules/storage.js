@@ -6,7 +6,7 @@
  * Uses a save queue to prevent race conditions when multiple items are being saved concurrently.
  */
 
-import { MAX_ITEMS_PER_TAB } from './constants.js';
+import { getSettings } from './settings.js';
 
 /**
  * Storage key prefixes for different item types
@@ -72,7 +72,7 @@ class StorageManager {
 
   /**
    * Adds an item to storage with deduplication and queue management.
-   * Items with duplicate URLs are rejected. Max items limit is enforced per tab.
+   * Items with duplicate URLs are rejected. The per-tab item limit comes from the settings.
    *
    * @param {number} tabId - The tab ID to associate with the item
    * @param {Object} item - The item data to store
@@ -94,6 +94,7 @@ class StorageManager {
     this._saveQueue[key] = this._saveQueue[key].then(async () => {
       const stored = await chrome.storage.local.get([key]);
       const items = stored[key] || {};
+      const { maxItemsPerTab } = await getSettings();
 
       // Check for duplicates inside the queue to prevent race conditions
       if (url && Object.values(items).some((existingItem) => existingItem.url === url)) {
@@ -101,7 +102,41 @@ class StorageManager {
       }
 
       // Check for max items limit
-      if (Object.keys(items).length >= MAX_ITEMS_PER_TAB) {
+      if (Object.keys(items).length >= maxItemsPerTab) {
+        return null; // Max items reached, skip saving
+      }
+
+      items[requestId] = item;
+      await chrome.storage.local.set({ [key]: items });
+      return items;
+    });
+
+    return this._saveQueue[key];
+  }
+
+  /**
+   * Adds an item, or replaces the stored item with the same requestId.
+   * Used for items whose content changes over time (e.g. subtitles generated from
+   * in-page cues), so their URL is not a stable identity. The limit still applies to new items.
+   *
+   * @param {number} tabId - The tab ID to associate with the item
+   * @param {Object} item - The item data to store (requestId, url, kind)
+   * @returns {Promise<Object|null>} The updated items object, or null if limit reached
+   */
+  async upsertItem(tabId, item) {
+    const { requestId, kind } = item;
+    const key = getStorageKey(tabId, kind);
+
+    if (!this._saveQueue[key]) {
+      this._saveQueue[key] = Promise.resolve();
+    }
+
+    this._saveQueue[key] = this._saveQueue[key].then(async () => {
+      const stored = await chrome.storage.local.get([key]);
+      const items = stored[key] || {};
+      const { maxItemsPerTab } = await getSettings();
+
+      if (!items[requestId] && Object.keys(items).length >= maxItemsPerTab) {
         return null; // Max items reached, skip saving
       }
 
@@ -140,7 +175,8 @@ class StorageManager {
     const key = getStorageKey(tabId, kind);
     const stored = await chrome.storage.local.get([key]);
     const items = stored[key] || {};
-    return Object.keys(items).length >= MAX_ITEMS_PER_TAB;
+    const { maxItemsPerTab } = await getSettings();
+    return Object.keys(items).length >= maxItemsPerTab;
   }
 
   /**
@@ -0,0 +1,58 @@
+/**
+ * Subtitle Sniffer Module for Stream + Subtitle Catcher Extension
+ * Recognises subtitle formats from the first bytes of a response body, for responses
+ * served with generic MIME types (text/plain, application/xml, application/octet-stream)
+ * from URLs without a telling extension.
+ * @module modules/subtitle-sniffer
+ */
+
+/**
+ * Leading XML declaration, doctype and comments that may precede a root element
+ * @type {string}
+ */
+const XML_PROLOG = String.raw`(?:<\?xml[^>]*\?>\s*)?(?:<!DOCTYPE[^>]*>\s*)?(?:<!--[\s\S]*?-->\s*)*`;
+
+/**
+ * Signatures checked in order; the first match wins
+ * @type {Array<{format: string, pattern: RegExp}>}
+ */
+const SUBTITLE_SIGNATURES = [
+  // WebVTT: mandatory "WEBVTT" magic, optionally followed by a space/tab and a header
+  { format: 'vtt', pattern: /^WEBVTT(?:[ \t]|\r?\n|$)/ },
+  // SRT: numeric cue id followed by "00:00:01,000 --> 00:00:02,000"
+  { format: 'srt', pattern: /^\d+[ \t]*\r?\n\d{1,2}:\d{2}:\d{2}[,.]\d{1,3}[ \t]*-->[ \t]*\d{1,2}:\d{2}:\d{2}[,.]\d{1,3}/ },
+  // TTML/DFXP: <tt> root element, possibly namespace-prefixed
+  { format: 'ttml', pattern: new RegExp(`^${XML_PROLOG}<(?:[\\w-]+:)?tt[\\s>]`, 'i') },
+  // SAMI
+  { format: 'smi', pattern: new RegExp(`^${XML_PROLOG}<SAMI[\\s>]`, 'i') },
+  // YouTube SBV: "0:00:01.000,0:00:02.000"
+  { format: 'sbv', pattern: /^\d+:\d{2}:\d{2}\.\d{3},\d+:\d{2}:\d{2}\.\d{3}\r?\n/ },
+  // MicroDVD: "{100}{200}Text"
+  { format: 'sub', pattern: /^\{\d+\}\{\d+\}/ },
+  // LRC: ID tags or a leading timestamp
+  { format: 'lrc', pattern: /^\[(?:ar|ti|al|au|by|offset|length|re|ve):[^\]]*\]|^\[\d{2}:\d{2}[.:]\d{2,3}\]/i }
+];
+
+/**
+ * Detects the subtitle format of a (partial) response body.
+ * SubStation Alpha is told apart by its ScriptType: "v4.00+" is ASS, "v4.00" is SSA.
+ * @param {string} text - The beginning of the response body
+ * @returns {string|null} Subtitle format (vtt, srt, ass, ssa, ttml, smi, sbv, sub, lrc), or null
+ */
+export function sniffSubtitleFormat(text) {
+  if (!text) return null;
+
+  // Strip a UTF-8 byte order mark and leading whitespace
+  const head = String(text).replace(/^\uFEFF/, '').trimStart();
+
+  if (/^\[Script Info\]/i.test(head)) {
+    const scriptType = head.match(/^ScriptType:\s*v?([\d.]+)(\+?)/im);
+    return scriptType && !scriptType[2] && scriptType[1] === '4.00' ? 'ssa' : 'ass';
+  }
+
+  for (const { format, pattern } of SUBTITLE_SIGNATURES) {
+    if (pattern.test(head)) return format;
+  }
+
+  return null;
+}
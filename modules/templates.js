@@ -0,0 +1,184 @@
+/**
+ * Command Templates Module for Stream + Subtitle Catcher Extension
+ * @module modules/templates
+ *
+ * Renders user-defined command templates for tools the extension has no builder for.
+ * A template is plain text with placeholders in braces, each optionally piped through filters:
+ *
+ *   yt-dlp {headers|q|prefix:--add-header } -o {title|filename|q} {url|q}
+ *
+ * The q filter quotes for the shell chosen in the settings; sq and dq always quote for POSIX shells.
+ * Placeholders are either a single value or a list (headers, subs). Filters apply to each
+ * list entry; lists are joined with spaces, or earlier with the join filter (join:,).
+ * Missing values render as nothing, filters included, so optional flags disappear.
+ * Literal braces are written as {{ and }}.
+ */
+
+import { normalizeFilename } from './commands.js';
+import { shellEscapeSingle, quoteArg } from './shell.js';
+
+/**
+ * Placeholders available in templates, with a description for the options page
+ * @constant {Object<string, string>}
+ */
+export const TEMPLATE_PLACEHOLDERS = Object.freeze({
+  url: 'Stream URL (the selected variant, if any)',
+  masterUrl: 'Master playlist or manifest URL',
+  headers: 'List of captured headers as "Name: value"',
+  userAgent: 'User-Agent header',
+  referer: 'Referer header',
+  origin: 'Origin header',
+  subs: 'List of selected subtitle URLs',
+  audio: 'Selected alternate audio URL',
+  title: 'Page title',
+  variant: 'Selected variant name or resolution'
+});
+
+/**
+ * Filters available in templates. Filters with an argument are written as name:argument.
+ * @constant {Object<string, {arg: boolean, apply: function(string, string, string): string}>}
+ */
+const FILTERS = {
+  // Quoted for the chosen shell dialect (see modules/shell.js)
+  q: { arg: false, apply: (value, arg, shell) => quoteArg(value, shell) },
+  // Shell, single-quoted: 'it'\''s'
+  sq: { arg: false, apply: value => `'${shellEscapeSingle(value)}'` },
+  // Shell, double-quoted: "say \"hi\" to \$USER"
+  dq: { arg: false, apply: value => `"${value.replace(/[\\"$`]/g, '\\$&')}"` },
+  uri: { arg: false, apply: value => encodeURIComponent(value) },
+  json: { arg: false, apply: value => JSON.stringify(value) },
+  filename: { arg: false, apply: value => normalizeFilename(value) },
+  prefix: { arg: true, apply: (value, arg) => `${arg}${value}` },
+  suffix: { arg: true, apply: (value, arg) => `${value}${arg}` }
+};
+
+/**
+ * Filter names, including join (which works on whole lists rather than on each value)
+ * @constant {string[]}
+ */
+export const TEMPLATE_FILTERS = Object.freeze([...Object.keys(FILTERS), 'join']);
+
+/**
+ * Matches escaped braces and placeholders
+ * @constant {RegExp}
+ */
+const TOKEN_PATTERN = /\{\{|\}\}|\{([^{}]*)\}/g;
+
+/**
+ * Parses a template into literal text and placeholders
+ * @param {string} template - The template
+ * @returns {Array<string|{name: string, filters: Array<{name: string, arg: string|null}>}>} Template parts
+ * @throws {Error} On unknown placeholders or filters, missing filter arguments and stray braces
+ */
+function parseTemplate(template) {
+  const parts = [];
+  let lastIndex = 0;
+
+  const addText = (text) => {
+    const stray = text.match(/[{}]/);
+    if (stray) throw new Error(`Unmatched "${stray[0]}" (write {{ or }} for a literal brace)`);
+    if (text) parts.push(text);
+  };
+
+  for (const match of template.matchAll(TOKEN_PATTERN)) {
+    addText(template.slice(lastIndex, match.index));
+    lastIndex = match.index + match[0].length;
+    if (match[0] === '{{' || match[0] === '}}') {
+      parts.push(match[0][0]);
+      continue;
+    }
+
+    const [rawName, ...rawFilters] = match[1].split('|');
+    const name = rawName.trim();
+    if (!Object.hasOwn(TEMPLATE_PLACEHOLDERS, name)) {
+      throw new Error(`Unknown placeholder {${name}}`);
+    }
+
+    const filters = rawFilters.map((rawFilter) => {
+      // Arguments are kept verbatim, so prefixes can end with a space
+      const separator = rawFilter.indexOf(':');
+      const filterName = (separator === -1 ? rawFilter : rawFilter.slice(0, separator)).trim();
+      const arg = separator === -1 ? null : rawFilter.slice(separator + 1);
+      if (!TEMPLATE_FILTERS.includes(filterName)) {
+        throw new Error(`Unknown filter "${filterName}" in {${match[1]}}`);
+      }
+      if (arg === null && (filterName === 'join' || FILTERS[filterName].arg)) {
+        throw new Error(`Filter "${filterName}" needs an argument, e.g. ${filterName}:, in {${match[1]}}`);
+      }
+      return { name: filterName, arg };
+    });
+    parts.push({ name, filters });
+  }
+  addText(template.slice(lastIndex));
+
+  return parts;
+}
+
+/**
+ * Checks a template for syntax errors
+ * @param {string} template - The template
+ * @returns {string|null} The error message, or null if the template is valid
+ */
+export function validateTemplate(template) {
+  if (!String(template ?? '').trim()) return 'Template is empty';
+  try {
+    parseTemplate(String(template));
+    return null;
+  } catch (error) {
+    return error.message;
+  }
+}
+
+/**
+ * Collects the placeholder values for a stream and its subtitles
+ * @param {Object} streamItem - The stream item (with the selected variant and audio applied)
+ * @param {Array<Object>} [subtitleItems=[]] - Selected subtitle items
+ * @param {Object} [options={}] - Additional values
+ * @param {string} [options.title] - Page title
+ * @returns {Object<string, string|string[]>} Placeholder values
+ */
+export function buildTemplateContext(streamItem, subtitleItems = [], options = {}) {
+  const headers = streamItem?.headers || {};
+  const header = name => headers[name] || headers[name.toLowerCase()] || '';
+
+  return {
+    url: streamItem?.url || '',
+    masterUrl: streamItem?.masterUrl || streamItem?.url || '',
+    headers: Object.entries(headers).map(([name, value]) => `${name}: ${value}`),
+    userAgent: header('User-Agent'),
+    referer: header('Referer'),
+    origin: header('Origin'),
+    subs: subtitleItems.filter(s => s?.url).map(s => s.url),
+    audio: streamItem?.audioTrack?.url || '',
+    title: options.title || '',
+    variant: streamItem?.variantName || streamItem?.resolution || ''
+  };
+}
+
+/**
+ * Renders a template
+ * @param {string} template - The template
+ * @param {Object<string, string|string[]>} context - Placeholder values (see buildTemplateContext)
+ * @param {Object} [options={}] - Rendering options
+ * @param {string} [options.shell='posix'] - Shell dialect for the q filter
+ * @returns {string} The rendered command
+ * @throws {Error} If the template is invalid
+ */
+export function renderTemplate(template, context, options = {}) {
+  return parseTemplate(String(template)).map((part) => {
+    if (typeof part === 'string') return part;
+
+    const value = context[part.name];
+    // A list of values, or a single value (missing values become an empty list)
+    let values = Array.isArray(value) ? [...value] : (value ? [String(value)] : []);
+    for (const { name, arg } of part.filters) {
+      if (name === 'join') {
+        // Later filters see the joined list as one value
+        values = values.length > 0 ? [values.join(arg)] : [];
+      } else {
+        values = values.map(entry => FILTERS[name].apply(entry, arg, options.shell));
+      }
+    }
+    return values.join(' ');
+  }).join('');
+}
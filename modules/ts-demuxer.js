@@ -0,0 +1,659 @@
+/**
+ * MPEG-TS Demuxer Module for Stream + Subtitle Catcher Extension
+ * @module modules/ts-demuxer
+ *
+ * Splits an MPEG transport stream, as joined from HLS segments, into H.264/H.265 access units
+ * and AAC frames for the MP4 remuxer (see mp4-remuxer.js), and reads the codec parameters its
+ * sample entries need from the SPS and ADTS headers. Only the first program is read, with its
+ * first video and first audio stream; metadata streams (ID3 and the like) are ignored.
+ * The demuxer is fed in pieces of any size, so a long download never has to be in memory at once.
+ */
+
+/**
+ * Size of a transport stream packet in bytes
+ * @constant {number}
+ */
+export const TS_PACKET_SIZE = 188;
+
+/**
+ * First byte of every packet
+ * @constant {number}
+ */
+const SYNC_BYTE = 0x47;
+
+/**
+ * PMT stream types that can be remuxed, and their codec
+ * @constant {Object<number, string>}
+ */
+const SUPPORTED_STREAM_TYPES = {
+  0x1b: 'avc',
+  0x24: 'hevc',
+  0x0f: 'aac'
+};
+
+/**
+ * Audio and video stream types that can't be remuxed. Remuxing a stream that has one would
+ * silently drop a track, so they are refused instead.
+ * @constant {Object<number, string>}
+ */
+const UNSUPPORTED_STREAM_TYPES = {
+  0x01: 'MPEG-1 video',
+  0x02: 'MPEG-2 video',
+  0x03: 'MP3 audio',
+  0x04: 'MP3 audio',
+  0x10: 'MPEG-4 Part 2 video',
+  0x11: 'LATM AAC audio',
+  0x81: 'AC-3 audio',
+  0x87: 'E-AC-3 audio',
+  0xcf: 'SAMPLE-AES AAC audio',
+  0xc1: 'SAMPLE-AES AC-3 audio',
+  0xdb: 'SAMPLE-AES H.264 video'
+};
+
+/**
+ * Sampling frequencies by ADTS sampling_frequency_index
+ * @constant {number[]}
+ */
+const AAC_SAMPLE_RATES = [96000, 88200, 64000, 48000, 44100, 32000, 24000, 22050, 16000, 12000, 11025, 8000, 7350];
+
+/**
+ * PCM samples per AAC frame
+ * @constant {number}
+ */
+export const AAC_FRAME_SAMPLES = 1024;
+
+/**
+ * Timescale of MPEG-TS timestamps (90 kHz)
+ * @constant {number}
+ */
+export const TS_TIMESCALE = 90000;
+
+/**
+ * H.264 profiles whose SPS carries chroma format and bit depth fields
+ * @constant {number[]}
+ */
+const AVC_HIGH_PROFILES = [100, 110, 122, 244, 44, 83, 86, 118, 128, 138, 139, 134, 135];
+
+/**
+ * Reads a bit string MSB first, with the Exp-Golomb codes of H.264/H.265 parameter sets
+ */
+export class BitReader {
+  /**
+   * @param {Uint8Array} bytes - Data to read (emulation prevention bytes already removed)
+   */
+  constructor(bytes) {
+    this._bytes = bytes;
+    this._position = 0;
+  }
+
+  /**
+   * Reads an unsigned value of up to 32 bits
+   * @param {number} count - Number of bits
+   * @returns {number} The value
+   * @throws {Error} If the data ends first
+   */
+  readBits(count) {
+    let value = 0;
+    for (let i = 0; i < count; i++) {
+      const byte = this._bytes[this._position >> 3];
+      if (byte === undefined) throw new Error('Parameter set is truncated');
+      value = value * 2 + ((byte >> (7 - (this._position & 7))) & 1);
+      this._position++;
+    }
+    return value;
+  }
+
+  /**
+   * Skips bits
+   * @param {number} count - Number of bits
+   */
+  skipBits(count) {
+    this._position += count;
+  }
+
+  /**
+   * Reads an unsigned Exp-Golomb code, ue(v)
+   * @returns {number} The value
+   * @throws {Error} If the code is invalid
+   */
+  readUE() {
+    let leadingZeros = 0;
+    while (this.readBits(1) === 0) {
+      if (++leadingZeros > 31) throw new Error('Invalid Exp-Golomb code');
+    }
+    return 2 ** leadingZeros - 1 + this.readBits(leadingZeros);
+  }
+
+  /**
+   * Reads a signed Exp-Golomb code, se(v)
+   * @returns {number} The value
+   */
+  readSE() {
+    const value = this.readUE();
+    return value % 2 === 1 ? (value + 1) / 2 : -value / 2;
+  }
+}
+
+/**
+ * Removes the emulation prevention bytes (the 3 in 00 00 03) from a NAL unit
+ * @param {Uint8Array} nal - NAL unit
+ * @returns {Uint8Array} Its raw byte sequence payload
+ */
+export function removeEmulationPrevention(nal) {
+  const output = new Uint8Array(nal.length);
+  let length = 0;
+  let zeros = 0;
+  for (const byte of nal) {
+    if (zeros >= 2 && byte === 3) {
+      zeros = 0;
+      continue;
+    }
+    output[length++] = byte;
+    zeros = byte === 0 ? zeros + 1 : 0;
+  }
+  return output.subarray(0, length);
+}
+
+/**
+ * Splits an Annex B byte stream (NAL units separated by 00 00 01 or 00 00 00 01) into NAL units
+ * @param {Uint8Array} data - Byte stream, e.g. the payload of a video PES packet
+ * @returns {Uint8Array[]} The NAL units, without start codes
+ */
+export function splitNalUnits(data) {
+  const units = [];
+  let start = -1;
+  let i = 0;
+  while (i + 2 < data.length) {
+    if (data[i] === 0 && data[i + 1] === 0 && data[i + 2] === 1) {
+      if (start !== -1) {
+        // The zero byte of a four-byte start code belongs to the next start code
+        let end = i;
+        while (end > start && data[end - 1] === 0) end--;
+        if (end > start) units.push(data.subarray(start, end));
+      }
+      start = i + 3;
+      i += 3;
+    } else {
+      i++;
+    }
+  }
+  if (start !== -1 && start < data.length) units.push(data.subarray(start));
+  return units;
+}
+
+/**
+ * Skips a scaling_list() of an H.264 SPS
+ * @param {BitReader} reader - Reader positioned at the list
+ * @param {number} size - 16 or 64 coefficients
+ */
+function skipScalingList(reader, size) {
+  let last = 8;
+  let next = 8;
+  for (let i = 0; i < size && next !== 0; i++) {
+    next = (last + reader.readSE() + 256) % 256;
+    if (next !== 0) last = next;
+  }
+}
+
+/**
+ * Reads the fields of an H.264 sequence parameter set that an MP4 needs
+ * @param {Uint8Array} sps - SPS NAL unit (with its header byte)
+ * @returns {{profileIdc: number, profileCompatibility: number, levelIdc: number, width: number, height: number}}
+ * @throws {Error} If the SPS is truncated or invalid
+ */
+export function parseAvcSps(sps) {
+  const reader = new BitReader(removeEmulationPrevention(sps));
+  reader.skipBits(8);
+  const profileIdc = reader.readBits(8);
+  const profileCompatibility = reader.readBits(8);
+  const levelIdc = reader.readBits(8);
+  reader.readUE(); // seq_parameter_set_id
+
+  let chromaFormatIdc = 1;
+  if (AVC_HIGH_PROFILES.includes(profileIdc)) {
+    chromaFormatIdc = reader.readUE();
+    if (chromaFormatIdc === 3) reader.skipBits(1); // separate_colour_plane_flag
+    reader.readUE(); // bit_depth_luma_minus8
+    reader.readUE(); // bit_depth_chroma_minus8
+    reader.skipBits(1); // qpprime_y_zero_transform_bypass_flag
+    if (reader.readBits(1)) {
+      for (let i = 0; i < (chromaFormatIdc === 3 ? 12 : 8); i++) {
+        if (reader.readBits(1)) skipScalingList(reader, i < 6 ? 16 : 64);
+      }
+    }
+  }
+
+  reader.readUE(); // log2_max_frame_num_minus4
+  const picOrderCntType = reader.readUE();
+  if (picOrderCntType === 0) {
+    reader.readUE(); // log2_max_pic_order_cnt_lsb_minus4
+  } else if (picOrderCntType === 1) {
+    reader.skipBits(1); // delta_pic_order_always_zero_flag
+    reader.readSE(); // offset_for_non_ref_pic
+    reader.readSE(); // offset_for_top_to_bottom_field
+    const cycleLength = reader.readUE();
+    for (let i = 0; i < cycleLength; i++) reader.readSE();
+  }
+  reader.readUE(); // max_num_ref_frames
+  reader.skipBits(1); // gaps_in_frame_num_value_allowed_flag
+  const widthInMbs = reader.readUE() + 1;
+  const heightInMapUnits = reader.readUE() + 1;
+  const frameMbsOnly = reader.readBits(1);
+  if (!frameMbsOnly) reader.skipBits(1); // mb_adaptive_frame_field_flag
+  reader.skipBits(1); // direct_8x8_inference_flag
+
+  let crop = [0, 0, 0, 0];
+  if (reader.readBits(1)) {
+    crop = [reader.readUE(), reader.readUE(), reader.readUE(), reader.readUE()];
+  }
+  const cropUnitX = chromaFormatIdc === 1 || chromaFormatIdc === 2 ? 2 : 1;
+  const cropUnitY = (chromaFormatIdc === 1 ? 2 : 1) * (2 - frameMbsOnly);
+  return {
+    profileIdc,
+    profileCompatibility,
+    levelIdc,
+    width: widthInMbs * 16 - cropUnitX * (crop[0] + crop[1]),
+    height: (2 - frameMbsOnly) * heightInMapUnits * 16 - cropUnitY * (crop[2] + crop[3])
+  };
+}
+
+/**
+ * Reads the fields of an H.265 sequence parameter set that an MP4 (its hvcC box) needs
+ * @param {Uint8Array} sps - SPS NAL unit (with its two header bytes)
+ * @returns {Object} {generalProfileSpace, generalTierFlag, generalProfileIdc, generalProfileCompatibility,
+ *   generalConstraintFlags (6 bytes), generalLevelIdc, chromaFormatIdc, bitDepthLumaMinus8,
+ *   bitDepthChromaMinus8, numTemporalLayers, temporalIdNested, width, height}
+ * @throws {Error} If the SPS is truncated or invalid
+ */
+export function parseHevcSps(sps) {
+  const rbsp = removeEmulationPrevention(sps);
+  const reader = new BitReader(rbsp);
+  reader.skipBits(16);
+  reader.skipBits(4); // sps_video_parameter_set_id
+  const maxSubLayersMinus1 = reader.readBits(3);
+  const temporalIdNested = reader.readBits(1);
+
+  // profile_tier_level: the general part is 12 bytes, from byte 3 of the NAL unit
+  const generalProfileSpace = reader.readBits(2);
+  const generalTierFlag = reader.readBits(1);
+  const generalProfileIdc = reader.readBits(5);
+  const generalProfileCompatibility = reader.readBits(32);
+  const generalConstraintFlags = rbsp.slice(8, 14);
+  reader.skipBits(48);
+  const generalLevelIdc = reader.readBits(8);
+  const subLayerFlags = [];
+  for (let i = 0; i < maxSubLayersMinus1; i++) {
+    subLayerFlags.push({ profile: reader.readBits(1), level: reader.readBits(1) });
+  }
+  if (maxSubLayersMinus1 > 0) reader.skipBits(2 * (8 - maxSubLayersMinus1));
+  for (const flags of subLayerFlags) {
+    if (flags.profile) reader.skipBits(88);
+    if (flags.level) reader.skipBits(8);
+  }
+
+  reader.readUE(); // sps_seq_parameter_set_id
+  const chromaFormatIdc = reader.readUE();
+  if (chromaFormatIdc === 3) reader.skipBits(1); // separate_colour_plane_flag
+  let width = reader.readUE();
+  let height = reader.readUE();
+  if (reader.readBits(1)) {
+    // Conformance window offsets are in chroma samples
+    const unitX = chromaFormatIdc === 1 || chromaFormatIdc === 2 ? 2 : 1;
+    const unitY = chromaFormatIdc === 1 ? 2 : 1;
+    width -= unitX * (reader.readUE() + reader.readUE());
+    height -= unitY * (reader.readUE() + reader.readUE());
+  }
+  return {
+    generalProfileSpace,
+    generalTierFlag,
+    generalProfileIdc,
+    generalProfileCompatibility,
+    generalConstraintFlags,
+    generalLevelIdc,
+    chromaFormatIdc,
+    bitDepthLumaMinus8: reader.readUE(),
+    bitDepthChromaMinus8: reader.readUE(),
+    numTemporalLayers: maxSubLayersMinus1 + 1,
+    temporalIdNested,
+    width,
+    height
+  };
+}
+
+/**
+ * Reads an ADTS header (the header in front of each AAC frame in a transport stream)
+ * @param {Uint8Array} data - Audio data
+ * @param {number} offset - Where the header starts
+ * @returns {Object|null} {headerLength, frameLength, objectType, samplingFrequencyIndex, sampleRate,
+ *   channelConfig}, or null if there is no valid header at the offset
+ */
+export function parseAdtsHeader(data, offset) {
+  if (offset + 7 > data.length || data[offset] !== 0xff || (data[offset + 1] & 0xf6) !== 0xf0) return null;
+  const samplingFrequencyIndex = (data[offset + 2] >> 2) & 0x0f;
+  const headerLength = data[offset + 1] & 0x01 ? 7 : 9;
+  const frameLength = ((data[offset + 3] & 0x03) << 11) | (data[offset + 4] << 3) | (data[offset + 5] >> 5);
+  if (samplingFrequencyIndex >= AAC_SAMPLE_RATES.length || frameLength <= headerLength) return null;
+  return {
+    headerLength,
+    frameLength,
+    objectType: (data[offset + 2] >> 6) + 1,
+    samplingFrequencyIndex,
+    sampleRate: AAC_SAMPLE_RATES[samplingFrequencyIndex],
+    channelConfig: ((data[offset + 2] & 0x01) << 2) | (data[offset + 3] >> 6)
+  };
+}
+
+/**
+ * Reads a 33-bit PES timestamp
+ * @param {Uint8Array} data - PES header
+ * @param {number} offset - Where the 5 timestamp bytes start
+ * @returns {number} The timestamp in 90 kHz units
+ */
+function readTimestamp(data, offset) {
+  return (data[offset] & 0x0e) * 2 ** 29 +
+    data[offset + 1] * 2 ** 22 +
+    (data[offset + 2] >> 1) * 2 ** 15 +
+    data[offset + 3] * 2 ** 7 +
+    (data[offset + 4] >> 1);
+}
+
+/**
+ * Joins byte arrays
+ * @param {Uint8Array[]} chunks - Arrays to join
+ * @returns {Uint8Array} The joined bytes
+ */
+export function concatBytes(chunks) {
+  if (chunks.length === 1) return chunks[0];
+  const output = new Uint8Array(chunks.reduce((sum, chunk) => sum + chunk.length, 0));
+  let offset = 0;
+  for (const chunk of chunks) {
+    output.set(chunk, offset);
+    offset += chunk.length;
+  }
+  return output;
+}
+
+/**
+ * Demuxes a transport stream into video and audio samples.
+ *
+ * Video samples are {pts, dts, key, data} with the NAL units of one access unit, each preceded
+ * by its 4-byte length (the MP4 format), and without access unit delimiters and parameter sets,
+ * which go into the track config instead. Audio samples are {pts, data} with one raw AAC frame.
+ * Timestamps are in 90 kHz units and unwrapped, so they keep growing past the 33-bit rollover.
+ */
+export class TsDemuxer {
+  constructor() {
+    /**
+     * Bytes of an incomplete packet from the previous push
+     * @type {Uint8Array}
+     * @private
+     */
+    this._remainder = new Uint8Array(0);
+
+    /** @private */
+    this._pmtPid = -1;
+
+    /**
+     * Elementary streams by PID: {kind, codec, chunks, collecting, lastDts, started} where chunks
+     * hold the PES packet being collected and started tells whether a video sample was kept
+     * @type {Map<number, Object>}
+     * @private
+     */
+    this._streams = new Map();
+
+    /**
+     * Codecs of the program's video and audio streams ('avc', 'hevc', 'aac'), known once the PMT has been read
+     * @type {{video: ?string, audio: ?string}|null}
+     */
+    this.program = null;
+
+    /**
+     * Codec configuration of each track, known once its parameter sets or first frame have been read:
+     * video {codec, width, height, sps, pps, vps?, ...SPS fields}, audio {codec, sampleRate,
+     * channelConfig, objectType, samplingFrequencyIndex}
+     * @type {{video: ?Object, audio: ?Object}}
+     */
+    this.config = { video: null, audio: null };
+
+    /** @private */
+    this._samples = { video: [], audio: [] };
+
+    /**
+     * Audio bytes after the last complete ADTS frame, when a frame continues in the next PES packet
+     * @type {Uint8Array}
+     * @private
+     */
+    this._audioRemainder = new Uint8Array(0);
+  }
+
+  /**
+   * Feeds data to the demuxer
+   * @param {Uint8Array} data - The next bytes of the stream
+   * @throws {Error} If the stream has unsupported audio or video
+   */
+  push(data) {
+    const bytes = this._remainder.length > 0 ? concatBytes([this._remainder, data]) : data;
+    let offset = 0;
+    while (offset + TS_PACKET_SIZE <= bytes.length) {
+      if (bytes[offset] !== SYNC_BYTE) {
+        // Lost sync (e.g. a truncated packet): skip to the next sync byte
+        offset++;
+        continue;
+      }
+      this._parsePacket(bytes.subarray(offset, offset + TS_PACKET_SIZE));
+      offset += TS_PACKET_SIZE;
+    }
+    this._remainder = bytes.slice(offset);
+  }
+
+  /**
+   * Completes the last PES packet of each stream; call once the stream has ended
+   */
+  flush() {
+    for (const stream of this._streams.values()) this._completePes(stream);
+  }
+
+  /**
+   * Returns the samples completed since the last call
+   * @returns {{video: Array<Object>, audio: Array<Object>}} The samples, in decoding order
+   */
+  takeSamples() {
+    const samples = this._samples;
+    this._samples = { video: [], audio: [] };
+    return samples;
+  }
+
+  /**
+   * Parses one 188-byte packet
+   * @param {Uint8Array} packet - The packet
+   * @private
+   */
+  _parsePacket(packet) {
+    const payloadStart = (packet[1] & 0x40) !== 0;
+    const pid = ((packet[1] & 0x1f) << 8) | packet[2];
+    const adaptationControl = (packet[3] >> 4) & 0x03;
+    if (!(adaptationControl & 0x01)) return;
+    const offset = adaptationControl & 0x02 ? 5 + packet[4] : 4;
+    if (offset >= TS_PACKET_SIZE) return;
+    const payload = packet.subarray(offset);
+
+    if (pid === 0) {
+      if (payloadStart) this._parsePat(payload);
+    } else if (pid === this._pmtPid) {
+      if (payloadStart) this._parsePmt(payload);
+    } else if (this._streams.has(pid)) {
+      const stream = this._streams.get(pid);
+      if (payloadStart) {
+        this._completePes(stream);
+        stream.collecting = true;
+      }
+      if (stream.collecting) stream.chunks.push(payload.slice());
+    }
+  }
+
+  /**
+   * Reads the program association table: the PID of the first program's PMT
+   * @param {Uint8Array} payload - Packet payload, starting with the pointer field
+   * @private
+   */
+  _parsePat(payload) {
+    const table = payload.subarray(1 + payload[0]);
+    const end = Math.min(table.length, 3 + (((table[1] & 0x0f) << 8) | table[2])) - 4;
+    for (let offset = 8; offset + 4 <= end; offset += 4) {
+      const programNumber = (table[offset] << 8) | table[offset + 1];
+      if (programNumber === 0) continue; // network PID
+      this._pmtPid = ((table[offset + 2] & 0x1f) << 8) | table[offset + 3];
+      return;
+    }
+  }
+
+  /**
+   * Reads the program map table: the PIDs and types of the elementary streams.
+   * It is repeated in every HLS segment, and only the first one counts.
+   * @param {Uint8Array} payload - Packet payload, starting with the pointer field
+   * @throws {Error} If the program has unsupported audio or video
+   * @private
+   */
+  _parsePmt(payload) {
+    if (this.program) return;
+    const table = payload.subarray(1 + payload[0]);
+    const end = Math.min(table.length, 3 + (((table[1] & 0x0f) << 8) | table[2])) - 4;
+    const programInfoLength = ((table[10] & 0x0f) << 8) | table[11];
+    const program = { video: null, audio: null };
+    for (let offset = 12 + programInfoLength; offset + 5 <= end;) {
+      const streamType = table[offset];
+      const pid = ((table[offset + 1] & 0x1f) << 8) | table[offset + 2];
+      offset += 5 + (((table[offset + 3] & 0x0f) << 8) | table[offset + 4]);
+
+      if (UNSUPPORTED_STREAM_TYPES[streamType]) {
+        throw new Error(`${UNSUPPORTED_STREAM_TYPES[streamType]} can't be remuxed to MP4`);
+      }
+      const codec = SUPPORTED_STREAM_TYPES[streamType];
+      if (!codec) continue;
+      const kind = codec === 'aac' ? 'audio' : 'video';
+      if (program[kind]) continue;
+      program[kind] = codec;
+      this._streams.set(pid, { kind, codec, chunks: [], collecting: false, lastDts: null, started: false });
+    }
+    if (!program.video && !program.audio) throw new Error('The stream has no H.264, H.265 or AAC track');
+    this.program = program;
+  }
+
+  /**
+   * Turns the collected PES packet of a stream into samples
+   * @param {Object} stream - Stream from the PMT
+   * @private
+   */
+  _completePes(stream) {
+    if (stream.chunks.length === 0) return;
+    const pes = concatBytes(stream.chunks);
+    stream.chunks = [];
+    stream.collecting = false;
+    if (pes.length < 9 || pes[0] !== 0 || pes[1] !== 0 || pes[2] !== 1) return;
+
+    const ptsDtsFlags = pes[7] >> 6;
+    const payload = pes.subarray(9 + pes[8]);
+    let pts = null;
+    let dts = null;
+    if (ptsDtsFlags & 0x02) {
+      pts = readTimestamp(pes, 9);
+      dts = ptsDtsFlags === 0x03 ? readTimestamp(pes, 14) : pts;
+    } else if (stream.lastDts === null) {
+      // Without any timestamp yet there is nothing to place the data at
+      return;
+    }
+    if (dts !== null) {
+      // Unwrap the 33-bit rollover relative to the previous packet
+      const reference = stream.lastDts ?? dts;
+      const wrap = Math.round((reference - dts) / 2 ** 33) * 2 ** 33;
+      pts += wrap;
+      dts += wrap;
+      stream.lastDts = dts;
+    }
+
+    if (stream.kind === 'video') {
+      this._parseVideo(stream, payload, pts ?? stream.lastDts, dts ?? stream.lastDts);
+    } else {
+      this._parseAudio(payload, pts ?? stream.lastDts);
+    }
+  }
+
+  /**
+   * Turns a video PES payload into a sample, taking the parameter sets for the track config
+   * @param {Object} stream - The video stream
+   * @param {Uint8Array} payload - Annex B access unit
+   * @param {number} pts - Presentation timestamp
+   * @param {number} dts - Decoding timestamp
+   * @private
+   */
+  _parseVideo(stream, payload, pts, dts) {
+    const hevc = stream.codec === 'hevc';
+    const parameterSets = {};
+    const units = [];
+    let key = false;
+    for (const nal of splitNalUnits(payload)) {
+      const type = hevc ? (nal[0] >> 1) & 0x3f : nal[0] & 0x1f;
+      const parameterSet = hevc
+        ? { 32: 'vps', 33: 'sps', 34: 'pps' }[type]
+        : { 7: 'sps', 8: 'pps' }[type];
+      if (parameterSet) {
+        parameterSets[parameterSet] ??= nal;
+        continue;
+      }
+      // Access unit delimiters
+      if (type === (hevc ? 35 : 9)) continue;
+      // IDR, or for H.265 any IRAP picture
+      if (hevc ? type >= 16 && type <= 21 : type === 5) key = true;
+      units.push(nal);
+    }
+
+    // The first parameter sets are kept; an MP4 track has only one set
+    if (!this.config.video && parameterSets.sps && parameterSets.pps && (!hevc || parameterSets.vps)) {
+      this.config.video = hevc
+        ? { codec: 'hevc', ...parseHevcSps(parameterSets.sps), ...parameterSets }
+        : { codec: 'avc', ...parseAvcSps(parameterSets.sps), ...parameterSets };
+    }
+    // Frames before the first keyframe (or before the parameter sets) can't be decoded
+    if (units.length === 0 || !this.config.video || (!key && !stream.started)) return;
+    stream.started = true;
+
+    const data = new Uint8Array(units.reduce((sum, nal) => sum + 4 + nal.length, 0));
+    const view = new DataView(data.buffer);
+    let offset = 0;
+    for (const nal of units) {
+      view.setUint32(offset, nal.length);
+      data.set(nal, offset + 4);
+      offset += 4 + nal.length;
+    }
+    this._samples.video.push({ pts, dts, key, data });
+  }
+
+  /**
+   * Splits an audio PES payload into AAC frames
+   * @param {Uint8Array} payload - ADTS frames
+   * @param {number} pts - Presentation timestamp of the payload
+   * @private
+   */
+  _parseAudio(payload, pts) {
+    const data = this._audioRemainder.length > 0 ? concatBytes([this._audioRemainder, payload]) : payload;
+    let offset = 0;
+    let index = 0;
+    while (offset + 7 <= data.length) {
+      const header = parseAdtsHeader(data, offset);
+      if (!header) {
+        offset++;
+        continue;
+      }
+      if (offset + header.frameLength > data.length) break;
+      const { objectType, samplingFrequencyIndex, sampleRate, channelConfig } = header;
+      this.config.audio ??= { codec: 'aac', objectType, samplingFrequencyIndex, sampleRate, channelConfig };
+      this._samples.audio.push({
+        pts: pts + Math.round((index * AAC_FRAME_SAMPLES * TS_TIMESCALE) / sampleRate),
+        data: data.slice(offset + header.headerLength, offset + header.frameLength)
+      });
+      offset += header.frameLength;
+      index++;
+    }
+    this._audioRemainder = data.slice(offset);
+  }
+}
@@ -60,6 +60,19 @@ export function getHeaderValue(responseHeaders, name) {
   return '';
 }
 
+/**
+ * Gets the full size of a response body in bytes.
+ * For partial (206) responses Content-Length is only the chunk size, so the
+ * total from Content-Range ("bytes 0-1023/123456") is preferred.
+ * @param {Array<{name: string, value: string}>} responseHeaders - Response headers array.
+ * @returns {number} Total size in bytes, or 0 if unknown.
+ */
+export function getResponseTotalSize(responseHeaders) {
+  const rangeTotal = getHeaderValue(responseHeaders, 'content-range').match(/\/(\d+)$/);
+  if (rangeTotal) return parseInt(rangeTotal[1], 10);
+  return parseInt(getHeaderValue(responseHeaders, 'content-length'), 10) || 0;
+}
+
 /**
  * Converts headers array to a plain object (keeps ALL headers).
  * @param {Array<{name: string, value: string}>} reqHeaders - Request headers array.
@@ -117,6 +130,21 @@ export function getSafeHeadersForContentScript(fullHeaders) {
   return stripStripHeaders(fullHeaders);
 }
 
+/**
+ * Gets the headers an external download tool sends from stored full headers object.
+ * Strips response-related headers (STRIP_HEADERS), such as the Range of a <video> request,
+ * and the browser's Sec-Fetch-* metadata, which describes the page's request, not the tool's.
+ * @param {Object.<string, string>} fullHeaders - Full headers object.
+ * @returns {Object.<string, string>} Headers for the tool.
+ */
+export function getToolHeaders(fullHeaders) {
+  const headers = stripStripHeaders(fullHeaders);
+  for (const k of Object.keys(headers)) {
+    if (k.toLowerCase().startsWith('sec-fetch-')) delete headers[k];
+  }
+  return headers;
+}
+
 /**
  * Resolves a relative URL to an absolute URL.
  * @param {string} baseUrl - The base URL.
@@ -146,6 +174,59 @@ export function formatBitrate(bps) {
   return `${bps}bps`;
 }
 
+/**
+ * Computes a short, stable (non-cryptographic) hash of a string.
+ * Used to derive deterministic ids for items that have no webRequest id.
+ * @param {string} value - The string to hash.
+ * @returns {string} 32-bit FNV-1a hash as 8 hex characters.
+ */
+export function hashString(value) {
+  let hash = 0x811c9dc5;
+  for (let i = 0; i < value.length; i++) {
+    hash ^= value.charCodeAt(i);
+    hash = Math.imul(hash, 0x01000193);
+  }
+  return (hash >>> 0).toString(16).padStart(8, '0');
+}
+
+/**
+ * Encodes bytes as base64.
+ * @param {Uint8Array} bytes - The bytes.
+ * @returns {string} The base64 string.
+ */
+export function bytesToBase64(bytes) {
+  let binary = '';
+  // Chunked to stay below the argument limit of String.fromCharCode
+  for (let i = 0; i < bytes.length; i += 0x8000) {
+    binary += String.fromCharCode(...bytes.subarray(i, i + 0x8000));
+  }
+  return btoa(binary);
+}
+
+/**
+ * Decodes base64 to bytes.
+ * @param {string} base64 - The base64 string.
+ * @returns {Uint8Array} The bytes.
+ */
+export function base64ToBytes(base64) {
+  const binary = atob(base64);
+  const bytes = new Uint8Array(binary.length);
+  for (let i = 0; i < binary.length; i++) {
+    bytes[i] = binary.charCodeAt(i);
+  }
+  return bytes;
+}
+
+/**
+ * Encodes text as a base64 data: URL (UTF-8 safe).
+ * @param {string} text - The text content.
+ * @param {string} mimeType - The MIME type of the content.
+ * @returns {string} The data: URL.
+ */
+export function textToDataUrl(text, mimeType) {
+  return `data:${mimeType};base64,${bytesToBase64(new TextEncoder().encode(text))}`;
+}
+
 /**
  * Formats size in bytes to human-readable string.
  * @param {number} bytes - Size in bytes.
@@ -0,0 +1,3 @@
+@echo off
+rem Windows launcher for host.mjs: a native messaging manifest can only name a .bat or .exe
+node "%~dp0host.mjs" %*
@@ -0,0 +1,160 @@
+#!/usr/bin/env node
+/**
+ * Native messaging host for Stream + Subtitle Catcher
+ *
+ * Started by the browser for each "Play now" / "Download now" click (see modules/native-host.js).
+ * Reads one launch request, spawns mpv or ffmpeg from the argv it contains (never through a
+ * shell) and reports the program's status until it exits:
+ *
+ *   extension -> host: {type: 'launch', argv: ['mpv', ...]}, later {type: 'stop'}
+ *   host -> extension: {type: 'started', pid}, {type: 'progress', message},
+ *                      {type: 'exited', code, message}, {type: 'error', message}
+ *
+ * Messages are JSON, each preceded by its length as a 32-bit unsigned integer in native byte order
+ * (little-endian on all supported platforms).
+ *
+ * An optional config.json next to this file sets the program paths and the download folder:
+ *   {"programs": {"mpv": "/usr/bin/mpv", "ffmpeg": "C:\\ffmpeg\\bin\\ffmpeg.exe"}, "downloadDir": "~/Videos"}
+ */
+
+import { spawn } from 'node:child_process';
+import { existsSync, readFileSync } from 'node:fs';
+import { homedir } from 'node:os';
+import { dirname, join } from 'node:path';
+import { fileURLToPath } from 'node:url';
+
+// Only these programs are ever started; the config can only change their paths
+const PROGRAMS = ['mpv', 'ffmpeg'];
+// Lines of output kept to explain a failure
+const OUTPUT_TAIL_LINES = 5;
+// ffmpeg progress is reported at most this often
+const PROGRESS_INTERVAL_MS = 1000;
+// A stopped program is killed if it hasn't exited after this long
+const STOP_TIMEOUT_MS = 10000;
+
+function loadConfig() {
+  const file = join(dirname(fileURLToPath(import.meta.url)), 'config.json');
+  if (!existsSync(file)) return {};
+  try {
+    return JSON.parse(readFileSync(file, 'utf8'));
+  } catch (error) {
+    process.stderr.write(`[Host] Ignoring invalid config.json: ${error.message}\n`);
+    return {};
+  }
+}
+
+function resolveDownloadDir(config) {
+  const dir = String(config.downloadDir || '').replace(/^~(?=$|[\\/])/, homedir());
+  if (dir && existsSync(dir)) return dir;
+  const downloads = join(homedir(), 'Downloads');
+  return existsSync(downloads) ? downloads : homedir();
+}
+
+function send(message, callback) {
+  const body = Buffer.from(JSON.stringify(message), 'utf8');
+  const header = Buffer.alloc(4);
+  header.writeUInt32LE(body.length, 0);
+  process.stdout.write(Buffer.concat([header, body]), callback);
+}
+
+// Exits once the last message is written (stdout may be asynchronous)
+function sendAndExit(message, code) {
+  send(message, () => process.exit(code));
+}
+
+const config = loadConfig();
+let child = null;
+
+function launch(argv) {
+  if (child) {
+    send({ type: 'error', message: 'A program was already started on this connection' });
+    return;
+  }
+  if (!Array.isArray(argv) || !argv.every(arg => typeof arg === 'string') || !PROGRAMS.includes(argv[0])) {
+    send({ type: 'error', message: `Only ${PROGRAMS.join(' and ')} can be started` });
+    return;
+  }
+
+  const [program, ...args] = argv;
+  const executable = config.programs?.[program] || program;
+  // ffmpeg writes into the download folder and is stopped by pressing q on its standard input
+  child = spawn(executable, args, {
+    cwd: resolveDownloadDir(config),
+    stdio: [program === 'ffmpeg' ? 'pipe' : 'ignore', 'pipe', 'pipe'],
+    windowsHide: true
+  });
+
+  const tail = [];
+  let lastProgress = 0;
+  const collect = (chunk) => {
+    // ffmpeg's -stats line is rewritten with \r
+    for (const line of chunk.toString('utf8').split(/[\r\n]+/)) {
+      const text = line.trim();
+      if (!text) continue;
+      if (program === 'ffmpeg' && /^(?:frame|size)=/.test(text)) {
+        if (Date.now() - lastProgress >= PROGRESS_INTERVAL_MS) {
+          lastProgress = Date.now();
+          send({ type: 'progress', message: text.replace(/\s+/g, ' ') });
+        }
+        continue;
+      }
+      tail.push(text);
+      if (tail.length > OUTPUT_TAIL_LINES) tail.shift();
+    }
+  };
+  // ffmpeg may exit before reading q
+  child.stdin?.on('error', () => {});
+  child.stdout.on('data', collect);
+  child.stderr.on('data', collect);
+
+  child.on('spawn', () => send({ type: 'started', pid: child.pid }));
+  child.on('error', (error) => {
+    const message = error.code === 'ENOENT'
+      ? `${program} not found: install it or set its path in ${join('native-host', 'config.json')}`
+      : error.message;
+    sendAndExit({ type: 'error', message }, 1);
+  });
+  // close (unlike exit) waits for the last output
+  child.on('close', (code, signal) => {
+    sendAndExit({ type: 'exited', code: code ?? -1, message: code === 0 ? '' : (tail.at(-1) || signal || '') }, 0);
+  });
+}
+
+function stop() {
+  if (!child || child.exitCode !== null) return;
+  if (child.stdin) {
+    child.stdin.end('q');
+  } else {
+    child.kill();
+  }
+  setTimeout(() => child.kill('SIGKILL'), STOP_TIMEOUT_MS).unref();
+}
+
+let buffer = Buffer.alloc(0);
+process.stdin.on('data', (chunk) => {
+  buffer = Buffer.concat([buffer, chunk]);
+  while (buffer.length >= 4) {
+    const length = buffer.readUInt32LE(0);
+    if (buffer.length < 4 + length) break;
+    const body = buffer.subarray(4, 4 + length);
+    buffer = buffer.subarray(4 + length);
+
+    let message;
+    try {
+      message = JSON.parse(body.toString('utf8'));
+    } catch {
+      send({ type: 'error', message: 'Invalid message' });
+      continue;
+    }
+    if (message?.type === 'launch') {
+      launch(message.argv);
+    } else if (message?.type === 'stop') {
+      stop();
+    }
+  }
+});
+
+// The browser closed the port: a running program keeps going, otherwise there is nothing left to do
+process.stdin.on('end', () => {
+  if (!child) process.exit(0);
+});
@@ -0,0 +1,65 @@
+#!/bin/sh
+# Registers the native messaging host for Chrome, Chromium, Brave and Edge (Linux and macOS).
+# Usage: native-host/install.sh <extension-id>
+# The extension ID is shown on chrome://extensions (developer mode) under the extension's name.
+set -e
+
+HOST_NAME=com.streamcatch.launcher
+EXTENSION_ID=$1
+if [ -z "$EXTENSION_ID" ]; then
+  echo "Usage: $0 <extension-id>" >&2
+  exit 1
+fi
+
+HOST_DIR=$(cd "$(dirname "$0")" && pwd)
+NODE=$(command -v node || true)
+if [ -z "$NODE" ]; then
+  echo "node was not found on PATH; install Node.js 18 or later first" >&2
+  exit 1
+fi
+
+# One browser folder per line
+if [ "$(uname -s)" = Darwin ]; then
+  BASE="$HOME/Library/Application Support"
+  BROWSERS='Google/Chrome
+Chromium
+BraveSoftware/Brave-Browser
+Microsoft Edge'
+else
+  BASE="$HOME/.config"
+  BROWSERS='google-chrome
+chromium
+BraveSoftware/Brave-Browser
+microsoft-edge'
+fi
+
+installed=0
+while IFS= read -r browser; do
+  [ -d "$BASE/$browser" ] || continue
+  target="$BASE/$browser/NativeMessagingHosts"
+  mkdir -p "$target"
+
+  # Browsers start the host with a minimal PATH, so the launcher names node by its full path
+  launcher="$target/$HOST_NAME.sh"
+  printf '#!/bin/sh\nexec "%s" "%s/host.mjs" "$@"\n' "$NODE" "$HOST_DIR" > "$launcher"
+  chmod +x "$launcher"
+
+  cat > "$target/$HOST_NAME.json" <<JSON
+{
+  "name": "$HOST_NAME",
+  "description": "Stream + Subtitle Catcher launcher for mpv and ffmpeg",
+  "path": "$launcher",
+  "type": "stdio",
+  "allowed_origins": ["chrome-extension://$EXTENSION_ID/"]
+}
+JSON
+  echo "Installed for $browser"
+  installed=1
+done <<LIST
+$BROWSERS
+LIST
+
+if [ "$installed" = 0 ]; then
+  echo "No supported browser profile found under $BASE" >&2
+  exit 1
+fi
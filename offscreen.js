@@ -0,0 +1,101 @@
+// Offscreen document for the in-browser downloader (modules/hls-downloader.js).
+// Service workers can't create blob URLs, so the parts (segments and init sections) are
+// collected here and joined into one Blob per output file, whose URLs the service worker
+// hands to chrome.downloads. TS files are remuxed to MP4 on the way (modules/mp4-remuxer.js).
+// Only messages with target 'offscreen' are handled.
+
+import { TsToMp4Remuxer } from './modules/mp4-remuxer.js';
+
+// Parts per job: jobId -> Blob[] by part index
+const jobParts = new Map();
+// Blob URLs of saved jobs, revoked once their downloads have finished: jobId -> URL[]
+const jobUrls = new Map();
+
+function base64ToBytes(base64) {
+  const binary = atob(base64);
+  const bytes = new Uint8Array(binary.length);
+  for (let i = 0; i < binary.length; i++) {
+    bytes[i] = binary.charCodeAt(i);
+  }
+  return bytes;
+}
+
+// Remuxes the TS parts of a file one at a time, keeping each output piece as a Blob as well,
+// and tells the service worker how far it got (which also keeps the worker alive meanwhile)
+async function remuxParts(jobId, parts, fragmented) {
+  const remuxer = new TsToMp4Remuxer({ fragmented });
+  const body = [];
+  for (const [index, part] of parts.entries()) {
+    body.push(new Blob([remuxer.push(new Uint8Array(await part.arrayBuffer()))]));
+    chrome.runtime.sendMessage({ cmd: 'OFFSCREEN_REMUX_PROGRESS', jobId, done: index + 1, total: parts.length })
+      .catch(() => {});
+  }
+  const { header, trailer } = remuxer.finish();
+  return new Blob([header, ...body, trailer], { type: 'video/mp4' });
+}
+
+// Joins a file's parts; a TS stream that can't be remuxed is saved as it is
+async function joinFile(jobId, parts, file) {
+  const selected = parts.slice(file.first, file.last + 1);
+  if (file.remux) {
+    try {
+      return { blob: await remuxParts(jobId, selected, file.remux === 'fmp4'), filename: file.filename, warning: null };
+    } catch (error) {
+      console.warn('[Offscreen] Remux failed, saving the transport stream:', error.message);
+      return {
+        blob: new Blob(selected, { type: 'video/mp2t' }),
+        filename: file.filename.replace(/\.mp4$/, '.ts'),
+        warning: `Kept as MPEG-TS: ${error.message}`
+      };
+    }
+  }
+  return { blob: new Blob(selected, { type: file.mimeType || 'application/octet-stream' }), filename: file.filename, warning: null };
+}
+
+async function saveJob(jobId, files) {
+  const parts = jobParts.get(jobId) || [];
+  const missing = Array.from(parts, part => !part).indexOf(true);
+  if (parts.length === 0 || missing !== -1) {
+    throw new Error(parts.length === 0 ? 'No segments to save' : `Part ${missing + 1} is missing`);
+  }
+  const saved = [];
+  for (const file of files) {
+    const { blob, filename, warning } = await joinFile(jobId, parts, file);
+    saved.push({ url: URL.createObjectURL(blob), filename, warning });
+  }
+  jobParts.delete(jobId);
+  jobUrls.set(jobId, saved.map(file => file.url));
+  return saved;
+}
+
+function releaseJob(jobId) {
+  jobParts.delete(jobId);
+  (jobUrls.get(jobId) || []).forEach(url => URL.revokeObjectURL(url));
+  jobUrls.delete(jobId);
+}
+
+chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
+  if (message.target !== 'offscreen') return;
+
+  if (message.cmd === 'OFFSCREEN_APPEND') {
+    // Each part becomes its own Blob, which the browser may keep on disk instead of in memory
+    if (!jobParts.has(message.jobId)) jobParts.set(message.jobId, []);
+    jobParts.get(message.jobId)[message.index] = new Blob([base64ToBytes(message.data)]);
+    sendResponse({ success: true });
+    return;
+  }
+
+  if (message.cmd === 'OFFSCREEN_SAVE') {
+    // files: [{filename, mimeType, first, last, remux}], each joining the parts first to last (inclusive);
+    // responds with the blob URL and final name of each file
+    saveJob(message.jobId, message.files)
+      .then(files => sendResponse({ files }))
+      .catch(error => sendResponse({ error: error.message }));
+    return true;
+  }
+
+  if (message.cmd === 'OFFSCREEN_RELEASE') {
+    releaseJob(message.jobId);
+    sendResponse({ success: true });
+  }
+});
@@ -0,0 +1,281 @@
+// Options page: edit the settings (modules/settings.js), including command templates
+// (modules/templates.js), and capture rules (modules/rules.js)
+import { getRules, saveRules, compilePattern, normalizeRules, getRulesSizeError } from './modules/rules.js';
+import { getSettings, saveSettings, validateSettings, MAX_COMMAND_TEMPLATES, DOWNLOAD_CONTAINERS } from './modules/settings.js';
+import { validateTemplate, TEMPLATE_PLACEHOLDERS } from './modules/templates.js';
+import { SHELL_DIALECTS } from './modules/shell.js';
+
+const THEME_KEY = 'subtitle-catcher-theme';
+const BYTES_PER_MB = 1024 * 1024;
+
+// Settings form fields, keyed by setting
+const settingFields = {
+  maxItemsPerTab: document.getElementById('max-items-per-tab'),
+  fetchTimeoutMs: document.getElementById('fetch-timeout'),
+  playlistFetchTimeoutMs: document.getElementById('playlist-fetch-timeout'),
+  downloadConcurrency: document.getElementById('download-concurrency'),
+  downloadRetries: document.getElementById('download-retries'),
+  downloadContainer: document.getElementById('download-container'),
+  shellDialect: document.getElementById('shell-dialect'),
+  ffmpegFormat: document.getElementById('ffmpeg-format'),
+  mpvExtraArgs: document.getElementById('mpv-extra-args'),
+  ytDlpOutputTemplate: document.getElementById('ytdlp-output-template')
+};
+const mpvProfilesContainer = document.getElementById('mpv-profiles');
+const mpvProfileTemplate = document.getElementById('mpv-profile-template');
+const btnAddProfile = document.getElementById('btn-add-profile');
+const commandTemplatesContainer = document.getElementById('command-templates');
+const commandTemplateTemplate = document.getElementById('command-template-template');
+const btnAddTemplate = document.getElementById('btn-add-template');
+const templatePlaceholders = document.getElementById('template-placeholders');
+const allowlistOnly = document.getElementById('allowlist-only');
+const minVideoSize = document.getElementById('min-video-size');
+const minVideoDuration = document.getElementById('min-video-duration');
+const siteRulesContainer = document.getElementById('site-rules');
+const siteRuleTemplate = document.getElementById('site-rule-template');
+const btnAddSite = document.getElementById('btn-add-site');
+const btnSave = document.getElementById('btn-save');
+const status = document.getElementById('status');
+
+// Follow the theme chosen in the popup (shared localStorage of the extension origin)
+function applyTheme() {
+  const theme = localStorage.getItem(THEME_KEY) || 'auto';
+  const isDark = theme === 'dark' ||
+    (theme === 'auto' && window.matchMedia('(prefers-color-scheme: dark)').matches);
+  document.documentElement.setAttribute('data-theme', isDark ? 'dark' : 'light');
+}
+
+function showStatus(message, type = '') {
+  status.textContent = message;
+  status.className = type;
+}
+
+// Thresholds are edited in MB but stored in bytes; 0 is shown as an empty field
+function bytesToMbField(bytes) {
+  return bytes > 0 ? String(Math.round((bytes / BYTES_PER_MB) * 100) / 100) : '';
+}
+
+function mbFieldToBytes(value) {
+  const mb = parseFloat(value);
+  return mb > 0 ? Math.round(mb * BYTES_PER_MB) : 0;
+}
+
+// Timeouts are edited in seconds but stored in milliseconds
+function readSettingsForm() {
+  const secondsToMs = value => (value === '' ? '' : Math.round(parseFloat(value) * 1000));
+  return {
+    maxItemsPerTab: settingFields.maxItemsPerTab.value,
+    fetchTimeoutMs: secondsToMs(settingFields.fetchTimeoutMs.value),
+    playlistFetchTimeoutMs: secondsToMs(settingFields.playlistFetchTimeoutMs.value),
+    downloadConcurrency: settingFields.downloadConcurrency.value,
+    downloadRetries: settingFields.downloadRetries.value,
+    downloadContainer: settingFields.downloadContainer.value,
+    shellDialect: settingFields.shellDialect.value,
+    ffmpegFormat: settingFields.ffmpegFormat.value,
+    ...readMpvProfiles(),
+    mpvExtraArgs: settingFields.mpvExtraArgs.value,
+    ytDlpOutputTemplate: settingFields.ytDlpOutputTemplate.value,
+    commandTemplates: readCommandTemplates()
+  };
+}
+
+function addMpvProfile(profile = { name: '', args: [] }, isDefault = false) {
+  const fragment = mpvProfileTemplate.content.cloneNode(true);
+  const row = fragment.querySelector('.mpv-profile');
+  const field = (name) => row.querySelector(`[data-field="${name}"]`);
+
+  field('name').value = profile.name;
+  field('default').checked = isDefault;
+  field('args').value = profile.args.join('\n');
+
+  row.querySelector('[data-action="remove"]').addEventListener('click', () => row.remove());
+  mpvProfilesContainer.appendChild(fragment);
+  return row;
+}
+
+// The default profile is the one whose radio button is checked
+function readMpvProfiles() {
+  let mpvProfile;
+  const mpvProfiles = Array.from(mpvProfilesContainer.querySelectorAll('.mpv-profile')).map((row) => {
+    const field = (name) => row.querySelector(`[data-field="${name}"]`);
+    if (field('default').checked) mpvProfile = field('name').value.trim();
+    return { name: field('name').value, args: field('args').value };
+  });
+  return { mpvProfiles, mpvProfile };
+}
+
+function renderSettings(settings) {
+  settingFields.maxItemsPerTab.value = String(settings.maxItemsPerTab);
+  settingFields.fetchTimeoutMs.value = String(settings.fetchTimeoutMs / 1000);
+  settingFields.playlistFetchTimeoutMs.value = String(settings.playlistFetchTimeoutMs / 1000);
+  settingFields.downloadConcurrency.value = String(settings.downloadConcurrency);
+  settingFields.downloadRetries.value = String(settings.downloadRetries);
+  settingFields.downloadContainer.value = settings.downloadContainer;
+  settingFields.shellDialect.value = settings.shellDialect;
+  settingFields.ffmpegFormat.value = settings.ffmpegFormat;
+  settingFields.mpvExtraArgs.value = settings.mpvExtraArgs.join('\n');
+  settingFields.ytDlpOutputTemplate.value = settings.ytDlpOutputTemplate;
+  mpvProfilesContainer.replaceChildren();
+  settings.mpvProfiles.forEach(profile => addMpvProfile(profile, profile.name === settings.mpvProfile));
+  commandTemplatesContainer.replaceChildren();
+  settings.commandTemplates.forEach(entry => addCommandTemplate(entry));
+}
+
+function addCommandTemplate(entry = { name: '', template: '' }) {
+  const fragment = commandTemplateTemplate.content.cloneNode(true);
+  const row = fragment.querySelector('.command-template');
+  const field = (name) => row.querySelector(`[data-field="${name}"]`);
+
+  field('name').value = entry.name;
+  field('template').value = entry.template;
+
+  // Flag template syntax errors while typing
+  field('template').addEventListener('input', () => {
+    const textarea = field('template');
+    const error = textarea.value.trim() ? validateTemplate(textarea.value) : null;
+    textarea.classList.toggle('invalid', !!error);
+    textarea.title = error || '';
+  });
+
+  row.querySelector('[data-action="remove"]').addEventListener('click', () => {
+    row.remove();
+    btnAddTemplate.disabled = false;
+  });
+  commandTemplatesContainer.appendChild(fragment);
+  btnAddTemplate.disabled = commandTemplatesContainer.children.length >= MAX_COMMAND_TEMPLATES;
+  return row;
+}
+
+function readCommandTemplates() {
+  return Array.from(commandTemplatesContainer.querySelectorAll('.command-template')).map((row) => {
+    const field = (name) => row.querySelector(`[data-field="${name}"]`);
+    return { name: field('name').value, template: field('template').value };
+  });
+}
+
+// Marks the invalid settings fields; returns the error messages
+function markSettingErrors(errors) {
+  for (const [key, field] of Object.entries(settingFields)) {
+    field.classList.toggle('invalid', key in errors);
+    field.title = errors[key] || '';
+  }
+  return Object.values(errors);
+}
+
+function addSiteRule(site = {}) {
+  const fragment = siteRuleTemplate.content.cloneNode(true);
+  const rule = fragment.querySelector('.site-rule');
+  const field = (name) => rule.querySelector(`[data-field="${name}"]`);
+
+  field('host').value = site.host || '';
+  field('enabled').checked = site.enabled !== false;
+  field('include').value = (site.include || []).join('\n');
+  field('exclude').value = (site.exclude || []).join('\n');
+  field('minVideoSize').value = bytesToMbField(site.minVideoSize);
+  field('minVideoDuration').value = site.minVideoDuration > 0 ? String(site.minVideoDuration) : '';
+
+  // Flag invalid regular expressions while typing
+  for (const name of ['include', 'exclude']) {
+    field(name).addEventListener('input', () => validatePatterns(field(name)));
+  }
+
+  rule.querySelector('[data-action="remove"]').addEventListener('click', () => rule.remove());
+  siteRulesContainer.appendChild(fragment);
+  return rule;
+}
+
+// Returns the invalid patterns of a textarea and marks it
+function validatePatterns(textarea) {
+  const invalid = textarea.value.split('\n')
+    .map(line => line.trim())
+    .filter(line => line && !compilePattern(line));
+  textarea.classList.toggle('invalid', invalid.length > 0);
+  textarea.title = invalid.length > 0 ? `Invalid: ${invalid.join(', ')}` : '';
+  return invalid;
+}
+
+function readRulesForm() {
+  const sites = Array.from(siteRulesContainer.querySelectorAll('.site-rule')).map((rule) => {
+    const field = (name) => rule.querySelector(`[data-field="${name}"]`);
+    return {
+      host: field('host').value,
+      enabled: field('enabled').checked,
+      include: field('include').value,
+      exclude: field('exclude').value,
+      minVideoSize: mbFieldToBytes(field('minVideoSize').value),
+      minVideoDuration: parseFloat(field('minVideoDuration').value) || 0
+    };
+  });
+
+  return {
+    allowlistOnly: allowlistOnly.checked,
+    minVideoSize: mbFieldToBytes(minVideoSize.value),
+    minVideoDuration: parseFloat(minVideoDuration.value) || 0,
+    sites
+  };
+}
+
+function renderRules(rules) {
+  allowlistOnly.checked = rules.allowlistOnly;
+  minVideoSize.value = bytesToMbField(rules.minVideoSize);
+  minVideoDuration.value = rules.minVideoDuration > 0 ? String(rules.minVideoDuration) : '';
+  siteRulesContainer.replaceChildren();
+  rules.sites.forEach(site => addSiteRule(site));
+}
+
+btnAddProfile.addEventListener('click', () => {
+  addMpvProfile().querySelector('[data-field="name"]').focus();
+});
+
+btnAddTemplate.addEventListener('click', () => {
+  addCommandTemplate().querySelector('[data-field="name"]').focus();
+});
+
+btnAddSite.addEventListener('click', () => {
+  addSiteRule().querySelector('[data-field="host"]').focus();
+});
+
+btnSave.addEventListener('click', async () => {
+  const settingErrors = markSettingErrors(validateSettings(readSettingsForm()).errors);
+  if (settingErrors.length > 0) {
+    showStatus(settingErrors.join('; '), 'error');
+    return;
+  }
+
+  const invalid = Array.from(siteRulesContainer.querySelectorAll('textarea'))
+    .flatMap(textarea => validatePatterns(textarea));
+  if (invalid.length > 0) {
+    showStatus(`Fix invalid patterns first: ${invalid.join(', ')}`, 'error');
+    return;
+  }
+
+  // Checked before anything is saved, so settings and rules aren't saved halfway
+  const rulesSizeError = getRulesSizeError(normalizeRules(readRulesForm()));
+  if (rulesSizeError) {
+    showStatus(rulesSizeError, 'error');
+    return;
+  }
+
+  try {
+    renderSettings(await saveSettings(readSettingsForm()));
+    renderRules(await saveRules(readRulesForm()));
+    showStatus('Saved', 'ok');
+  } catch (error) {
+    // chrome.storage.sync limits a single item to 8 KB and caps writes per minute
+    console.error('[Options] Failed to save options:', error);
+    showStatus(`Failed to save: ${error.message}`, 'error');
+  }
+});
+
+applyTheme();
+settingFields.shellDialect.replaceChildren(...Object.entries(SHELL_DIALECTS).map(([value, label]) => new Option(label, value)));
+settingFields.downloadContainer.replaceChildren(...Object.entries(DOWNLOAD_CONTAINERS).map(([value, label]) => new Option(label, value)));
+templatePlaceholders.replaceChildren(...Object.entries(TEMPLATE_PLACEHOLDERS).map(([name, description]) => {
+  const item = document.createElement('li');
+  const code = document.createElement('code');
+  code.textContent = `{${name}}`;
+  item.append(code, ` ${description}`);
+  return item;
+}));
+renderSettings(await getSettings());
+renderRules(await getRules());
@@ -174,17 +174,49 @@ function initTheme() {
   const stateLoading = document.getElementById('state-loading');
   const btnClear = document.getElementById('btn-clear');
   const btnThemeToggle = document.getElementById('btn-theme-toggle');
+  const btnOptions = document.getElementById('btn-options');
+  const btnHistory = document.getElementById('btn-history');
   const toast = document.getElementById('toast');
   const commandBar = document.getElementById('command-bar');
   const commandSelection = document.getElementById('command-selection');
 
   const btnCommandMpv = document.getElementById('btn-command-mpv');
   const btnCommandFfmpeg = document.getElementById('btn-command-ffmpeg');
+  const btnCommandYtDlp = document.getElementById('btn-command-ytdlp');
+  const btnCommandNm3u8Dl = document.getElementById('btn-command-nm3u8dl');
+  const btnCommandStreamlink = document.getElementById('btn-command-streamlink');
+  const btnCommandAria2c = document.getElementById('btn-command-aria2c');
+  const btnCommandVlc = document.getElementById('btn-command-vlc');
+  const btnExportXspf = document.getElementById('btn-export-xspf');
+  const btnLaunchMpv = document.getElementById('btn-launch-mpv');
+  const btnLaunchFfmpeg = document.getElementById('btn-launch-ffmpeg');
+  const nativeStatus = document.getElementById('native-status');
+  const nativeStatusText = document.getElementById('native-status-text');
+  const btnNativeStop = document.getElementById('btn-native-stop');
+  const btnBrowserDownload = document.getElementById('btn-browser-download');
+  const downloadStatus = document.getElementById('download-status');
+  const downloadStatusText = document.getElementById('download-status-text');
+  const downloadProgress = document.getElementById('download-progress');
+  const btnDownloadCancel = document.getElementById('btn-download-cancel');
   const ffmpegFormatSelect = document.getElementById('ffmpeg-format-select');
+  const mpvProfileSelect = document.getElementById('mpv-profile-select');
+  const customCommands = document.getElementById('custom-commands');
+  const liveOptions = document.getElementById('live-options');
+  const liveRecordDuration = document.getElementById('live-record-duration');
+  const liveStartSelect = document.getElementById('live-start-select');
 
   // Initialize theme
   initTheme();
 
+  // The ffmpeg container and mpv profile default to the ones chosen on the options page
+  chrome.runtime.sendMessage({ cmd: 'GET_SETTINGS' }, (settings) => {
+    if (chrome.runtime.lastError || !settings) return;
+    ffmpegFormatSelect.value = settings.ffmpegFormat;
+    mpvProfileSelect.replaceChildren(...settings.mpvProfiles.map(({ name }) => new Option(name, name)));
+    mpvProfileSelect.value = settings.mpvProfile;
+    renderCustomCommandButtons(settings.commandTemplates);
+  });
+
   const [tab] = await chrome.tabs.query({ active: true, currentWindow: true });
   if (!tab) { showEmpty(); return; }
   const tabId = tab.id;
@@ -240,6 +272,12 @@ function initTheme() {
     videoFiles.sort((a, b) => b.timestamp - a.timestamp).forEach((item) => appendVideoFileCard(`video-${item.timestamp}`, item));
     subList.sort((a, b) => b.timestamp - a.timestamp).forEach((item) => appendSubtitleCard(`sub-${item.timestamp}`, item));
 
+    updateAdToggles();
+
+    // Preselect the stream most likely to be the main content (never a likely ad)
+    const bestStream = streamItems[payload.bestStream];
+    if (bestStream) selectStreamCard(bestStream.url);
+
     updateCommandBar();
     updateSelectAllButton();
     updateSectionEmptyStates();
@@ -248,15 +286,22 @@ function initTheme() {
   chrome.runtime.onMessage.addListener((msg) => {
     if (msg.cmd === 'ITEM_DETECTED' && msg.tabId === tabId) {
       stateEmpty.style.display = 'none';
+      let replacedCardWasSelected = false;
       
-      // Update internal state
+      // Update internal state (keyed by requestId, like the storage payload)
       if (msg.item.kind === 'stream') {
-        streamItems[msg.item.timestamp] = msg.item;
+        streamItems[msg.item.requestId] = msg.item;
         if (msg.item.mediaType === 'video') {
           videoFileItems[msg.item.timestamp] = msg.item;
         }
       } else if (msg.item.kind === 'subtitle') {
-        subtitleItems[msg.item.timestamp] = msg.item;
+        // Subtitles generated from in-page cues are re-sent as the track gains cues:
+        // replace the previous card, keeping it selected if it was
+        const previous = subtitleItems[msg.item.requestId];
+        if (previous && previous.url !== msg.item.url) {
+          replacedCardWasSelected = removeSubtitleCard(previous.url);
+        }
+        subtitleItems[msg.item.requestId] = msg.item;
       }
       
       // Create sections if they don't exist
@@ -271,8 +316,12 @@ function initTheme() {
         }
       } else {
         appendSubtitleCard(`sub-${msg.item.timestamp}`, msg.item);
+        if (replacedCardWasSelected) {
+          selectSubtitleCard(msg.item.url);
+        }
       }
       
+      updateAdToggles();
       updateCommandBar();
       updateSelectAllButton();
       updateSectionEmptyStates();
@@ -301,6 +350,7 @@ function initTheme() {
       languageCache.clear();
       subtitleLanguageCache.clear();
       selectedVariants.clear();
+      selectedAudioTracks.clear();
       updateSelectAllButton();
       updateCommandBar();
       updateSectionEmptyStates();
@@ -311,6 +361,8 @@ function initTheme() {
 
   // Theme toggle button
   btnThemeToggle.addEventListener('click', cycleTheme);
+  btnOptions.addEventListener('click', () => chrome.runtime.openOptionsPage());
+  btnHistory.addEventListener('click', () => chrome.tabs.create({ url: chrome.runtime.getURL('history.html') }));
 
   // Select all subtitles functionality - now in section header
   function handleSelectAllClick() {
@@ -341,21 +393,28 @@ function initTheme() {
     const streamItem = Object.values(streamItems).find(s => s.url === streamId);
     if (!streamItem) return null;
     
+    // Alternate audio rendition (explicit pick, or the variant group's default)
+    const audioTrack = getSelectedAudioTrack(streamItem);
+
     // Check if a variant is selected for this stream
     const selectedVariant = selectedVariants.get(streamId);
     if (selectedVariant && selectedVariant.variant) {
       // Return a modified stream item with the variant URL
       return {
+        audioTrack,
         ...streamItem,
         url: selectedVariant.variant.url,
+        masterUrl: streamItem.url,
         variantName: selectedVariant.variant.name,
+        variantBandwidth: selectedVariant.variant.bandwidth,
+        estimatedSize: selectedVariant.variant.estimatedSize,
         resolution: selectedVariant.variant.resolution || streamItem.resolution,
         bitrate: selectedVariant.variant.bitrate || streamItem.bitrate,
         codec: selectedVariant.variant.codec || streamItem.codec
       };
     }
     
-    return streamItem;
+    return audioTrack ? { ...streamItem, audioTrack } : streamItem;
   }
 
   // Helper function to get selected variant info for display
@@ -367,6 +426,28 @@ function initTheme() {
     return null;
   }
 
+  // Seconds or [[hh:]mm:]ss - mirrors normalizeRecordDuration in modules/commands.js
+  const RECORD_DURATION_PATTERN = /^\d+(?::\d{1,2}){0,2}(?:\.\d+)?$/;
+
+  /**
+   * Collects the live recording options for the command builders
+   * @param {Object} streamItem - The effective stream item
+   * @returns {Object} Options with recordDuration and liveStart (empty for VOD streams)
+   */
+  function getLiveCommandOptions(streamItem) {
+    if (!streamItem?.isLive) return {};
+    const recordDuration = liveRecordDuration.value.trim();
+    return {
+      recordDuration: RECORD_DURATION_PATTERN.test(recordDuration) ? recordDuration : null,
+      liveStart: liveStartSelect.value === '' ? null : Number(liveStartSelect.value)
+    };
+  }
+
+  liveRecordDuration.addEventListener('input', () => {
+    const value = liveRecordDuration.value.trim();
+    liveRecordDuration.classList.toggle('invalid', value !== '' && !RECORD_DURATION_PATTERN.test(value));
+  });
+
   // Command bar MPV button
   btnCommandMpv.addEventListener('click', async () => {
     if (!selectedStreamId) return;
@@ -383,7 +464,9 @@ function initTheme() {
     
     const selectedSubs = getSelectedSubtitles();
     
-    chrome.runtime.sendMessage({ cmd: 'BUILD_MPV', streamItem, subtitleItems: selectedSubs }, async (response) => {
+    const options = { ...getLiveCommandOptions(streamItem), profile: mpvProfileSelect.value };
+
+    chrome.runtime.sendMessage({ cmd: 'BUILD_MPV', streamItem, subtitleItems: selectedSubs, options }, async (response) => {
       if (chrome.runtime.lastError) {
         console.error('Failed to build mpv command:', chrome.runtime.lastError.message);
         showToast('Failed to build mpv command', true);
@@ -420,8 +503,9 @@ function initTheme() {
     
     const selectedSubs = getSelectedSubtitles();
     const outputFormat = ffmpegFormatSelect?.value || 'mp4';
+    const options = getLiveCommandOptions(streamItem);
     
-    chrome.runtime.sendMessage({ cmd: 'BUILD_FFMPEG', streamItem, subtitleItems: selectedSubs, outputFormat, outputFilename: tabTitle }, async (response) => {
+    chrome.runtime.sendMessage({ cmd: 'BUILD_FFMPEG', streamItem, subtitleItems: selectedSubs, outputFormat, outputFilename: tabTitle, options }, async (response) => {
       if (chrome.runtime.lastError) {
         console.error('Failed to build ffmpeg command:', chrome.runtime.lastError.message);
         showToast('Failed to build ffmpeg command', true);
@@ -442,6 +526,248 @@ function initTheme() {
     });
   });
 
+  // Builds a command in the service worker for the selected stream, subtitles and live options and copies it
+  function copyBuiltCommand(button, label, message, { requireStream = true } = {}) {
+    if (requireStream && !selectedStreamId) return;
+
+    setButtonLoading(button, true);
+
+    const streamItem = selectedStreamId ? getEffectiveStreamItem(selectedStreamId) : null;
+
+    if (requireStream && !streamItem) {
+      showToast('Stream not found', true);
+      setButtonLoading(button, false);
+      return;
+    }
+
+    const selectedSubs = getSelectedSubtitles();
+    const options = getLiveCommandOptions(streamItem);
+
+    chrome.runtime.sendMessage({ ...message, streamItem, subtitleItems: selectedSubs, outputFilename: tabTitle, options }, async (response) => {
+      if (chrome.runtime.lastError) {
+        console.error(`Failed to build ${label} command:`, chrome.runtime.lastError.message);
+        showToast(`Failed to build ${label} command`, true);
+        setButtonLoading(button, false);
+        return;
+      }
+      if (response?.command) {
+        try {
+          await navigator.clipboard.writeText(response.command);
+          showToast(`${label} command copied!`);
+        } catch {
+          showToast('Copy failed', true);
+        }
+      } else {
+        showToast(response?.error || 'Failed to build command', true);
+      }
+      setButtonLoading(button, false);
+    });
+  }
+
+  // Command bar download tool buttons - yt-dlp and N_m3u8DL-RE share the ffmpeg container choice
+  btnCommandYtDlp.addEventListener('click', () => {
+    copyBuiltCommand(btnCommandYtDlp, 'yt-dlp', { cmd: 'BUILD_YTDLP', outputFormat: ffmpegFormatSelect.value });
+  });
+
+  btnCommandNm3u8Dl.addEventListener('click', () => {
+    copyBuiltCommand(btnCommandNm3u8Dl, 'N_m3u8DL-RE', { cmd: 'BUILD_NM3U8DL', outputFormat: ffmpegFormatSelect.value });
+  });
+
+  btnCommandStreamlink.addEventListener('click', () => {
+    copyBuiltCommand(btnCommandStreamlink, 'streamlink', { cmd: 'BUILD_STREAMLINK' });
+  });
+
+  // aria2c only fetches direct video files and subtitles, so subtitles alone are enough
+  btnCommandAria2c.addEventListener('click', () => {
+    copyBuiltCommand(btnCommandAria2c, 'aria2c', { cmd: 'BUILD_ARIA2C' }, { requireStream: false });
+  });
+
+  btnCommandVlc.addEventListener('click', () => {
+    copyBuiltCommand(btnCommandVlc, 'VLC', { cmd: 'BUILD_VLC' });
+  });
+
+  // XSPF playlist: the selected stream (with its variant, audio and subtitles) first, then the
+  // other captured streams as they are; likely ads only while they are shown
+  btnExportXspf.addEventListener('click', () => {
+    const selected = selectedStreamId ? getEffectiveStreamItem(selectedStreamId) : null;
+    if (!selected) return;
+
+    const showAds = container.classList.contains('show-ads');
+    const others = Object.values(streamItems)
+      .filter(item => item.url !== selectedStreamId && (showAds || !item.isAd))
+      .sort((a, b) => b.timestamp - a.timestamp);
+    const entries = [
+      { streamItem: selected, subtitleItems: getSelectedSubtitles(), title: selected.name },
+      ...others.map(item => ({ streamItem: item, title: item.name }))
+    ];
+
+    setButtonLoading(btnExportXspf, true);
+    chrome.runtime.sendMessage({ cmd: 'BUILD_XSPF', entries, outputFilename: tabTitle }, (response) => {
+      setButtonLoading(btnExportXspf, false);
+      if (chrome.runtime.lastError || !response?.playlist) {
+        showToast(response?.error || 'Failed to build playlist', true);
+        return;
+      }
+      const link = document.createElement('a');
+      link.href = URL.createObjectURL(new Blob([response.playlist], { type: 'application/xspf+xml' }));
+      link.download = response.filename;
+      link.click();
+      setTimeout(() => URL.revokeObjectURL(link.href), 1000);
+      showToast(`Playlist with ${entries.length} stream${entries.length !== 1 ? 's' : ''} saved`);
+    });
+  });
+
+  // Play now / Download now: mpv and ffmpeg started through the native host, with the same
+  // inputs as the copied commands; the status line follows the last program started
+  let nativeJobId = null;
+
+  function renderNativeStatus(job) {
+    if (!job) return;
+    nativeJobId = job.id;
+    const label = job.program === 'ffmpeg' ? 'Download' : 'mpv';
+    nativeStatusText.textContent = {
+      starting: `${label}: starting…`,
+      running: `${label}: ${job.message || 'running'}`,
+      finished: `${label}: finished`,
+      failed: `${label} failed: ${job.message}`
+    }[job.state] || '';
+    nativeStatusText.title = [job.title, job.message].filter(Boolean).join('\n');
+    nativeStatus.className = `job-status ${job.state}`;
+    nativeStatus.hidden = false;
+    btnNativeStop.hidden = job.state !== 'running' || job.stopping;
+  }
+
+  function launchNative(button, tool) {
+    if (!selectedStreamId) return;
+
+    const streamItem = getEffectiveStreamItem(selectedStreamId);
+    if (!streamItem) {
+      showToast('Stream not found', true);
+      return;
+    }
+
+    setButtonLoading(button, true);
+    const options = { ...getLiveCommandOptions(streamItem), profile: mpvProfileSelect.value };
+    const message = {
+      cmd: 'NATIVE_LAUNCH',
+      tool,
+      streamItem,
+      subtitleItems: getSelectedSubtitles(),
+      outputFormat: ffmpegFormatSelect.value,
+      outputFilename: tabTitle,
+      options
+    };
+    chrome.runtime.sendMessage(message, (response) => {
+      setButtonLoading(button, false);
+      if (chrome.runtime.lastError || !response?.job) {
+        // The status line shows the reason, e.g. a missing host
+        console.error(`Failed to start ${tool}:`, chrome.runtime.lastError?.message || response?.error);
+        showToast(`Failed to start ${tool}`, true);
+        return;
+      }
+      renderNativeStatus(response.job);
+      showToast(tool === 'ffmpeg' ? 'Download started' : 'mpv started');
+    });
+  }
+
+  btnLaunchMpv.addEventListener('click', () => launchNative(btnLaunchMpv, 'mpv'));
+  btnLaunchFfmpeg.addEventListener('click', () => launchNative(btnLaunchFfmpeg, 'ffmpeg'));
+
+  btnNativeStop.addEventListener('click', () => {
+    if (nativeJobId === null) return;
+    chrome.runtime.sendMessage({ cmd: 'NATIVE_STOP', jobId: nativeJobId }, () => {
+      // Ignore errors (the program may have exited already)
+      chrome.runtime.lastError;
+    });
+  });
+
+  chrome.runtime.onMessage.addListener((msg) => {
+    // Status of the shown program, or of a newer one
+    if (msg.cmd === 'NATIVE_STATUS' && msg.job && (nativeJobId === null || msg.job.id >= nativeJobId)) {
+      renderNativeStatus(msg.job);
+    }
+  });
+
+  chrome.runtime.sendMessage({ cmd: 'GET_NATIVE_JOBS' }, (response) => {
+    if (chrome.runtime.lastError) return;
+    renderNativeStatus(response?.jobs?.[0]);
+  });
+
+  // Save in browser: the service worker fetches the segments through the page and keeps going
+  // after the popup closes; the status line follows the last download started
+  let downloadJobId = null;
+
+  function renderDownloadStatus(job) {
+    if (!job) return;
+    downloadJobId = job.id;
+    const progress = `${job.done}/${job.total} segments${job.bytes > 0 ? ` · ${formatSize(job.bytes)}` : ''}`;
+    downloadStatusText.textContent = {
+      starting: 'Save: reading playlist…',
+      running: job.stopping ? `Save: ${job.message}` : `Save: ${progress}`,
+      // TS streams are remuxed to MP4 first
+      saving: `Save: ${job.message || 'writing file…'}`,
+      // fMP4 streams whose init segment changes are saved as several files
+      finished: `Saved ${job.files.length > 1 ? `${job.files.length} files` : job.filename} (${formatSize(job.bytes)})${job.warning ? ' ⚠' : ''}`,
+      failed: `Save failed: ${job.message}`
+    }[job.state] || '';
+    downloadStatusText.title = [job.title, ...job.files, job.message, job.warning].filter(Boolean).join('\n');
+    downloadProgress.value = job.total > 0 ? job.done / job.total : 0;
+    downloadProgress.hidden = job.state !== 'running';
+    downloadStatus.className = `job-status ${job.state}`;
+    downloadStatus.hidden = false;
+    btnDownloadCancel.hidden = (job.state !== 'starting' && job.state !== 'running') || job.stopping;
+  }
+
+  btnBrowserDownload.addEventListener('click', () => {
+    const streamItem = selectedStreamId ? getEffectiveStreamItem(selectedStreamId) : null;
+    if (!streamItem) return;
+
+    setButtonLoading(btnBrowserDownload, true);
+    chrome.runtime.sendMessage({ cmd: 'BROWSER_DOWNLOAD', tabId, streamItem, outputFilename: tabTitle }, (response) => {
+      setButtonLoading(btnBrowserDownload, false);
+      if (chrome.runtime.lastError || !response?.job) {
+        showToast(response?.error || 'Failed to start the download', true);
+        return;
+      }
+      renderDownloadStatus(response.job);
+      showToast('Download started, it continues when the popup is closed');
+    });
+  });
+
+  btnDownloadCancel.addEventListener('click', () => {
+    if (downloadJobId === null) return;
+    chrome.runtime.sendMessage({ cmd: 'CANCEL_BROWSER_DOWNLOAD', jobId: downloadJobId }, () => {
+      // Ignore errors (the download may have ended already)
+      chrome.runtime.lastError;
+    });
+  });
+
+  chrome.runtime.onMessage.addListener((msg) => {
+    if (msg.cmd === 'BROWSER_DOWNLOAD_STATUS' && msg.job && (downloadJobId === null || msg.job.id >= downloadJobId)) {
+      renderDownloadStatus(msg.job);
+    }
+  });
+
+  chrome.runtime.sendMessage({ cmd: 'GET_BROWSER_DOWNLOADS' }, (response) => {
+    if (chrome.runtime.lastError) return;
+    renderDownloadStatus(response?.jobs?.[0]);
+  });
+
+  // Custom command buttons, one per template
+  function renderCustomCommandButtons(templates) {
+    customCommands.replaceChildren(...templates.map(({ name }) => {
+      const button = document.createElement('button');
+      button.className = 'command-btn custom';
+      button.textContent = name;
+      button.title = `Copy the ${name} command`;
+      // Settings may arrive before the first render, so follow the mpv button's state
+      button.disabled = btnCommandMpv.disabled;
+      button.addEventListener('click', () => copyBuiltCommand(button, name, { cmd: 'BUILD_CUSTOM', templateName: name }));
+      return button;
+    }));
+    customCommands.hidden = templates.length === 0;
+  }
+
   function updateSelectAllButton() {
     const checkboxes = container.querySelectorAll('.list-item[data-kind="subtitle"] input[type="checkbox"]');
     const subtitleCount = checkboxes.length;
@@ -492,6 +818,9 @@ function initTheme() {
         else if (v.name) variantParts.push(v.name);
         if (v.codec && !v.resolution) variantParts.push(v.codec);
 
+        const audioTrack = streamItem?.audioTrack;
+        if (audioTrack) variantParts.push(`· ${formatAudioTrackLabel(audioTrack)}`);
+
         if (variantParts.length > 0) {
           variantInfo = ` (${variantParts.join(' ')})`;
         }
@@ -500,9 +829,15 @@ function initTheme() {
       }
     }
 
+    // Live streams have no meaningful size; show the recording options instead
+    const isLive = !!streamItem?.isLive;
+    liveOptions.hidden = !isLive;
+    const liveBadge = isLive ? '<span class="live-badge">LIVE</span>' : '';
+
     // Calculate total size estimate (stream + subtitles)
     let totalSize = 0;
-    if (streamItem?.size) totalSize += streamItem.size;
+    const streamSizeValue = streamItem?.estimatedSize || streamItem?.size;
+    if (streamSizeValue && !isLive) totalSize += streamSizeValue;
     selectedSubs.forEach(sub => {
       if (sub.size) totalSize += sub.size;
     });
@@ -524,12 +859,12 @@ function initTheme() {
       commandBar.classList.remove('disabled');
       const formatBadge = streamFormat ? `<span class="format-badge">${escHtml(streamFormat)}</span>` : '';
       const resBadge = streamResolution ? `<span class="resolution-badge">${escHtml(streamResolution)}</span>` : '';
-      commandSelection.innerHTML = `Selected: ${formatBadge} ${resBadge} <span class="stream-name">${escHtml(streamName)}${escHtml(variantInfo)}</span><span class="size-estimate">${escHtml(totalSizeFormatted)}</span>`;
+      commandSelection.innerHTML = `Selected: ${formatBadge} ${liveBadge} ${resBadge} <span class="stream-name">${escHtml(streamName)}${escHtml(variantInfo)}</span><span class="size-estimate">${escHtml(totalSizeFormatted)}</span>`;
     } else if (selectionState.streamWithSubs) {
       commandBar.classList.remove('disabled');
       const formatBadge = streamFormat ? `<span class="format-badge">${escHtml(streamFormat)}</span>` : '';
       const resBadge = streamResolution ? `<span class="resolution-badge">${escHtml(streamResolution)}</span>` : '';
-      commandSelection.innerHTML = `Selected: ${formatBadge} ${resBadge} <span class="stream-name">${escHtml(streamName)}${escHtml(variantInfo)}</span> + <span class="subtitle-count">${subtitleCount} subtitle${subtitleCount !== 1 ? 's' : ''}</span><span class="size-estimate">${escHtml(totalSizeFormatted)}</span>`;
+      commandSelection.innerHTML = `Selected: ${formatBadge} ${liveBadge} ${resBadge} <span class="stream-name">${escHtml(streamName)}${escHtml(variantInfo)}</span> + <span class="subtitle-count">${subtitleCount} subtitle${subtitleCount !== 1 ? 's' : ''}</span><span class="size-estimate">${escHtml(totalSizeFormatted)}</span>`;
     } else if (selectionState.subsOnly) {
       commandBar.classList.remove('disabled');
       commandSelection.innerHTML = `Selected: <span class="subtitle-count">${subtitleCount} subtitle${subtitleCount !== 1 ? 's' : ''}</span><span class="size-estimate">${escHtml(totalSizeFormatted)}</span>`;
@@ -542,10 +877,27 @@ function initTheme() {
   function updateCommandBarButtons(selectionState, hasStream, subtitleCount) {
     // MPV button: enabled when stream is selected
     btnCommandMpv.disabled = !hasStream;
+    mpvProfileSelect.disabled = !hasStream;
 
     // FFMPEG button: enabled when stream is selected
     btnCommandFfmpeg.disabled = !hasStream;
     ffmpegFormatSelect.disabled = !hasStream;
+    btnCommandYtDlp.disabled = !hasStream;
+    btnCommandNm3u8Dl.disabled = !hasStream;
+    btnCommandStreamlink.disabled = !hasStream;
+    btnCommandAria2c.disabled = !hasStream && subtitleCount === 0;
+    btnCommandVlc.disabled = !hasStream;
+    btnExportXspf.disabled = !hasStream;
+    btnLaunchMpv.disabled = !hasStream;
+    btnLaunchFfmpeg.disabled = !hasStream;
+    // Only HLS playlists are downloaded segment by segment
+    const selectedStream = hasStream ? Object.values(streamItems).find(s => s.url === selectedStreamId) : null;
+    btnBrowserDownload.disabled = selectedStream?.mediaType !== 'hls';
+
+    // Custom command buttons: enabled when stream is selected
+    customCommands.querySelectorAll('button').forEach((button) => {
+      button.disabled = !hasStream;
+    });
   }
 
   // Store detected language codes for subtitles
@@ -563,8 +915,9 @@ function initTheme() {
         if (!foundItem) return null;
 
         // Include detected language code and name if available
+        // (playlist-declared languages are already on the item)
         const langCode = subtitleLanguageCache.get(foundItem.url);
-        if (langCode) {
+        if (langCode && !foundItem.languageCode) {
           return {
             ...foundItem,
             languageCode: langCode,
@@ -669,6 +1022,7 @@ function initTheme() {
         <span class="section-header-icon">📡</span> Streams
       </div>
     `;
+    streamsSection.appendChild(createAdToggleButton());
     streamsSection.style.display = 'none';
     container.appendChild(streamsSection);
     
@@ -685,6 +1039,7 @@ function initTheme() {
         <span class="section-header-icon">📼</span> Video Files
       </div>
     `;
+    videoFilesSection.appendChild(createAdToggleButton());
     videoFilesSection.style.display = 'none';
     container.appendChild(videoFilesSection);
     
@@ -721,6 +1076,41 @@ function initTheme() {
     subtitlesSection.after(subtitlesEmptyState);
   }
   
+  function createAdToggleButton() {
+    const button = document.createElement('button');
+    button.className = 'section-quick-action btn-ads-toggle';
+    button.style.display = 'none';
+    button.addEventListener('click', () => {
+      container.classList.toggle('show-ads');
+      updateAdToggles();
+      updateFocusableItems();
+    });
+    return button;
+  }
+
+  /**
+   * Updates the per-section toggles that show or hide the collapsed likely-ad items
+   */
+  function updateAdToggles() {
+    const showAds = container.classList.contains('show-ads');
+    container.querySelectorAll('.section-header').forEach((header) => {
+      const button = header.querySelector('.btn-ads-toggle');
+      if (!button) return;
+
+      // Count the ads between this header and the next one
+      let adCount = 0;
+      let sibling = header.nextElementSibling;
+      while (sibling && !sibling.classList.contains('section-header')) {
+        if (sibling.classList.contains('is-ad')) adCount++;
+        sibling = sibling.nextElementSibling;
+      }
+
+      button.style.display = adCount > 0 ? '' : 'none';
+      button.textContent = showAds ? 'Hide ads' : `${adCount} likely ad${adCount !== 1 ? 's' : ''}`;
+      button.title = showAds ? 'Collapse items flagged as likely ads' : 'Show items flagged as likely ads';
+    });
+  }
+
   function createEmptyStateElement(sectionName) {
     const emptyState = document.createElement('div');
     emptyState.className = 'section-empty-state';
@@ -806,6 +1196,68 @@ function initTheme() {
   // Store selected variant info for each stream
   const selectedVariants = new Map();
 
+  // Store explicitly selected audio rendition for each stream
+  const selectedAudioTracks = new Map();
+
+  // ── Audio Rendition Helpers ───────────────────────────────
+
+  const CHANNEL_LAYOUTS = { 1: 'Mono', 2: 'Stereo', 6: '5.1', 8: '7.1' };
+
+  /**
+   * Gets the audio renditions available for a stream, following the selected
+   * variant's audio group (or the first variant when none is selected)
+   * @param {Object} item - The stream item
+   * @returns {Object[]} Audio renditions
+   */
+  function getAudioTracksForStream(item) {
+    const variant = selectedVariants.get(item.url)?.variant || item.variants?.[0];
+    return variant?.audioTracks || [];
+  }
+
+  /**
+   * Builds a group-independent key so a pick survives switching variants
+   * @param {Object} track - Audio rendition
+   * @returns {string} Track key
+   */
+  function audioTrackKey(track) {
+    return `${track.name || ''}|${track.language || ''}|${track.channels || ''}`;
+  }
+
+  /**
+   * Builds a display label for an audio rendition (e.g. "Japanese · 5.1")
+   * @param {Object} track - Audio rendition
+   * @returns {string} Label
+   */
+  function formatAudioTrackLabel(track) {
+    const langName = track.language ? getLanguageName(track.language) : null;
+    const parts = [];
+    if (track.name) parts.push(track.name);
+    if (langName && langName !== track.name) parts.push(langName);
+    if (track.channels) parts.push(CHANNEL_LAYOUTS[track.channels] || `${track.channels}ch`);
+    return parts.join(' · ') || 'Audio';
+  }
+
+  /**
+   * Resolves the audio rendition to use for a stream. An explicit pick wins;
+   * otherwise a selected variant gets its group's default rendition so that
+   * video-only variant playlists don't lose their audio.
+   * @param {Object} item - The stream item
+   * @returns {Object|null} Audio rendition, or null to use the stream's own audio
+   */
+  function getSelectedAudioTrack(item) {
+    const tracks = getAudioTracksForStream(item);
+    if (tracks.length === 0) return null;
+
+    const pickedKey = selectedAudioTracks.get(item.url);
+    if (pickedKey) {
+      const picked = tracks.find(t => audioTrackKey(t) === pickedKey);
+      if (picked) return picked;
+    }
+
+    if (!selectedVariants.has(item.url)) return null;
+    return tracks.find(t => t.isDefault && t.url) || tracks.find(t => t.url) || null;
+  }
+
   // ── Card Creation Helpers ─────────────────────────────────
 
   /**
@@ -828,6 +1280,48 @@ function initTheme() {
     return !!container.querySelector(`.list-item-wrapper[data-id="${CSS.escape(uniqueId)}"], .sub-card[data-id="${CSS.escape(uniqueId)}"]`);
   }
 
+  /**
+   * Removes the subtitle card for a URL
+   * @param {string} url - The subtitle URL
+   * @returns {boolean} Whether the removed card was selected
+   */
+  function removeSubtitleCard(url) {
+    const listItem = Array.from(container.querySelectorAll('.list-item[data-kind="subtitle"]'))
+      .find(el => el.dataset.subtitleUrl === url);
+    if (!listItem) return false;
+    const wasSelected = !!listItem.querySelector('input[type="checkbox"]')?.checked;
+    listItem.closest('.list-item-wrapper')?.remove();
+    return wasSelected;
+  }
+
+  /**
+   * Selects the subtitle card for a URL
+   * @param {string} url - The subtitle URL
+   */
+  function selectSubtitleCard(url) {
+    const listItem = Array.from(container.querySelectorAll('.list-item[data-kind="subtitle"]'))
+      .find(el => el.dataset.subtitleUrl === url);
+    const checkbox = listItem?.querySelector('input[type="checkbox"]');
+    if (checkbox && !checkbox.checked) {
+      checkbox.checked = true;
+      checkbox.dispatchEvent(new Event('change'));
+    }
+  }
+
+  /**
+   * Selects the stream or video file card for a URL, as if it was clicked
+   * @param {string} url - The item URL
+   */
+  function selectStreamCard(url) {
+    const listItem = Array.from(container.querySelectorAll('.list-item[data-kind="stream"], .list-item[data-kind="video-file"]'))
+      .find(el => el.dataset.url === url);
+    const radio = listItem?.querySelector('input[type="radio"]');
+    if (radio && !radio.checked) {
+      radio.checked = true;
+      radio.dispatchEvent(new Event('change'));
+    }
+  }
+
   /**
    * Creates a base card element with common properties
    * @param {string} uniqueId - Unique ID for the card
@@ -866,6 +1360,51 @@ function initTheme() {
     }
   }
 
+  /**
+   * Derives the stream card flags from the item's live state and media playlist analysis
+   * @param {Object} item - The stream item
+   * @returns {Object[]} Flags with label, title and className
+   */
+  function getStreamFlags(item) {
+    const flags = [];
+    if (item.isAd) {
+      flags.push({
+        label: 'AD',
+        title: `Likely ad: ${(item.adReasons || []).join(', ')}`,
+        className: 'flag-ad'
+      });
+    }
+    const mediaPlaylist = item.mediaPlaylist || {};
+    if (mediaPlaylist.encryption) {
+      const keyFormat = mediaPlaylist.keyFormat ? ` (${mediaPlaylist.keyFormat})` : '';
+      // A non-identity KEYFORMAT (Widevine, FairPlay, ...) means a DRM system holds the key
+      const isDrm = mediaPlaylist.keyFormat && mediaPlaylist.keyFormat !== 'identity';
+      flags.push({
+        label: isDrm ? 'DRM' : (mediaPlaylist.encryption === 'AES-128' ? 'AES-128' : 'ENC'),
+        title: `Encrypted: ${mediaPlaylist.encryption}${keyFormat}`,
+        className: 'flag-encrypted'
+      });
+    }
+    if (mediaPlaylist.isFmp4) {
+      flags.push({ label: 'fMP4', title: 'Fragmented MP4 segments (EXT-X-MAP)', className: 'flag-fmp4' });
+    }
+    if (mediaPlaylist.hasByteRange) {
+      flags.push({ label: 'Range', title: 'Byte-range segments (EXT-X-BYTERANGE)', className: 'flag-byterange' });
+    }
+    if (mediaPlaylist.discontinuityCount > 0) {
+      flags.push({
+        label: `Disc ${mediaPlaylist.discontinuityCount}`,
+        title: `${mediaPlaylist.discontinuityCount} discontinuit${mediaPlaylist.discontinuityCount === 1 ? 'y' : 'ies'}`,
+        className: 'flag-discontinuity'
+      });
+    }
+    if (item.isLive) {
+      const title = item.mediaType === 'dash' ? 'Live manifest (type="dynamic")' : 'Live playlist (no EXT-X-ENDLIST)';
+      flags.push({ label: 'LIVE', title, className: 'flag-live' });
+    }
+    return flags;
+  }
+
   /**
    * Builds a compact list item HTML
    * @param {Object} options - The item options
@@ -887,6 +1426,7 @@ function initTheme() {
    * @param {string} options.audioCodec - Audio codec (e.g., "Opus", "AC3") - shown when non-AAC
    * @param {string} options.frameRate - Frame rate (e.g., "60fps") - shown when >30 or non-standard
    * @param {string[]} options.audioLanguages - Array of language codes (e.g., ["en", "ja"])
+   * @param {Object[]} options.flags - Stream flags from getStreamFlags
    * @param {boolean} options.hasActions - Whether to show kebab menu for actions
    * @returns {string} HTML string for list item
    */
@@ -911,6 +1451,7 @@ function initTheme() {
       audioCodec = '',
       frameRate = '',
       audioLanguages = [],
+      flags = [],
       hasActions = false
     } = options;
 
@@ -944,6 +1485,11 @@ function initTheme() {
       languageBadges = `<span class="item-languages" title="Languages: ${escHtml(fullLangs)}">${escHtml(langText)}</span>`;
     }
     
+    // Build media playlist flags (e.g., "AES-128", "fMP4", "LIVE")
+    const flagBadges = flags
+      .map(flag => `<span class="item-flag ${flag.className}" title="${escHtml(flag.title)}">${escHtml(flag.label)}</span>`)
+      .join('');
+
     // Build kebab menu button for actions
     const kebabMenu = hasActions
       ? `<button class="btn-kebab" data-action="kebab" aria-label="Actions" tabindex="-1">⋮</button>`
@@ -964,6 +1510,7 @@ function initTheme() {
         ${audioCodecBadge}
         ${frameRateBadge}
         ${languageBadges}
+        ${flagBadges}
         ${duration ? `<span class="item-duration">${escHtml(duration)}</span>` : ''}
         ${size ? `<span class="item-size">${escHtml(size)}</span>` : ''}
         ${time ? `<span class="item-time">${escHtml(time)}</span>` : ''}
@@ -1059,7 +1606,7 @@ function initTheme() {
     // Determine badge class based on format
     const format = item.format?.toUpperCase() || '?';
     let badgeClass = 'badge-hls';
-    if (format === 'DASH') badgeClass = 'badge-dash';
+    if (format === 'DASH' || format === 'MPD') badgeClass = 'badge-dash';
     else if (format === 'M3U8') badgeClass = 'badge-hls';
 
     // Build quality text
@@ -1069,15 +1616,19 @@ function initTheme() {
     const metaParts = [];
     if (item.hdr) metaParts.push('HDR');
     if (item.codec && !quality) metaParts.push(item.codec);
+    if (item.bitrate && !quality) metaParts.push(item.bitrate);
+    if (item.mediaPlaylist?.segmentCount && !item.isMasterPlaylist) {
+      metaParts.push(`${item.mediaPlaylist.segmentCount} seg`);
+    }
     const meta = metaParts.join(' · ');
 
-    // Size, duration and time
-    const sizeTxt = formatSize(item.size);
+    // Size, duration and time (media playlists show the estimated media size, not the playlist's)
+    const sizeTxt = item.estimatedSizeFormatted ? `~${item.estimatedSizeFormatted}` : formatSize(item.size);
     const timeTxt = timeAgo(item.timestamp);
     const durationTxt = item.durationFormatted || '';
 
-    // Check if has variants
-    const hasVariants = item.isMasterPlaylist && item.variants && item.variants.length > 0;
+    // Check if has variants (HLS master playlists and DASH manifests)
+    const hasVariants = Array.isArray(item.variants) && item.variants.length > 0;
     const variantCount = hasVariants ? item.variants.length : 0;
 
     // Extract audio codec - from top-level or first variant
@@ -1119,12 +1670,14 @@ function initTheme() {
       audioCodec: audioCodec,
       frameRate: frameRate,
       audioLanguages: audioLanguages,
+      flags: getStreamFlags(item),
       hasActions: true
     });
 
     // Create a container for the list item and potential variants
     const wrapper = document.createElement('div');
     wrapper.className = 'list-item-wrapper';
+    wrapper.classList.toggle('is-ad', !!item.isAd);
     wrapper.dataset.id = uniqueId;
     wrapper.innerHTML = listItemHtml;
 
@@ -1177,6 +1730,9 @@ function initTheme() {
               variant: variant
             });
 
+            // The variant's audio group may offer different renditions
+            refreshAudioTrackOptions(item, wrapper);
+
             // Also select the parent stream
             const parentRadio = listItem.querySelector('input[type="radio"]');
             if (parentRadio && !parentRadio.checked) {
@@ -1199,6 +1755,10 @@ function initTheme() {
         wrapper.appendChild(variantRow);
       });
 
+      // Audio rendition selector, shown with the variants
+      const audioTrackRow = buildAudioTrackRow(item, wrapper, listItem);
+      if (audioTrackRow) wrapper.appendChild(audioTrackRow);
+
       // Toggle expand/collapse
       const expandBtn = listItem.querySelector('.btn-expand');
       if (expandBtn) {
@@ -1258,6 +1818,63 @@ function initTheme() {
     insertCardAfterSection(wrapper, 'streams');
   }
 
+  /**
+   * Builds the audio rendition selector row for a stream with alternate audio
+   * @param {Object} item - The stream item
+   * @param {HTMLElement} wrapper - The stream's list-item wrapper
+   * @param {HTMLElement} listItem - The stream's list item (selected on change)
+   * @returns {HTMLElement|null} The row, or null if the stream has no audio renditions
+   */
+  function buildAudioTrackRow(item, wrapper, listItem) {
+    const hasAudioTracks = item.variants.some(v => v.audioTracks && v.audioTracks.length > 0);
+    if (!hasAudioTracks) return null;
+
+    const row = document.createElement('div');
+    row.className = 'variant-row audio-track-row variant-inline';
+    row.style.display = 'none';
+    row.innerHTML = `
+      <span class="item-name">Audio</span>
+      <select class="audio-track-select" aria-label="Audio track"></select>
+    `;
+
+    const select = row.querySelector('select');
+    select.addEventListener('click', (e) => e.stopPropagation());
+    select.addEventListener('change', () => {
+      selectedAudioTracks.set(item.url, select.value);
+
+      // Picking an audio track also selects the parent stream
+      const parentRadio = listItem.querySelector('input[type="radio"]');
+      if (parentRadio && !parentRadio.checked) {
+        parentRadio.checked = true;
+        parentRadio.dispatchEvent(new Event('change'));
+      }
+      updateCommandBar();
+    });
+
+    refreshAudioTrackOptions(item, row);
+    return row;
+  }
+
+  /**
+   * Refreshes the audio selector options for the stream's current variant
+   * @param {Object} item - The stream item
+   * @param {HTMLElement} root - Element containing the audio selector (row or wrapper)
+   */
+  function refreshAudioTrackOptions(item, root) {
+    const select = root.querySelector('.audio-track-select');
+    if (!select) return;
+
+    const tracks = getAudioTracksForStream(item);
+    const current = getSelectedAudioTrack(item) || tracks.find(t => t.isDefault) || tracks[0];
+    select.innerHTML = tracks.map(track => {
+      const key = audioTrackKey(track);
+      const selected = current && audioTrackKey(current) === key ? ' selected' : '';
+      const label = formatAudioTrackLabel(track) + (track.isDefault ? ' (default)' : '');
+      return `<option value="${escHtml(key)}"${selected}>${escHtml(label)}</option>`;
+    }).join('');
+    select.disabled = tracks.length === 0;
+  }
+
   function appendVideoFileCard(id, item) {
     showSection('video-files');
 
@@ -1291,12 +1908,14 @@ function initTheme() {
       size: sizeTxt,
       time: timeTxt,
       hasVariants: false,
+      flags: getStreamFlags(item),
       hasActions: true
     });
 
     // Create wrapper
     const wrapper = document.createElement('div');
     wrapper.className = 'list-item-wrapper';
+    wrapper.classList.toggle('is-ad', !!item.isAd);
     wrapper.dataset.id = uniqueId;
     wrapper.innerHTML = listItemHtml;
 
@@ -1312,7 +1931,7 @@ function initTheme() {
         // Add .selected class to this item
         listItem.classList.add('selected');
         // Update selected stream ID
-        selectedStreamId = String(timestamp);
+        selectedStreamId = item.url;
         updateCommandBar();
       }
     });
@@ -1358,6 +1977,15 @@ function initTheme() {
     const sizeTxt = formatSize(item.size);
     const timeTxt = timeAgo(item.timestamp);
 
+    // Renditions from a master playlist are marked (and flagged when forced),
+    // tracks found on the page's media elements are marked as such
+    const metaParts = [];
+    if (item.isHlsRendition) metaParts.push('HLS');
+    if (item.forced) metaParts.push('Forced');
+    if (item.generated) metaParts.push(`${item.cueCount} cues`);
+    else if (item.isMediaTrack) metaParts.push('Track');
+    const meta = metaParts.join(' · ');
+
     // Create list item using new compact layout
     const listItemHtml = buildListItemHtml({
       kind: 'subtitle',
@@ -1370,6 +1998,7 @@ function initTheme() {
       inputName: null,
       inputValue: timestamp,
       inputDataAttr: 'data-sub-id',
+      meta: meta,
       size: sizeTxt,
       time: timeTxt,
       hasVariants: false,
@@ -1423,22 +2052,39 @@ function initTheme() {
     langBadge.textContent = '';
     listItem.querySelector('.item-name').after(langBadge);
 
-    // Detect language asynchronously
-    detectSubtitleLanguage(item.url, item.headers).then(langCode => {
-      if (langCode) {
-        const langName = getLanguageName(langCode);
-        langBadge.textContent = langName || langCode.toUpperCase();
-        langBadge.title = `Detected language: ${langName || langCode}`;
-        langBadge.classList.remove('loading');
-        langBadge.style.opacity = '1';
-        // Store the detected language code for use when building ffmpeg command
-        subtitleLanguageCache.set(item.url, langCode);
-      } else {
+    if (item.isHlsRendition) {
+      listItem.title = `Subtitle rendition of ${item.parentUrl}`;
+    } else if (item.generated) {
+      listItem.title = `WebVTT generated from in-page cues on ${item.pageUrl}`;
+    } else if (item.isMediaTrack) {
+      listItem.title = `<track> element on ${item.pageUrl}`;
+    }
+
+    // Language declared by the playlist needs no detection
+    if (item.languageCode) {
+      const langName = getLanguageName(item.languageCode);
+      langBadge.textContent = langName || item.languageCode.toUpperCase();
+      langBadge.title = `Language: ${langName || item.languageCode}`;
+      langBadge.classList.remove('loading');
+      subtitleLanguageCache.set(item.url, item.languageCode);
+    } else {
+      // Detect language asynchronously
+      detectSubtitleLanguage(item.url, item.headers).then(langCode => {
+        if (langCode) {
+          const langName = getLanguageName(langCode);
+          langBadge.textContent = langName || langCode.toUpperCase();
+          langBadge.title = `Detected language: ${langName || langCode}`;
+          langBadge.classList.remove('loading');
+          langBadge.style.opacity = '1';
+          // Store the detected language code for use when building ffmpeg command
+          subtitleLanguageCache.set(item.url, langCode);
+        } else {
+          langBadge.remove();
+        }
+      }).catch(() => {
         langBadge.remove();
-      }
-    }).catch(() => {
-      langBadge.remove();
-    });
+      });
+    }
 
     insertCardAfterSection(wrapper, 'subtitles');
     updateSelectAllButton();
@@ -1480,7 +2126,8 @@ function initTheme() {
   
   function updateFocusableItems() {
     // Get all list items and variant rows that are visible
-    focusableItems = Array.from(container.querySelectorAll('.list-item, .variant-row:not([style*="display: none"])'));
+    focusableItems = Array.from(container.querySelectorAll('.list-item, .variant-row:not([style*="display: none"])'))
+      .filter(el => !el.closest('.list-item-wrapper.is-ad') || container.classList.contains('show-ads'));
   }
   
   function handleKeyboardNavigation(e) {
@@ -1580,8 +2227,9 @@ function initTheme() {
         item.classList.remove('selected', 'selected-stream');
       });
       
-      // Clear variant selections
+      // Clear variant and audio selections
       selectedVariants.clear();
+      selectedAudioTracks.clear();
       container.querySelectorAll('.variant-row.selected').forEach(row => {
         row.classList.remove('selected');
       });
@@ -1737,30 +2385,19 @@ function initTheme() {
         break;
 
       case 'curl':
-        // Build and copy curl command
-        const headers = item.headers || {};
-        let curlCmd = `curl -L "${item.url}"`;
-        if (headers['User-Agent']) {
-          curlCmd += ` -H "User-Agent: ${headers['User-Agent']}"`;
-        }
-        if (headers['Referer']) {
-          curlCmd += ` -H "Referer: ${headers['Referer']}"`;
-        }
-        if (headers['Origin']) {
-          curlCmd += ` -H "Origin: ${headers['Origin']}"`;
-        }
-        Object.entries(headers).forEach(([key, value]) => {
-          if (!['User-Agent', 'Referer', 'Origin'].includes(key)) {
-            curlCmd += ` -H "${key}: ${value}"`;
+        // Built in the service worker, quoted for the shell chosen in the settings
+        chrome.runtime.sendMessage({ cmd: 'BUILD_CURL', item }, async (response) => {
+          if (chrome.runtime.lastError || !response?.command) {
+            showToast('Failed to build cURL command', true);
+            return;
+          }
+          try {
+            await navigator.clipboard.writeText(response.command);
+            showToast('cURL command copied!');
+          } catch {
+            showToast('Copy failed', true);
           }
         });
-        curlCmd += ` -o "${(item.name || 'download').replace(/[^a-zA-Z0-9.]/g, '_')}"`;
-        try {
-          await navigator.clipboard.writeText(curlCmd);
-          showToast('cURL command copied!');
-        } catch {
-          showToast('Copy failed', true);
-        }
         break;
     }
   }
@@ -6,16 +6,43 @@ import {
   VIDEO_MIME_TYPES,
   HLS_EXTENSIONS,
   HLS_MIME_TYPES,
-  FETCH_TIMEOUT_MS,
-  M3U8_FETCH_TIMEOUT_MS,
-  HEADER_TTL_MS
+  DASH_EXTENSIONS,
+  DASH_MIME_TYPES,
+  HEADER_TTL_MS,
+  MAX_GENERATED_SUBTITLE_BYTES,
+  SNIFF_MAX_BYTES,
+  SNIFF_MAX_RESPONSE_SIZE,
+  SNIFF_SKIP_EXTENSIONS,
+  AD_DOCUMENT_MAX_BYTES,
+  DURATION_PROBE_BYTES,
+  SEGMENT_FETCH_TIMEOUT_MS
 } from './modules/constants.js';
 import { storage } from './modules/storage.js';
+import { captureHistory } from './modules/history.js';
 import {
   parseHLSMasterPlaylistContent,
   parseHLSMasterPlaylist,
   enrichHlsItem
 } from './modules/hls-parser.js';
+import {
+  parseDashManifestContent,
+  parseDashManifest,
+  enrichDashItem
+} from './modules/dash-parser.js';
+import { sniffSubtitleFormat } from './modules/subtitle-sniffer.js';
+import { getRules, evaluateCapture, getMinVideoDuration, watchRules } from './modules/rules.js';
+import { detectContainer, readMp4Duration, readWebmDuration } from './modules/media-duration.js';
+import { getSettings, watchSettings, getMpvProfile } from './modules/settings.js';
+import { buildTemplateContext, renderTemplate } from './modules/templates.js';
+import { nativeLauncher } from './modules/native-host.js';
+import { hlsDownloader } from './modules/hls-downloader.js';
+import {
+  detectAdDocument,
+  extractVastMediaUrls,
+  adUrlKey,
+  classifyAd,
+  pickBestStream
+} from './modules/ad-detector.js';
 import {
   urlExtension,
   deriveFilename,
@@ -23,30 +50,78 @@ import {
   headersArrayToObject,
   sanitizeHeaders,
   getSafeHeadersForContentScript,
-  resolveUrl,
-  formatBitrate,
   formatSize,
-  formatDuration,
-  extractMediaMetadata
+  extractMediaMetadata,
+  hashString,
+  textToDataUrl,
+  getResponseTotalSize,
+  base64ToBytes
 } from './modules/utils.js';
 import {
-  shellEscapeSingle,
   normalizeFilename,
-  buildMpvHeaderOption,
   buildMpvCommand,
-  buildFfmpegHeaders,
-  getFfmpegLanguageCode,
+  buildMpvArgs,
   buildFfmpegCommand,
-  LANGUAGE_CODE_MAP
+  buildFfmpegArgs,
+  buildYtDlpCommand,
+  buildNm3u8DlReCommand,
+  buildStreamlinkCommand,
+  buildAria2cCommand,
+  buildVlcCommand,
+  buildXspfPlaylist,
+  buildCurlCommand
 } from './modules/commands.js';
 
 const pendingReqHeaders = {};
 const headerCleanupTimers = new Map();
 
+// Origins seen issuing requests from each tab (top frame and iframes): origin -> Set<tabId>.
+// Requests made by a page's own service worker have tabId -1, so they are attributed
+// back to the tabs whose documents share the service worker's origin.
+const tabInitiatorOrigins = new Map();
+
+// Sniffing results for generic-MIME responses: url -> Promise<{subtitleFormat, adMediaUrls}>.
+// Players re-request the same URLs, so each one is fetched for sniffing at most once.
+const sniffedUrls = new Map();
+const SNIFF_CACHE_LIMIT = 500;
+
+// Durations read from direct video files: url -> Promise<number|null>. The probing fetch
+// passes through onResponseStarted itself, and must find the probe already under way.
+const probedDurations = new Map();
+
+// Creative URLs announced by VAST responses in each tab: tabId -> Set<url>.
+// Players fetch the VAST document before its creative, so the creative is flagged as an ad on capture.
+const adCreativeUrls = new Map();
+
+// Reload capture rules and settings when they are edited on the options page
+watchRules();
+watchSettings();
+
+// Relay the status of programs started through the native host to the popup
+nativeLauncher.onStatus((job) => {
+  chrome.runtime.sendMessage({ cmd: 'NATIVE_STATUS', job }, () => {
+    // Ignore errors (popup may be closed)
+    chrome.runtime.lastError;
+  });
+});
+
+// Relay the progress of in-browser downloads to the popup
+hlsDownloader.onStatus((job) => {
+  chrome.runtime.sendMessage({ cmd: 'BROWSER_DOWNLOAD_STATUS', job }, () => {
+    // Ignore errors (popup may be closed)
+    chrome.runtime.lastError;
+  });
+  if (job.state === 'failed') closeOffscreenIfIdle();
+});
+
 // Cache for content script ready state per tab to avoid redundant injections
 // Cleared on navigation to ensure freshness
 const contentScriptReadyCache = new Map();
 
+// The content script runs in every frame (all_frames), but only the top frame fetches: otherwise each
+// frame would repeat the request, and the first (possibly failing, cross-origin) reply would win
+const TOP_FRAME = { frameId: 0 };
+
 
 // Helper function to ensure content script is ready in a tab
 async function ensureContentScriptReady(tabId) {
@@ -58,7 +133,7 @@ async function ensureContentScriptReady(tabId) {
 
   try {
     // Try to ping the content script
-    const response = await chrome.tabs.sendMessage(tabId, { action: 'ping' });
+    const response = await chrome.tabs.sendMessage(tabId, { action: 'ping' }, TOP_FRAME);
     if (response && response.success) {
       // Cache the ready state for this tab
       contentScriptReadyCache.set(tabId, true);
@@ -80,7 +155,7 @@ async function ensureContentScriptReady(tabId) {
 
     // Verify it's now ready
     try {
-      const response = await chrome.tabs.sendMessage(tabId, { action: 'ping' });
+      const response = await chrome.tabs.sendMessage(tabId, { action: 'ping' }, TOP_FRAME);
       if (response && response.success) {
         // Cache the ready state for this tab
         contentScriptReadyCache.set(tabId, true);
@@ -97,6 +172,127 @@ async function ensureContentScriptReady(tabId) {
   return false;
 }
 
+// Fetch a text resource (playlist, manifest) through the content script of a tab.
+// The content script runs in the page context and can use the page's Origin/Referer headers.
+// Sanitized headers are passed (browser handles Origin/Referer automatically).
+async function fetchViaContentScript(tabId, url, headers, action, extra = {}) {
+  const isReady = await ensureContentScriptReady(tabId);
+  if (!isReady) {
+    throw new Error('Content script not ready');
+  }
+
+  const safeHeaders = getSafeHeadersForContentScript(headers);
+  const { playlistFetchTimeoutMs } = await getSettings();
+  console.log(`[ServiceWorker] Sending ${action} message to tab`, tabId);
+  console.log('[ServiceWorker] URL:', url);
+  console.log('[ServiceWorker] Headers being sent:', JSON.stringify(safeHeaders, null, 2));
+
+  const response = await chrome.tabs.sendMessage(tabId, {
+    action, url, headers: safeHeaders, timeoutMs: playlistFetchTimeoutMs, ...extra
+  }, TOP_FRAME);
+
+  // Segments arrive as megabytes of base64, so only their length is logged
+  console.log('[ServiceWorker] Received response from content script:',
+    action === 'fetchSegment' && response?.success ? `${response.content.length} base64 chars` : response);
+
+  if (!response || !response.success) {
+    throw new Error(response?.error || 'Unknown error');
+  }
+  return response.content;
+}
+
+// ── In-browser downloads ────────────────────────────────────────────────────
+// Segments are fetched through the tab's content script and collected by the offscreen
+// document, which joins (and remuxes) them into a blob URL for chrome.downloads (see modules/hls-downloader.js).
+const OFFSCREEN_DOCUMENT = 'offscreen.html';
+let offscreenCreating = null;
+// Downloads of saved jobs, whose blob URLs are released once all of them finish: downloadId -> jobId
+const savedDownloads = new Map();
+// Progress callbacks of jobs being remuxed by the offscreen document: jobId -> callback
+const remuxProgress = new Map();
+
+async function hasOffscreenDocument() {
+  const url = chrome.runtime.getURL(OFFSCREEN_DOCUMENT);
+  const windows = await self.clients.matchAll();
+  return windows.some(client => client.url === url);
+}
+
+async function ensureOffscreenDocument() {
+  if (await hasOffscreenDocument()) return;
+  // Concurrent segment appends must not create the document twice
+  offscreenCreating ??= chrome.offscreen.createDocument({
+    url: OFFSCREEN_DOCUMENT,
+    reasons: ['BLOBS'],
+    justification: 'Join downloaded stream segments into one file'
+  }).finally(() => { offscreenCreating = null; });
+  await offscreenCreating;
+}
+
+async function sendToOffscreen(message) {
+  await ensureOffscreenDocument();
+  const response = await chrome.runtime.sendMessage({ target: 'offscreen', ...message });
+  if (!response || response.error) {
+    throw new Error(response?.error || 'Offscreen document did not respond');
+  }
+  return response;
+}
+
+// Drops a job's parts or blob URLs, without creating the document for nothing
+async function releaseOffscreenJob(jobId) {
+  if (!(await hasOffscreenDocument())) return;
+  await chrome.runtime.sendMessage({ target: 'offscreen', cmd: 'OFFSCREEN_RELEASE', jobId });
+}
+
+// The offscreen document holds the segments in memory, so it is closed when nothing needs it
+async function closeOffscreenIfIdle() {
+  if (hlsDownloader.isBusy() || savedDownloads.size > 0) return;
+  try {
+    if (await hasOffscreenDocument()) await chrome.offscreen.closeDocument();
+  } catch (error) {
+    console.warn('[ServiceWorker] Failed to close offscreen document:', error.message);
+  }
+}
+
+// I/O for a download job: everything is fetched through the tab the stream was captured in
+function createBrowserDownloadIo(tabId, headers) {
+  return {
+    fetchText: url => fetchViaContentScript(tabId, url, headers, 'fetchMediaPlaylist'),
+    fetchSegment: (url, byteRange) => fetchViaContentScript(tabId, url, headers, 'fetchSegment', {
+      timeoutMs: SEGMENT_FETCH_TIMEOUT_MS,
+      byteRange
+    }),
+    // Keys are binary too, and often need the page's cookies
+    fetchKey: url => fetchViaContentScript(tabId, url, headers, 'fetchSegment'),
+    append: (jobId, index, data) => sendToOffscreen({ cmd: 'OFFSCREEN_APPEND', jobId, index, data }),
+    save: async (jobId, files, onProgress) => {
+      remuxProgress.set(jobId, onProgress);
+      let saved;
+      try {
+        ({ files: saved } = await sendToOffscreen({ cmd: 'OFFSCREEN_SAVE', jobId, files }));
+      } finally {
+        remuxProgress.delete(jobId);
+      }
+      for (const { url, filename } of saved) {
+        const downloadId = await chrome.downloads.download({ url, filename, conflictAction: 'uniquify' });
+        savedDownloads.set(downloadId, jobId);
+      }
+      return saved.map(({ filename, warning }) => ({ filename, warning }));
+    },
+    discard: jobId => releaseOffscreenJob(jobId)
+  };
+}
+
+chrome.downloads.onChanged.addListener((delta) => {
+  const state = delta.state?.current;
+  if (!savedDownloads.has(delta.id) || (state !== 'complete' && state !== 'interrupted')) return;
+  const jobId = savedDownloads.get(delta.id);
+  savedDownloads.delete(delta.id);
+  if ([...savedDownloads.values()].includes(jobId)) return;
+  releaseOffscreenJob(jobId)
+    .then(closeOffscreenIfIdle)
+    .catch(error => console.warn('[ServiceWorker] Failed to release download:', error.message));
+});
+
 // Helper function to delay execution
 function delay(ms) {
   return new Promise(resolve => setTimeout(resolve, ms));
@@ -124,10 +320,154 @@ self.addEventListener('beforeunload', () => {
   if (keepAliveInterval) clearInterval(keepAliveInterval);
 });
 
+// Store a captured item, refresh the badge and notify the popup.
+// Returns false when storage rejected the item as a duplicate or the tab limit was reached.
+// With replace, an item with the same requestId is overwritten instead of deduplicated by URL.
+async function commitItem(tabId, itemData, { replace = false } = {}) {
+  const result = replace
+    ? await storage.upsertItem(tabId, itemData)
+    : await storage.addItem(tabId, itemData);
+
+  // If storage.addItem returned null, it means the item was a duplicate or limit was reached
+  if (result === null) {
+    return false;
+  }
+
+  await updateBadge(tabId);
+
+  // Write through to the persistent history; not awaited, the popup shouldn't wait on IndexedDB
+  recordHistory(tabId, itemData);
+
+  // Try to notify popup with the actual item data
+  chrome.runtime.sendMessage({ cmd: 'ITEM_DETECTED', tabId, item: itemData }, () => {
+    // Ignore errors (popup may be closed)
+    chrome.runtime.lastError;
+  });
+  return true;
+}
+
+async function recordHistory(tabId, item) {
+  try {
+    const tab = await chrome.tabs.get(tabId);
+    await captureHistory.recordItem(tabId, item, { url: tab.url || tab.pendingUrl || '', title: tab.title || '' });
+  } catch (error) {
+    console.warn('[ServiceWorker] Failed to record history:', error);
+  }
+}
+
+// Capture rules for items found without a request of their own (subtitle renditions and page
+// tracks): URL patterns and allowlist-only mode apply to them as to captured requests.
+// Resolves to a check that logs and returns false for items the rules reject.
+async function loadCaptureRuleCheck(tabId) {
+  const rules = await getRules();
+  const pageHost = await getTabHostname(tabId);
+  return (item) => {
+    const verdict = evaluateCapture(rules, { url: item.url, pageHost, kind: item.kind });
+    if (!verdict.allowed) {
+      console.log(`[ServiceWorker] Not capturing ${item.generated ? item.name : item.url}: ${verdict.reason}`);
+    }
+    return verdict.allowed;
+  };
+}
+
+// Register #EXT-X-MEDIA TYPE=SUBTITLES renditions as subtitle items linked to their master.
+// The language comes from the playlist, so the popup and ffmpeg builder don't need detection.
+async function registerSubtitleRenditions(tabId, masterItem, renditions) {
+  const isAllowed = await loadCaptureRuleCheck(tabId);
+  for (const [index, rendition] of renditions.entries()) {
+    if (await storage.hasItem(tabId, rendition.url, 'subtitle')) continue;
+
+    const subtitleItem = {
+      url: rendition.url,
+      // Subtitle renditions are playlists of WebVTT segments: the URL serves m3u8, and
+      // subtitleFormat is what joining the segments produces
+      format: 'm3u8',
+      subtitleFormat: 'vtt',
+      name: rendition.name || deriveFilename(rendition.url, [], 'subtitle'),
+      size: 0,
+      headers: masterItem.headers,
+      tabId,
+      timestamp: Date.now(),
+      kind: 'subtitle',
+      requestId: `${masterItem.requestId}-sub-${index}`,
+      isHlsRendition: true,
+      parentUrl: masterItem.url,
+      groupId: rendition.groupId,
+      languageCode: rendition.language,
+      languageName: rendition.name,
+      isDefault: rendition.isDefault,
+      forced: rendition.forced
+    };
+    if (!isAllowed(subtitleItem)) continue;
+
+    if (!(await commitItem(tabId, subtitleItem))) {
+      // Limit reached, remaining renditions would be rejected too
+      if (await storage.isLimitReached(tabId, 'subtitle')) break;
+    }
+  }
+}
+
+// Register subtitle tracks reported by the content script from <video>/<audio> elements.
+// <track src> URLs become regular subtitle items; in-memory cues arrive as WebVTT text and
+// are stored as data: URLs under a requestId derived from the page and track, so a track
+// that gains cues later replaces its earlier snapshot instead of piling up duplicates.
+async function registerMediaTracks(tabId, pageUrl, tracks) {
+  const isAllowed = await loadCaptureRuleCheck(tabId);
+  for (const track of tracks) {
+    const requestId = `media-track-${hashString(`${pageUrl}|${track.key}`)}`;
+    const common = {
+      size: 0,
+      headers: pageUrl ? { Referer: pageUrl } : {},
+      tabId,
+      timestamp: Date.now(),
+      kind: 'subtitle',
+      requestId,
+      isMediaTrack: true,
+      pageUrl,
+      languageCode: track.language || undefined,
+      languageName: track.label || undefined
+    };
+
+    if (track.type === 'url') {
+      if (!track.url || await storage.hasItem(tabId, track.url, 'subtitle')) continue;
+      const ext = urlExtension(track.url);
+      const trackItem = {
+        ...common,
+        url: track.url,
+        // <track> elements only load WebVTT
+        format: ext && SUBTITLE_EXTENSIONS.has(ext) ? ext : 'vtt',
+        name: track.label || deriveFilename(track.url, [], 'subtitle')
+      };
+      if (isAllowed(trackItem)) await commitItem(tabId, trackItem);
+      continue;
+    }
+
+    if (track.type === 'cues' && track.vtt) {
+      const size = new TextEncoder().encode(track.vtt).length;
+      if (size > MAX_GENERATED_SUBTITLE_BYTES) {
+        console.warn(`[ServiceWorker] Skipping generated subtitle track "${track.label}" (${formatSize(size)} exceeds the limit)`);
+        continue;
+      }
+      const label = track.label || track.language || 'Untitled';
+      const trackItem = {
+        ...common,
+        url: textToDataUrl(track.vtt, 'text/vtt'),
+        format: 'vtt',
+        name: `${label} (page track)`,
+        size,
+        generated: true,
+        cueCount: track.cueCount
+      };
+      if (isAllowed(trackItem)) await commitItem(tabId, trackItem, { replace: true });
+    }
+  }
+}
+
 chrome.webRequest.onBeforeSendHeaders.addListener(
   (details) => {
     // Store headers for response handler
     pendingReqHeaders[details.requestId] = details.requestHeaders || [];
+    rememberInitiatorOrigin(details.tabId, details.initiator);
   },
   { urls: ['<all_urls>'], types: ['media', 'xmlhttprequest', 'other', 'object'] },
   ['requestHeaders', 'extraHeaders']
@@ -150,7 +490,7 @@ chrome.webRequest.onResponseStarted.addListener(
       headerCleanupTimers.delete(requestId);
     }, HEADER_TTL_MS));
 
-    if (!url.startsWith('http') || tabId < 0) return;
+    if (!url.startsWith('http')) return;
     if (statusCode < 200 || statusCode >= 300) return;
     if (method === 'POST') return;
 
@@ -167,30 +507,41 @@ chrome.webRequest.onResponseStarted.addListener(
       format = 'm3u8';
       mediaType = 'hls';
     }
-    // 2. Check for video files (MP4, WebM, etc.)
+    // 2. Check for DASH manifests
+    else if (DASH_MIME_TYPES.has(contentType) || (ext && DASH_EXTENSIONS.has(ext))) {
+      kind = 'stream';
+      format = 'mpd';
+      mediaType = 'dash';
+    }
+    // 3. Check for video files (MP4, WebM, etc.)
     else if (VIDEO_MIME_TYPES.has(contentType) || (ext && VIDEO_EXTENSIONS.has(ext))) {
       kind = 'stream';
       format = ext || contentType.split('/')[1] || 'video';
       mediaType = 'video';
     }
-    // 3. Check for subtitles
-    else if (contentType in SUBTITLE_MIME_MAP) {
+    // 4. Check for subtitles
+    let needsSniffing = false;
+    if (!kind && contentType in SUBTITLE_MIME_MAP) {
       const mapped = SUBTITLE_MIME_MAP[contentType];
       if (mapped === null) {
         if (ext && SUBTITLE_EXTENSIONS.has(ext)) {
           kind = 'subtitle';
           format = ext;
+        } else if (statusCode !== 206 && !getHeaderValue(reqHeaders, 'range')) {
+          // Generic MIME type without a subtitle extension: look at the body. Range requests are
+          // skipped, they are media being streamed (progressive video or MSE segments)
+          needsSniffing = true;
         }
       } else {
         kind = 'subtitle';
         format = mapped;
       }
-    } else if (ext && SUBTITLE_EXTENSIONS.has(ext)) {
+    } else if (!kind && ext && SUBTITLE_EXTENSIONS.has(ext)) {
       kind = 'subtitle';
       format = ext;
     }
 
-    if (!kind || !format) return;
+    if (!kind && !needsSniffing) return;
 
     let size = 0;
     for (const h of responseHeaders) {
@@ -200,97 +551,286 @@ chrome.webRequest.onResponseStarted.addListener(
       }
     }
 
+    // Requests from a page's service worker have no tab; attribute them by initiator origin
+    const tabIds = tabId >= 0 ? [tabId] : await resolveOwnerTabs(details.initiator);
+    if (tabIds.length === 0) return;
+
+    if (needsSniffing) {
+      const sniffed = await sniffResponse(tabIds[0], url, ext, size, headersArrayToObject(reqHeaders));
+      if (sniffed.adMediaUrls) {
+        tabIds.forEach(ownerTabId => rememberAdCreatives(ownerTabId, sniffed.adMediaUrls));
+        return;
+      }
+      if (!sniffed.subtitleFormat) return;
+      format = sniffed.subtitleFormat;
+      kind = 'subtitle';
+    }
+
     // Store full headers (for MPV/ffmpeg commands) and sanitized headers (for content script)
     const fullHeaders = headersArrayToObject(reqHeaders);
     const sanitizedHeaders = sanitizeHeaders(reqHeaders);
     const timestamp = Date.now();
-    const name = deriveFilename(url, responseHeaders, kind === 'stream' ? 'stream.m3u8' : 'subtitle');
+    const fallbackName = mediaType === 'dash' ? 'manifest.mpd' : (kind === 'stream' ? 'stream.m3u8' : 'subtitle');
+    const name = deriveFilename(url, responseHeaders, fallbackName);
 
-    // Early-exit optimization: Check for duplicates and limits before expensive operations
-    // Note: The actual duplicate check inside storage.addItem is the authoritative check
-    if (await storage.hasItem(tabId, url, kind)) {
-      return;
-    }
-    if (await storage.isLimitReached(tabId, kind)) {
-      return;
+    const capture = {
+      url, requestId, responseHeaders, fullHeaders, timestamp, name, size, kind, format, mediaType,
+      totalSize: getResponseTotalSize(responseHeaders)
+    };
+
+    for (const ownerTabId of tabIds) {
+      await captureForTab(ownerTabId, capture);
     }
+  },
+  { urls: ['<all_urls>'], types: ['media', 'xmlhttprequest', 'other', 'object'] },
+  ['responseHeaders']
+);
 
-    // Extract metadata from URL and headers
-    const metadata = extractMediaMetadata(url, responseHeaders, format, size, mediaType);
+// Build, enrich and store a detected item for one tab
+async function captureForTab(tabId, capture) {
+  const {
+    url, requestId, responseHeaders, fullHeaders, timestamp, name, size, kind, format, mediaType, totalSize
+  } = capture;
 
-    const itemData = {
-      url, format, name, size, headers: fullHeaders, tabId, timestamp, kind,
-      mediaType,
-      requestId,
-      ...metadata
-    };
+  // Early-exit optimization: Check for duplicates and limits before expensive operations
+  // Note: The actual duplicate check inside storage.addItem is the authoritative check
+  if (await storage.hasItem(tabId, url, kind)) {
+    return;
+  }
+  if (await storage.isLimitReached(tabId, kind)) {
+    return;
+  }
 
-    // For HLS streams, check if it's a master playlist and parse variants
-    if (mediaType === 'hls') {
-      try {
-        // Ensure content script is ready before attempting to fetch
-        const isReady = await ensureContentScriptReady(tabId);
-        if (!isReady) {
-          throw new Error('Content script not ready');
-        }
+  // Capture rules: URL patterns and size are checked now, duration once it is known
+  const rules = await getRules();
+  const pageHost = await getTabHostname(tabId);
+  const ruleCandidate = { url, pageHost, kind, mediaType, size: totalSize };
+  let verdict = evaluateCapture(rules, ruleCandidate);
+  if (!verdict.allowed) {
+    console.log(`[ServiceWorker] Not capturing ${url}: ${verdict.reason}`);
+    return;
+  }
 
-        // Send message to content script in the specific tab to fetch the m3u8
-        // The content script runs in the page context and can use the page's Origin/Referer headers
-        // Pass headers so the content script can use them for authentication
-        // Use sanitized headers for content script (browser handles Origin/Referer automatically)
-        const safeHeaders = getSafeHeadersForContentScript(fullHeaders);
-        console.log('[ServiceWorker] Sending fetchM3U8 message to tab', tabId);
-        console.log('[ServiceWorker] URL:', url);
-        console.log('[ServiceWorker] Headers being sent:', JSON.stringify(safeHeaders, null, 2));
-
-        const response = await chrome.tabs.sendMessage(tabId, {
-          action: 'fetchM3U8',
-          url: url,
-          headers: safeHeaders
-        });
+  // Extract metadata from URL and headers
+  const metadata = extractMediaMetadata(url, responseHeaders, format, size, mediaType);
+
+  // Direct files carry no duration in their headers; it is only read when a threshold needs it
+  if (kind === 'stream' && mediaType === 'video' && getMinVideoDuration(rules, pageHost) > 0) {
+    const duration = await probeVideoDuration(tabId, url, fullHeaders);
+    if (duration) metadata.duration = duration;
+  }
 
-        console.log('[ServiceWorker] Received response from content script:', response);
+  const itemData = {
+    url, format, name, size, headers: fullHeaders, tabId, timestamp, kind,
+    mediaType,
+    requestId,
+    ...metadata
+  };
 
-        if (response && response.success) {
-          // Parse the m3u8 content in the service worker (all heavy logic stays here)
-          const playlistInfo = parseHLSMasterPlaylistContent(url, response.content);
-          await enrichHlsItem(itemData, playlistInfo, tabId, ensureContentScriptReady, getSafeHeadersForContentScript);
-        }
-      } catch (e) {
-        // If content script messaging fails (e.g., content script not loaded yet),
-        // fall back to direct fetch (may fail with 403 on some CDNs)
-        console.warn('Content script fetch failed, trying fallback:', e);
-        try {
-          const playlistInfo = await parseHLSMasterPlaylist(url, fullHeaders);
-          await enrichHlsItem(itemData, playlistInfo, tabId, ensureContentScriptReady, getSafeHeadersForContentScript);
-        } catch (fallbackError) {
-          console.warn('Fallback parse also failed:', fallbackError);
-        }
+  // For HLS streams, check if it's a master playlist and parse variants
+  let playlistInfo = null;
+  if (mediaType === 'hls') {
+    try {
+      // Fetch through the content script; parsing (all heavy logic) stays in the service worker
+      const content = await fetchViaContentScript(tabId, url, fullHeaders, 'fetchM3U8');
+      playlistInfo = parseHLSMasterPlaylistContent(url, content);
+      await enrichHlsItem(itemData, playlistInfo, tabId, ensureContentScriptReady, getSafeHeadersForContentScript);
+    } catch (e) {
+      // If content script messaging fails (e.g., content script not loaded yet),
+      // fall back to direct fetch (may fail with 403 on some CDNs)
+      console.warn('Content script fetch failed, trying fallback:', e);
+      try {
+        playlistInfo = await parseHLSMasterPlaylist(url, fullHeaders);
+        await enrichHlsItem(itemData, playlistInfo, tabId, ensureContentScriptReady, getSafeHeadersForContentScript);
+      } catch (fallbackError) {
+        console.warn('Fallback parse also failed:', fallbackError);
       }
     }
+  }
+
+  // For DASH manifests, parse periods/adaptation sets into variants
+  if (mediaType === 'dash') {
+    try {
+      const content = await fetchViaContentScript(tabId, url, fullHeaders, 'fetchManifest');
+      enrichDashItem(itemData, parseDashManifestContent(url, content));
+    } catch (e) {
+      console.warn('Content script fetch failed, trying fallback:', e);
+      enrichDashItem(itemData, await parseDashManifest(url, fullHeaders));
+    }
+  }
 
-    const result = await storage.addItem(tabId, itemData);
+  verdict = evaluateCapture(rules, { ...ruleCandidate, duration: itemData.duration });
+  if (!verdict.allowed) {
+    console.log(`[ServiceWorker] Not capturing ${url}: ${verdict.reason}`);
+    return;
+  }
 
-    // If storage.addItem returned null, it means the item was a duplicate or limit was reached
-    if (result === null) {
-      return;
+  // Likely ads are still stored, flagged so the popup can collapse them
+  if (kind === 'stream') {
+    const ad = classifyAd({
+      url,
+      mediaType,
+      duration: itemData.duration,
+      size: totalSize,
+      isLive: itemData.isLive,
+      isVastCreative: adCreativeUrls.get(tabId)?.has(adUrlKey(url)) || false
+    });
+    if (ad.isAd) {
+      itemData.isAd = true;
+      itemData.adReasons = ad.reasons;
     }
+  }
 
-    await updateBadge(tabId);
+  if (!(await commitItem(tabId, itemData))) {
+    return;
+  }
+
+  // Subtitles declared inside a master playlist are registered even if the player never fetches them
+  if (playlistInfo?.subtitles?.length > 0) {
+    await registerSubtitleRenditions(tabId, itemData, playlistInfo.subtitles);
+  }
+}
+
+// Classify a generic-MIME response by fetching its first bytes through the tab's
+// content script. Resolves to the subtitle format, or to the creatives of a VAST/VMAP
+// ad response (adMediaUrls is null for anything that isn't an ad document).
+function sniffResponse(tabId, url, ext, size, headers) {
+  const nothing = { subtitleFormat: null, adMediaUrls: null };
+  if (ext && SNIFF_SKIP_EXTENSIONS.has(ext)) return Promise.resolve(nothing);
+  if (size > SNIFF_MAX_RESPONSE_SIZE) return Promise.resolve(nothing);
+
+  // The in-flight promise is cached too: the sniffing fetch itself passes through
+  // onResponseStarted and must not trigger another sniff of the same URL
+  if (sniffedUrls.has(url)) return sniffedUrls.get(url);
 
-    // Try to notify popup with the actual item data
-    chrome.runtime.sendMessage({ cmd: 'ITEM_DETECTED', tabId, item: itemData }, () => {
-      // Ignore errors (popup may be closed)
-      chrome.runtime.lastError;
+  const sniff = fetchViaContentScript(tabId, url, headers, 'fetchHead', { maxBytes: SNIFF_MAX_BYTES })
+    .then(async (head) => {
+      if (!detectAdDocument(head)) {
+        return { subtitleFormat: sniffSubtitleFormat(head), adMediaUrls: null };
+      }
+      // MediaFile elements usually sit past the first bytes of a VAST document
+      const isComplete = /<\/(?:vmap:)?(?:VAST|VMAP)>/i.test(head);
+      const body = isComplete
+        ? head
+        : await fetchViaContentScript(tabId, url, headers, 'fetchHead', { maxBytes: AD_DOCUMENT_MAX_BYTES });
+      return { subtitleFormat: null, adMediaUrls: extractVastMediaUrls(body) };
+    })
+    .catch((error) => {
+      // Not cached: the content script may simply not be ready yet
+      console.warn('[ServiceWorker] Response sniffing failed:', error.message);
+      sniffedUrls.delete(url);
+      return nothing;
     });
-  },
-  { urls: ['<all_urls>'], types: ['media', 'xmlhttprequest', 'other', 'object'] },
-  ['responseHeaders']
-);
+
+  if (sniffedUrls.size >= SNIFF_CACHE_LIMIT) {
+    // Maps iterate in insertion order, so this drops the oldest entry
+    sniffedUrls.delete(sniffedUrls.keys().next().value);
+  }
+  sniffedUrls.set(url, sniff);
+  return sniff;
+}
+
+// Read the duration of a direct MP4/MOV or WebM file through the tab's content script: from its
+// first bytes, or for MP4 files whose moov box follows the media data, from where that box starts.
+// Resolves to null when the duration can't be found.
+function probeVideoDuration(tabId, url, headers) {
+  if (probedDurations.has(url)) return probedDurations.get(url);
+
+  const readAt = async offset => base64ToBytes(await fetchViaContentScript(
+    tabId, url, headers, 'fetchHead', { maxBytes: DURATION_PROBE_BYTES, offset, binary: true }
+  ));
+  const probe = readAt(0)
+    .then(async (head) => {
+      const container = detectContainer(head);
+      if (container === 'webm') return readWebmDuration(head);
+      if (container !== 'mp4') return null;
+      const { duration, nextOffset } = readMp4Duration(head);
+      if (duration !== null || nextOffset === null) return duration;
+      return readMp4Duration(await readAt(nextOffset), nextOffset).duration;
+    })
+    .catch((error) => {
+      console.warn('[ServiceWorker] Reading the video duration failed:', error.message);
+      probedDurations.delete(url);
+      return null;
+    });
+
+  if (probedDurations.size >= SNIFF_CACHE_LIMIT) {
+    probedDurations.delete(probedDurations.keys().next().value);
+  }
+  probedDurations.set(url, probe);
+  return probe;
+}
+
+function rememberAdCreatives(tabId, urls) {
+  if (!adCreativeUrls.has(tabId)) adCreativeUrls.set(tabId, new Set());
+  const creatives = adCreativeUrls.get(tabId);
+  urls.forEach(url => creatives.add(adUrlKey(url)));
+}
+
+// Hostname of the page shown in a tab, used to pick the site rules that apply
+async function getTabHostname(tabId) {
+  try {
+    const tab = await chrome.tabs.get(tabId);
+    return new URL(tab.url || tab.pendingUrl).hostname;
+  } catch {
+    return '';
+  }
+}
+
+// Remember which origins issue requests from a tab, including cross-origin iframes
+// (a player iframe's origin is the one its service worker requests come from)
+function rememberInitiatorOrigin(tabId, initiator) {
+  if (tabId < 0 || !initiator || initiator === 'null') return;
+  if (!tabInitiatorOrigins.has(initiator)) {
+    tabInitiatorOrigins.set(initiator, new Set());
+  }
+  tabInitiatorOrigins.get(initiator).add(tabId);
+}
+
+function forgetTabOrigins(tabId) {
+  for (const [origin, tabIds] of tabInitiatorOrigins) {
+    tabIds.delete(tabId);
+    if (tabIds.size === 0) tabInitiatorOrigins.delete(origin);
+  }
+}
+
+// Resolve the tabs that own a service worker request: tabs whose top-level document
+// has the initiator's origin, plus tabs that have issued requests from that origin
+async function resolveOwnerTabs(initiator) {
+  if (!initiator || initiator === 'null') return [];
+
+  const owners = new Set();
+  let tabs = [];
+  try {
+    tabs = await chrome.tabs.query({});
+  } catch (error) {
+    console.warn('[ServiceWorker] Failed to query tabs for service worker request:', error.message);
+    return [];
+  }
+
+  for (const tab of tabs) {
+    try {
+      if (tab.url && new URL(tab.url).origin === initiator) owners.add(tab.id);
+    } catch {
+      // Ignore tabs with unparsable URLs (e.g. about:blank)
+    }
+  }
+
+  const openTabIds = new Set(tabs.map(tab => tab.id));
+  for (const tabId of tabInitiatorOrigins.get(initiator) || []) {
+    if (openTabIds.has(tabId)) owners.add(tabId);
+  }
+
+  return [...owners];
+}
 
 chrome.tabs.onRemoved.addListener(async (tabId) => {
   // BUG FIX (Phase 1): Clean up content script cache when tab is closed
   contentScriptReadyCache.delete(tabId);
+  forgetTabOrigins(tabId);
+  adCreativeUrls.delete(tabId);
+  // The captures stay in the history; only the tab's page session ends
+  await captureHistory.endSession(tabId).catch(error => console.warn('[ServiceWorker] Failed to end history session:', error));
   await storage.clearTab(tabId);
 });
 
@@ -299,6 +839,9 @@ chrome.tabs.onUpdated.addListener(async (tabId, changeInfo) => {
     // BUG FIX (Phase 1): Clear content script ready cache on navigation
     // This ensures content script is re-injected after page navigation
     contentScriptReadyCache.delete(tabId);
+    forgetTabOrigins(tabId);
+    adCreativeUrls.delete(tabId);
+    await captureHistory.endSession(tabId).catch(error => console.warn('[ServiceWorker] Failed to end history session:', error));
     console.log(`[ServiceWorker] Cleared content script cache for tab ${tabId} due to navigation`);
 
     await storage.clearTab(tabId);
@@ -306,11 +849,11 @@ chrome.tabs.onUpdated.addListener(async (tabId, changeInfo) => {
   }
 });
 
-chrome.runtime.onMessage.addListener((message, _sender, sendResponse) => {
+chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
   if (message.cmd === 'GET_ITEMS') {
     const tabId = message.tabId;
     storage.getTabItems(tabId).then((items) => {
-      sendResponse(items);
+      sendResponse({ ...items, bestStream: pickBestStream(items.streams) });
     });
     return true;
   }
@@ -324,16 +867,184 @@ chrome.runtime.onMessage.addListener((message, _sender, sendResponse) => {
     return true;
   }
 
+  if (message.cmd === 'MEDIA_TRACKS_FOUND') {
+    const tabId = sender.tab?.id;
+    if (tabId === undefined || tabId < 0 || !Array.isArray(message.tracks)) return;
+    registerMediaTracks(tabId, message.pageUrl || sender.url, message.tracks)
+      .then(() => sendResponse({ success: true }))
+      .catch((error) => {
+        console.warn('[ServiceWorker] Failed to register media tracks:', error);
+        sendResponse({ success: false, error: error.message });
+      });
+    return true;
+  }
+
+  if (message.cmd === 'GET_SETTINGS') {
+    getSettings().then(settings => sendResponse(settings));
+    return true;
+  }
+
   if (message.cmd === 'BUILD_MPV') {
-    const { streamItem, subtitleItems } = message;
-    sendResponse({ command: buildMpvCommand(streamItem, subtitleItems || []) });
+    const { streamItem, subtitleItems, options } = message;
+    getSettings().then((settings) => {
+      // options.profile names the profile picked in the command bar
+      const profileArgs = getMpvProfile(settings, options?.profile).args;
+      const mpvOptions = { profileArgs, extraArgs: settings.mpvExtraArgs, ...options, shell: settings.shellDialect };
+      sendResponse({ command: buildMpvCommand(streamItem, subtitleItems || [], mpvOptions) });
+    });
     return true;
   }
 
   if (message.cmd === 'BUILD_FFMPEG') {
+    const { streamItem, subtitleItems, outputFormat, outputFilename, options } = message;
+    getSettings().then((settings) => {
+      const format = outputFormat || settings.ffmpegFormat;
+      const ffmpegOptions = { ...options, shell: settings.shellDialect };
+      sendResponse({ command: buildFfmpegCommand(streamItem, subtitleItems || [], format, outputFilename, ffmpegOptions) });
+    });
+    return true;
+  }
+
+  if (message.cmd === 'BUILD_YTDLP') {
     const { streamItem, subtitleItems, outputFormat, outputFilename } = message;
-    sendResponse({ command: buildFfmpegCommand(streamItem, subtitleItems || [], outputFormat, outputFilename) });
+    getSettings().then((settings) => {
+      const format = outputFormat || settings.ffmpegFormat;
+      const options = { outputTemplate: settings.ytDlpOutputTemplate, shell: settings.shellDialect };
+      sendResponse({ command: buildYtDlpCommand(streamItem, subtitleItems || [], format, outputFilename, options) });
+    });
+    return true;
+  }
+
+  if (message.cmd === 'BUILD_NM3U8DL') {
+    const { streamItem, subtitleItems, outputFormat, outputFilename, options } = message;
+    getSettings().then((settings) => {
+      const format = outputFormat || settings.ffmpegFormat;
+      const toolOptions = { ...options, shell: settings.shellDialect };
+      sendResponse({ command: buildNm3u8DlReCommand(streamItem, subtitleItems || [], format, outputFilename, toolOptions) });
+    });
+    return true;
+  }
+
+  if (message.cmd === 'BUILD_STREAMLINK') {
+    const { streamItem, subtitleItems, outputFilename, options } = message;
+    getSettings().then((settings) => {
+      const toolOptions = { ...options, shell: settings.shellDialect };
+      sendResponse({ command: buildStreamlinkCommand(streamItem, subtitleItems || [], outputFilename, toolOptions) });
+    });
+    return true;
+  }
+
+  if (message.cmd === 'BUILD_ARIA2C') {
+    const { streamItem, subtitleItems, outputFilename } = message;
+    getSettings().then((settings) => {
+      const command = buildAria2cCommand(streamItem, subtitleItems || [], outputFilename, { shell: settings.shellDialect });
+      sendResponse(command ? { command } : { error: 'Select a video file or subtitles for aria2c' });
+    });
+    return true;
+  }
+
+  if (message.cmd === 'BUILD_VLC') {
+    const { streamItem, subtitleItems } = message;
+    getSettings().then((settings) => {
+      sendResponse({ command: buildVlcCommand(streamItem, subtitleItems || [], { shell: settings.shellDialect }) });
+    });
+    return true;
+  }
+
+  if (message.cmd === 'BUILD_CURL') {
+    getSettings().then((settings) => {
+      sendResponse({ command: buildCurlCommand(message.item, { shell: settings.shellDialect }) });
+    });
     return true;
   }
 
+  if (message.cmd === 'BUILD_XSPF') {
+    // entries: [{ streamItem, subtitleItems, title }], one track each
+    const { entries, outputFilename } = message;
+    const playlist = buildXspfPlaylist(entries || [], outputFilename || '');
+    sendResponse(playlist
+      ? { playlist, filename: `${normalizeFilename(outputFilename)}.xspf` }
+      : { error: 'No streams to export' });
+    return true;
+  }
+
+  if (message.cmd === 'BUILD_CUSTOM') {
+    const { streamItem, subtitleItems, templateName, outputFilename } = message;
+    getSettings().then((settings) => {
+      const entry = settings.commandTemplates.find(({ name }) => name === templateName);
+      if (!entry) {
+        sendResponse({ error: `Unknown command template "${templateName}"` });
+        return;
+      }
+      try {
+        const context = buildTemplateContext(streamItem, subtitleItems || [], { title: outputFilename });
+        sendResponse({ command: renderTemplate(entry.template, context, { shell: settings.shellDialect }) });
+      } catch (error) {
+        sendResponse({ error: error.message });
+      }
+    });
+    return true;
+  }
+
+  if (message.cmd === 'NATIVE_LAUNCH') {
+    // tool: 'mpv' plays the stream, 'ffmpeg' downloads it into the host's download folder
+    const { tool, streamItem, subtitleItems, outputFormat, outputFilename, options } = message;
+    getSettings().then((settings) => {
+      const argv = tool === 'ffmpeg'
+        ? buildFfmpegArgs(streamItem, subtitleItems || [], outputFormat || settings.ffmpegFormat, outputFilename, options || {})
+        : buildMpvArgs(streamItem, subtitleItems || [], {
+          profileArgs: getMpvProfile(settings, options?.profile).args,
+          extraArgs: settings.mpvExtraArgs,
+          ...options
+        });
+      if (argv.length === 0) throw new Error('Stream not found');
+      return nativeLauncher.launch(argv, { title: outputFilename });
+    })
+      .then(job => sendResponse({ job }))
+      .catch(error => sendResponse({ error: error.message }));
+    return true;
+  }
+
+  if (message.cmd === 'NATIVE_STOP') {
+    sendResponse({ stopped: nativeLauncher.stop(message.jobId) });
+    return true;
+  }
+
+  if (message.cmd === 'GET_NATIVE_JOBS') {
+    sendResponse({ jobs: nativeLauncher.getJobs() });
+    return true;
+  }
+
+  if (message.cmd === 'BROWSER_DOWNLOAD') {
+    // Downloads the stream (the chosen variant) in the page context and saves it through chrome.downloads
+    const { tabId, streamItem, outputFilename } = message;
+    getSettings().then((settings) => {
+      if (streamItem?.mediaType !== 'hls') throw new Error('Only HLS streams can be saved in the browser');
+      const job = hlsDownloader.start(
+        { url: streamItem.url, title: outputFilename, audioTrack: streamItem.audioTrack || null },
+        createBrowserDownloadIo(tabId, streamItem.headers || {}),
+        { concurrency: settings.downloadConcurrency, retries: settings.downloadRetries, container: settings.downloadContainer }
+      );
+      sendResponse({ job });
+    })
+      .catch(error => sendResponse({ error: error.message }));
+    return true;
+  }
+
+  if (message.cmd === 'CANCEL_BROWSER_DOWNLOAD') {
+    sendResponse({ cancelled: hlsDownloader.cancel(message.jobId) });
+    return true;
+  }
+
+  if (message.cmd === 'GET_BROWSER_DOWNLOADS') {
+    sendResponse({ jobs: hlsDownloader.getJobs() });
+    return true;
+  }
+
+  if (message.cmd === 'OFFSCREEN_REMUX_PROGRESS') {
+    // Sent by the offscreen document for each segment it has remuxed
+    remuxProgress.get(message.jobId)?.(`Converting to MP4… ${Math.round((message.done / message.total) * 100)}%`);
+    return;
+  }
+
 });
\ No newline at end of file
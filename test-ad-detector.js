@@ -0,0 +1,122 @@
+/**
+ * Test suite for ad detection
+ * Run with: node test-ad-detector.js
+ */
+
+import {
+  isAdHost,
+  detectAdDocument,
+  extractVastMediaUrls,
+  classifyAd,
+  pickBestStream
+} from './modules/ad-detector.js';
+
+// Simple test runner
+let passed = 0;
+let failed = 0;
+
+function test(name, fn) {
+  try {
+    fn();
+    console.log(`✓ ${name}`);
+    passed++;
+  } catch (err) {
+    console.log(`✗ ${name}`);
+    console.log(`  Error: ${err.message}`);
+    failed++;
+  }
+}
+
+function assert(condition, message) {
+  if (!condition) {
+    throw new Error(message || 'Assertion failed');
+  }
+}
+
+console.log('=== Ad Detector Tests ===\n');
+
+const VAST = `<?xml version="1.0" encoding="UTF-8"?>
+<!-- ad server response -->
+<VAST version="4.0">
+  <Ad id="1">
+    <InLine>
+      <Creatives>
+        <Creative>
+          <Linear>
+            <Duration>00:00:15</Duration>
+            <MediaFiles>
+              <MediaFile delivery="progressive" type="video/mp4" width="1280" height="720">
+                <![CDATA[ https://cdn.adserver.example/creative/720.mp4?cb=1&amp;x=2 ]]>
+              </MediaFile>
+              <MediaFile delivery="streaming" type="application/x-mpegURL">https://cdn.adserver.example/creative/master.m3u8</MediaFile>
+              <MediaFile delivery="progressive" type="video/mp4">https://cdn.adserver.example/creative/720.mp4?cb=1&amp;x=2</MediaFile>
+            </MediaFiles>
+          </Linear>
+        </Creative>
+      </Creatives>
+    </InLine>
+  </Ad>
+</VAST>`;
+
+test('matches known ad hosts and their subdomains', () => {
+  assert(isAdHost('https://pubads.g.doubleclick.net/gampad/ads?iu=1'), 'Should match a doubleclick subdomain');
+  assert(isAdHost('https://s0.2mdn.net/videoplayback/file.mp4'), 'Should match 2mdn.net creatives');
+  assert(!isAdHost('https://notdoubleclick.net/video.mp4'), 'Should not match look-alike hosts');
+  assert(!isAdHost('not a url'), 'Should not throw on invalid URLs');
+});
+
+test('detects VAST and VMAP documents by their root element', () => {
+  assert(detectAdDocument(VAST) === 'vast', 'Should detect VAST after the prolog and comments');
+  assert(detectAdDocument('<vmap:VMAP xmlns:vmap="http://www.iab.net/videosuite/vmap" version="1.0">') === 'vmap',
+    'Should detect namespaced VMAP');
+  assert(detectAdDocument('<?xml version="1.0"?><tt xmlns="http://www.w3.org/ns/ttml">') === null, 'TTML is not an ad');
+  assert(detectAdDocument('<p>VAST</p>') === null, 'Only the root element counts');
+});
+
+test('extracts unique creative URLs from VAST', () => {
+  const urls = extractVastMediaUrls(VAST);
+  assert(urls.length === 2, `Should dedupe creatives, got ${urls.length}`);
+  assert(urls[0] === 'https://cdn.adserver.example/creative/720.mp4?cb=1&x=2', `Should unwrap CDATA and entities, got ${urls[0]}`);
+  assert(urls[1] === 'https://cdn.adserver.example/creative/master.m3u8', 'Should read plain MediaFile text');
+});
+
+test('classifies ads from hosts, VAST creatives, paths and length', () => {
+  assert(classifyAd({ url: 'https://x.example/v.mp4', isVastCreative: true }).reasons.includes('VAST creative'),
+    'VAST creatives should be ads');
+  assert(classifyAd({ url: 'https://cdn.example.com/ads/preroll/master.m3u8' }).reasons.includes('ad path'),
+    'Pre-roll paths should be ads');
+  assert(!classifyAd({ url: 'https://cdn.example.com/shows/vastness/ep1.m3u8' }).isAd,
+    'Words merely containing "vast" should not match');
+
+  const short = classifyAd({ url: 'https://cdn.example.com/a.m3u8', mediaType: 'hls', duration: 15 });
+  assert(short.isAd && short.reasons[0] === 'only 15s long', `Short playlists should be ads, got ${short.reasons}`);
+  assert(!classifyAd({ url: 'https://cdn.example.com/a.m3u8', mediaType: 'hls', duration: 15, isLive: true }).isAd,
+    'Live windows should not count as short');
+  assert(classifyAd({ url: 'https://cdn.example.com/loop.mp4', mediaType: 'video', size: 800 * 1024 }).isAd,
+    'Small video files should be ads');
+  assert(!classifyAd({ url: 'https://cdn.example.com/ep1.mp4', mediaType: 'video', size: 700 * 1024 * 1024 }).isAd,
+    'Large video files should not be ads');
+});
+
+test('picks the main stream and never an ad', () => {
+  const streams = {
+    ad: { url: 'ad.m3u8', isAd: true, variants: [{}], duration: 15, timestamp: 5 },
+    media: { url: 'media.m3u8', duration: 1400, bandwidth: 2000000, timestamp: 4 },
+    master: { url: 'master.m3u8', variants: [{}, {}], duration: 1400, timestamp: 1 },
+    file: { url: 'file.mp4', mediaType: 'video', size: 400000000, timestamp: 3 }
+  };
+  assert(pickBestStream(streams) === 'master', 'Manifests with variants should win');
+  delete streams.master;
+  assert(pickBestStream(streams) === 'media', 'Longest duration should win next');
+  assert(pickBestStream({ a: { isAd: true } }) === null, 'Should return null when every stream is an ad');
+  assert(pickBestStream({ a: { timestamp: 1 }, b: { timestamp: 2 } }) === 'b', 'Ties should go to the newest');
+});
+
+// Print summary
+console.log('\n=== Test Summary ===');
+console.log(`Passed: ${passed}`);
+console.log(`Failed: ${failed}`);
+
+if (failed > 0) {
+  process.exit(1);
+}
@@ -0,0 +1,100 @@
+/**
+ * Test suite for aria2c command generation
+ * Run with: node test-aria2c-command.js
+ */
+
+import { buildAria2cCommand, buildAria2cInputFile } from './modules/commands.js';
+
+// Simple test runner
+let passed = 0;
+let failed = 0;
+
+function test(name, fn) {
+  try {
+    fn();
+    console.log(`✓ ${name}`);
+    passed++;
+  } catch (err) {
+    console.log(`✗ ${name}`);
+    console.log(`  Error: ${err.message}`);
+    failed++;
+  }
+}
+
+function assert(condition, message) {
+  if (!condition) {
+    throw new Error(message || 'Assertion failed');
+  }
+}
+
+console.log('=== aria2c Command Generation Tests ===\n');
+
+test('writes one input file entry per download', () => {
+  const input = buildAria2cInputFile([
+    { url: 'https://example.com/a.mp4', headers: { Referer: 'https://example.com/' }, out: 'A.mp4', dir: 'A' },
+    { url: 'https://example.com/a.vtt', out: 'A.en.vtt' }
+  ]);
+  assert(input === 'https://example.com/a.mp4\n  header=Referer: https://example.com/\n  out=A.mp4\n  dir=A\n' +
+    'https://example.com/a.vtt\n  out=A.en.vtt', `Unexpected input file: ${JSON.stringify(input)}`);
+});
+
+test('leaves out range, encoding and fetch metadata headers', () => {
+  const input = buildAria2cInputFile([{
+    url: 'https://example.com/a.mp4',
+    headers: { Range: 'bytes=0-', 'Accept-Encoding': 'identity;q=1, *;q=0', 'Sec-Fetch-Dest': 'video', Cookie: 'id=1' },
+    out: 'A.mp4'
+  }]);
+  assert(input === 'https://example.com/a.mp4\n  header=Cookie: id=1\n  out=A.mp4', `Unexpected input file: ${JSON.stringify(input)}`);
+});
+
+test('downloads a video file and its subtitles into a page folder', () => {
+  const video = { url: 'https://cdn.example.com/files/movie.MP4?sig=1', mediaType: 'video', headers: { 'User-Agent': 'Agent/1.0' } };
+  const subtitles = [
+    { url: 'https://cdn.example.com/en.srt', languageCode: 'en', format: 'srt' },
+    { url: 'https://cdn.example.com/de.vtt', languageCode: 'de', format: 'vtt' }
+  ];
+  const cmd = buildAria2cCommand(video, subtitles, "Movie: It's");
+  assert(cmd === "mkdir -p 'Movie_ It'\\''s' && aria2c -c -x 4 -s 4 -j 3 -i - <<'ARIA2C_INPUT'\n" +
+    'https://cdn.example.com/files/movie.MP4?sig=1\n  header=User-Agent: Agent/1.0\n  out=Movie_ It\'s.mp4\n  dir=Movie_ It\'s\n' +
+    'https://cdn.example.com/en.srt\n  out=Movie_ It\'s.en.srt\n  dir=Movie_ It\'s\n' +
+    'https://cdn.example.com/de.vtt\n  out=Movie_ It\'s.de.vtt\n  dir=Movie_ It\'s\nARIA2C_INPUT', `Unexpected command: ${cmd}`);
+});
+
+test('downloads the selected direct file as the popup sends it', () => {
+  // A captured video file as stored by the service worker; the popup selects it by URL and
+  // sends it unchanged (no variant), with the checked subtitles
+  const captured = {
+    url: 'https://media.example.com/v/clip.webm', format: 'webm', name: 'clip.webm', size: 52428800,
+    headers: { Referer: 'https://example.com/watch', Range: 'bytes=0-', 'Sec-Fetch-Dest': 'video' },
+    tabId: 7, timestamp: 1700000000000, kind: 'stream', mediaType: 'video', requestId: '1234'
+  };
+  const streamItems = { [captured.requestId]: captured };
+  const selected = Object.values(streamItems).find(s => s.url === captured.url);
+  const cmd = buildAria2cCommand(selected, [], 'Clip');
+  assert(cmd === "mkdir -p 'Clip' && aria2c -c -x 4 -s 4 -j 1 -i - <<'ARIA2C_INPUT'\n" +
+    'https://media.example.com/v/clip.webm\n  header=Referer: https://example.com/watch\n  out=Clip.webm\n  dir=Clip\nARIA2C_INPUT',
+    `Unexpected command: ${cmd}`);
+});
+
+test('leaves out streams and saves generated subtitles and playlists up front', () => {
+  const hls = { url: 'https://example.com/master.m3u8', mediaType: 'hls' };
+  assert(buildAria2cCommand(hls, [], 'Show') === '', 'Should have nothing to download for a stream alone');
+
+  const subtitles = [
+    { url: 'data:text/vtt;base64,V0VCVlRU', languageCode: 'en' },
+    { url: 'https://example.com/subs/de.m3u8', languageCode: 'de', isHlsRendition: true }
+  ];
+  const commands = buildAria2cCommand(hls, subtitles, 'Show').split(' && ');
+  assert(commands.length === 3 && !commands.some(c => c.startsWith('aria2c')), 'Should not run aria2c without plain files');
+  assert(commands[1] === "echo 'V0VCVlRU' | base64 -d > 'Show/Show.en.vtt'", `Unexpected sidecar: ${commands[1]}`);
+  assert(commands[2].startsWith('ffmpeg ') && commands[2].endsWith("'Show/Show.de.vtt'"), `Unexpected sidecar: ${commands[2]}`);
+});
+
+// Print summary
+console.log('\n=== Test Summary ===');
+console.log(`Passed: ${passed}`);
+console.log(`Failed: ${failed}`);
+
+if (failed > 0) {
+  process.exit(1);
+}
@@ -0,0 +1,163 @@
+/**
+ * Test suite for DASH manifest parsing
+ * Run with: node test-dash-parser.js
+ */
+
+import { parseDashManifestContent, parseIsoDuration, enrichDashItem } from './modules/dash-parser.js';
+
+// Simple test runner
+let passed = 0;
+let failed = 0;
+
+function test(name, fn) {
+  try {
+    fn();
+    console.log(`✓ ${name}`);
+    passed++;
+  } catch (err) {
+    console.log(`✗ ${name}`);
+    console.log(`  Error: ${err.message}`);
+    failed++;
+  }
+}
+
+function assert(condition, message) {
+  if (!condition) {
+    throw new Error(message || 'Assertion failed');
+  }
+}
+
+console.log('=== DASH Parser Tests ===\n');
+
+const MANIFEST_URL = 'https://cdn.example.com/vod/title/manifest.mpd?token=abc';
+
+const VOD_MPD = `<?xml version="1.0" encoding="UTF-8"?>
+<!-- Generated by a packager -->
+<MPD xmlns="urn:mpeg:dash:schema:mpd:2011" type="static" mediaPresentationDuration="PT1H2M3.5S" minBufferTime="PT2S">
+  <Period id="0">
+    <AdaptationSet contentType="video" mimeType="video/mp4" segmentAlignment="true">
+      <SegmentTemplate timescale="90000" media="video_$RepresentationID$_$Number$.m4s" initialization="video_$RepresentationID$_init.mp4"/>
+      <Representation id="v720" bandwidth="2500000" width="1280" height="720" codecs="avc1.64001f" frameRate="30000/1001"/>
+      <Representation id="v1080" bandwidth="5000000" width="1920" height="1080" codecs="avc1.640028" frameRate="30000/1001"/>
+    </AdaptationSet>
+    <AdaptationSet contentType="audio" mimeType="audio/mp4" lang="en" codecs="mp4a.40.2">
+      <Representation id="a-en" bandwidth="128000"/>
+    </AdaptationSet>
+    <AdaptationSet contentType="audio" mimeType="audio/mp4" lang="ja" codecs="mp4a.40.2">
+      <Representation id="a-ja" bandwidth="128000"/>
+    </AdaptationSet>
+    <AdaptationSet contentType="text" mimeType="text/vtt" lang="en">
+      <Representation id="t-en" bandwidth="256"><BaseURL>subs/en.vtt</BaseURL></Representation>
+    </AdaptationSet>
+  </Period>
+</MPD>`;
+
+test('parses ISO 8601 durations', () => {
+  assert(parseIsoDuration('PT1H2M3.5S') === 3723.5, 'Should parse hours, minutes and fractional seconds');
+  assert(parseIsoDuration('PT45S') === 45, 'Should parse seconds only');
+  assert(parseIsoDuration('P1DT1S') === 86401, 'Should parse days');
+  assert(parseIsoDuration('garbage') === null, 'Should reject invalid values');
+  assert(parseIsoDuration('') === null, 'Should reject empty values');
+});
+
+test('extracts video representations as variants sorted by bandwidth', () => {
+  const info = parseDashManifestContent(MANIFEST_URL, VOD_MPD);
+
+  assert(info.isDashManifest, 'Should be recognised as a DASH manifest');
+  assert(info.isLive === false, 'Static manifest should not be live');
+  assert(info.duration === 3723.5, `Should use mediaPresentationDuration, got ${info.duration}`);
+  assert(info.variants.length === 2, `Should have 2 video variants, got ${info.variants.length}`);
+
+  const [best, second] = info.variants;
+  assert(best.bandwidth === 5000000 && second.bandwidth === 2500000, 'Should sort by bandwidth descending');
+  assert(best.resolution === '1080p', 'Should derive resolution from height');
+  assert(best.codec === 'H264', 'Should parse the video codec');
+  assert(best.audioCodec === 'AAC', 'Should take the audio codec from the audio adaptation set');
+  assert(best.frameRate === 29.97, `Should parse fractional frame rates, got ${best.frameRate}`);
+  assert(best.audioLanguages.join(',') === 'en,ja', 'Should list audio adaptation set languages');
+  assert(best.representationId === 'v1080', 'Should keep the representation id');
+  assert(best.url === MANIFEST_URL, 'Segmented representations should point at the manifest');
+  assert(best.name === '1080p · H264 · 5.0Mbps', `Should derive the display name, got ${best.name}`);
+});
+
+test('resolves single-file representations through BaseURL inheritance', () => {
+  const mpd = `<MPD type="static" mediaPresentationDuration="PT10S">
+    <BaseURL>https://media.example.com/root/</BaseURL>
+    <Period>
+      <AdaptationSet mimeType="video/mp4">
+        <BaseURL>video/</BaseURL>
+        <Representation id="1" bandwidth="800000" height="480" codecs="avc1.4d401e">
+          <BaseURL>480p.mp4?sig=a&amp;exp=1</BaseURL>
+          <SegmentBase indexRange="0-100"/>
+        </Representation>
+      </AdaptationSet>
+    </Period>
+  </MPD>`;
+  const info = parseDashManifestContent(MANIFEST_URL, mpd);
+  assert(info.variants.length === 1, 'Should have one variant');
+  assert(info.variants[0].url === 'https://media.example.com/root/video/480p.mp4?sig=a&exp=1',
+    `Should resolve nested BaseURLs and decode entities, got ${info.variants[0].url}`);
+});
+
+test('flags dynamic manifests as live without duration', () => {
+  const mpd = `<MPD type="dynamic" minimumUpdatePeriod="PT2S">
+    <Period start="PT0S">
+      <AdaptationSet mimeType="video/mp4"><Representation id="1" bandwidth="1000000" height="720" codecs="avc1.64001f"/></AdaptationSet>
+    </Period>
+  </MPD>`;
+  const info = parseDashManifestContent(MANIFEST_URL, mpd);
+  assert(info.isLive === true, 'Dynamic manifest should be live');
+  assert(info.duration === null, 'Live manifest should have no duration');
+});
+
+test('falls back to audio representations for audio-only manifests', () => {
+  const mpd = `<MPD type="static" mediaPresentationDuration="PT3M">
+    <Period>
+      <AdaptationSet mimeType="audio/mp4" lang="de" codecs="opus">
+        <Representation id="a1" bandwidth="96000"/>
+      </AdaptationSet>
+    </Period>
+  </MPD>`;
+  const info = parseDashManifestContent(MANIFEST_URL, mpd);
+  assert(info.variants.length === 1, 'Should expose the audio representation');
+  assert(info.variants[0].audioCodec === 'Opus', 'Should parse the audio codec');
+  assert(info.variants[0].audioLanguages[0] === 'de', 'Should carry the representation language');
+});
+
+test('uses the longest period of multi-period manifests', () => {
+  const mpd = `<MPD type="static">
+    <Period id="ad" duration="PT15S">
+      <AdaptationSet mimeType="video/mp4"><Representation id="ad" bandwidth="300000" height="360" codecs="avc1.42c01e"/></AdaptationSet>
+    </Period>
+    <Period id="main" duration="PT20M">
+      <AdaptationSet mimeType="video/mp4"><Representation id="main" bandwidth="3000000" height="720" codecs="avc1.64001f"/></AdaptationSet>
+    </Period>
+  </MPD>`;
+  const info = parseDashManifestContent(MANIFEST_URL, mpd);
+  assert(info.duration === 1215, `Should sum period durations, got ${info.duration}`);
+  assert(info.variants.length === 1 && info.variants[0].representationId === 'main', 'Should take variants from the main period');
+});
+
+test('rejects non-MPD content', () => {
+  const info = parseDashManifestContent(MANIFEST_URL, '#EXTM3U\n#EXT-X-VERSION:3');
+  assert(info.isDashManifest === false, 'Should not treat HLS as DASH');
+  assert(info.variants.length === 0, 'Should have no variants');
+});
+
+test('enriches items with duration and estimated sizes', () => {
+  const item = { name: 'manifest.mpd' };
+  enrichDashItem(item, parseDashManifestContent(MANIFEST_URL, VOD_MPD));
+  assert(item.name === 'manifest (Manifest)', `Should rename the item, got ${item.name}`);
+  assert(item.durationFormatted === '1h 2m', `Should format duration, got ${item.durationFormatted}`);
+  assert(item.variants[0].estimatedSize === (3723.5 * 5000000) / 8, 'Should estimate size from bandwidth and duration');
+  assert(item.variants[0].estimatedSizeFormatted, 'Should format the estimated size');
+});
+
+// Print summary
+console.log('\n=== Test Summary ===');
+console.log(`Passed: ${passed}`);
+console.log(`Failed: ${failed}`);
+
+if (failed > 0) {
+  process.exit(1);
+}
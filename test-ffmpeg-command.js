@@ -0,0 +1,123 @@
+/**
+ * Test suite for ffmpeg command generation
+ * Run with: node test-ffmpeg-command.js
+ */
+
+import { buildFfmpegCommand, buildFfmpegArgs, normalizeRecordDuration } from './modules/commands.js';
+
+// Simple test runner
+let passed = 0;
+let failed = 0;
+
+function test(name, fn) {
+  try {
+    fn();
+    console.log(`✓ ${name}`);
+    passed++;
+  } catch (err) {
+    console.log(`✗ ${name}`);
+    console.log(`  Error: ${err.message}`);
+    failed++;
+  }
+}
+
+function assert(condition, message) {
+  if (!condition) {
+    throw new Error(message || 'Assertion failed');
+  }
+}
+
+console.log('=== FFmpeg Command Generation Tests ===\n');
+
+test('generates a plain copy command for VOD streams', () => {
+  const cmd = buildFfmpegCommand({ url: 'https://example.com/vod.m3u8' }, [], 'mp4', 'My Video');
+  assert(cmd === "ffmpeg -loglevel error -stats -i 'https://example.com/vod.m3u8' -map 0 -c copy 'My Video.mp4'",
+    `Unexpected command: ${cmd}`);
+});
+
+test('adds reconnect flags, live start index and fragmented MP4 for live streams', () => {
+  const streamItem = { url: 'https://example.com/live.m3u8', mediaType: 'hls', isLive: true };
+  const cmd = buildFfmpegCommand(streamItem, [], 'mp4', 'Live', { recordDuration: '01:30:00', liveStart: -1 });
+
+  assert(cmd.includes('-reconnect 1 -reconnect_streamed 1'), 'Should add reconnect flags');
+  assert(cmd.includes("-live_start_index -1 -i 'https://example.com/live.m3u8'"), 'live_start_index should precede the input');
+  assert(cmd.includes('-c copy -t 01:30:00'), 'Should limit the recording length');
+  assert(cmd.includes('-movflags +frag_keyframe+empty_moov'), 'Should write a fragmented MP4');
+});
+
+test('omits HLS-only and MP4-only flags where they do not apply', () => {
+  const dash = buildFfmpegCommand({ url: 'https://example.com/live.mpd', mediaType: 'dash', isLive: true }, [], 'mkv', 'Live', { liveStart: 0 });
+  assert(!dash.includes('-live_start_index'), 'DASH input should not get live_start_index');
+  assert(!dash.includes('-movflags'), 'MKV output should not get movflags');
+  assert(dash.includes('-reconnect 1'), 'Live DASH should still reconnect');
+});
+
+test('validates record durations', () => {
+  assert(normalizeRecordDuration('90') === '90', 'Should accept seconds');
+  assert(normalizeRecordDuration(' 1:30 ') === '1:30', 'Should accept mm:ss');
+  assert(normalizeRecordDuration('00:00:00') === null, 'Should reject zero durations');
+  assert(normalizeRecordDuration("10; rm -rf ~") === null, 'Should reject anything else');
+  assert(normalizeRecordDuration('') === null, 'Should treat empty input as unset');
+});
+
+test('builds an argv with the same flags and all headers for the native host', () => {
+  const stream = { url: 'https://example.com/a.m3u8', headers: { 'User-Agent': "UA it's", Cookie: 'a=1; b=2' } };
+  const subtitles = [{ url: 'https://example.com/en.vtt', languageCode: 'en', languageName: 'English "CC"' }];
+  const argv = buildFfmpegArgs(stream, subtitles, 'mkv', 'My: Show');
+  assert(JSON.stringify(argv) === JSON.stringify([
+    'ffmpeg', '-n', '-loglevel', 'error', '-stats',
+    '-headers', "User-Agent: UA it's\r\nCookie: a=1; b=2\r\n",
+    '-i', 'https://example.com/a.m3u8',
+    '-headers', "User-Agent: UA it's\r\nCookie: a=1; b=2\r\n",
+    '-i', 'https://example.com/en.vtt',
+    '-map', '0:v', '-map', '0:a', '-map', '1', '-c', 'copy', '-c:s', 'ass',
+    '-metadata:s:s:0', 'language=eng', '-metadata:s:s:0', 'title=English "CC"',
+    'My_ Show.mkv'
+  ]), `Unexpected argv: ${JSON.stringify(argv)}`);
+  assert(buildFfmpegArgs({}).length === 0, 'Expected no argv without a stream');
+  assert(buildFfmpegCommand(stream, [], 'mp4', 'x', { shell: 'cmd' }).includes('-user_agent "UA it\'s"'),
+    'cmd commands should still fall back to -user_agent');
+});
+
+test('repeats the input options before the audio rendition and subtitle inputs', () => {
+  const stream = {
+    url: 'https://example.com/live/720p.m3u8',
+    isLive: true,
+    headers: { Referer: 'https://example.com/' },
+    audioTrack: { url: 'https://example.com/live/audio-en.m3u8', language: 'en' }
+  };
+  const subtitles = [
+    { url: 'https://subs.example.net/de.vtt', languageCode: 'de', headers: { Origin: 'https://example.com' } },
+    { url: 'data:text/vtt;base64,V0VCVlRU', languageCode: 'fr' }
+  ];
+  const argv = buildFfmpegArgs(stream, subtitles, 'mkv', 'Live', { liveStart: -3 });
+  const live = ['-reconnect', '1', '-reconnect_streamed', '1', '-reconnect_on_network_error', '1', '-reconnect_delay_max', '5',
+    '-live_start_index', '-3'];
+  const expectedInputs = [
+    '-headers', 'Referer: https://example.com/\r\n', ...live, '-i', 'https://example.com/live/720p.m3u8',
+    '-headers', 'Referer: https://example.com/\r\n', ...live, '-i', 'https://example.com/live/audio-en.m3u8',
+    '-headers', 'Origin: https://example.com\r\n', '-i', 'https://subs.example.net/de.vtt',
+    '-i', 'data:text/vtt;base64,V0VCVlRU'
+  ];
+  assert(JSON.stringify(argv.slice(5, 5 + expectedInputs.length)) === JSON.stringify(expectedInputs),
+    `Unexpected inputs: ${JSON.stringify(argv)}`);
+  assert(argv[5 + expectedInputs.length] === '-map', 'The inputs should be followed by the mappings');
+});
+
+test('maps a muxed audio rendition by language with a fallback', () => {
+  const stream = { url: 'https://example.com/720.m3u8', audioTrack: { url: null, language: 'es', name: 'Español' } };
+  const argv = buildFfmpegArgs(stream, [], 'mp4', 'Show');
+  const maps = argv.flatMap((arg, i) => (arg === '-map' ? [argv[i + 1]] : []));
+  assert(JSON.stringify(maps) === JSON.stringify(['0:v', '0:a:m:language:es?', '0:a:0?']), `Unexpected maps: ${JSON.stringify(maps)}`);
+  assert(argv.filter(arg => arg === '-i').length === 1, 'A muxed rendition should not add an input');
+  assert(argv.includes('language=spa') && argv.includes('title=Español'), 'Should still label the audio stream');
+});
+
+// Print summary
+console.log('\n=== Test Summary ===');
+console.log(`Passed: ${passed}`);
+console.log(`Failed: ${failed}`);
+
+if (failed > 0) {
+  process.exit(1);
+}
@@ -0,0 +1,233 @@
+/**
+ * Test suite for the capture history in modules/history.js
+ * Run with: node test-history.js
+ */
+
+import { captureHistory, HISTORY_MAX_SESSIONS, HISTORY_MAX_AGE_MS } from './modules/history.js';
+
+// Simple test runner (awaited, since the history is asynchronous)
+let passed = 0;
+let failed = 0;
+
+async function test(name, fn) {
+  try {
+    await fn();
+    console.log(`✓ ${name}`);
+    passed++;
+  } catch (err) {
+    console.log(`✗ ${name}`);
+    console.log(`  Error: ${err.message}`);
+    failed++;
+  }
+}
+
+function assert(condition, message) {
+  if (!condition) {
+    throw new Error(message || 'Assertion failed');
+  }
+}
+
+// In-memory stand-in for the parts of IndexedDB the module uses. Requests succeed on a later
+// task, like real ones, and transactions run one after another, completing once no request is
+// left; the index cursor walks the records by updatedAt.
+function createIndexedDB() {
+  const stores = new Map();
+  let queue = Promise.resolve();
+
+  class Transaction {
+    constructor(records, previous) {
+      this.records = records;
+      this.ready = previous;
+      this.pending = 0;
+      this.completed = false;
+      this.finished = new Promise((resolve) => { this.finish = resolve; });
+      this.oncomplete = null;
+      this.onerror = null;
+      this.onabort = null;
+      this.checkCompletion();
+    }
+
+    run(request, work) {
+      this.pending++;
+      this.ready.then(() => setTimeout(() => {
+        this.pending--;
+        request.result = work();
+        request.onsuccess?.();
+        this.checkCompletion();
+      }));
+      return request;
+    }
+
+    checkCompletion() {
+      this.ready.then(() => setTimeout(() => {
+        if (this.pending > 0 || this.completed) return;
+        this.completed = true;
+        this.finish();
+        this.oncomplete?.();
+      }));
+    }
+
+    objectStore() {
+      const { records } = this;
+      const request = () => ({ result: undefined, error: null, onsuccess: null, onerror: null });
+      return {
+        put: value => this.run(request(), () => { records.set(value.id, structuredClone(value)); return value.id; }),
+        get: id => this.run(request(), () => (records.has(id) ? structuredClone(records.get(id)) : undefined)),
+        delete: id => this.run(request(), () => { records.delete(id); }),
+        clear: () => this.run(request(), () => { records.clear(); }),
+        index: () => ({
+          openCursor: (range, direction) => {
+            const values = [...records.values()]
+              .filter(value => !range || value.updatedAt >= range.lower)
+              .sort((a, b) => (direction === 'prev' ? b.updatedAt - a.updatedAt : a.updatedAt - b.updatedAt));
+            const cursorRequest = request();
+            let position = 0;
+            const step = () => this.run(cursorRequest, () => {
+              if (position >= values.length) return null;
+              const value = structuredClone(values[position++]);
+              return { value, continue: step, delete: () => records.delete(value.id) };
+            });
+            return step();
+          }
+        })
+      };
+    }
+  }
+
+  const db = {
+    objectStoreNames: { contains: name => stores.has(name) },
+    createObjectStore(name) {
+      stores.set(name, new Map());
+      return { createIndex() {} };
+    },
+    transaction(name) {
+      const transaction = new Transaction(stores.get(name), queue);
+      queue = transaction.finished;
+      return transaction;
+    }
+  };
+
+  return {
+    records: name => stores.get(name),
+    open() {
+      const request = { result: db, error: null, onupgradeneeded: null, onsuccess: null, onerror: null };
+      setTimeout(() => {
+        if (stores.size === 0) request.onupgradeneeded?.();
+        request.onsuccess?.();
+      });
+      return request;
+    }
+  };
+}
+
+// chrome.storage.session stand-in
+function createSessionStorage() {
+  const data = {};
+  return {
+    get: async keys => Object.fromEntries(keys.filter(key => key in data).map(key => [key, structuredClone(data[key])])),
+    set: async (items) => { Object.assign(data, structuredClone(items)); }
+  };
+}
+
+globalThis.indexedDB = createIndexedDB();
+globalThis.IDBKeyRange = { lowerBound: lower => ({ lower }) };
+globalThis.chrome = { storage: { session: createSessionStorage() } };
+
+function stream(requestId, url = `https://cdn.example.com/${requestId}.m3u8`) {
+  return { requestId, url, kind: 'stream', mediaType: 'hls', headers: { Referer: 'https://example.com/' } };
+}
+
+function subtitle(requestId) {
+  return { requestId, url: `https://cdn.example.com/${requestId}.vtt`, kind: 'subtitle', format: 'vtt' };
+}
+
+// Sessions written straight into the store, for the retention limits
+function storedSession(id, updatedAt) {
+  return { id, tabId: 0, pageUrl: 'https://old.example/', host: 'old.example', title: '', startedAt: updatedAt, updatedAt, streams: {}, subtitles: {} };
+}
+
+console.log('=== Capture History Tests ===\n');
+
+await test('groups the captures of a tab into page sessions', async () => {
+  await captureHistory.clear();
+  const page = { url: 'https://www.example.com/watch/1', title: '' };
+  await captureHistory.recordItem(1, stream('s1'), page);
+  await captureHistory.recordItem(1, subtitle('t1'), { ...page, title: 'Episode 1' });
+  // Re-recording an item replaces it
+  await captureHistory.recordItem(1, { ...stream('s1'), isLive: true }, page);
+
+  await captureHistory.endSession(1);
+  await captureHistory.recordItem(1, stream('s2'), { url: 'https://www.example.com/watch/2', title: 'Episode 2' });
+
+  const sessions = await captureHistory.searchSessions();
+  assert(sessions.length === 2, `Expected 2 sessions, got ${sessions.length}`);
+  const [second, first] = sessions;
+  assert(first.host === 'www.example.com' && first.title === 'Episode 1', `Unexpected first session: ${first.host} ${first.title}`);
+  assert(Object.keys(first.streams).length === 1 && first.streams.s1.isLive && first.subtitles.t1,
+    'The first session should hold its stream, replaced, and its subtitle');
+  assert(Object.keys(second.streams).join() === 's2' && second.pageUrl.endsWith('/watch/2'), 'Navigation should start a new session');
+});
+
+await test('shares one session between concurrent first captures', async () => {
+  await captureHistory.clear();
+  const page = { url: 'https://video.example.org/', title: 'Video' };
+  await Promise.all([
+    captureHistory.recordItem(2, stream('a'), page),
+    captureHistory.recordItem(2, stream('b'), page),
+    captureHistory.recordItem(2, subtitle('c'), page)
+  ]);
+  const sessions = await captureHistory.searchSessions();
+  assert(sessions.length === 1, `Expected 1 session, got ${sessions.length}`);
+  assert(Object.keys(sessions[0].streams).sort().join() === 'a,b' && sessions[0].subtitles.c, 'No capture should be lost');
+  await captureHistory.endSession(2);
+});
+
+await test('searches sessions by text and date', async () => {
+  await captureHistory.clear();
+  await captureHistory.recordItem(3, stream('x'), { url: 'https://news.example.net/live', title: 'Evening News' });
+  await captureHistory.endSession(3);
+  await captureHistory.recordItem(3, stream('y'), { url: 'https://tv.example.com/show', title: 'Cooking Show' });
+  await captureHistory.endSession(3);
+
+  const byHost = await captureHistory.searchSessions({ query: 'NEWS.example' });
+  assert(byHost.length === 1 && byHost[0].title === 'Evening News', 'Should match the host case-insensitively');
+  const byTitle = await captureHistory.searchSessions({ query: ' cooking ' });
+  assert(byTitle.length === 1 && byTitle[0].host === 'tv.example.com', 'Should match the title');
+  assert((await captureHistory.searchSessions({ query: '/show' })).length === 1, 'Should match the page URL');
+  assert((await captureHistory.searchSessions({ from: Date.now() + 60000 })).length === 0, 'Should skip sessions updated before from');
+  assert((await captureHistory.searchSessions({ to: 0 })).length === 0, 'Should skip sessions started after to');
+  assert((await captureHistory.searchSessions({ limit: 1 })).length === 1, 'Should apply the limit');
+
+  await captureHistory.deleteSession(byHost[0].id);
+  const rest = await captureHistory.searchSessions();
+  assert(rest.length === 1 && rest[0].title === 'Cooking Show', 'Should delete one session');
+});
+
+await test(`keeps at most ${HISTORY_MAX_SESSIONS} sessions of the last 30 days`, async () => {
+  await captureHistory.clear();
+  const records = globalThis.indexedDB.records('sessions');
+  const now = Date.now();
+  for (let i = 0; i < HISTORY_MAX_SESSIONS + 10; i++) {
+    records.set(`recent-${i}`, storedSession(`recent-${i}`, now - i * 1000));
+  }
+  for (let i = 0; i < 5; i++) {
+    records.set(`old-${i}`, storedSession(`old-${i}`, now - HISTORY_MAX_AGE_MS - (i + 1) * 1000));
+  }
+
+  const deleted = await captureHistory.prune();
+  assert(deleted === 15, `Expected 15 deleted sessions, got ${deleted}`);
+  assert(records.size === HISTORY_MAX_SESSIONS, `Expected ${HISTORY_MAX_SESSIONS} sessions, got ${records.size}`);
+  assert(records.has('recent-0') && records.has(`recent-${HISTORY_MAX_SESSIONS - 1}`) && !records.has(`recent-${HISTORY_MAX_SESSIONS}`),
+    'Should keep the newest sessions');
+  assert(![...records.keys()].some(id => id.startsWith('old-')), 'Should drop sessions older than 30 days');
+  await captureHistory.clear();
+});
+
+// Print summary
+console.log('\n=== Test Summary ===');
+console.log(`Passed: ${passed}`);
+console.log(`Failed: ${failed}`);
+
+if (failed > 0) {
+  process.exit(1);
+}
@@ -0,0 +1,103 @@
+/**
+ * Test suite for AES-128 segment decryption in modules/hls-crypto.js
+ * Run with: node test-hls-crypto.js
+ */
+
+import { createCipheriv } from 'node:crypto';
+import {
+  parseIv,
+  sequenceIv,
+  segmentIv,
+  getKeyUnsupportedReason,
+  importAesKey,
+  decryptSegment
+} from './modules/hls-crypto.js';
+
+// Simple test runner (awaited, since WebCrypto is asynchronous)
+let passed = 0;
+let failed = 0;
+
+async function test(name, fn) {
+  try {
+    await fn();
+    console.log(`✓ ${name}`);
+    passed++;
+  } catch (err) {
+    console.log(`✗ ${name}`);
+    console.log(`  Error: ${err.message}`);
+    failed++;
+  }
+}
+
+function assert(condition, message) {
+  if (!condition) {
+    throw new Error(message || 'Assertion failed');
+  }
+}
+
+const hex = bytes => Buffer.from(bytes).toString('hex');
+
+console.log('=== HLS Decryption Tests ===\n');
+
+await test('derives the IV from the attribute or the media sequence number', async () => {
+  assert(hex(parseIv('0x000102030405060708090A0B0C0D0E0F')) === '000102030405060708090a0b0c0d0e0f', 'Should parse a full IV');
+  assert(hex(parseIv('0x1f')) === '0000000000000000000000000000001f', 'Should left-pad short IVs');
+  assert(parseIv('000102') === null && parseIv('0x' + 'f'.repeat(33)) === null && parseIv('0xzz') === null,
+    'Should reject IVs without 0x, too long or not hexadecimal');
+  assert(hex(sequenceIv(0)) === '0'.repeat(32), 'Sequence 0 should give a zero IV');
+  assert(hex(sequenceIv(258)) === '00000000000000000000000000000102', 'Should encode the sequence big-endian');
+  assert(hex(sequenceIv(2 ** 40 + 1)) === '00000000000000000000010000000001', 'Should handle sequences beyond 32 bits');
+  assert(hex(segmentIv({ key: { iv: null }, sequence: 7 })) === '00000000000000000000000000000007', 'Should fall back to the sequence');
+  assert(hex(segmentIv({ key: { iv: '0x10' }, sequence: 7 })) === '00000000000000000000000000000010', 'Should prefer the IV attribute');
+});
+
+await test('explains which keys can\'t be decrypted', async () => {
+  assert(getKeyUnsupportedReason({ method: 'AES-128', uri: 'https://e.com/k', iv: null, keyFormat: null }) === null,
+    'Plain AES-128 should be supported');
+  assert(getKeyUnsupportedReason({ method: 'AES-128', uri: 'https://e.com/k', iv: null, keyFormat: 'identity' }) === null,
+    'The identity key format should be supported');
+  assert(getKeyUnsupportedReason({ method: 'SAMPLE-AES', uri: 'skd://x', iv: null, keyFormat: 'com.apple.streamingkeydelivery' })
+    .startsWith('DRM-protected'), 'FairPlay should be reported as DRM');
+  assert(getKeyUnsupportedReason({ method: 'SAMPLE-AES', uri: 'https://e.com/k', iv: null, keyFormat: null })
+    .startsWith('SAMPLE-AES'), 'SAMPLE-AES should be rejected');
+  assert(getKeyUnsupportedReason({ method: 'AES-128', uri: null, iv: null, keyFormat: null }) === 'The encryption key has no URI',
+    'Keys need a URI');
+  assert(getKeyUnsupportedReason({ method: 'AES-128', uri: 'https://e.com/k', iv: '12', keyFormat: null }) === 'Invalid IV 12',
+    'Invalid IVs should be reported');
+});
+
+await test('decrypts AES-128-CBC segments and rejects wrong keys', async () => {
+  const keyBytes = new Uint8Array(16).map((_, i) => i * 7);
+  const iv = sequenceIv(42);
+  const clear = Buffer.from('G'.repeat(188 * 3));
+  const cipher = createCipheriv('aes-128-cbc', keyBytes, iv);
+  const encrypted = new Uint8Array(Buffer.concat([cipher.update(clear), cipher.final()]));
+
+  const decrypted = await decryptSegment(encrypted, await importAesKey(keyBytes), iv);
+  assert(Buffer.from(decrypted).equals(clear), 'Should decrypt and remove the padding');
+
+  let error = null;
+  try {
+    await decryptSegment(encrypted, await importAesKey(new Uint8Array(16)), iv);
+  } catch (e) {
+    error = e;
+  }
+  assert(error?.message === 'Decryption failed (wrong key or corrupted segment)', `Unexpected error: ${error?.message}`);
+
+  error = null;
+  try {
+    await importAesKey(new TextEncoder().encode('<html>denied</html>'));
+  } catch (e) {
+    error = e;
+  }
+  assert(error?.message === 'The key is 19 bytes long instead of 16', `Unexpected error: ${error?.message}`);
+});
+
+// Print summary
+console.log('\n=== Test Summary ===');
+console.log(`Passed: ${passed}`);
+console.log(`Failed: ${failed}`);
+
+if (failed > 0) {
+  process.exit(1);
+}
@@ -0,0 +1,309 @@
+/**
+ * Test suite for the in-browser HLS downloader in modules/hls-downloader.js
+ * Run with: node test-hls-downloader.js
+ */
+
+import { createCipheriv } from 'node:crypto';
+import { hlsDownloader, getUnsupportedReason, base64ByteLength } from './modules/hls-downloader.js';
+import { parseMediaPlaylist } from './modules/hls-parser.js';
+import { sequenceIv, parseIv } from './modules/hls-crypto.js';
+
+// Simple test runner (awaited, since downloads are asynchronous)
+let passed = 0;
+let failed = 0;
+
+async function test(name, fn) {
+  try {
+    await fn();
+    console.log(`✓ ${name}`);
+    passed++;
+  } catch (err) {
+    console.log(`✗ ${name}`);
+    console.log(`  Error: ${err.message}`);
+    failed++;
+  }
+}
+
+function assert(condition, message) {
+  if (!condition) {
+    throw new Error(message || 'Assertion failed');
+  }
+}
+
+const MASTER = [
+  '#EXTM3U',
+  '#EXT-X-STREAM-INF:BANDWIDTH=800000,RESOLUTION=640x360',
+  'low/index.m3u8',
+  '#EXT-X-STREAM-INF:BANDWIDTH=2400000,RESOLUTION=1280x720',
+  'high/index.m3u8'
+].join('\n');
+
+function mediaPlaylist(count, { endList = true, extra = '' } = {}) {
+  const lines = ['#EXTM3U', '#EXT-X-TARGETDURATION:6', extra];
+  for (let i = 0; i < count; i++) lines.push('#EXTINF:6.0,', `seg${i}.ts`);
+  if (endList) lines.push('#EXT-X-ENDLIST');
+  return lines.join('\n');
+}
+
+// In-memory I/O: playlists by URL, segments are the base64 of their file name (with @offset for
+// byte ranges) unless given in segments (base64 by URL); keys are base64 by URL. Files to remux
+// fall back to .ts when remuxError is set, like the offscreen document does
+function createIo(playlists, { failures = {}, segments = {}, keys = {}, remuxError = null } = {}) {
+  const io = {
+    fetched: [],
+    parts: new Map(),
+    saved: null,
+    discarded: [],
+    active: 0,
+    maxActive: 0,
+    fetchText: async (url) => {
+      if (!(url in playlists)) throw new Error(`HTTP 404: ${url}`);
+      return playlists[url];
+    },
+    fetchSegment: async (url, byteRange) => {
+      io.fetched.push(url);
+      io.active++;
+      io.maxActive = Math.max(io.maxActive, io.active);
+      await new Promise(resolve => setTimeout(resolve, 5));
+      io.active--;
+      if (failures[url] > 0) {
+        failures[url]--;
+        throw new Error('HTTP 503: Service Unavailable');
+      }
+      const name = url.split('/').pop() + (byteRange ? `@${byteRange.offset}` : '');
+      return segments[url] || Buffer.from(name).toString('base64');
+    },
+    keyFetches: [],
+    fetchKey: async (url) => {
+      io.keyFetches.push(url);
+      if (!(url in keys)) throw new Error(`HTTP 403: ${url}`);
+      return keys[url];
+    },
+    append: async (jobId, index, data) => {
+      io.parts.set(index, Buffer.from(data, 'base64').toString());
+    },
+    remux: null,
+    save: async (jobId, files, onProgress) => {
+      io.saved = files.map(({ filename, mimeType, first, last }) => ({
+        filename,
+        mimeType,
+        content: Array.from({ length: last - first + 1 }, (_, i) => io.parts.get(first + i)).join('|')
+      }));
+      io.remux = files.map(file => file.remux);
+      onProgress('Converting to MP4… 50%');
+      return files.map(file => (file.remux && remuxError
+        ? { filename: file.filename.replace(/\.mp4$/, '.ts'), warning: `Kept as MPEG-TS: ${remuxError}` }
+        : { filename: file.filename, warning: null }));
+    },
+    discard: async (jobId) => {
+      io.discarded.push(jobId);
+    }
+  };
+  return io;
+}
+
+// Starts a download and resolves with the job once it has ended (jobs never end synchronously)
+function download(url, io, options, audioTrack = null) {
+  return new Promise((resolve) => {
+    let id = null;
+    hlsDownloader.onStatus((job) => {
+      if (job.id === id && (job.state === 'finished' || job.state === 'failed')) resolve(job);
+    });
+    id = hlsDownloader.start({ url, title: 'My: Show', audioTrack }, io, options).id;
+  });
+}
+
+console.log('=== HLS Downloader Tests ===\n');
+
+await test('explains which playlists can\'t be saved', async () => {
+  const url = 'https://cdn.example.com/v/index.m3u8';
+  assert(getUnsupportedReason(parseMediaPlaylist(url, mediaPlaylist(2))) === null, 'A finished TS playlist should be supported');
+  assert(getUnsupportedReason(parseMediaPlaylist(url, mediaPlaylist(2, { endList: false }))).startsWith('Live streams'),
+    'Live playlists should be rejected');
+  assert(getUnsupportedReason(parseMediaPlaylist(url, mediaPlaylist(2, { endList: false, extra: '#EXT-X-PLAYLIST-TYPE:VOD' }))) === null,
+    'VOD playlists without ENDLIST should be supported');
+  assert(getUnsupportedReason(parseMediaPlaylist(url, mediaPlaylist(2, { extra: '#EXT-X-KEY:METHOD=AES-128,URI="k.bin"' }))) === null,
+    'AES-128 playlists should be supported');
+  assert(getUnsupportedReason(parseMediaPlaylist(url, mediaPlaylist(2, { extra: '#EXT-X-KEY:METHOD=SAMPLE-AES,URI="k.bin"' })))
+    .startsWith('SAMPLE-AES'), 'SAMPLE-AES playlists should be rejected');
+  assert(getUnsupportedReason(parseMediaPlaylist(url, `${mediaPlaylist(1, { endList: false })}\n#EXT-X-MAP:URI="i.mp4"\n#EXTINF:6,\nf.m4s\n#EXT-X-ENDLIST`))
+    .startsWith('Playlists mixing'), 'Playlists mixing TS and fMP4 should be rejected');
+  assert(getUnsupportedReason(parseMediaPlaylist(url, '#EXTM3U\n#EXT-X-KEY:METHOD=AES-128,URI="k"\n#EXT-X-MAP:URI="i.mp4"\n#EXTINF:6,\nf.m4s\n#EXT-X-ENDLIST'))
+    === 'The encrypted init segment has no IV', 'Encrypted init segments need an IV');
+  assert(getUnsupportedReason(parseMediaPlaylist(url, mediaPlaylist(0))) === 'The playlist has no segments', 'Empty playlists should be rejected');
+  assert(base64ByteLength('aGk=') === 2 && base64ByteLength('aGVsbG8h') === 6 && base64ByteLength('') === 0,
+    'Should count decoded bytes');
+});
+
+await test('downloads the best variant in order with limited concurrency', async () => {
+  const io = createIo({
+    'https://cdn.example.com/master.m3u8': MASTER,
+    'https://cdn.example.com/high/index.m3u8': mediaPlaylist(7)
+  });
+  const job = await download('https://cdn.example.com/master.m3u8', io, { concurrency: 3, retries: 0, container: 'ts' });
+  assert(job.state === 'finished', `Expected finished, got ${job.state}: ${job.message}`);
+  assert(io.fetched.every(url => url.startsWith('https://cdn.example.com/high/')), 'Should pick the highest-bandwidth variant');
+  assert(io.maxActive === 3, `Expected 3 parallel fetches, got ${io.maxActive}`);
+  assert(io.saved.length === 1 && io.saved[0].filename === 'My_ Show.ts' && io.saved[0].mimeType === 'video/mp2t',
+    `Unexpected files: ${JSON.stringify(io.saved)}`);
+  assert(io.saved[0].content === 'seg0.ts|seg1.ts|seg2.ts|seg3.ts|seg4.ts|seg5.ts|seg6.ts', `Segments out of order: ${io.saved[0].content}`);
+  assert(job.done === 7 && job.total === 7 && job.bytes === 49, `Unexpected progress: ${job.done}/${job.total}, ${job.bytes} bytes`);
+});
+
+await test('remuxes TS streams to MP4 and keeps TS when that fails', async () => {
+  const playlists = { 'https://cdn.example.com/v.m3u8': mediaPlaylist(2) };
+  const io = createIo(playlists);
+  const messages = [];
+  hlsDownloader.onStatus(job => messages.push(job.message));
+  const job = await download('https://cdn.example.com/v.m3u8', io, { retries: 0 });
+  assert(job.state === 'finished' && job.filename === 'My_ Show.mp4' && job.warning === '', `Unexpected job: ${JSON.stringify(job)}`);
+  assert(io.saved[0].mimeType === 'video/mp4' && io.remux[0] === 'mp4', `Unexpected files: ${JSON.stringify(io.saved)}`);
+  assert(messages.includes('Converting to MP4… 50%'), 'Save progress should be reported');
+
+  const fragmented = createIo(playlists);
+  await download('https://cdn.example.com/v.m3u8', fragmented, { retries: 0, container: 'fmp4' });
+  assert(fragmented.remux[0] === 'fmp4', 'Should ask for a fragmented MP4');
+
+  const failing = createIo(playlists, { remuxError: 'AC-3 audio can\'t be remuxed to MP4' });
+  const kept = await download('https://cdn.example.com/v.m3u8', failing, { retries: 0 });
+  assert(kept.state === 'finished' && kept.filename === 'My_ Show.ts' && JSON.stringify(kept.files) === '["My_ Show.ts"]',
+    `The job should name the file that was saved: ${JSON.stringify(kept)}`);
+  assert(kept.warning === 'Kept as MPEG-TS: AC-3 audio can\'t be remuxed to MP4', `Unexpected warning: ${kept.warning}`);
+});
+
+await test('retries failed segments and fails once retries run out', async () => {
+  const playlists = { 'https://cdn.example.com/v.m3u8': mediaPlaylist(3) };
+
+  const flaky = createIo(playlists, { failures: { 'https://cdn.example.com/seg1.ts': 1 } });
+  const recovered = await download('https://cdn.example.com/v.m3u8', flaky, { concurrency: 2, retries: 1 });
+  assert(recovered.state === 'finished', `A segment failing once should be retried: ${recovered.message}`);
+  assert(flaky.fetched.filter(url => url.endsWith('seg1.ts')).length === 2, 'Should fetch the failed segment again');
+
+  const broken = createIo(playlists, { failures: { 'https://cdn.example.com/seg2.ts': 5 } });
+  const job = await download('https://cdn.example.com/v.m3u8', broken, { concurrency: 1, retries: 1 });
+  assert(job.state === 'failed' && job.message === 'Segment 3 of 3: HTTP 503: Service Unavailable', `Unexpected result: ${job.message}`);
+  assert(broken.saved === null && broken.discarded.includes(job.id), 'A failed download should be discarded, not saved');
+});
+
+await test('decrypts AES-128 segments with rotating keys', async () => {
+  const encrypt = (text, key, iv) => {
+    const cipher = createCipheriv('aes-128-cbc', key, iv);
+    return Buffer.concat([cipher.update(text), cipher.final()]).toString('base64');
+  };
+  const keyA = Buffer.alloc(16, 1);
+  const keyB = Buffer.alloc(16, 2);
+  const playlist = [
+    '#EXTM3U', '#EXT-X-TARGETDURATION:6', '#EXT-X-MEDIA-SEQUENCE:100',
+    '#EXT-X-KEY:METHOD=AES-128,URI="a.key"',
+    '#EXTINF:6.0,', 'seg0.ts', '#EXTINF:6.0,', 'seg1.ts',
+    '#EXT-X-KEY:METHOD=AES-128,URI="b.key",IV=0x0000000000000000000000000000ABCD',
+    '#EXTINF:6.0,', 'seg2.ts',
+    '#EXT-X-KEY:METHOD=NONE',
+    '#EXTINF:6.0,', 'seg3.ts',
+    '#EXT-X-ENDLIST'
+  ].join('\n');
+  const base = 'https://cdn.example.com/';
+  const io = createIo({ [`${base}v.m3u8`]: playlist }, {
+    segments: {
+      [`${base}seg0.ts`]: encrypt('first', keyA, sequenceIv(100)),
+      [`${base}seg1.ts`]: encrypt('second', keyA, sequenceIv(101)),
+      [`${base}seg2.ts`]: encrypt('third', keyB, parseIv('0xABCD'))
+    },
+    keys: { [`${base}a.key`]: keyA.toString('base64'), [`${base}b.key`]: keyB.toString('base64') }
+  });
+
+  const job = await download(`${base}v.m3u8`, io, { concurrency: 4, retries: 0 });
+  assert(job.state === 'finished', `Expected finished, got ${job.state}: ${job.message}`);
+  assert(io.saved[0].content === 'first|second|third|seg3.ts', `Unexpected content: ${io.saved[0].content}`);
+  assert(io.keyFetches.sort().join(',') === `${base}a.key,${base}b.key`, `Each key should be fetched once: ${io.keyFetches}`);
+  assert(job.bytes === 'firstsecondthirdseg3.ts'.length, `Progress should count clear bytes, got ${job.bytes}`);
+
+  const denied = await download(`${base}v.m3u8`, createIo({ [`${base}v.m3u8`]: playlist }), { concurrency: 1, retries: 0 });
+  assert(denied.state === 'failed' && denied.message === `Segment 1 of 4: HTTP 403: ${base}a.key`, `Unexpected result: ${denied.message}`);
+});
+
+await test('puts init segments in front and splits where they change', async () => {
+  const base = 'https://cdn.example.com/';
+  const playlist = [
+    '#EXTM3U', '#EXT-X-VERSION:7', '#EXT-X-TARGETDURATION:4',
+    '#EXT-X-MAP:URI="main.mp4",BYTERANGE="800@0"',
+    '#EXTINF:4,', '#EXT-X-BYTERANGE:5000@800', 'main.mp4',
+    '#EXTINF:4,', '#EXT-X-BYTERANGE:6000', 'main.mp4',
+    '#EXT-X-DISCONTINUITY', '#EXT-X-MAP:URI="ad-init.mp4"',
+    '#EXTINF:4,', 'ad0.m4s',
+    '#EXT-X-DISCONTINUITY', '#EXT-X-MAP:URI="main-init-copy.mp4"',
+    '#EXTINF:4,', 'main1.m4s',
+    '#EXT-X-ENDLIST'
+  ].join('\n');
+  const io = createIo({ [`${base}v.m3u8`]: playlist }, {
+    segments: {
+      // Served with the same bytes as the first init section, so it doesn't start a new file
+      [`${base}main-init-copy.mp4`]: Buffer.from('main.mp4@0').toString('base64')
+    }
+  });
+
+  const job = await download(`${base}v.m3u8`, io, { concurrency: 3, retries: 0 });
+  assert(job.state === 'finished', `Expected finished, got ${job.state}: ${job.message}`);
+  assert(JSON.stringify(io.saved) === JSON.stringify([
+    { filename: 'My_ Show (part 1).mp4', mimeType: 'video/mp4', content: 'main.mp4@0|main.mp4@800|main.mp4@5800' },
+    { filename: 'My_ Show (part 2).mp4', mimeType: 'video/mp4', content: 'ad-init.mp4|ad0.m4s' },
+    { filename: 'My_ Show (part 3).mp4', mimeType: 'video/mp4', content: 'main.mp4@0|main1.m4s' }
+  ]), `Unexpected files: ${JSON.stringify(io.saved)}`);
+  assert(job.files.length === 3 && job.filename === 'My_ Show (part 1).mp4', `Unexpected job files: ${job.files}`);
+  assert(io.fetched.filter(url => url === `${base}main.mp4`).length === 3, 'The init section should be fetched once');
+  assert(job.total === 4 && job.done === 4, `Init segments should not count as segments: ${job.done}/${job.total}`);
+});
+
+await test('cancels a running download and rejects live playlists', async () => {
+  const io = createIo({ 'https://cdn.example.com/v.m3u8': mediaPlaylist(50) });
+  const ended = download('https://cdn.example.com/v.m3u8', io, { concurrency: 2, retries: 0 });
+  const [running] = hlsDownloader.getJobs();
+  await new Promise(resolve => setTimeout(resolve, 20));
+  assert(hlsDownloader.cancel(running.id), 'Should cancel a running job');
+  assert(!hlsDownloader.cancel(running.id), 'Should not cancel twice');
+  const job = await ended;
+  assert(job.state === 'failed' && job.message === 'Cancelled', `Unexpected result: ${job.state} ${job.message}`);
+  assert(io.fetched.length < 50 && io.saved === null, 'Should stop fetching and not save');
+
+  const live = await download('https://cdn.example.com/live.m3u8', createIo({
+    'https://cdn.example.com/live.m3u8': mediaPlaylist(3, { endList: false })
+  }));
+  assert(live.state === 'failed' && live.message.startsWith('Live streams'), `Unexpected result: ${live.message}`);
+  assert(!hlsDownloader.isBusy(), 'No job should be left running');
+});
+
+await test('refuses streams whose audio is a separate rendition', async () => {
+  const master = [
+    '#EXTM3U',
+    '#EXT-X-MEDIA:TYPE=AUDIO,GROUP-ID="aud",NAME="English",LANGUAGE="en",DEFAULT=YES,URI="audio/en.m3u8"',
+    '#EXT-X-STREAM-INF:BANDWIDTH=2400000,AUDIO="aud"',
+    'high/index.m3u8'
+  ].join('\n');
+  const io = createIo({
+    'https://cdn.example.com/master.m3u8': master,
+    'https://cdn.example.com/high/index.m3u8': mediaPlaylist(2)
+  });
+  const job = await download('https://cdn.example.com/master.m3u8', io);
+  assert(job.state === 'failed' && job.message.startsWith('The audio is a separate rendition'), `Unexpected result: ${job.message}`);
+  assert(io.fetched.length === 0, 'Should not fetch any segment');
+
+  const picked = await download('https://cdn.example.com/high/index.m3u8', io, {},
+    { language: 'en', url: 'https://cdn.example.com/audio/en.m3u8' });
+  assert(picked.state === 'failed' && picked.message.startsWith('The audio is a separate rendition'),
+    `A picked audio rendition should be refused: ${picked.message}`);
+
+  const muxed = await download('https://cdn.example.com/master.m3u8', createIo({
+    'https://cdn.example.com/master.m3u8': master.replace(',URI="audio/en.m3u8"', ''),
+    'https://cdn.example.com/high/index.m3u8': mediaPlaylist(2)
+  }), { container: 'ts' });
+  assert(muxed.state === 'finished', `Audio without a URI is muxed into the variant: ${muxed.message}`);
+});
+
+// Print summary
+console.log('\n=== Test Summary ===');
+console.log(`Passed: ${passed}`);
+console.log(`Failed: ${failed}`);
+
+if (failed > 0) {
+  process.exit(1);
+}
@@ -0,0 +1,165 @@
+/**
+ * Test suite for HLS media playlist analysis
+ * Run with: node test-hls-parser.js
+ */
+
+import { parseMediaPlaylist, summarizeMediaPlaylist, parseHLSMasterPlaylistContent } from './modules/hls-parser.js';
+
+// Simple test runner
+let passed = 0;
+let failed = 0;
+
+function test(name, fn) {
+  try {
+    fn();
+    console.log(`✓ ${name}`);
+    passed++;
+  } catch (err) {
+    console.log(`✗ ${name}`);
+    console.log(`  Error: ${err.message}`);
+    failed++;
+  }
+}
+
+function assert(condition, message) {
+  if (!condition) {
+    throw new Error(message || 'Assertion failed');
+  }
+}
+
+console.log('=== HLS Media Playlist Tests ===\n');
+
+const PLAYLIST_URL = 'https://cdn.example.com/vod/720p/index.m3u8?token=abc';
+
+const VOD_PLAYLIST = `#EXTM3U
+#EXT-X-VERSION:3
+#EXT-X-TARGETDURATION:10
+#EXT-X-MEDIA-SEQUENCE:0
+#EXT-X-PLAYLIST-TYPE:VOD
+#EXTINF:10.0,
+seg0.ts
+#EXTINF:10.0,
+seg1.ts
+#EXTINF:5.5,
+seg2.ts
+#EXT-X-ENDLIST`;
+
+test('parses segments and playlist-level tags', () => {
+  const playlist = parseMediaPlaylist(PLAYLIST_URL, VOD_PLAYLIST);
+  assert(playlist.segments.length === 3, `Should have 3 segments, got ${playlist.segments.length}`);
+  assert(playlist.targetDuration === 10, 'Should read the target duration');
+  assert(playlist.playlistType === 'VOD', 'Should read the playlist type');
+  assert(playlist.hasEndList, 'Should detect EXT-X-ENDLIST');
+  assert(playlist.segments[0].url === 'https://cdn.example.com/vod/720p/seg0.ts', 'Should resolve segment URLs');
+
+  const summary = summarizeMediaPlaylist(playlist);
+  assert(summary.segmentCount === 3, 'Summary should count segments');
+  assert(summary.duration === 25.5, `Should sum EXTINF durations, got ${summary.duration}`);
+  assert(summary.isLive === false, 'VOD playlist should not be live');
+  assert(summary.encryption === null && !summary.isFmp4 && !summary.hasByteRange, 'Plain TS playlist should have no flags');
+});
+
+test('tracks keys, IVs and METHOD=NONE resets', () => {
+  const playlist = parseMediaPlaylist(PLAYLIST_URL, `#EXTM3U
+#EXT-X-TARGETDURATION:6
+#EXT-X-MEDIA-SEQUENCE:42
+#EXT-X-KEY:METHOD=AES-128,URI="https://keys.example.com/k?id=1",IV=0x0000000000000000000000000000000A
+#EXTINF:6,
+a.ts
+#EXT-X-KEY:METHOD=NONE
+#EXTINF:6,
+b.ts`);
+  const [first, second] = playlist.segments;
+  assert(first.key.method === 'AES-128', 'Should record the key method');
+  assert(first.key.uri === 'https://keys.example.com/k?id=1', 'Should keep absolute key URIs intact');
+  assert(first.key.iv === '0x0000000000000000000000000000000A', 'Should keep the explicit IV');
+  assert(first.sequence === 42 && second.sequence === 43, 'Should number segments from the media sequence');
+  assert(second.key === null, 'METHOD=NONE should clear the key');
+
+  const summary = summarizeMediaPlaylist(playlist);
+  assert(summary.encryption === 'AES-128', 'Summary should report encryption');
+  assert(summary.isLive === true, 'Playlist without ENDLIST should be live');
+});
+
+test('resolves fMP4 init sections and implicit byte-range offsets', () => {
+  const playlist = parseMediaPlaylist(PLAYLIST_URL, `#EXTM3U
+#EXT-X-VERSION:7
+#EXT-X-TARGETDURATION:4
+#EXT-X-MAP:URI="main.mp4",BYTERANGE="800@0"
+#EXTINF:4,
+#EXT-X-BYTERANGE:5000@800
+main.mp4
+#EXTINF:4,
+#EXT-X-BYTERANGE:6000
+main.mp4
+#EXT-X-ENDLIST`);
+  const [first, second] = playlist.segments;
+  assert(first.map.url === 'https://cdn.example.com/vod/720p/main.mp4', 'Should resolve the init segment URL');
+  assert(first.map.byteRange.length === 800 && first.map.byteRange.offset === 0, 'Should parse the init byte range');
+  assert(first.map.key === null, 'An init section before any EXT-X-KEY should be clear');
+  assert(first.byteRange.offset === 800, 'Should use the explicit offset');
+  assert(second.byteRange.offset === 5800 && second.byteRange.length === 6000,
+    `Should continue from the previous sub-range, got ${JSON.stringify(second.byteRange)}`);
+
+  const summary = summarizeMediaPlaylist(playlist);
+  assert(summary.isFmp4 && summary.hasByteRange, 'Summary should flag fMP4 and byte ranges');
+});
+
+test('counts discontinuities', () => {
+  const playlist = parseMediaPlaylist(PLAYLIST_URL, `#EXTM3U
+#EXT-X-TARGETDURATION:10
+#EXTINF:10,
+main0.ts
+#EXT-X-DISCONTINUITY
+#EXTINF:10,
+ad0.ts
+#EXT-X-DISCONTINUITY
+#EXTINF:10,
+main1.ts
+#EXT-X-ENDLIST`);
+  assert(playlist.segments[1].discontinuity && !playlist.segments[0].discontinuity, 'Should mark the segment after the tag');
+  assert(summarizeMediaPlaylist(playlist).discontinuityCount === 2, 'Should count discontinuities');
+});
+
+test('derives bandwidth from byte ranges or EXT-X-BITRATE hints', () => {
+  const ranged = summarizeMediaPlaylist(parseMediaPlaylist(PLAYLIST_URL, `#EXTM3U
+#EXT-X-TARGETDURATION:4
+#EXTINF:4,
+#EXT-X-BYTERANGE:500000@0
+all.ts
+#EXTINF:4,
+#EXT-X-BYTERANGE:1500000
+all.ts
+#EXT-X-ENDLIST`));
+  assert(ranged.bandwidth === 2000000, `Should measure 2 Mbps from byte ranges, got ${ranged.bandwidth}`);
+
+  const hinted = summarizeMediaPlaylist(parseMediaPlaylist(PLAYLIST_URL, `#EXTM3U
+#EXT-X-TARGETDURATION:10
+#EXT-X-BITRATE:1000
+#EXTINF:10,
+a.ts
+#EXT-X-BITRATE:4000
+#EXTINF:5,
+b.ts
+#EXT-X-ENDLIST`));
+  assert(hinted.bandwidth === 2000000, `Should weight bitrate hints by duration, got ${hinted.bandwidth}`);
+
+  const plain = summarizeMediaPlaylist(parseMediaPlaylist(PLAYLIST_URL, VOD_PLAYLIST));
+  assert(plain.bandwidth === null, 'Should leave bandwidth unknown without hints');
+});
+
+test('returns the media analysis for non-master playlists', () => {
+  const info = parseHLSMasterPlaylistContent(PLAYLIST_URL, VOD_PLAYLIST);
+  assert(info.isMasterPlaylist === false, 'Should not be a master playlist');
+  assert(info.isMediaPlaylist === true, 'Should be recognised as a media playlist');
+  assert(info.mediaPlaylist.segmentCount === 3 && info.mediaPlaylist.duration === 25.5, 'Should carry the summary');
+});
+
+// Print summary
+console.log('\n=== Test Summary ===');
+console.log(`Passed: ${passed}`);
+console.log(`Failed: ${failed}`);
+
+if (failed > 0) {
+  process.exit(1);
+}
@@ -0,0 +1,119 @@
+/**
+ * Test suite for reading the duration of direct video files
+ * Run with: node test-media-duration.js
+ */
+
+import { detectContainer, readMp4Duration, readWebmDuration } from './modules/media-duration.js';
+
+// Simple test runner
+let passed = 0;
+let failed = 0;
+
+function test(name, fn) {
+  try {
+    fn();
+    console.log(`✓ ${name}`);
+    passed++;
+  } catch (err) {
+    console.log(`✗ ${name}`);
+    console.log(`  Error: ${err.message}`);
+    failed++;
+  }
+}
+
+function assert(condition, message) {
+  if (!condition) {
+    throw new Error(message || 'Assertion failed');
+  }
+}
+
+// Builds an MP4 box from its type and payload bytes
+function box(type, ...payload) {
+  const body = Buffer.concat(payload.map(part => Buffer.from(part)));
+  const header = Buffer.alloc(8);
+  header.writeUInt32BE(body.length + 8, 0);
+  header.write(type, 4, 'latin1');
+  return Buffer.concat([header, body]);
+}
+
+function mvhd(timescale, duration, version = 0) {
+  const fields = Buffer.alloc(version === 1 ? 32 : 20);
+  fields.writeUInt8(version, 0);
+  if (version === 1) {
+    fields.writeUInt32BE(timescale, 20);
+    fields.writeBigUInt64BE(BigInt(duration), 24);
+  } else {
+    fields.writeUInt32BE(timescale, 12);
+    fields.writeUInt32BE(duration, 16);
+  }
+  return box('mvhd', fields, Buffer.alloc(80));
+}
+
+// Builds an EBML element from its ID bytes and payload, with a one-byte size
+function element(id, ...payload) {
+  const body = Buffer.concat(payload.map(part => Buffer.from(part)));
+  return Buffer.concat([Buffer.from(id), Buffer.from([0x80 | body.length]), body]);
+}
+
+function float64(value) {
+  const bytes = Buffer.alloc(8);
+  bytes.writeDoubleBE(value, 0);
+  return bytes;
+}
+
+console.log('=== Media Duration Tests ===\n');
+
+const FTYP = box('ftyp', Buffer.from('isom\0\0\0\0isomiso2mp41', 'latin1'));
+const EBML_HEADER = element([0x1A, 0x45, 0xDF, 0xA3], element([0x42, 0x82], Buffer.from('webm')));
+
+test('tells MP4 and WebM files apart', () => {
+  assert(detectContainer(FTYP) === 'mp4', 'ftyp should mean MP4');
+  assert(detectContainer(EBML_HEADER) === 'webm', 'The EBML magic should mean WebM');
+  assert(detectContainer(Buffer.from('#EXTM3U\n#EXT-X-VERSION:3')) === null, 'Other data is neither');
+});
+
+test('reads the duration of faststart MP4 files', () => {
+  const file = Buffer.concat([FTYP, box('moov', mvhd(1000, 95500), box('trak')), box('mdat', Buffer.alloc(64))]);
+  assert(readMp4Duration(file).duration === 95.5, `Unexpected duration: ${readMp4Duration(file).duration}`);
+  const large = Buffer.concat([FTYP, box('moov', mvhd(90000, 90000 * 7200, 1))]);
+  assert(readMp4Duration(large).duration === 7200, 'Version 1 mvhd boxes should be read');
+  const fragmented = Buffer.concat([FTYP, box('moov', mvhd(1000, 0xFFFFFFFF))]);
+  assert(readMp4Duration(fragmented).duration === null, 'An unknown duration should be null');
+});
+
+test('points past the media data when moov comes last', () => {
+  const mdat = box('mdat', Buffer.alloc(4096));
+  const head = Buffer.concat([FTYP, mdat]).subarray(0, 1024);
+  const { duration, nextOffset } = readMp4Duration(head);
+  assert(duration === null && nextOffset === FTYP.length + mdat.length, `Unexpected result: ${duration}, ${nextOffset}`);
+  const tail = Buffer.concat([box('moov', mvhd(600, 18000)), box('free')]);
+  assert(readMp4Duration(tail, nextOffset).duration === 30, 'The moov box should be read at the returned offset');
+
+  const open = Buffer.concat([FTYP, Buffer.from([0, 0, 0, 0]), Buffer.from('mdat', 'latin1')]);
+  assert(readMp4Duration(open).nextOffset === null, 'mdat up to the end of the file leaves nothing to read');
+});
+
+test('reads the duration of WebM files', () => {
+  const info = element([0x15, 0x49, 0xA9, 0x66],
+    element([0x2A, 0xD7, 0xB1], Buffer.from([0x0F, 0x42, 0x40])),
+    element([0x44, 0x89], float64(42500)));
+  const seekHead = element([0x11, 0x4D, 0x9B, 0x74], Buffer.alloc(12));
+  // Segment of unknown size, as written by live encoders and MediaRecorder
+  const segment = Buffer.concat([Buffer.from([0x18, 0x53, 0x80, 0x67, 0x01, 0xFF, 0xFF, 0xFF, 0xFF, 0xFF, 0xFF, 0xFF]), seekHead, info]);
+  const file = Buffer.concat([EBML_HEADER, segment]);
+  assert(readWebmDuration(file) === 42.5, `Unexpected duration: ${readWebmDuration(file)}`);
+
+  const live = Buffer.concat([EBML_HEADER, Buffer.from([0x18, 0x53, 0x80, 0x67, 0xFF]),
+    element([0x15, 0x49, 0xA9, 0x66], element([0x2A, 0xD7, 0xB1], Buffer.from([0x0F, 0x42, 0x40])))]);
+  assert(readWebmDuration(live) === null, 'Info without a duration should give null');
+  assert(readWebmDuration(file.subarray(0, file.length - 4)) === null, 'A cut-off Info element should give null');
+});
+
+// Print summary
+console.log('\n=== Test Summary ===');
+console.log(`Passed: ${passed}`);
+console.log(`Failed: ${failed}`);
+
+if (failed > 0) {
+  process.exit(1);
+}
@@ -3,7 +3,10 @@
  * Run with: node test-mpv-command.js
  */
 
-import { buildMpvCommand } from './modules/commands.js';
+import { buildMpvCommand, buildMpvArgs } from './modules/commands.js';
+import { DEFAULT_MPV_PROFILES } from './modules/settings.js';
+
+const debugProfile = DEFAULT_MPV_PROFILES.find(profile => profile.name === 'debug');
 
 // Simple test runner
 let passed = 0;
@@ -45,7 +48,7 @@ test('generates command with all options (megacloud example)', () => {
     { url: 'https://mgstatics.xyz/subtitle/4603f7d51a928b39df2bf8145b97ab9a/4603f7d51a928b39df2bf8145b97ab9a.vtt' }
   ];
 
-  const cmd = buildMpvCommand(streamItem, subtitleItems);
+  const cmd = buildMpvCommand(streamItem, subtitleItems, { profileArgs: debugProfile.args });
 
   // Verify key components
   assert(cmd.includes('mpv \\\n'), 'Should start with mpv');
@@ -149,6 +152,55 @@ test('uses double quotes for all string values', () => {
   assert(!cmd.endsWith("'"), 'URL should NOT end with single quote');
 });
 
+// Test Case 7: Live streams get buffering and live start options
+test('tunes live streams and honours the live start index', () => {
+  const streamItem = { url: 'https://example.com/live.m3u8', isLive: true };
+
+  const cmd = buildMpvCommand(streamItem, [], { liveStart: 0 });
+  assert(cmd.includes('--demuxer-lavf-o=allowed_extensions=ALL,live_start_index=0'), 'Should pass live_start_index to the demuxer');
+  assert(cmd.includes('--cache=yes'), 'Should enable the cache for live streams');
+
+  const vodCmd = buildMpvCommand({ url: 'https://example.com/vod.m3u8' }, [], { liveStart: 0 });
+  assert(!vodCmd.includes('live_start_index') && !vodCmd.includes('--cache=yes'), 'Should not add live options to VOD streams');
+});
+
+// Test Case 8: Extra flags from the settings go right before the URL
+test('adds extra flags from the settings before the URL', () => {
+  const cmd = buildMpvCommand({ url: 'https://example.com/vod.m3u8' }, [], { extraArgs: ['--volume=70', '--ytdl=no'] });
+  assert(cmd.includes('  --volume=70 \\\n  --ytdl=no \\\n  "https://example.com/vod.m3u8"'), 'Should add each flag on its own line before the URL');
+});
+
+// Test Case 9: Profiles replace the trace logging that used to be hardcoded
+test('adds the chosen profile and no trace logging by default', () => {
+  const plain = buildMpvCommand({ url: 'https://example.com/vod.m3u8' }, []);
+  assert(!plain.includes('--msg-level') && !plain.includes('--log-file'), 'Should not write trace logs without the debug profile');
+
+  const cmd = buildMpvCommand({ url: 'https://example.com/vod.m3u8', headers: { Referer: 'https://example.com/' } },
+    [{ url: 'https://example.com/sub.vtt' }],
+    { profileArgs: ['--no-video', '--force-window=no'], extraArgs: ['--volume=70'] });
+  assert(cmd.includes('--sub-file="https://example.com/sub.vtt"') && cmd.includes('--http-header-fields="Referer: https://example.com/"'),
+    'Should keep the captured headers and subtitles');
+  assert(cmd.indexOf('--force-window=no') > cmd.indexOf('--force-window=immediate'), 'Profile flags should come after the built-in ones');
+  assert(cmd.includes('  --force-window=no \\\n  --volume=70 \\\n  "https://example.com/vod.m3u8"'),
+    'Extra flags should follow the profile');
+});
+
+test('builds an argv with the same flags for the native host', () => {
+  const stream = {
+    url: 'https://example.com/live.m3u8',
+    isLive: true,
+    headers: { 'User-Agent': 'Agent "1"', Referer: 'https://example.com/', Cookie: 'a=1' }
+  };
+  const argv = buildMpvArgs(stream, [{ url: 'https://example.com/en.vtt' }], { liveStart: -1, profileArgs: ['--quiet'] });
+  assert(JSON.stringify(argv) === JSON.stringify([
+    'mpv', '--force-window=immediate', '--sub-auto=fuzzy', '--demuxer-lavf-o=allowed_extensions=ALL,live_start_index=-1',
+    '--cache=yes', '--cache-pause-initial=yes', '--demuxer-readahead-secs=20',
+    '--sub-file=https://example.com/en.vtt', '--user-agent=Agent "1"', '--http-header-fields=Referer: https://example.com/',
+    '--quiet', 'https://example.com/live.m3u8'
+  ]), `Unexpected argv: ${JSON.stringify(argv)}`);
+  assert(buildMpvArgs({ url: '' }).length === 0, 'Expected no argv without a stream URL');
+});
+
 // Print summary
 console.log('\n=== Test Summary ===');
 console.log(`Passed: ${passed}`);
@@ -170,4 +222,4 @@ const mainTestStream = {
   }
 };
 const mainTestSubs = [{ url: 'https://mgstatics.xyz/subtitle/4603f7d51a928b39df2bf8145b97ab9a/4603f7d51a928b39df2bf8145b97ab9a.vtt' }];
-console.log(buildMpvCommand(mainTestStream, mainTestSubs));
+console.log(buildMpvCommand(mainTestStream, mainTestSubs, { profileArgs: debugProfile.args }));
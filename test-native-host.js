@@ -0,0 +1,83 @@
+/**
+ * Test suite for the native messaging host in native-host/
+ * Run with: node test-native-host.js
+ */
+
+import { spawnSync } from 'node:child_process';
+
+// Simple test runner
+let passed = 0;
+let failed = 0;
+
+function test(name, fn) {
+  try {
+    fn();
+    console.log(`✓ ${name}`);
+    passed++;
+  } catch (err) {
+    console.log(`✗ ${name}`);
+    console.log(`  Error: ${err.message}`);
+    failed++;
+  }
+}
+
+function assert(condition, message) {
+  if (!condition) {
+    throw new Error(message || 'Assertion failed');
+  }
+}
+
+// Native messaging framing: a 32-bit little-endian length before each JSON message
+function frame(body) {
+  const data = Buffer.from(body, 'utf8');
+  const header = Buffer.alloc(4);
+  header.writeUInt32LE(data.length, 0);
+  return Buffer.concat([header, data]);
+}
+
+function unframe(buffer) {
+  const messages = [];
+  for (let offset = 0; offset + 4 <= buffer.length;) {
+    const length = buffer.readUInt32LE(offset);
+    messages.push(JSON.parse(buffer.subarray(offset + 4, offset + 4 + length).toString('utf8')));
+    offset += 4 + length;
+  }
+  return messages;
+}
+
+// Runs the host with the given messages on its standard input, which then closes
+function runHost(...bodies) {
+  const result = spawnSync(process.execPath, ['native-host/host.mjs'], {
+    input: Buffer.concat(bodies.map(frame)),
+    timeout: 5000
+  });
+  assert(result.status === 0, `Host exited with ${result.status}: ${result.stderr}`);
+  return unframe(result.stdout);
+}
+
+console.log('=== Native Host Tests ===\n');
+
+test('refuses to start anything but mpv and ffmpeg', () => {
+  const messages = runHost(JSON.stringify({ type: 'launch', argv: ['sh', '-c', 'touch /tmp/pwned'] }));
+  assert(messages.length === 1 && messages[0].type === 'error', `Expected one error, got ${JSON.stringify(messages)}`);
+  assert(messages[0].message === 'Only mpv and ffmpeg can be started', `Unexpected message: ${messages[0].message}`);
+});
+
+test('rejects malformed messages and argv entries', () => {
+  const messages = runHost(
+    '{not json',
+    JSON.stringify({ type: 'launch', argv: ['mpv', { url: 'x' }] }),
+    JSON.stringify({ type: 'stop' })
+  );
+  assert(JSON.stringify(messages.map(m => m.message)) === JSON.stringify(['Invalid message', 'Only mpv and ffmpeg can be started']),
+    `Unexpected messages: ${JSON.stringify(messages)}`);
+});
+
+// Print summary
+console.log('\n=== Test Summary ===');
+console.log(`Passed: ${passed}`);
+console.log(`Failed: ${failed}`);
+
+if (failed > 0) {
+  process.exit(1);
+}
@@ -0,0 +1,96 @@
+/**
+ * Test suite for N_m3u8DL-RE command generation
+ * Run with: node test-nm3u8dl-command.js
+ */
+
+import { buildNm3u8DlReCommand, toClockDuration } from './modules/commands.js';
+import { parseHLSMasterPlaylistContent } from './modules/hls-parser.js';
+
+// A master playlist as parsed by the service worker, and the stream item the popup sends
+// when one of its variants is picked (see getEffectiveStreamItem in popup.js)
+const MASTER_URL = 'https://example.com/master.m3u8';
+const MASTER = parseHLSMasterPlaylistContent(MASTER_URL, [
+  '#EXTM3U',
+  '#EXT-X-MEDIA:TYPE=AUDIO,GROUP-ID="aud",NAME="Deutsch",LANGUAGE="de",URI="audio-de.m3u8"',
+  '#EXT-X-STREAM-INF:BANDWIDTH=5000000,RESOLUTION=1920x1080,AUDIO="aud"',
+  '1080.m3u8',
+  '#EXT-X-STREAM-INF:BANDWIDTH=2500000,RESOLUTION=1280x720,AUDIO="aud"',
+  '720.m3u8'
+].join('\n'));
+
+function pickVariant(resolution, overrides = {}) {
+  const variant = MASTER.variants.find(v => v.resolution === resolution);
+  return {
+    url: variant.url,
+    masterUrl: MASTER_URL,
+    mediaType: 'hls',
+    variantName: variant.name,
+    variantBandwidth: variant.bandwidth,
+    resolution: variant.resolution,
+    audioTrack: variant.audioTracks[0],
+    ...overrides
+  };
+}
+
+// Simple test runner
+let passed = 0;
+let failed = 0;
+
+function test(name, fn) {
+  try {
+    fn();
+    console.log(`✓ ${name}`);
+    passed++;
+  } catch (err) {
+    console.log(`✗ ${name}`);
+    console.log(`  Error: ${err.message}`);
+    failed++;
+  }
+}
+
+function assert(condition, message) {
+  if (!condition) {
+    throw new Error(message || 'Assertion failed');
+  }
+}
+
+console.log('=== N_m3u8DL-RE Command Generation Tests ===\n');
+
+test('downloads the master with headers and track filters', () => {
+  const streamItem = pickVariant('720p', {
+    headers: { 'Referer': 'https://example.com/', 'User-Agent': "Agent's/1.0", 'Range': 'bytes=0-', 'Sec-Fetch-Site': 'same-site' }
+  });
+  const cmd = buildNm3u8DlReCommand(streamItem, [], 'mkv', 'Show: Pilot');
+  assert(cmd === "N_m3u8DL-RE 'https://example.com/master.m3u8' -H 'Referer: https://example.com/' " +
+    "-H 'User-Agent: Agent'\\''s/1.0' -sv 'res=.*x720$:for=best' -sa 'lang=^de:for=best' " +
+    "--save-name 'Show_ Pilot' -M 'format=mkv'", `Unexpected command: ${cmd}`);
+  assert(buildNm3u8DlReCommand({ url: 'https://example.com/a.mpd' }).includes('-sv best -sa best'), 'Should pick the best tracks by default');
+});
+
+test('selects subtitle renditions as tracks and saves other subtitles alongside', () => {
+  const master = 'https://example.com/master.m3u8';
+  const subtitles = [
+    { url: 'https://example.com/subs/en.m3u8', languageCode: 'en', isHlsRendition: true, parentUrl: master },
+    { url: 'https://example.com/subs/pt-BR.m3u8', languageCode: 'pt-BR', isHlsRendition: true, parentUrl: master },
+    { url: 'https://other.example/en.srt', languageCode: 'en', format: 'srt' }
+  ];
+  const commands = buildNm3u8DlReCommand({ url: master }, subtitles, 'mp4', 'Ep').split(' && ');
+  assert(commands.length === 2 && commands[0] === "curl -fL -o 'Ep.en.srt' 'https://other.example/en.srt'",
+    `Only external subtitles should be sidecars, got ${commands[0]}`);
+  assert(commands[1].includes("-ss 'lang=^(en|pt-BR)$:for=all'"), 'Should select the subtitle renditions by language');
+});
+
+test('records live streams for the requested duration', () => {
+  const cmd = buildNm3u8DlReCommand({ url: 'https://example.com/live.m3u8', isLive: true }, [], 'mp4', 'Live', { recordDuration: '90' });
+  assert(cmd.includes('--live-real-time-merge --live-record-limit 00:01:30'), `Unexpected live options: ${cmd}`);
+  assert(toClockDuration('1:02:03.5') === '01:02:04' && toClockDuration('') === null, 'Should convert durations to hh:mm:ss');
+});
+
+// Print summary
+console.log('\n=== Test Summary ===');
+console.log(`Passed: ${passed}`);
+console.log(`Failed: ${failed}`);
+
+if (failed > 0) {
+  process.exit(1);
+}
@@ -0,0 +1,152 @@
+/**
+ * Test suite for capture rules
+ * Run with: node test-rules.js
+ */
+
+import {
+  compilePattern, matchesHost, normalizeRules, evaluateCapture, getMinVideoDuration, getRulesSizeError, RULES_MAX_BYTES
+} from './modules/rules.js';
+
+// Simple test runner
+let passed = 0;
+let failed = 0;
+
+function test(name, fn) {
+  try {
+    fn();
+    console.log(`✓ ${name}`);
+    passed++;
+  } catch (err) {
+    console.log(`✗ ${name}`);
+    console.log(`  Error: ${err.message}`);
+    failed++;
+  }
+}
+
+function assert(condition, message) {
+  if (!condition) {
+    throw new Error(message || 'Assertion failed');
+  }
+}
+
+console.log('=== Capture Rules Tests ===\n');
+
+const VIDEO_URL = 'https://cdn.example.com/media/movie.mp4';
+
+function stream(overrides = {}) {
+  return { url: VIDEO_URL, pageHost: 'www.example.com', kind: 'stream', mediaType: 'video', ...overrides };
+}
+
+test('compiles wildcard and regex patterns', () => {
+  assert(compilePattern('*://cdn.example.com/*').test(VIDEO_URL), 'Wildcard should match the whole URL');
+  assert(!compilePattern('cdn.example.com').test(VIDEO_URL), 'Wildcards without * should be anchored');
+  assert(!compilePattern('*://cdn.example.com/*.m3u8').test(VIDEO_URL), 'Dots should be literal');
+  assert(compilePattern('/\\/media\\//').test(VIDEO_URL), 'Should compile /regex/');
+  assert(compilePattern('/MOVIE/i').test(VIDEO_URL), 'Should honour regex flags');
+  assert(compilePattern('/([/') === null, 'Invalid regex should compile to null');
+  assert(compilePattern('  ') === null, 'Empty pattern should compile to null');
+});
+
+test('matches site hosts with subdomains', () => {
+  assert(matchesHost('example.com', 'example.com'), 'Exact host should match');
+  assert(matchesHost('example.com', 'www.example.com'), 'Bare host should cover subdomains');
+  assert(!matchesHost('example.com', 'badexample.com'), 'Should not match a suffix that is not a subdomain');
+  assert(!matchesHost('*.example.com', 'example.com'), '*.host should only match subdomains');
+  assert(matchesHost('*.example.com', 'a.b.example.com'), '*.host should match nested subdomains');
+  assert(matchesHost('*', 'anything.org'), '* should match every host');
+  assert(!matchesHost('example.com', ''), 'Unknown page host should not match');
+});
+
+test('normalizes rules from form input', () => {
+  const rules = normalizeRules({
+    minVideoSize: '-5',
+    sites: [
+      { host: ' Example.COM ', include: 'a\n\n b ', exclude: ['  '], minVideoDuration: '30' },
+      { host: '' }
+    ]
+  });
+  assert(rules.allowlistOnly === false && rules.minVideoSize === 0, 'Invalid thresholds should fall back to 0');
+  assert(rules.sites.length === 1, 'Sites without a host should be dropped');
+  const [site] = rules.sites;
+  assert(site.host === 'example.com' && site.enabled === true, 'Host should be trimmed and lowercased');
+  assert(site.include.join(',') === 'a,b' && site.exclude.length === 0, 'Pattern lists should be split and trimmed');
+  assert(site.minVideoDuration === 30, 'Numeric strings should be accepted');
+});
+
+test('captures everything with the default rules', () => {
+  const rules = normalizeRules();
+  assert(evaluateCapture(rules, stream({ size: 1 })).allowed, 'Default rules should allow everything');
+  assert(evaluateCapture(rules, { url: 'https://x.org/a.vtt', pageHost: 'x.org', kind: 'subtitle' }).allowed,
+    'Default rules should allow subtitles');
+});
+
+test('applies exclude before include patterns', () => {
+  const rules = normalizeRules({
+    sites: [{ host: 'example.com', include: ['*://cdn.example.com/*'], exclude: ['/\\/ads?\\//'] }]
+  });
+  assert(evaluateCapture(rules, stream()).allowed, 'URL matching an include should be captured');
+  const excluded = evaluateCapture(rules, stream({ url: 'https://cdn.example.com/ads/preroll.mp4' }));
+  assert(!excluded.allowed && excluded.reason.startsWith('excluded by example.com'), `Exclude should win, got ${excluded.reason}`);
+  const notIncluded = evaluateCapture(rules, stream({ url: 'https://other.net/movie.mp4' }));
+  assert(!notIncluded.allowed && notIncluded.reason === 'no include pattern matched', 'URL outside the includes should be skipped');
+  assert(evaluateCapture(rules, stream({ url: 'https://other.net/movie.mp4', pageHost: 'other.org' })).allowed,
+    'Rules should only apply on their own site');
+});
+
+test('ignores disabled sites', () => {
+  const rules = normalizeRules({ sites: [{ host: 'example.com', enabled: false, exclude: ['*'] }] });
+  assert(evaluateCapture(rules, stream()).allowed, 'Disabled site rules should not apply');
+});
+
+test('allowlist mode requires a specific site rule', () => {
+  const rules = normalizeRules({ allowlistOnly: true, sites: [{ host: '*' }, { host: 'example.com' }] });
+  assert(evaluateCapture(rules, stream()).allowed, 'Listed site should be captured');
+  const result = evaluateCapture(rules, stream({ pageHost: 'other.org' }));
+  assert(!result.allowed && result.reason === 'site not in allowlist', 'The * rule should not allowlist every site');
+});
+
+test('applies the stricter size and duration thresholds to direct files only', () => {
+  const rules = normalizeRules({
+    minVideoSize: 1024 * 1024,
+    minVideoDuration: 60,
+    sites: [{ host: 'example.com', minVideoSize: 10 * 1024 * 1024 }]
+  });
+  assert(!evaluateCapture(rules, stream({ size: 5 * 1024 * 1024 })).allowed, 'Site threshold should win when stricter');
+  assert(evaluateCapture(rules, stream({ size: 5 * 1024 * 1024, pageHost: 'other.org' })).allowed,
+    'Global threshold should apply elsewhere');
+  assert(evaluateCapture(rules, stream()).allowed, 'Unknown size should not be rejected');
+  assert(evaluateCapture(rules, stream({ mediaType: 'hls', size: 500 })).allowed, 'Playlist size should be ignored');
+  assert(!evaluateCapture(rules, stream({ duration: 15 })).allowed, 'Short video files should be skipped');
+  assert(evaluateCapture(rules, stream({ mediaType: 'hls', duration: 15 })).allowed, 'Short HLS streams should be kept');
+  assert(evaluateCapture(rules, stream({ mediaType: 'dash', duration: 15 })).allowed, 'Short DASH streams should be kept');
+  assert(evaluateCapture(rules, { url: 'https://x.org/a.vtt', pageHost: 'x.org', kind: 'subtitle', size: 10 }).allowed,
+    'Thresholds should not apply to subtitles');
+});
+
+test('applies the duration threshold to direct files once their duration is read', () => {
+  const rules = normalizeRules({ sites: [{ host: 'example.com', minVideoDuration: 30 }] });
+  assert(getMinVideoDuration(rules, 'www.example.com') === 30, 'Site duration should apply on its pages');
+  assert(getMinVideoDuration(rules, 'other.org') === 0, 'No duration threshold elsewhere');
+  assert(!evaluateCapture(rules, stream({ duration: 12 })).allowed, 'Short video files should be skipped');
+  assert(evaluateCapture(rules, stream({ duration: 45 })).allowed, 'Long video files should be captured');
+});
+
+test('rejects rules too large for one sync storage item', () => {
+  const site = host => ({ host, exclude: ['*://ads.example.net/*', '/\\/(pre|mid)roll\\//i'] });
+  assert(getRulesSizeError(normalizeRules({ sites: [site('example.com')] })) === null, 'Small rules should fit');
+  const rules = normalizeRules({ sites: Array.from({ length: 100 }, (_, i) => site(`site${i}.example.com`)) });
+  const error = getRulesSizeError(rules);
+  assert(error && error.includes(`${RULES_MAX_BYTES} bytes`), `Expected a quota error, got ${error}`);
+  // Under 8192 characters, but multi-byte characters count as the bytes sync storage stores
+  const wide = normalizeRules({ sites: [{ host: 'example.com', include: ['é'.repeat(4050)] }] });
+  assert(getRulesSizeError(wide) !== null, 'Size should be counted in UTF-8 bytes');
+});
+
+// Print summary
+console.log('\n=== Test Summary ===');
+console.log(`Passed: ${passed}`);
+console.log(`Failed: ${failed}`);
+
+if (failed > 0) {
+  process.exit(1);
+}
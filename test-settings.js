@@ -0,0 +1,143 @@
+/**
+ * Test suite for settings validation
+ * Run with: node test-settings.js
+ */
+
+import { DEFAULT_SETTINGS, validateSettings, getMpvProfile } from './modules/settings.js';
+
+// Simple test runner
+let passed = 0;
+let failed = 0;
+
+function test(name, fn) {
+  try {
+    fn();
+    console.log(`✓ ${name}`);
+    passed++;
+  } catch (err) {
+    console.log(`✗ ${name}`);
+    console.log(`  Error: ${err.message}`);
+    failed++;
+  }
+}
+
+function assert(condition, message) {
+  if (!condition) {
+    throw new Error(message || 'Assertion failed');
+  }
+}
+
+console.log('=== Settings Tests ===\n');
+
+test('falls back to the defaults', () => {
+  const { settings, errors } = validateSettings(undefined);
+  assert(Object.keys(errors).length === 0, 'Missing settings are not errors');
+  assert(settings.maxItemsPerTab === DEFAULT_SETTINGS.maxItemsPerTab, 'Should use the default item limit');
+  assert(settings.ffmpegFormat === 'mp4', 'Should default to MP4');
+  assert(Array.isArray(settings.mpvExtraArgs) && settings.mpvExtraArgs.length === 0, 'Should have no extra mpv flags');
+  settings.mpvExtraArgs.push('--x');
+  assert(DEFAULT_SETTINGS.mpvExtraArgs.length === 0, 'Should not share the defaults array');
+});
+
+test('accepts valid values from form input', () => {
+  const { settings, errors } = validateSettings({
+    maxItemsPerTab: '120',
+    fetchTimeoutMs: 2500,
+    playlistFetchTimeoutMs: '',
+    ffmpegFormat: 'mkv',
+    mpvExtraArgs: ' --volume=70 \n\n--ytdl=no',
+    shellDialect: 'powershell',
+    downloadConcurrency: '8',
+    downloadRetries: 0,
+    downloadContainer: 'fmp4'
+  });
+  assert(Object.keys(errors).length === 0, `Should have no errors, got ${JSON.stringify(errors)}`);
+  assert(settings.maxItemsPerTab === 120, 'Should parse numeric strings');
+  assert(settings.fetchTimeoutMs === 2500, 'Should keep numbers');
+  assert(settings.playlistFetchTimeoutMs === DEFAULT_SETTINGS.playlistFetchTimeoutMs, 'Empty fields should take the default');
+  assert(settings.ffmpegFormat === 'mkv', 'Should accept MKV');
+  assert(settings.mpvExtraArgs.join(' ') === '--volume=70 --ytdl=no', 'Should split and trim mpv flags');
+  assert(settings.shellDialect === 'powershell', 'Should accept PowerShell');
+  assert(settings.downloadConcurrency === 8 && settings.downloadRetries === 0, 'Should accept the downloader limits');
+  assert(settings.downloadContainer === 'fmp4', 'Should accept fragmented MP4');
+});
+
+test('reports invalid values and keeps the defaults for them', () => {
+  const { settings, errors } = validateSettings({
+    maxItemsPerTab: 0,
+    fetchTimeoutMs: 1500.5,
+    playlistFetchTimeoutMs: 999999,
+    ffmpegFormat: 'avi',
+    mpvExtraArgs: ['--ok', 'rm -rf ~'],
+    shellDialect: 'tcsh',
+    downloadContainer: 'avi'
+  });
+  assert(Object.keys(errors).sort().join(',') === 'downloadContainer,fetchTimeoutMs,ffmpegFormat,maxItemsPerTab,mpvExtraArgs,playlistFetchTimeoutMs,shellDialect',
+    `Should report every invalid field, got ${Object.keys(errors)}`);
+  assert(errors.maxItemsPerTab.includes('between 1 and 500'), 'Should explain the accepted range');
+  assert(errors.mpvExtraArgs.includes('rm -rf ~'), 'Should name the rejected flag');
+  assert(settings.shellDialect === 'posix', 'Unknown shells should fall back to POSIX');
+  assert(settings.maxItemsPerTab === DEFAULT_SETTINGS.maxItemsPerTab && settings.mpvExtraArgs.length === 0,
+    'Invalid fields should take their default');
+});
+
+test('validates mpv profiles and the default profile', () => {
+  const defaults = validateSettings({}).settings;
+  assert(defaults.mpvProfiles.map(p => p.name).join(',') === 'quiet,debug,low-latency,audio-only', 'Should ship the built-in profiles');
+  assert(getMpvProfile(defaults).name === 'quiet', 'Should default to the quiet profile');
+  assert(getMpvProfile(defaults, 'debug').args.includes('--log-file=mpv-trace.log'), 'Debug should keep the trace log');
+
+  const { settings, errors } = validateSettings({
+    mpvProfiles: [{ name: ' tv ', args: '--fs\n--screen=1' }, { name: 'bare', args: '' }],
+    mpvProfile: 'tv'
+  });
+  assert(Object.keys(errors).length === 0, `Should have no errors, got ${JSON.stringify(errors)}`);
+  assert(settings.mpvProfiles[0].name === 'tv' && settings.mpvProfiles[0].args.join(' ') === '--fs --screen=1',
+    'Should trim names and split flags');
+  assert(getMpvProfile(settings, 'gone').name === 'tv', 'Unknown profiles should fall back to the default one');
+  assert(validateSettings({ mpvProfiles: [{ name: 'tv', args: [] }] }).settings.mpvProfile === 'tv',
+    'A missing default should fall back to the first profile');
+
+  const invalid = validateSettings({
+    mpvProfiles: [{ name: 'a', args: ['ls'] }, { name: 'A', args: [] }],
+    mpvProfile: 'nope'
+  });
+  assert(invalid.errors.mpvProfiles.includes('"a" must start with --: ls') && invalid.errors.mpvProfiles.includes('duplicate profile "A"'),
+    `Should explain every problem, got ${invalid.errors.mpvProfiles}`);
+  assert(invalid.errors.mpvProfile && invalid.settings.mpvProfile === 'quiet', 'Should reject an unknown default profile');
+  assert(validateSettings({ mpvProfiles: [] }).errors.mpvProfiles, 'Should require at least one profile');
+});
+
+test('validates command templates', () => {
+  const { settings, errors } = validateSettings({
+    commandTemplates: [{ name: ' yt-dlp ', template: 'yt-dlp {url|sq}\n' }]
+  });
+  assert(Object.keys(errors).length === 0, `Should have no errors, got ${JSON.stringify(errors)}`);
+  assert(settings.commandTemplates[0].name === 'yt-dlp' && settings.commandTemplates[0].template === 'yt-dlp {url|sq}',
+    'Should trim names and templates');
+  assert(validateSettings({}).settings.commandTemplates.length === 0, 'Should have no templates by default');
+
+  const invalid = validateSettings({
+    commandTemplates: [{ name: 'a', template: '{nope}' }, { name: 'A', template: '{url}' }, { name: '', template: '{url}' }]
+  });
+  assert(invalid.errors.commandTemplates.includes('"a": Unknown placeholder {nope}'), 'Should report template syntax errors');
+  assert(invalid.errors.commandTemplates.includes('duplicate template "A"'), 'Should reject duplicate names');
+  assert(invalid.errors.commandTemplates.includes('template names must be'), 'Should require a name');
+  assert(invalid.settings.commandTemplates.length === 0, 'Invalid templates should not be kept');
+});
+
+test('validates the yt-dlp output template', () => {
+  assert(validateSettings({}).settings.ytDlpOutputTemplate === '', 'Should default to the page title');
+  assert(validateSettings({ ytDlpOutputTemplate: ' %(title)s.%(ext)s ' }).settings.ytDlpOutputTemplate === '%(title)s.%(ext)s',
+    'Should trim the template');
+  assert(validateSettings({ ytDlpOutputTemplate: 'a\nb' }).errors.ytDlpOutputTemplate, 'Should reject multi-line templates');
+});
+
+// Print summary
+console.log('\n=== Test Summary ===');
+console.log(`Passed: ${passed}`);
+console.log(`Failed: ${failed}`);
+
+if (failed > 0) {
+  process.exit(1);
+}
@@ -0,0 +1,113 @@
+/**
+ * Test suite for shell dialect quoting and the commands built for each dialect
+ * Run with: node test-shell.js
+ */
+
+import { quoteArg, quoteArgIfNeeded, quoteArgDouble, pipeLines, writeBase64File } from './modules/shell.js';
+import { buildYtDlpCommand, buildAria2cCommand, buildMpvCommand } from './modules/commands.js';
+
+// Simple test runner
+let passed = 0;
+let failed = 0;
+
+function test(name, fn) {
+  try {
+    fn();
+    console.log(`✓ ${name}`);
+    passed++;
+  } catch (err) {
+    console.log(`✗ ${name}`);
+    console.log(`  Error: ${err.message}`);
+    failed++;
+  }
+}
+
+function assert(condition, message) {
+  if (!condition) {
+    throw new Error(message || 'Assertion failed');
+  }
+}
+
+console.log('=== Shell Dialect Tests ===\n');
+
+test('quotes single arguments for each dialect', () => {
+  const value = `it's 100% "$HOME"`;
+  assert(quoteArg(value) === `'it'\\''s 100% "$HOME"'`, 'POSIX should close and reopen single quotes');
+  assert(quoteArg(value, 'fish') === `'it\\'s 100% "$HOME"'`, 'fish should backslash-escape single quotes');
+  assert(quoteArg(value, 'powershell') === `'it''s 100% "$HOME"'`, 'PowerShell should double single quotes');
+  assert(quoteArg(value, 'cmd') === `"it's 100"^%" ""$HOME"""`, 'cmd should double quotes and escape % outside them');
+  assert(quoteArg('x', 'tcsh') === `'x'`, 'Unknown dialects should fall back to POSIX');
+
+  const headers = 'A: 1\r\nB: 2\r\n';
+  assert(quoteArg(headers, 'fish') === `'A: 1'\\r\\n'B: 2'\\r\\n`, 'fish should write line breaks as escapes');
+  assert(quoteArg(headers, 'powershell') === '"A: 1`r`nB: 2`r`n"', 'PowerShell should use a double-quoted string for line breaks');
+  assert(quoteArg(headers, 'cmd') === '"A: 1 B: 2 "', 'cmd should replace line breaks');
+});
+
+test('quotes only when needed and escapes double-quoted values', () => {
+  assert(quoteArgIfNeeded('--demuxer-lavf-o=a=1,b=2') === '--demuxer-lavf-o=a=1,b=2', 'Plain flags should stay unquoted');
+  assert(quoteArgIfNeeded('--demuxer-lavf-o=a=1,b=2', 'powershell') === `'--demuxer-lavf-o=a=1,b=2'`,
+    'PowerShell should quote commas');
+  assert(quoteArgDouble('Hi! $USER `x`') === `"Hi"'!'" \\$USER \\\`x\\\`"`, 'POSIX should single-quote ! and escape $ and backticks');
+  assert(quoteArgDouble('a!') === `"a"'!'`, 'A trailing ! should not leave empty quotes');
+  assert(quoteArgDouble('say "$x"', 'powershell') === '"say `"`$x`""', 'PowerShell should escape with backticks');
+  assert(quoteArgDouble('say "$x"', 'fish') === '"say \\"\\$x\\""', 'fish should escape with backslashes');
+});
+
+test('feeds lines to a program in each dialect', () => {
+  const lines = ['https://e.com/a.mp4', '  header=Referer: https://e.com/(1)&b'];
+  assert(pipeLines(lines, 'aria2c -i -') === `aria2c -i - <<'INPUT'\n${lines.join('\n')}\nINPUT`, 'POSIX should use a here-document');
+  assert(pipeLines(lines, 'aria2c -i -', 'fish') === `printf '%s\\n' 'https://e.com/a.mp4' '  header=Referer: https://e.com/(1)&b' | aria2c -i -`,
+    'fish should use printf');
+  assert(pipeLines(lines, 'aria2c -i -', 'powershell') === `@'\n${lines.join('\n')}\n'@ | aria2c -i -`, 'PowerShell should use a here-string');
+  assert(pipeLines(lines, 'aria2c -i -', 'cmd') ===
+    '(echo https://e.com/a.mp4&echo   header=Referer: https://e.com/^(1^)^&b)>"%TEMP%\\INPUT.txt" && aria2c -i - < "%TEMP%\\INPUT.txt"',
+    'cmd should write a caret-escaped temporary file');
+});
+
+test('builds commands for PowerShell and cmd', () => {
+  const stream = { url: 'https://e.com/a.m3u8?x=1&y=%2', mediaType: 'video', headers: { 'User-Agent': "Agent it's" } };
+  const subtitles = [{ url: 'https://e.com/en.vtt' }];
+
+  const ps = buildYtDlpCommand(stream, subtitles, 'mp4', 'T', { shell: 'powershell' });
+  assert(ps === "curl.exe -fL -o 'T.sub1.vtt' 'https://e.com/en.vtt'; yt-dlp --user-agent 'Agent it''s'" +
+    " --merge-output-format mp4 --remux-video mp4 -o 'T.%(ext)s' 'https://e.com/a.m3u8?x=1&y=%2'", `Unexpected command: ${ps}`);
+
+  const cmd = buildYtDlpCommand(stream, subtitles, 'mp4', 'T', { shell: 'cmd' });
+  assert(cmd.includes(`-o "T."^%"(ext)s" "https://e.com/a.m3u8?x=1&y="^%"2"`), `cmd should escape %: ${cmd}`);
+
+  const mpv = buildMpvCommand(stream, [], { shell: 'powershell' });
+  assert(mpv.split('\n').slice(0, -1).every(line => line.endsWith(' `')), 'PowerShell lines should continue with a backtick');
+  assert(mpv.includes(`--user-agent="Agent it's"`), 'Expected the double-quoted user agent');
+
+  const aria2c = buildAria2cCommand(stream, [], 'T', { shell: 'cmd' });
+  assert(aria2c.startsWith('(if not exist "T" mkdir "T") && (echo https://e.com/a.m3u8?x=1^&y=^%2&'), `Unexpected command: ${aria2c}`);
+});
+
+test('writes large base64 data in cmd lines below the 8191-character limit', () => {
+  assert(writeBase64File('V0VC\nVlRU', 'a b.vtt', 'cmd') ===
+    'echo V0VCVlRU>"a b.vtt.b64" && certutil -f -decode "a b.vtt.b64" "a b.vtt" >nul && del "a b.vtt.b64"',
+    'Small data should take one line');
+
+  // The largest generated track (72 KB, 96 KB as base64), saved next to a download
+  const base64 = Buffer.alloc(72 * 1024, 'WEBVTT\n\n00:00.000 --> 00:01.000\nSubtitle line\n').toString('base64');
+  const stream = { url: 'https://e.com/a.m3u8', mediaType: 'hls', headers: {} };
+  const command = buildYtDlpCommand(stream, [{ url: `data:text/vtt;base64,${base64}` }], 'mp4', 'T', { shell: 'cmd' });
+  const lines = command.split('\n');
+  assert(lines.length > 40 && lines.every(line => line.length < 8191),
+    `Expected short lines, got ${lines.length} lines of up to ${Math.max(...lines.map(line => line.length))} characters`);
+  const written = lines.map(line => line.match(/echo ([A-Za-z0-9+/=]+)>>?"T\.sub1\.vtt\.b64"/)?.[1]).join('');
+  assert(written === base64, 'The lines should write the whole data in order');
+  assert(lines[0].startsWith('echo ') && lines[0].includes('>"T.sub1.vtt.b64"') && lines.slice(1).every(line => line.includes('>>"T.sub1.vtt.b64"')),
+    'The first line should create the file and the others append to it');
+  assert(lines.at(-1).includes('certutil -f -decode') && lines.at(-1).includes('yt-dlp'), 'Decoding and the download should follow the last chunk');
+});
+
+// Print summary
+console.log('\n=== Test Summary ===');
+console.log(`Passed: ${passed}`);
+console.log(`Failed: ${failed}`);
+
+if (failed > 0) {
+  process.exit(1);
+}
@@ -0,0 +1,95 @@
+/**
+ * Test suite for streamlink command generation
+ * Run with: node test-streamlink-command.js
+ */
+
+import { buildStreamlinkCommand } from './modules/commands.js';
+import { parseHLSMasterPlaylistContent } from './modules/hls-parser.js';
+
+// A master playlist as parsed by the service worker, and the stream item the popup sends
+// when one of its variants is picked (see getEffectiveStreamItem in popup.js)
+const MASTER_URL = 'https://example.com/master.m3u8';
+const MASTER = parseHLSMasterPlaylistContent(MASTER_URL, [
+  '#EXTM3U',
+  '#EXT-X-MEDIA:TYPE=AUDIO,GROUP-ID="aud",NAME="Deutsch",LANGUAGE="de",URI="audio-de.m3u8"',
+  '#EXT-X-STREAM-INF:BANDWIDTH=5000000,RESOLUTION=1920x1080,AUDIO="aud"',
+  '1080.m3u8',
+  '#EXT-X-STREAM-INF:BANDWIDTH=2500000,RESOLUTION=1280x720,AUDIO="aud"',
+  '720.m3u8'
+].join('\n'));
+
+function pickVariant(resolution, overrides = {}) {
+  const variant = MASTER.variants.find(v => v.resolution === resolution);
+  return {
+    url: variant.url,
+    masterUrl: MASTER_URL,
+    mediaType: 'hls',
+    variantName: variant.name,
+    variantBandwidth: variant.bandwidth,
+    resolution: variant.resolution,
+    audioTrack: variant.audioTracks[0],
+    ...overrides
+  };
+}
+
+// Simple test runner
+let passed = 0;
+let failed = 0;
+
+function test(name, fn) {
+  try {
+    fn();
+    console.log(`✓ ${name}`);
+    passed++;
+  } catch (err) {
+    console.log(`✗ ${name}`);
+    console.log(`  Error: ${err.message}`);
+    failed++;
+  }
+}
+
+function assert(condition, message) {
+  if (!condition) {
+    throw new Error(message || 'Assertion failed');
+  }
+}
+
+console.log('=== streamlink Command Generation Tests ===\n');
+
+test('caps the quality at the selected variant and passes headers', () => {
+  const streamItem = pickVariant('720p', {
+    headers: { 'Referer': 'https://example.com/', 'Accept-Encoding': 'gzip', 'Sec-Fetch-Dest': 'empty' }
+  });
+  const cmd = buildStreamlinkCommand(streamItem, [], 'Show');
+  assert(cmd === "streamlink --http-header 'Referer=https://example.com/' --hls-audio-select 'de' " +
+    "--stream-sorting-excludes '>720p' -o 'Show.mkv' 'hls://https://example.com/master.m3u8' best", `Unexpected command: ${cmd}`);
+});
+
+test('uses the DASH and plain HTTP plugins', () => {
+  const dash = buildStreamlinkCommand({ url: 'https://example.com/a.mpd', mediaType: 'dash' }, [], 'A');
+  assert(dash.endsWith("-o 'A.mkv' 'dash://https://example.com/a.mpd' best"), `Unexpected DASH command: ${dash}`);
+  const file = buildStreamlinkCommand({ url: 'https://example.com/a.mp4', mediaType: 'video' }, [], 'A');
+  assert(file.endsWith("-o 'A.mp4' 'httpstream://https://example.com/a.mp4' best"), `Unexpected file command: ${file}`);
+  const hls = buildStreamlinkCommand({ url: 'https://example.com/a.m3u8', mediaType: 'hls' }, [], 'A');
+  assert(hls.includes("-o 'A.ts'") && !hls.includes('--stream-sorting-excludes'), 'Should write plain HLS as MPEG-TS');
+});
+
+test('maps live options and saves subtitles alongside', () => {
+  const streamItem = { url: 'https://example.com/live.m3u8', mediaType: 'hls', isLive: true };
+  const restart = buildStreamlinkCommand(streamItem, [], 'Live', { liveStart: 0, recordDuration: '1:00:00' });
+  assert(restart.includes('--hls-live-restart --hls-duration 01:00:00'), `Unexpected live options: ${restart}`);
+  assert(buildStreamlinkCommand(streamItem, [], 'Live', { liveStart: -1 }).includes('--hls-live-edge 1'), 'Should start at the live edge');
+
+  const commands = buildStreamlinkCommand(streamItem, [{ url: 'https://example.com/en.vtt', languageCode: 'en' }], 'Live').split(' && ');
+  assert(commands[0] === "curl -fL -o 'Live.en.vtt' 'https://example.com/en.vtt'" && commands[1].startsWith('streamlink '),
+    'Should save subtitles before recording');
+});
+
+// Print summary
+console.log('\n=== Test Summary ===');
+console.log(`Passed: ${passed}`);
+console.log(`Failed: ${failed}`);
+
+if (failed > 0) {
+  process.exit(1);
+}
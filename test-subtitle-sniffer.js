@@ -0,0 +1,77 @@
+/**
+ * Test suite for subtitle content sniffing
+ * Run with: node test-subtitle-sniffer.js
+ */
+
+import { sniffSubtitleFormat } from './modules/subtitle-sniffer.js';
+
+// Simple test runner
+let passed = 0;
+let failed = 0;
+
+function test(name, fn) {
+  try {
+    fn();
+    console.log(`✓ ${name}`);
+    passed++;
+  } catch (err) {
+    console.log(`✗ ${name}`);
+    console.log(`  Error: ${err.message}`);
+    failed++;
+  }
+}
+
+function assert(condition, message) {
+  if (!condition) {
+    throw new Error(message || 'Assertion failed');
+  }
+}
+
+console.log('=== Subtitle Sniffer Tests ===\n');
+
+test('recognises WebVTT, including a byte order mark', () => {
+  assert(sniffSubtitleFormat('WEBVTT\n\n00:00.000 --> 00:01.000\nHi') === 'vtt', 'Should detect WEBVTT');
+  assert(sniffSubtitleFormat('\uFEFFWEBVTT - Kind: captions\n') === 'vtt', 'Should skip the BOM and allow a header');
+  assert(sniffSubtitleFormat('WEBVTTX') === null, 'Should require a separator after the magic');
+});
+
+test('recognises SRT timing lines', () => {
+  assert(sniffSubtitleFormat('1\r\n00:00:01,000 --> 00:00:02,500\r\nHello') === 'srt', 'Should detect CRLF SRT');
+  assert(sniffSubtitleFormat('\n\n12\n01:02:03.456 --> 01:02:04.000\nHi') === 'srt', 'Should tolerate leading blank lines and dots');
+});
+
+test('tells ASS and SSA apart by ScriptType', () => {
+  assert(sniffSubtitleFormat('[Script Info]\nTitle: x\nScriptType: v4.00+\n') === 'ass', 'v4.00+ should be ASS');
+  assert(sniffSubtitleFormat('[Script Info]\nScriptType: v4.00\n') === 'ssa', 'v4.00 should be SSA');
+  assert(sniffSubtitleFormat('[Script Info]\n') === 'ass', 'Missing ScriptType should default to ASS');
+});
+
+test('recognises XML-based formats behind a prolog', () => {
+  assert(sniffSubtitleFormat('<?xml version="1.0" encoding="UTF-8"?>\n<!-- exported -->\n<tt xmlns="http://www.w3.org/ns/ttml">') === 'ttml',
+    'Should detect TTML after declaration and comment');
+  assert(sniffSubtitleFormat('<tt:tt xmlns:tt="http://www.w3.org/ns/ttml">') === 'ttml', 'Should detect prefixed TTML');
+  assert(sniffSubtitleFormat('<SAMI>\n<HEAD>') === 'smi', 'Should detect SAMI');
+  assert(sniffSubtitleFormat('<?xml version="1.0"?><MPD>') === null, 'Should not match other XML');
+});
+
+test('recognises SBV, MicroDVD and LRC', () => {
+  assert(sniffSubtitleFormat('0:00:01.000,0:00:02.000\nHi') === 'sbv', 'Should detect SBV');
+  assert(sniffSubtitleFormat('{10}{50}Hello|World') === 'sub', 'Should detect MicroDVD');
+  assert(sniffSubtitleFormat('[ti:Song]\n[00:01.00]La') === 'lrc', 'Should detect LRC tags');
+});
+
+test('rejects non-subtitle bodies', () => {
+  assert(sniffSubtitleFormat('{"cues": []}') === null, 'JSON is not a subtitle');
+  assert(sniffSubtitleFormat('<!DOCTYPE html><html>') === null, 'HTML is not a subtitle');
+  assert(sniffSubtitleFormat('#EXTM3U') === null, 'Playlists are not subtitles');
+  assert(sniffSubtitleFormat('') === null, 'Empty bodies are not subtitles');
+});
+
+// Print summary
+console.log('\n=== Test Summary ===');
+console.log(`Passed: ${passed}`);
+console.log(`Failed: ${failed}`);
+
+if (failed > 0) {
+  process.exit(1);
+}
@@ -0,0 +1,90 @@
+/**
+ * Test suite for command templates
+ * Run with: node test-templates.js
+ */
+
+import { validateTemplate, buildTemplateContext, renderTemplate } from './modules/templates.js';
+
+// Simple test runner
+let passed = 0;
+let failed = 0;
+
+function test(name, fn) {
+  try {
+    fn();
+    console.log(`✓ ${name}`);
+    passed++;
+  } catch (err) {
+    console.log(`✗ ${name}`);
+    console.log(`  Error: ${err.message}`);
+    failed++;
+  }
+}
+
+function assert(condition, message) {
+  if (!condition) {
+    throw new Error(message || 'Assertion failed');
+  }
+}
+
+console.log('=== Command Template Tests ===\n');
+
+const streamItem = {
+  url: 'https://cdn.example.com/hls/720p.m3u8?token=a&b=1',
+  masterUrl: 'https://cdn.example.com/hls/master.m3u8',
+  variantName: '720p',
+  headers: {
+    'User-Agent': 'Mozilla/5.0 (X11)',
+    'Referer': 'https://example.com/watch?v=1',
+    'Origin': 'https://example.com'
+  }
+};
+const subtitleItems = [{ url: 'https://cdn.example.com/en.vtt' }, { url: 'https://cdn.example.com/it\'s.vtt' }];
+const context = buildTemplateContext(streamItem, subtitleItems, { title: 'Episode 1: "Pilot"' });
+
+test('collects placeholder values from the stream and subtitles', () => {
+  assert(context.url === streamItem.url && context.masterUrl === streamItem.masterUrl, 'Should keep the variant and master URLs');
+  assert(context.userAgent === 'Mozilla/5.0 (X11)' && context.referer === 'https://example.com/watch?v=1', 'Should pick out single headers');
+  assert(context.headers.length === 3 && context.headers[2] === 'Origin: https://example.com', 'Should list every header');
+  assert(context.subs.length === 2 && context.variant === '720p', 'Should list subtitles and the variant');
+  assert(buildTemplateContext({ url: 'https://x/a.m3u8' }).masterUrl === 'https://x/a.m3u8', 'masterUrl should fall back to the URL');
+});
+
+test('applies shell quoting and other filters', () => {
+  assert(renderTemplate('tool {url|sq}', context) === `tool 'https://cdn.example.com/hls/720p.m3u8?token=a&b=1'`, 'Should single-quote');
+  assert(renderTemplate('{title|dq}', context) === '"Episode 1: \\"Pilot\\""', 'Should escape double quotes');
+  assert(renderTemplate("{title|q}", { title: "it's" }) === `'it'\\''s'`, 'q should quote for POSIX shells by default');
+  assert(renderTemplate("{title|q}", { title: "it's" }, { shell: 'powershell' }) === `'it''s'`, 'q should follow the shell option');
+  assert(renderTemplate('{title|dq}', { title: 'a $HOME `x` \\' }) === '"a \\$HOME \\`x\\` \\\\"', 'Should escape $, backticks and backslashes');
+  assert(renderTemplate('{title|filename}.mp4', context) === 'Episode 1_ _Pilot_.mp4', 'Should make a file name');
+  assert(renderTemplate('https://player.example/?src={url|uri}', context).endsWith('720p.m3u8%3Ftoken%3Da%26b%3D1'), 'Should URL-encode');
+  assert(renderTemplate('{{"ua": {userAgent|json}}}', context) === '{"ua": "Mozilla/5.0 (X11)"}',
+    'Should JSON-encode and unescape braces');
+});
+
+test('repeats list placeholders and drops missing values', () => {
+  assert(renderTemplate('{subs|sq|prefix:--sub }', context) === `--sub 'https://cdn.example.com/en.vtt' --sub 'https://cdn.example.com/it'\\''s.vtt'`,
+    'Should quote and prefix each subtitle');
+  assert(renderTemplate('{headers|join:\\r\\n|sq}', { headers: ['A: 1', 'B: 2'] }) === `'A: 1\\r\\nB: 2'`, 'Join should make one value');
+  assert(renderTemplate('x {audio|sq|prefix:--audio } y', context) === 'x  y', 'Missing values should leave nothing');
+  assert(renderTemplate('{subs|join:,}', { subs: [] }) === '', 'Empty lists should leave nothing');
+});
+
+test('reports template syntax errors', () => {
+  assert(validateTemplate('mpv {url|sq}') === null, 'Valid templates have no error');
+  assert(validateTemplate('  ') === 'Template is empty', 'Should reject empty templates');
+  assert(validateTemplate('{cookie}').includes('Unknown placeholder {cookie}'), 'Should reject unknown placeholders');
+  assert(validateTemplate('{url|shout}').includes('Unknown filter "shout"'), 'Should reject unknown filters');
+  assert(validateTemplate('{subs|prefix}').includes('needs an argument'), 'Should require filter arguments');
+  assert(validateTemplate('echo ${HOME}').includes('Unknown placeholder {HOME}'), 'Shell variables need escaped braces');
+  assert(validateTemplate('echo }').includes('Unmatched "}"'), 'Should reject stray braces');
+});
+
+// Print summary
+console.log('\n=== Test Summary ===');
+console.log(`Passed: ${passed}`);
+console.log(`Failed: ${failed}`);
+
+if (failed > 0) {
+  process.exit(1);
+}
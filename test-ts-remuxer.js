@@ -0,0 +1,363 @@
+/**
+ * Test suite for modules/ts-demuxer.js and modules/mp4-remuxer.js
+ * Run with: node test-ts-remuxer.js
+ */
+
+import {
+  TsDemuxer,
+  splitNalUnits,
+  removeEmulationPrevention,
+  parseAvcSps,
+  parseHevcSps,
+  parseAdtsHeader
+} from './modules/ts-demuxer.js';
+import { TsToMp4Remuxer } from './modules/mp4-remuxer.js';
+
+// Simple test runner
+let passed = 0;
+let failed = 0;
+
+function test(name, fn) {
+  try {
+    fn();
+    console.log(`✓ ${name}`);
+    passed++;
+  } catch (err) {
+    console.log(`✗ ${name}`);
+    console.log(`  Error: ${err.message}`);
+    failed++;
+  }
+}
+
+function assert(condition, message) {
+  if (!condition) {
+    throw new Error(message || 'Assertion failed');
+  }
+}
+
+// Writes parameter sets bit by bit, with Exp-Golomb codes
+class BitWriter {
+  constructor() {
+    this.bits = [];
+  }
+
+  write(value, count) {
+    for (let i = count - 1; i >= 0; i--) this.bits.push(Math.floor(value / 2 ** i) % 2);
+    return this;
+  }
+
+  ue(value) {
+    const code = value + 1;
+    const length = Math.floor(Math.log2(code));
+    return this.write(0, length).write(code, length + 1);
+  }
+
+  bytes() {
+    // rbsp_stop_one_bit, then zero bits to the byte boundary
+    this.bits.push(1);
+    while (this.bits.length % 8) this.bits.push(0);
+    return Uint8Array.from({ length: this.bits.length / 8 }, (_, i) => parseInt(this.bits.slice(i * 8, i * 8 + 8).join(''), 2));
+  }
+}
+
+// Baseline H.264 SPS for 1920x1080 (68 macroblock rows, 8 lines cropped)
+const AVC_SPS = new BitWriter()
+  .write(0x67, 8).write(66, 8).write(0xc0, 8).write(40, 8)
+  .ue(0).ue(0).ue(0).ue(0).ue(1).write(0, 1)
+  .ue(119).ue(67).write(1, 1).write(1, 1)
+  .write(1, 1).ue(0).ue(0).ue(0).ue(4)
+  .write(0, 1)
+  .bytes();
+const AVC_PPS = Uint8Array.from([0x68, 0xce, 0x3c, 0x80]);
+
+// Main profile H.265 SPS for 1920x1080 (1088 lines with a conformance window)
+const HEVC_SPS = new BitWriter()
+  .write(0x4201, 16).write(0, 4).write(0, 3).write(1, 1)
+  .write(0, 2).write(0, 1).write(1, 5).write(0x60000000, 32).write(0x90, 8).write(0, 40).write(93, 8)
+  .ue(0).ue(1).ue(1920).ue(1088)
+  .write(1, 1).ue(0).ue(0).ue(0).ue(4)
+  .ue(0).ue(0)
+  .bytes();
+
+const VIDEO_PID = 0x100;
+const AUDIO_PID = 0x101;
+const PMT_PID = 0x1000;
+
+// Splits a payload into 188-byte packets, padding the last one with adaptation field stuffing
+function packets(pid, payload) {
+  const output = [];
+  for (let offset = 0, counter = 0; offset < payload.length; counter++) {
+    const chunk = payload.subarray(offset, offset + 184);
+    offset += chunk.length;
+    const packet = new Uint8Array(188).fill(0xff);
+    packet.set([0x47, (counter === 0 ? 0x40 : 0) | (pid >> 8), pid & 0xff]);
+    if (chunk.length === 184) {
+      packet[3] = 0x10 | (counter & 0x0f);
+    } else {
+      packet[3] = 0x30 | (counter & 0x0f);
+      packet[4] = 183 - chunk.length;
+      if (packet[4] > 0) packet[5] = 0;
+    }
+    packet.set(chunk, 188 - chunk.length);
+    output.push(packet);
+  }
+  return output;
+}
+
+// PSI section with pointer field and a dummy CRC
+function section(tableId, body) {
+  const length = body.length + 5 + 4;
+  return Uint8Array.from([0, tableId, 0xb0 | (length >> 8), length & 0xff, 0, 1, 0xc1, 0, 0, ...body, 0, 0, 0, 0]);
+}
+
+function pat() {
+  return packets(0, section(0x00, [0, 1, 0xe0 | (PMT_PID >> 8), PMT_PID & 0xff]));
+}
+
+function pmt(streams) {
+  const entries = streams.flatMap(([type, pid]) => [type, 0xe0 | (pid >> 8), pid & 0xff, 0xf0, 0]);
+  return packets(PMT_PID, section(0x02, [0xe0 | (VIDEO_PID >> 8), VIDEO_PID & 0xff, 0xf0, 0, ...entries]));
+}
+
+function timestamp(prefix, value) {
+  return [
+    (prefix << 4) | (Math.floor(value / 2 ** 30) << 1) | 1,
+    Math.floor(value / 2 ** 22) & 0xff, ((Math.floor(value / 2 ** 15) & 0x7f) << 1) | 1,
+    Math.floor(value / 2 ** 7) & 0xff, ((value % 128) << 1) | 1
+  ];
+}
+
+function pes(pid, streamId, payload, pts, dts = pts) {
+  const header = dts === pts
+    ? [0x80, 0x80, 5, ...timestamp(2, pts)]
+    : [0x80, 0xc0, 10, ...timestamp(3, pts), ...timestamp(1, dts)];
+  return packets(pid, Uint8Array.from([0, 0, 1, streamId, 0, 0, ...header, ...payload]));
+}
+
+function annexB(...nals) {
+  return nals.flatMap(nal => [0, 0, 0, 1, ...nal]);
+}
+
+function adts(payloadLength, fill) {
+  // AAC LC, 48 kHz (index 3), stereo, no CRC
+  const length = 7 + payloadLength;
+  return [0xff, 0xf1, 0x4c, 0x80 | (length >> 11), (length >> 3) & 0xff, ((length & 7) << 5) | 0x1f, 0xfc, ...new Array(payloadLength).fill(fill)];
+}
+
+// A stream of three video frames (keyframe first, with composition offsets) and four AAC frames
+function sampleStream() {
+  const start = 900000;
+  return [
+    ...pat(),
+    ...pmt([[0x1b, VIDEO_PID], [0x0f, AUDIO_PID]]),
+    ...pes(VIDEO_PID, 0xe0, annexB([0x09, 0xf0], AVC_SPS, AVC_PPS, [0x65, 1, 2, 3]), start + 3000, start),
+    ...pes(AUDIO_PID, 0xc0, [...adts(10, 0xa1), ...adts(12, 0xa2)], start + 9000),
+    ...pes(VIDEO_PID, 0xe0, annexB([0x09, 0xf0], [0x41, 4, 5]), start + 9000, start + 3000),
+    ...pes(VIDEO_PID, 0xe0, annexB([0x09, 0xf0], [0x41, 6, 7, 8, 9]), start + 6000, start + 6000),
+    ...pes(AUDIO_PID, 0xc0, [...adts(14, 0xa3), ...adts(16, 0xa4)], start + 12840)
+  ];
+}
+
+// Lists the boxes in data: [{type, start, data}] with data being the contents after the header
+function readBoxes(data, start = 0, end = data.length) {
+  const view = new DataView(data.buffer, data.byteOffset, data.byteLength);
+  const boxes = [];
+  for (let offset = start; offset + 8 <= end;) {
+    let size = view.getUint32(offset);
+    let headerSize = 8;
+    if (size === 1) {
+      size = view.getUint32(offset + 8) * 2 ** 32 + view.getUint32(offset + 12);
+      headerSize = 16;
+    }
+    const type = String.fromCharCode(...data.subarray(offset + 4, offset + 8));
+    boxes.push({ type, start: offset, data: data.subarray(offset + headerSize, offset + size) });
+    offset += size;
+  }
+  return boxes;
+}
+
+// Finds a box by path, e.g. 'moov/trak/mdia'; container boxes with extra fields list their offset
+const CONTAINER_OFFSETS = { moov: 0, trak: 0, mdia: 0, minf: 0, stbl: 0, edts: 0, moof: 0, traf: 0, mvex: 0, dinf: 0, stsd: 8, avc1: 78, hvc1: 78, mp4a: 28 };
+function findBoxes(data, path) {
+  let current = [{ data }];
+  for (const type of path.split('/')) {
+    current = current.flatMap(parent => readBoxes(parent.data, parent.type ? CONTAINER_OFFSETS[parent.type] : 0))
+      .filter(entry => entry.type === type);
+  }
+  return current;
+}
+
+function uint32s(data, offset, count) {
+  const view = new DataView(data.buffer, data.byteOffset, data.byteLength);
+  return Array.from({ length: count }, (_, i) => view.getUint32(offset + i * 4));
+}
+
+function concat(chunks) {
+  const output = new Uint8Array(chunks.reduce((sum, chunk) => sum + chunk.length, 0));
+  let offset = 0;
+  for (const chunk of chunks) {
+    output.set(chunk, offset);
+    offset += chunk.length;
+  }
+  return output;
+}
+
+// Remuxes packets pushed in pieces of the given size and returns the whole MP4
+function remux(packetList, options, pieceSize = 188 * 3) {
+  const input = concat(packetList);
+  const remuxer = new TsToMp4Remuxer(options);
+  const body = [];
+  for (let offset = 0; offset < input.length; offset += pieceSize) {
+    body.push(remuxer.push(input.subarray(offset, offset + pieceSize)));
+  }
+  const { header, trailer } = remuxer.finish();
+  return concat([header, ...body, trailer]);
+}
+
+console.log('=== TS Remuxer Tests ===\n');
+
+test('splitNalUnits handles 3 and 4 byte start codes', () => {
+  const units = splitNalUnits(Uint8Array.from([0, 0, 0, 1, 0x09, 0xf0, 0, 0, 1, 0x65, 1, 0, 0, 0, 1, 0x41]));
+  assert(JSON.stringify(units.map(unit => [...unit])) === JSON.stringify([[0x09, 0xf0], [0x65, 1], [0x41]]),
+    `Unexpected units: ${JSON.stringify(units.map(unit => [...unit]))}`);
+  const raw = removeEmulationPrevention(Uint8Array.from([1, 0, 0, 3, 0, 0, 3, 1]));
+  assert(JSON.stringify([...raw]) === JSON.stringify([1, 0, 0, 0, 0, 1]), `Unexpected RBSP: ${[...raw]}`);
+});
+
+test('parameter sets give the coded picture size minus the cropping', () => {
+  const avc = parseAvcSps(AVC_SPS);
+  assert(avc.width === 1920 && avc.height === 1080, `H.264 size: ${avc.width}x${avc.height}`);
+  assert(avc.profileIdc === 66 && avc.levelIdc === 40, `H.264 profile/level: ${avc.profileIdc}/${avc.levelIdc}`);
+
+  const hevc = parseHevcSps(HEVC_SPS);
+  assert(hevc.width === 1920 && hevc.height === 1080, `H.265 size: ${hevc.width}x${hevc.height}`);
+  assert(hevc.generalProfileIdc === 1 && hevc.generalLevelIdc === 93, `H.265 profile/level: ${hevc.generalProfileIdc}/${hevc.generalLevelIdc}`);
+  assert(hevc.generalProfileCompatibility === 0x60000000 && hevc.generalConstraintFlags[0] === 0x90,
+    'H.265 compatibility and constraint flags are copied');
+});
+
+test('parseAdtsHeader reads the AAC configuration', () => {
+  const header = parseAdtsHeader(Uint8Array.from(adts(10, 0)), 0);
+  assert(header && header.frameLength === 17 && header.headerLength === 7, `Unexpected lengths: ${JSON.stringify(header)}`);
+  assert(header.objectType === 2 && header.sampleRate === 48000 && header.channelConfig === 2, `Unexpected config: ${JSON.stringify(header)}`);
+  assert(parseAdtsHeader(Uint8Array.from([0x47, 0, 0, 0, 0, 0, 0]), 0) === null, 'No header without the sync word');
+});
+
+test('demuxer turns access units into length-prefixed samples without delimiters or parameter sets', () => {
+  const demuxer = new TsDemuxer();
+  const input = concat(sampleStream());
+  // Pieces that don't line up with packets
+  for (let offset = 0; offset < input.length; offset += 100) demuxer.push(input.subarray(offset, offset + 100));
+  demuxer.flush();
+  const { video, audio } = demuxer.takeSamples();
+
+  assert(demuxer.program.video === 'avc' && demuxer.program.audio === 'aac', `Unexpected program: ${JSON.stringify(demuxer.program)}`);
+  assert(video.length === 3 && audio.length === 4, `Expected 3 video and 4 audio samples, got ${video.length} and ${audio.length}`);
+  assert(JSON.stringify([...video[0].data]) === JSON.stringify([0, 0, 0, 4, 0x65, 1, 2, 3]), `Unexpected keyframe: ${[...video[0].data]}`);
+  assert(video[0].key && !video[1].key, 'Only the IDR frame is a keyframe');
+  assert(video[1].pts === 909000 && video[1].dts === 903000, `Unexpected timestamps: ${video[1].pts}/${video[1].dts}`);
+  assert(demuxer.config.video.width === 1920 && [...demuxer.config.video.sps].join() === [...AVC_SPS].join(), 'The SPS goes into the config');
+  assert(audio[1].pts === 909000 + 1920 && audio[1].data.length === 12 && audio[1].data[0] === 0xa2,
+    `Unexpected audio frame: ${audio[1].pts}, ${audio[1].data.length} bytes`);
+});
+
+test('demuxer drops frames before the first keyframe and unwraps the 33-bit rollover', () => {
+  const wrap = 2 ** 33;
+  const demuxer = new TsDemuxer();
+  demuxer.push(concat([
+    ...pat(),
+    ...pmt([[0x1b, VIDEO_PID]]),
+    ...pes(VIDEO_PID, 0xe0, annexB(AVC_SPS, AVC_PPS, [0x41, 1]), wrap - 6000),
+    ...pes(VIDEO_PID, 0xe0, annexB([0x65, 2]), wrap - 3000),
+    ...pes(VIDEO_PID, 0xe0, annexB([0x41, 3]), 0)
+  ]));
+  demuxer.flush();
+  const { video } = demuxer.takeSamples();
+  assert(video.length === 2 && video[0].key, `Expected the keyframe and the frame after it, got ${video.length} samples`);
+  assert(video[1].dts === wrap, `Expected ${wrap} after the rollover, got ${video[1].dts}`);
+});
+
+test('demuxer refuses codecs an MP4 remux would drop', () => {
+  const demuxer = new TsDemuxer();
+  let error = null;
+  try {
+    demuxer.push(concat([...pat(), ...pmt([[0x1b, VIDEO_PID], [0x81, AUDIO_PID]])]));
+  } catch (e) {
+    error = e;
+  }
+  assert(error && error.message === 'AC-3 audio can\'t be remuxed to MP4', `Unexpected error: ${error?.message}`);
+});
+
+test('progressive MP4 has sample tables pointing into the mdat', () => {
+  const mp4 = remux(sampleStream());
+  assert(JSON.stringify(readBoxes(mp4).map(entry => entry.type)) === JSON.stringify(['ftyp', 'moov', 'mdat']),
+    `Unexpected top-level boxes: ${readBoxes(mp4).map(entry => entry.type)}`);
+
+  const [video, audio] = findBoxes(mp4, 'moov/trak');
+  const stbl = findBoxes(video.data, 'mdia/minf/stbl')[0];
+  const sizes = findBoxes(stbl.data, 'stsz')[0].data;
+  assert(uint32s(sizes, 8, 1)[0] === 3, 'Three video samples');
+  assert(JSON.stringify(uint32s(sizes, 12, 3)) === JSON.stringify([8, 7, 9]), `Unexpected sizes: ${uint32s(sizes, 12, 3)}`);
+  const offset = uint32s(findBoxes(stbl.data, 'stco')[0].data, 8, 1)[0];
+  assert(JSON.stringify([...mp4.subarray(offset, offset + 8)]) === JSON.stringify([0, 0, 0, 4, 0x65, 1, 2, 3]),
+    'The first chunk offset points at the keyframe');
+  assert(JSON.stringify(uint32s(findBoxes(stbl.data, 'stss')[0].data, 4, 2)) === JSON.stringify([1, 1]), 'Only sample 1 is a sync sample');
+  assert(JSON.stringify(uint32s(findBoxes(stbl.data, 'stts')[0].data, 4, 3)) === JSON.stringify([1, 3, 3000]), 'Frames last 3000 ticks');
+  assert(JSON.stringify(uint32s(findBoxes(stbl.data, 'ctts')[0].data, 4, 7)) === JSON.stringify([3, 1, 3000, 1, 6000, 1, 0]),
+    'Composition offsets are PTS minus DTS');
+  const avcC = findBoxes(stbl.data, 'stsd/avc1/avcC')[0].data;
+  assert(avcC[1] === 66 && [...avcC.subarray(8, 8 + AVC_SPS.length)].join() === [...AVC_SPS].join(), 'avcC holds the SPS');
+
+  // Audio starts 6000 ticks (67 ms) after the first video frame is shown, which in turn starts
+  // at its composition offset
+  const audioStbl = findBoxes(audio.data, 'mdia/minf/stbl')[0];
+  assert(uint32s(findBoxes(audioStbl.data, 'stsz')[0].data, 8, 1)[0] === 4, 'Four audio samples');
+  const esds = findBoxes(audioStbl.data, 'stsd/mp4a/esds')[0].data;
+  const asc = esds.indexOf(0x05);
+  assert(esds[asc + 1] === 2 && esds[asc + 2] === 0x11 && esds[asc + 3] === 0x90, `Unexpected AudioSpecificConfig at ${asc}`);
+  const elst = findBoxes(audio.data, 'edts/elst')[0].data;
+  assert(JSON.stringify(uint32s(elst, 4, 4)) === JSON.stringify([2, 67, 0xffffffff, 0x10000]), `Unexpected audio edits: ${uint32s(elst, 4, 4)}`);
+  const videoElst = findBoxes(video.data, 'edts/elst')[0].data;
+  assert(JSON.stringify(uint32s(videoElst, 4, 3)) === JSON.stringify([1, 100, 3000]), `Unexpected video edits: ${uint32s(videoElst, 4, 3)}`);
+});
+
+test('fragmented MP4 has an empty moov and a moof per piece of input', () => {
+  const input = sampleStream();
+  const mp4 = remux(input, { fragmented: true }, 188 * input.length);
+  const types = readBoxes(mp4).map(entry => entry.type);
+  assert(JSON.stringify(types) === JSON.stringify(['ftyp', 'moov', 'moof', 'mdat', 'moof', 'mdat']), `Unexpected boxes: ${types}`);
+  assert(findBoxes(mp4, 'moov/mvex/trex').length === 2, 'Both tracks have a trex');
+  assert(uint32s(findBoxes(mp4, 'moov/trak/mdia/minf/stbl/stsz')[0].data, 8, 1)[0] === 0, 'The moov has no samples');
+
+  // The last PES packet of each stream and the last sample of each track wait for more data,
+  // so only the first frame is in the first fragment
+  const [first, second] = readBoxes(mp4).filter(entry => entry.type === 'moof');
+  const [videoTraf] = findBoxes(first.data, 'traf');
+  const [count, dataOffset] = uint32s(findBoxes(videoTraf.data, 'trun')[0].data, 4, 2);
+  assert(count === 1, `Expected 1 video sample in the first fragment, got ${count}`);
+  assert(JSON.stringify([...mp4.subarray(first.start + dataOffset, first.start + dataOffset + 8)]) === JSON.stringify([0, 0, 0, 4, 0x65, 1, 2, 3]),
+    'The data offset points at the keyframe');
+  const secondTfdt = findBoxes(findBoxes(second.data, 'traf')[0].data, 'tfdt')[0].data;
+  assert(uint32s(secondTfdt, 8, 1)[0] === 3000, 'The second fragment starts after the first one\'s samples');
+});
+
+test('finish fails when nothing could be remuxed', () => {
+  const remuxer = new TsToMp4Remuxer();
+  remuxer.push(new Uint8Array(188 * 2));
+  let error = null;
+  try {
+    remuxer.finish();
+  } catch (e) {
+    error = e;
+  }
+  assert(error && error.message === 'No H.264, H.265 or AAC samples found', `Unexpected error: ${error?.message}`);
+});
+
+// Print summary
+console.log('\n=== Test Summary ===');
+console.log(`Passed: ${passed}`);
+console.log(`Failed: ${failed}`);
+
+if (failed > 0) {
+  process.exit(1);
+}
@@ -0,0 +1,102 @@
+/**
+ * Test suite for VLC command and XSPF playlist generation
+ * Run with: node test-vlc-command.js
+ */
+
+import { buildVlcCommand, buildXspfPlaylist } from './modules/commands.js';
+
+// Simple test runner
+let passed = 0;
+let failed = 0;
+
+function test(name, fn) {
+  try {
+    fn();
+    console.log(`✓ ${name}`);
+    passed++;
+  } catch (err) {
+    console.log(`✗ ${name}`);
+    console.log(`  Error: ${err.message}`);
+    failed++;
+  }
+}
+
+function assert(condition, message) {
+  if (!condition) {
+    throw new Error(message || 'Assertion failed');
+  }
+}
+
+console.log('=== VLC Command Generation Tests ===\n');
+
+const stream = {
+  url: 'https://cdn.example.com/hls/720p.m3u8?token=a&b=1',
+  headers: { 'User-Agent': 'Agent/1.0', Referer: "https://example.com/watch?v=it's", Origin: 'https://example.com' },
+  audioTrack: { url: 'https://cdn.example.com/hls/audio-de.m3u8', language: 'de' }
+};
+const subtitles = [
+  { url: 'data:text/vtt;base64,V0VCVlRU', languageCode: 'en' },
+  { url: 'https://cdn.example.com/subs/en.m3u8', languageCode: 'en', isHlsRendition: true },
+  { url: 'https://cdn.example.com/subs/de.vtt', languageCode: 'de' },
+  { url: 'https://cdn.example.com/subs/fr.vtt', languageCode: 'fr' }
+];
+
+test('passes headers, audio and subtitle as per-item options', () => {
+  const cmd = buildVlcCommand(stream, subtitles);
+  assert(cmd === "vlc 'https://cdn.example.com/hls/720p.m3u8?token=a&b=1'" +
+    " ':http-referrer=https://example.com/watch?v=it'\\''s'" +
+    " ':http-user-agent=Agent/1.0'" +
+    " ':input-slave=https://cdn.example.com/hls/audio-de.m3u8'" +
+    " ':sub-file=https://cdn.example.com/subs/de.vtt'", `Unexpected command: ${cmd}`);
+  assert(!cmd.includes('Origin'), 'VLC has no option for other headers');
+});
+
+test('plays a bare URL without options', () => {
+  assert(buildVlcCommand({ url: 'https://example.com/a.mp4' }) === "vlc 'https://example.com/a.mp4'", 'Expected a bare command');
+  assert(buildVlcCommand(null) === '', 'Expected no command without a stream');
+});
+
+test('writes an XSPF playlist with escaped options per track', () => {
+  const playlist = buildXspfPlaylist([
+    { streamItem: stream, subtitleItems: subtitles, title: 'Episode <1>' },
+    { streamItem: { url: 'https://example.com/a.mp4' } },
+    { streamItem: {} }
+  ], 'Show & Tell');
+  const expected = [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    '<playlist xmlns="http://xspf.org/ns/0/" xmlns:vlc="http://www.videolan.org/vlc/playlist/ns/0/" version="1">',
+    '  <title>Show &amp; Tell</title>',
+    '  <trackList>',
+    '    <track>',
+    '      <location>https://cdn.example.com/hls/720p.m3u8?token=a&amp;b=1</location>',
+    '      <title>Episode &lt;1&gt;</title>',
+    '      <extension application="http://www.videolan.org/vlc/playlist/0">',
+    '        <vlc:id>0</vlc:id>',
+    '        <vlc:option>http-referrer=https://example.com/watch?v=it&apos;s</vlc:option>',
+    '        <vlc:option>http-user-agent=Agent/1.0</vlc:option>',
+    '        <vlc:option>input-slave=https://cdn.example.com/hls/audio-de.m3u8</vlc:option>',
+    '        <vlc:option>sub-file=https://cdn.example.com/subs/de.vtt</vlc:option>',
+    '      </extension>',
+    '    </track>',
+    '    <track>',
+    '      <location>https://example.com/a.mp4</location>',
+    '      <extension application="http://www.videolan.org/vlc/playlist/0">',
+    '        <vlc:id>1</vlc:id>',
+    '      </extension>',
+    '    </track>',
+    '  </trackList>',
+    '</playlist>',
+    ''
+  ].join('\n');
+  assert(playlist === expected, `Unexpected playlist:\n${playlist}`);
+  assert(buildXspfPlaylist([{ streamItem: {} }]) === '', 'Expected no playlist without streams');
+});
+
+// Print summary
+console.log('\n=== Test Summary ===');
+console.log(`Passed: ${passed}`);
+console.log(`Failed: ${failed}`);
+
+if (failed > 0) {
+  process.exit(1);
+}
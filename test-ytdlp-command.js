@@ -0,0 +1,120 @@
+/**
+ * Test suite for yt-dlp command generation
+ * Run with: node test-ytdlp-command.js
+ */
+
+import { buildYtDlpCommand, buildYtDlpFormat } from './modules/commands.js';
+import { parseHLSMasterPlaylistContent } from './modules/hls-parser.js';
+
+// A master playlist as parsed by the service worker, and the stream item the popup sends
+// when one of its variants is picked (see getEffectiveStreamItem in popup.js)
+const MASTER_URL = 'https://example.com/master.m3u8';
+const MASTER = parseHLSMasterPlaylistContent(MASTER_URL, [
+  '#EXTM3U',
+  '#EXT-X-MEDIA:TYPE=AUDIO,GROUP-ID="aud",NAME="Deutsch",LANGUAGE="de",URI="audio-de.m3u8"',
+  '#EXT-X-STREAM-INF:BANDWIDTH=5000000,RESOLUTION=1920x1080,AUDIO="aud"',
+  '1080.m3u8',
+  '#EXT-X-STREAM-INF:BANDWIDTH=2500000,RESOLUTION=1280x720,AUDIO="aud"',
+  '720.m3u8'
+].join('\n'));
+
+function pickVariant(resolution, overrides = {}) {
+  const variant = MASTER.variants.find(v => v.resolution === resolution);
+  return {
+    url: variant.url,
+    masterUrl: MASTER_URL,
+    mediaType: 'hls',
+    variantName: variant.name,
+    variantBandwidth: variant.bandwidth,
+    resolution: variant.resolution,
+    audioTrack: variant.audioTracks[0],
+    ...overrides
+  };
+}
+
+// Simple test runner
+let passed = 0;
+let failed = 0;
+
+function test(name, fn) {
+  try {
+    fn();
+    console.log(`✓ ${name}`);
+    passed++;
+  } catch (err) {
+    console.log(`✗ ${name}`);
+    console.log(`  Error: ${err.message}`);
+    failed++;
+  }
+}
+
+function assert(condition, message) {
+  if (!condition) {
+    throw new Error(message || 'Assertion failed');
+  }
+}
+
+console.log('=== yt-dlp Command Generation Tests ===\n');
+
+test('passes the captured headers except range, encoding and fetch metadata', () => {
+  const streamItem = {
+    url: 'https://example.com/vod.m3u8',
+    headers: {
+      'User-Agent': 'Agent/1.0', 'Referer': 'https://example.com/', 'Origin': 'https://example.com', 'Cookie': "a='b'",
+      'Range': 'bytes=0-', 'Accept-Encoding': 'gzip, deflate, br', 'Sec-Fetch-Mode': 'cors'
+    }
+  };
+  const cmd = buildYtDlpCommand(streamItem, [], 'mp4', 'My Video');
+  assert(cmd === "yt-dlp --user-agent 'Agent/1.0' --referer 'https://example.com/' --add-header 'Origin:https://example.com' " +
+    "--add-header 'Cookie:a='\\''b'\\''' --merge-output-format mp4 --remux-video mp4 -o 'My Video.%(ext)s' 'https://example.com/vod.m3u8'",
+    `Unexpected command: ${cmd}`);
+});
+
+test('picks the selected variant from the master playlist', () => {
+  const variant = pickVariant('720p');
+  assert(buildYtDlpFormat(variant) === 'bv*[height=720]+ba[language^=de]/b[height=720]', `Unexpected format: ${buildYtDlpFormat(variant)}`);
+  const cmd = buildYtDlpCommand(variant, [], 'mkv', 'Show');
+  assert(cmd.includes("-f 'bv*[height=720]+ba[language^=de]/b[height=720]'") && cmd.endsWith("'https://example.com/master.m3u8'"),
+    'Should download the master with a format selector');
+  assert(cmd.includes('--merge-output-format mkv'), 'Should use the chosen container');
+
+  const bitrateOnly = buildYtDlpFormat({ url: 'https://example.com/v.m3u8', masterUrl: 'https://example.com/m.m3u8', variantBandwidth: 1999500 });
+  assert(bitrateOnly === 'bv*[tbr<=2000]+ba/b[tbr<=2000]', `Should fall back to the bitrate, got ${bitrateOnly}`);
+  assert(buildYtDlpFormat({ url: 'https://example.com/v.m3u8' }) === null, 'Should let yt-dlp choose without a variant');
+});
+
+test('saves selected subtitles as sidecar files first', () => {
+  const subtitles = [
+    { url: 'https://example.com/en.vtt', languageCode: 'en', format: 'vtt', headers: { Referer: 'https://example.com/' } },
+    { url: 'https://example.com/en-sdh.srt', languageCode: 'en', format: 'srt' },
+    { url: 'https://example.com/en-2.srt', languageCode: 'en', format: 'srt' },
+    { url: 'data:text/vtt;base64,V0VCVlRU', format: 'vtt' },
+    { url: 'https://example.com/subs/de.m3u8', languageCode: 'de', format: 'm3u8', subtitleFormat: 'vtt', isHlsRendition: true }
+  ];
+  const commands = buildYtDlpCommand({ url: 'https://example.com/vod.m3u8' }, subtitles, 'mp4', 'Ep 1').split(' && ');
+  assert(commands.length === 6 && commands[5].startsWith('yt-dlp '), 'Should run yt-dlp after the subtitles');
+  assert(commands[0] === "curl -fL -H 'Referer: https://example.com/' -o 'Ep 1.en.vtt' 'https://example.com/en.vtt'",
+    `Unexpected subtitle command: ${commands[0]}`);
+  assert(commands[1].includes("-o 'Ep 1.en.srt'") && commands[2].includes("-o 'Ep 1.en-3.srt'"), 'Should keep sidecar names unique');
+  assert(commands[3] === "echo 'V0VCVlRU' | base64 -d > 'Ep 1.sub4.vtt'", `Should decode generated subtitles, got ${commands[3]}`);
+  assert(commands[4] === "ffmpeg -loglevel error -i 'https://example.com/subs/de.m3u8' 'Ep 1.de.vtt'",
+    `Should join subtitle playlists with ffmpeg, got ${commands[4]}`);
+});
+
+test('uses the output template and live options', () => {
+  const cmd = buildYtDlpCommand({ url: 'https://example.com/live.m3u8', isLive: true }, [], 'mp4', '100% Live',
+    { outputTemplate: '%(title)s.%(ext)s' });
+  assert(cmd.includes("-o '%(title)s.%(ext)s'") && cmd.includes('--hls-use-mpegts'), 'Should pass the template and live flag');
+  assert(buildYtDlpCommand({ url: 'https://example.com/a.m3u8' }, [], 'mp4', '100% Live').includes("-o '100%% Live.%(ext)s'"),
+    'Should escape % in titles');
+  assert(buildYtDlpCommand({ url: '' }) === '', 'Should return empty string for empty URL');
+});
+
+// Print summary
+console.log('\n=== Test Summary ===');
+console.log(`Passed: ${passed}`);
+console.log(`Failed: ${failed}`);
+
+if (failed > 0) {
+  process.exit(1);
+}